@@ -0,0 +1,185 @@
+/**
+ * Journal d'audit des écritures sur 'faune&flore'
+ * -----------------------------------------------
+ * - Une entrée par document écrit: action (insert / update / delete / restore), auteur, date, IP source
+ *   (restore: document réinséré avec son _id d'origine, ex. annulation d'une fusion de doublons)
+ * - diff champ par champ { champ: { before, after } } ('location' est dérivé des coordonnées: ignoré)
+ * - Traitements de masse (réconciliation taxonomique, action 'reconcile'; contrôles qualité, action
+ *   'quality'): une entrée par lot (documentIds, sans diff), reprise dans l'historique de chacun des
+ *   documents
+ * - Collection 'audit' indexée par document puis date décroissante (historique d'un document), et par
+ *   action puis date (écritures récentes d'un type)
+ * - Un échec d'écriture du journal est signalé en console mais ne fait pas échouer la requête
+ */
+const { getDb, onConnected } = require('./db');
+
+const AUDIT_COLLECTION = 'audit';
+const IGNORED_FIELDS = new Set(['_id', 'location']);
+
+function auditCollection() {
+  const db = getDb();
+  return db ? db.collection(AUDIT_COLLECTION) : null;
+}
+
+onConnected(async (db) => {
+  await db.collection(AUDIT_COLLECTION)
+    .createIndex({ documentId: 1, at: -1 }, { name: 'idx_audit_documentId_1_at_-1' })
+    .catch(() => {});
+  await db.collection(AUDIT_COLLECTION)
+    .createIndex({ documentIds: 1, at: -1 }, { name: 'idx_audit_documentIds_1_at_-1', sparse: true })
+    .catch(() => {});
+  // Écritures d'un type depuis une date (hasWritesSince)
+  await db.collection(AUDIT_COLLECTION)
+    .createIndex({ action: 1, at: 1 }, { name: 'idx_audit_action_1_at_1' })
+    .catch(() => {});
+});
+
+// Comparaison de valeurs simples / objets (ObjectId, Date, tableaux) par sérialisation
+function sameValue(a, b) {
+  if (a === b) return true;
+  if (a === undefined || b === undefined || a === null || b === null) return false;
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+// Différence champ par champ entre deux versions (null = document absent)
+function diffDocuments(before, after) {
+  const diff = {};
+  const keys = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+  for (const k of keys) {
+    if (IGNORED_FIELDS.has(k)) continue;
+    const b = before ? before[k] : undefined;
+    const a = after ? after[k] : undefined;
+    if (!sameValue(b, a)) diff[k] = { before: b === undefined ? null : b, after: a === undefined ? null : a };
+  }
+  return diff;
+}
+
+// Contexte commun d'une requête: auteur (null si anonyme) et IP source
+function actorOf(req) {
+  return {
+    actor: req?.user?.username || null,
+    role: req?.user?.role || null,
+    ip: req?.ip || null,
+  };
+}
+
+function buildEntry(req, { action, documentId, before = null, after = null, source }) {
+  return {
+    documentId,
+    action,
+    ...actorOf(req),
+    at: new Date(),
+    ...(source ? { source } : {}),
+    diff: diffDocuments(before, after),
+  };
+}
+
+// Enregistre une écriture unitaire
+async function recordAudit(req, change) {
+  const coll = auditCollection();
+  if (!coll) return;
+  try {
+    await coll.insertOne(buildEntry(req, change));
+  } catch (e) {
+    console.warn('[audit] Écriture du journal impossible:', e?.message || e);
+  }
+}
+
+// Enregistre un lot d'insertions (import en masse): documents déjà pourvus de leur _id
+async function recordInserts(req, docs, source) {
+  const coll = auditCollection();
+  if (!coll || docs.length === 0) return;
+  try {
+    await coll.insertMany(
+      docs.map(doc => buildEntry(req, { action: 'insert', documentId: doc._id, after: doc, source })),
+      { ordered: false }
+    );
+  } catch (e) {
+    console.warn('[audit] Écriture du journal impossible:', e?.message || e);
+  }
+}
+
+// Enregistre un lot de modifications (traitements par lots): [{ documentId, before, after }]
+// before / after peuvent se limiter aux champs modifiés
+async function recordUpdates(req, changes, source) {
+  const coll = auditCollection();
+  if (!coll || changes.length === 0) return;
+  try {
+    await coll.insertMany(
+      changes.map(c => buildEntry(req, { action: 'update', documentId: c.documentId, before: c.before, after: c.after, source })),
+      { ordered: false }
+    );
+  } catch (e) {
+    console.warn('[audit] Écriture du journal impossible:', e?.message || e);
+  }
+}
+
+// Enregistre un lot de suppressions: documents complets (diff vers null)
+async function recordDeletes(req, docs, source) {
+  const coll = auditCollection();
+  if (!coll || docs.length === 0) return;
+  try {
+    await coll.insertMany(
+      docs.map(doc => buildEntry(req, { action: 'delete', documentId: doc._id, before: doc, source })),
+      { ordered: false }
+    );
+  } catch (e) {
+    console.warn('[audit] Écriture du journal impossible:', e?.message || e);
+  }
+}
+
+// Enregistre un lot de réinsertions (documents rétablis avec leur _id d'origine)
+async function recordRestores(req, docs, source) {
+  const coll = auditCollection();
+  if (!coll || docs.length === 0) return;
+  try {
+    await coll.insertMany(
+      docs.map(doc => buildEntry(req, { action: 'restore', documentId: doc._id, after: doc, source })),
+      { ordered: false }
+    );
+  } catch (e) {
+    console.warn('[audit] Écriture du journal impossible:', e?.message || e);
+  }
+}
+
+// Enregistre un lot d'écritures en une seule entrée (traitement de masse): documents concernés dans
+// documentIds, détails communs au lot (ex. version du référentiel)
+async function recordBatch(req, { action, documentIds, source, details = {} }) {
+  const coll = auditCollection();
+  if (!coll || documentIds.length === 0) return;
+  try {
+    await coll.insertOne({
+      documentIds,
+      action,
+      ...actorOf(req),
+      at: new Date(),
+      ...(source ? { source } : {}),
+      count: documentIds.length,
+      ...details,
+    });
+  } catch (e) {
+    console.warn('[audit] Écriture du journal impossible:', e?.message || e);
+  }
+}
+
+// Historique d'un document, du plus récent au plus ancien (IP visible des admins uniquement)
+async function documentHistory(documentId, { limit = 200, includeIp = false } = {}) {
+  const coll = auditCollection();
+  if (!coll) throw new Error("La connexion à la BDD n'est pas encore établie.");
+  const projection = { _id: 0, documentId: 0, documentIds: 0, ...(includeIp ? {} : { ip: 0 }) };
+  return coll.find({ $or: [{ documentId }, { documentIds: documentId }] }, { projection }).sort({ at: -1 }).limit(limit).toArray();
+}
+
+// Vrai si une écriture des actions données a été journalisée depuis la date
+// (ex: modifications / suppressions qui invalident un calcul incrémental)
+async function hasWritesSince(date, actions) {
+  const coll = auditCollection();
+  if (!coll) return false;
+  const entry = await coll.findOne({ action: { $in: actions }, at: { $gt: date } }, { projection: { _id: 1 } });
+  return !!entry;
+}
+
+module.exports = {
+  diffDocuments, recordAudit, recordInserts, recordUpdates, recordDeletes, recordRestores, recordBatch, documentHistory,
+  hasWritesSince,
+};
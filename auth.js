@@ -0,0 +1,254 @@
+/**
+ * Authentification + rôles
+ * ------------------------
+ * - Comptes locaux dans la collection 'users' (mot de passe haché scrypt + sel)
+ * - Session: jeton signé HMAC dans un cookie HttpOnly, portant la version de jeton du compte
+ *   (tokenVersion, incrémentée au changement de mot de passe et à la déconnexion: toutes les sessions
+ *   du compte sont alors révoquées)
+ * - Rôles hiérarchiques: viewer < contributor < admin (le rôle est relu en base à chaque requête)
+ * - Premier admin créé au démarrage via ADMIN_USERNAME / ADMIN_PASSWORD si aucun compte n'existe
+ */
+const crypto = require('crypto');
+const { promisify } = require('util');
+const { getDb, onConnected } = require('./db');
+
+const scrypt = promisify(crypto.scrypt);
+
+const ROLES = ['viewer', 'contributor', 'admin'];
+const COOKIE_NAME = 'session';
+const SESSION_TTL_MS = 7 * 24 * 60 * 60 * 1000; // 7 jours
+const MAX_LOGIN_FAILURES = 5;                    // puis blocage temporaire
+const LOGIN_LOCK_MS = 60 * 1000;
+const LOGIN_FAILURE_WINDOW_MS = 15 * 60 * 1000;  // échecs oubliés au-delà
+const LOGIN_FAILURES_MAX = 10000;                // couples ip|username suivis au plus
+
+// Secret de signature: à fixer dans .env, sinon les sessions ne survivent pas à un redémarrage
+const SESSION_SECRET = process.env.SESSION_SECRET || crypto.randomBytes(32).toString('hex');
+if (!process.env.SESSION_SECRET) {
+  console.warn('[auth] SESSION_SECRET absent: secret aléatoire, les sessions seront perdues au redémarrage');
+}
+
+function usersCollection() {
+  const db = getDb();
+  return db ? db.collection('users') : null;
+}
+
+// Index + compte admin initial à chaque connexion Mongo
+onConnected(async (db) => {
+  const users = db.collection('users');
+  await users.createIndex({ username: 1 }, { name: 'idx_users_username_unique', unique: true }).catch(() => {});
+  const { ADMIN_USERNAME, ADMIN_PASSWORD } = process.env;
+  if (ADMIN_USERNAME && ADMIN_PASSWORD && (await users.estimatedDocumentCount()) === 0) {
+    await createUser({ username: ADMIN_USERNAME, password: ADMIN_PASSWORD, role: 'admin' });
+    console.log(`[auth] Compte admin initial créé: ${ADMIN_USERNAME}`);
+  }
+});
+
+// Hachage scrypt: "scrypt$<sel base64>$<hash base64>"
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const hash = await scrypt(String(password), salt, 64);
+  return `scrypt$${salt.toString('base64')}$${hash.toString('base64')}`;
+}
+
+async function verifyPassword(password, stored) {
+  const [scheme, saltB64, hashB64] = String(stored || '').split('$');
+  if (scheme !== 'scrypt' || !saltB64 || !hashB64) return false;
+  const expected = Buffer.from(hashB64, 'base64');
+  const actual = await scrypt(String(password), Buffer.from(saltB64, 'base64'), expected.length);
+  return crypto.timingSafeEqual(expected, actual);
+}
+
+function isValidRole(role) {
+  return ROLES.includes(role);
+}
+
+// Vrai si le rôle donné atteint le rôle minimal requis
+function hasRole(role, minRole) {
+  return ROLES.indexOf(role) >= ROLES.indexOf(minRole) && ROLES.indexOf(minRole) >= 0;
+}
+
+// Vue publique d'un compte (jamais le hash)
+function publicUser(u) {
+  return u ? { username: u.username, role: u.role } : null;
+}
+
+// Crée un compte; lève une erreur (message utilisateur) si invalide ou déjà pris
+async function createUser({ username, password, role = 'viewer' }) {
+  const users = usersCollection();
+  if (!users) throw new Error("La connexion à la BDD n'est pas encore établie.");
+  const name = String(username || '').trim();
+  if (!/^[\w.@-]{3,64}$/.test(name)) throw new Error("Nom d'utilisateur invalide (3 à 64 caractères: lettres, chiffres, . _ @ -).");
+  if (String(password || '').length < 8) throw new Error('Mot de passe trop court (8 caractères minimum).');
+  if (!isValidRole(role)) throw new Error(`Rôle invalide (${ROLES.join(', ')}).`);
+  const user = { username: name, passwordHash: await hashPassword(password), role, createdAt: new Date() };
+  try {
+    await users.insertOne(user);
+  } catch (e) {
+    if (e?.code === 11000) throw new Error("Ce nom d'utilisateur existe déjà.");
+    throw e;
+  }
+  return publicUser(user);
+}
+
+// ---- Jetons de session signés ----
+function sign(data) {
+  return crypto.createHmac('sha256', SESSION_SECRET).update(data).digest('base64url');
+}
+
+function issueToken(username, tokenVersion = 0) {
+  const payload = Buffer.from(JSON.stringify({ u: username, v: tokenVersion, exp: Date.now() + SESSION_TTL_MS })).toString('base64url');
+  return `${payload}.${sign(payload)}`;
+}
+
+// Retourne { username, tokenVersion } si le jeton est intègre et non expiré, sinon null
+function readToken(token) {
+  const [payload, sig] = String(token || '').split('.');
+  if (!payload || !sig) return null;
+  const expected = Buffer.from(sign(payload));
+  const actual = Buffer.from(sig);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) return null;
+  try {
+    const { u, v, exp } = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    if (!u || !Number.isFinite(exp) || exp < Date.now()) return null;
+    return { username: u, tokenVersion: Number.isInteger(v) ? v : 0 };
+  } catch {
+    return null;
+  }
+}
+
+function parseCookies(header) {
+  const out = {};
+  for (const part of String(header || '').split(';')) {
+    const i = part.indexOf('=');
+    if (i < 0) continue;
+    const k = part.slice(0, i).trim();
+    if (k) out[k] = decodeURIComponent(part.slice(i + 1).trim());
+  }
+  return out;
+}
+
+function setSessionCookie(req, res, token) {
+  res.cookie(COOKIE_NAME, token, {
+    httpOnly: true,
+    sameSite: 'lax',
+    secure: req.secure,
+    maxAge: SESSION_TTL_MS,
+    path: '/',
+  });
+}
+
+function clearSessionCookie(res) {
+  res.clearCookie(COOKIE_NAME, { path: '/' });
+}
+
+// Middleware: renseigne req.user ({ username, role } ou null) depuis le cookie de session
+// Jeton d'une version antérieure du compte (mot de passe changé, déconnexion): session révoquée
+async function authenticate(req, res, next) {
+  req.user = null;
+  try {
+    const session = readToken(parseCookies(req.headers.cookie)[COOKIE_NAME]);
+    const users = usersCollection();
+    if (session && users) {
+      const u = await users.findOne({ username: session.username }, { projection: { username: 1, role: 1, tokenVersion: 1 } });
+      if (u && (u.tokenVersion || 0) === session.tokenVersion) req.user = publicUser(u);
+    }
+  } catch (e) {
+    console.warn('[auth] Lecture de session impossible:', e?.message || e);
+  }
+  next();
+}
+
+// Middleware: exige un rôle minimal (401 si anonyme, 403 si rôle insuffisant)
+function requireRole(minRole) {
+  return (req, res, next) => {
+    if (!req.user) return res.status(401).json({ error: 'Authentification requise.' });
+    if (!hasRole(req.user.role, minRole)) {
+      return res.status(403).json({ error: `Rôle insuffisant (requis: ${minRole}).` });
+    }
+    next();
+  };
+}
+
+// Révoque toutes les sessions d'un compte (nouvelle version de jeton); retourne la nouvelle version,
+// null si le compte est inconnu
+async function revokeSessions(username) {
+  const users = usersCollection();
+  if (!users) throw new Error("La connexion à la BDD n'est pas encore établie.");
+  const u = await users.findOneAndUpdate(
+    { username },
+    { $inc: { tokenVersion: 1 } },
+    { returnDocument: 'after', projection: { tokenVersion: 1 } }
+  );
+  return u ? u.tokenVersion : null;
+}
+
+// ---- Anti force brute (mémoire): blocage après MAX_LOGIN_FAILURES échecs ----
+// Clé ip|username -> { count, lockedUntil, lastAt }, dans l'ordre du dernier échec
+const loginFailures = new Map();
+
+function isLoginLocked(key) {
+  const f = loginFailures.get(key);
+  return !!(f && f.lockedUntil > Date.now());
+}
+
+// Oublie les échecs anciens sans blocage en cours, puis les plus anciens si la table reste pleine
+function pruneLoginFailures(now) {
+  for (const [key, f] of loginFailures) {
+    if (f.lockedUntil <= now && now - f.lastAt > LOGIN_FAILURE_WINDOW_MS) loginFailures.delete(key);
+  }
+  for (const key of loginFailures.keys()) {
+    if (loginFailures.size < LOGIN_FAILURES_MAX * 0.9) break;
+    loginFailures.delete(key);
+  }
+}
+
+function recordLoginFailure(key) {
+  const now = Date.now();
+  const previous = loginFailures.get(key);
+  const f = previous && now - previous.lastAt <= LOGIN_FAILURE_WINDOW_MS
+    ? previous
+    : { count: 0, lockedUntil: previous ? previous.lockedUntil : 0 };
+  f.count++;
+  f.lastAt = now;
+  if (f.count >= MAX_LOGIN_FAILURES) {
+    f.count = 0;
+    f.lockedUntil = now + LOGIN_LOCK_MS;
+  }
+  loginFailures.delete(key);
+  if (loginFailures.size >= LOGIN_FAILURES_MAX) pruneLoginFailures(now);
+  loginFailures.set(key, f);
+}
+
+// Vérifie les identifiants; retourne { user, token } ou { error, status }
+async function login(req, username, password) {
+  const users = usersCollection();
+  if (!users) return { status: 500, error: "La connexion à la BDD n'est pas encore établie." };
+  const name = String(username || '').trim();
+  const key = `${req.ip}|${name}`;
+  if (isLoginLocked(key)) return { status: 429, error: 'Trop de tentatives, réessayez dans une minute.' };
+  const u = await users.findOne({ username: name });
+  if (!u || !(await verifyPassword(password, u.passwordHash))) {
+    recordLoginFailure(key);
+    return { status: 401, error: 'Identifiants invalides.' };
+  }
+  loginFailures.delete(key);
+  return { user: publicUser(u), token: issueToken(u.username, u.tokenVersion || 0) };
+}
+
+module.exports = {
+  ROLES,
+  isValidRole,
+  hasRole,
+  usersCollection,
+  publicUser,
+  hashPassword,
+  createUser,
+  login,
+  issueToken,
+  revokeSessions,
+  authenticate,
+  requireRole,
+  setSessionCookie,
+  clearSessionCookie,
+};
@@ -0,0 +1,202 @@
+/**
+ * Référentiel taxonomique local (checklist de référence, ex. extrait du GBIF Backbone)
+ * -----------------------------------------------------------------------------------
+ * - Fichier BACKBONE_FILE: Taxon.tsv / CSV avec en-tête (termes Darwin Core) ou archive DwC-A (.zip)
+ *   Colonnes lues: taxonID, scientificName, canonicalName, scientificNameAuthorship, taxonRank,
+ *   taxonomicStatus, acceptedNameUsageID, kingdom..genus, species (facultatives sauf taxonID et
+ *   scientificName)
+ * - Chargé en mémoire: taxons par identifiant, index des noms normalisés (nom complet avec auteur et
+ *   nom canonique sans auteur), synonymes par taxon accepté
+ * - Résolution d'un nom: nom complet puis nom canonique; homonymes départagés par le règne, puis par
+ *   le statut (accepté avant douteux avant synonyme); synonymes suivis jusqu'au nom accepté
+ * - Version du référentiel (taille + date du fichier): change quand le fichier est remplacé
+ */
+const fs = require('fs');
+const path = require('path');
+const { normalizeName } = require('./taxa');
+const { TAXON_RANKS } = require('./schema');
+
+const CLASSIFICATION_LEVELS = ['kingdom', 'phylum', 'class', 'order', 'family', 'genus'];
+const STATUS_PRIORITY = ['ACCEPTED', 'DOUBTFUL'];
+const MAX_SYNONYM_HOPS = 5;
+// Particules d'auteurs en minuscules ("de Candolle", "van Hall", "L. ex DC.")
+const AUTHOR_PARTICLES = new Set(['de', 'del', 'der', 'den', 'van', 'von', 'du', 'da', 'di', 'la', 'le', 'ex', 'et', '&']);
+
+let backbone = null;
+let loading = null;
+
+// Nom canonique: mots du nom scientifique jusqu'à l'auteur (majuscule hors premier mot, parenthèse,
+// chiffre ou particule)
+// "Puma concolor (Linnaeus, 1771)" -> "Puma concolor"; "Abies alba subsp. alba Mill." -> "Abies alba subsp. alba"
+function canonicalName(scientificName) {
+  const words = String(scientificName || '').trim().split(/\s+/).filter(Boolean);
+  const kept = [];
+  for (const [i, w] of words.entries()) {
+    if (i > 0 && (/^[A-Z(]/.test(w) || /\d/.test(w) || AUTHOR_PARTICLES.has(w))) break;
+    kept.push(w);
+  }
+  return kept.join(' ');
+}
+
+// Binôme d'un nom canonique de rang espèce ou inférieur ("Abies alba subsp. alba" -> "Abies alba")
+function speciesOf(taxon) {
+  if (taxon.species) return taxon.species;
+  const words = taxon.canonicalName.split(' ');
+  if (words.length < 2 || ['GENUS', 'FAMILY', 'ORDER', 'CLASS', 'PHYLUM', 'KINGDOM'].includes(taxon.taxonRank)) return null;
+  return words.slice(0, 2).join(' ');
+}
+
+function fileRecords(file) {
+  // Chargement différé: importer.js dépend de occurrence.js, qui dépend de ce module
+  const { csvRecords, dwcaRecords } = require('./importer');
+  return /\.zip$/i.test(file) ? dwcaRecords(file) : csvRecords(fs.createReadStream(file));
+}
+
+function pushIndex(map, key, id) {
+  if (!key) return;
+  const list = map.get(key);
+  if (!list) map.set(key, [id]);
+  else if (!list.includes(id)) list.push(id);
+}
+
+// Charge le fichier et construit les index (remplace le référentiel courant une fois prêt)
+async function loadBackbone(file = process.env.BACKBONE_FILE) {
+  if (!file) return null;
+  if (loading) return loading;
+  loading = (async () => {
+    const t0 = Date.now();
+    const stat = await fs.promises.stat(file);
+    const taxa = new Map();
+    const names = new Map();
+    // eslint-disable-next-line no-restricted-syntax
+    for await (const { record } of fileRecords(file)) {
+      // Archive DwC-A dont la colonne identifiant n'est pas décrite: lue comme occurrenceID (importer.js)
+      const taxonID = String(record.taxonID || record.occurrenceID || '').trim();
+      const scientificName = String(record.scientificName || '').trim();
+      if (!taxonID || !scientificName) continue;
+      const taxon = {
+        taxonID,
+        scientificName,
+        canonicalName: String(record.canonicalName || '').trim() || canonicalName(scientificName),
+        taxonRank: String(record.taxonRank || '').trim().toUpperCase() || null,
+        taxonomicStatus: String(record.taxonomicStatus || '').trim().toUpperCase().replace(/\s+/g, '_') || 'ACCEPTED',
+        acceptedNameUsageID: String(record.acceptedNameUsageID || '').trim() || null,
+      };
+      if (taxon.acceptedNameUsageID === taxonID) taxon.acceptedNameUsageID = null;
+      for (const lvl of [...CLASSIFICATION_LEVELS, 'species']) {
+        const v = String(record[lvl] || '').trim();
+        if (v) taxon[lvl] = v;
+      }
+      taxa.set(taxonID, taxon);
+      pushIndex(names, normalizeName(scientificName), taxonID);
+      pushIndex(names, normalizeName(taxon.canonicalName), taxonID);
+    }
+    const synonyms = new Map();
+    for (const taxon of taxa.values()) {
+      if (taxon.acceptedNameUsageID) pushIndex(synonyms, taxon.acceptedNameUsageID, taxon.taxonID);
+    }
+    backbone = {
+      file: path.basename(file),
+      version: `${stat.size}-${Math.round(stat.mtimeMs)}`,
+      loadedAt: new Date().toISOString(),
+      taxa,
+      names,
+      synonyms,
+    };
+    console.log(`[backbone] ${taxa.size} noms chargés depuis ${backbone.file} en ${((Date.now() - t0) / 1000).toFixed(1)}s`);
+    return backbone;
+  })().finally(() => { loading = null; });
+  return loading;
+}
+
+function getBackbone() {
+  return backbone;
+}
+
+// Taxon accepté d'un taxon (synonymes suivis; null si la chaîne est rompue ou bouclée)
+function acceptedTaxon(taxon) {
+  let current = taxon;
+  for (let hop = 0; hop < MAX_SYNONYM_HOPS && current; hop++) {
+    if (!current.acceptedNameUsageID) return current;
+    current = backbone.taxa.get(current.acceptedNameUsageID);
+  }
+  return null;
+}
+
+// Meilleur candidat: même règne si connu, puis statut (accepté, douteux, synonymes)
+function pickCandidate(ids, kingdom) {
+  let candidates = ids.map(id => backbone.taxa.get(id)).filter(Boolean);
+  if (kingdom && candidates.length > 1) {
+    const sameKingdom = candidates.filter(t => !t.kingdom || t.kingdom.toLowerCase() === String(kingdom).toLowerCase());
+    if (sameKingdom.length) candidates = sameKingdom;
+  }
+  const rank = t => {
+    const i = STATUS_PRIORITY.indexOf(t.taxonomicStatus);
+    return i < 0 ? STATUS_PRIORITY.length : i;
+  };
+  return candidates.sort((a, b) => rank(a) - rank(b))[0] || null;
+}
+
+// Résout un nom -> { matchType: 'exact' | 'canonical', matched, accepted } ou null (inconnu / pas de référentiel)
+function resolveName(name, kingdom) {
+  if (!backbone || !name) return null;
+  const exact = backbone.names.get(normalizeName(name));
+  let matchType = 'exact';
+  let ids = exact;
+  if (!ids) {
+    ids = backbone.names.get(normalizeName(canonicalName(name)));
+    matchType = 'canonical';
+  }
+  if (!ids) return null;
+  const matched = pickCandidate(ids, kingdom);
+  const accepted = matched && acceptedTaxon(matched);
+  return accepted ? { matchType, matched, accepted } : null;
+}
+
+// Synonymes (noms) d'un taxon accepté
+function synonymsOf(taxonID) {
+  return (backbone?.synonyms.get(taxonID) || [])
+    .map(id => backbone.taxa.get(id))
+    .filter(Boolean)
+    .map(t => ({ taxonID: t.taxonID, scientificName: t.scientificName, taxonomicStatus: t.taxonomicStatus }));
+}
+
+// Valeur acceptée d'un filtre scientificName / species (valeur inchangée si le nom est inconnu)
+function acceptedValue(level, value) {
+  const r = resolveName(value);
+  if (!r) return value;
+  if (level === 'species') return speciesOf(r.accepted) || value;
+  return r.accepted.scientificName;
+}
+
+// Champs taxonomiques d'une occurrence rapportés au taxon accepté (nom d'origine: verbatimScientificName)
+// Retourne les champs modifiés ({} si déjà à jour) ou null si le nom est inconnu du référentiel
+function reconciledFields(doc) {
+  const source = doc.verbatimScientificName || doc.scientificName;
+  const r = resolveName(source, doc.kingdom);
+  if (!r) return null;
+  const { accepted, matched } = r;
+  const target = {
+    scientificName: accepted.scientificName,
+    taxonID: accepted.taxonID,
+    taxonomicStatus: matched.taxonomicStatus,
+  };
+  if (!doc.verbatimScientificName && doc.scientificName) target.verbatimScientificName = doc.scientificName;
+  for (const lvl of CLASSIFICATION_LEVELS) if (accepted[lvl]) target[lvl] = accepted[lvl];
+  const species = speciesOf(accepted);
+  if (species) target.species = species;
+  if (TAXON_RANKS.includes(accepted.taxonRank)) target.taxonRank = accepted.taxonRank;
+  const changes = {};
+  for (const [k, v] of Object.entries(target)) if (doc[k] !== v) changes[k] = v;
+  return changes;
+}
+
+module.exports = {
+  canonicalName,
+  loadBackbone,
+  getBackbone,
+  resolveName,
+  synonymsOf,
+  acceptedValue,
+  reconciledFields,
+};
@@ -9,6 +9,8 @@
  *   2) Taxonomie -> Tri: égalités taxo en tête puis champ de tri
  *   3) Taxonomie -> Tri -> Year: ESR complet pour plage d'années
  *   4) Taxonomie -> Year: tri par année avec égalités taxo
+ *   5) Spatial: location (GeoJSON Point) en 2dsphere pour les filtres bbox/polygone
+ *   6) Keyset: champ de tri + _id (ordre total pour la pagination par curseur)
  */
 require('dotenv').config();
 const { MongoClient } = require('mongodb');
@@ -19,6 +21,8 @@ let client;
 let collection;
 let reconnectTimer = null;
 let lastMongoError = null;
+let database = null;
+const connectedListeners = [];
 
 async function connectToMongo(attempt = 1) {
   const maxDelay = 30000;
@@ -35,6 +39,7 @@ async function connectToMongo(attempt = 1) {
     await client.connect();
     console.log("Connecté à MongoDB");
     const db = client.db(dbName);
+    database = db;
   collection = db.collection("faune&flore"); // NOTE: nom de collection avec & (valide pour Mongo)
 
     // Assurer des index utiles pour les tris/filtrages fréquents
@@ -46,7 +51,9 @@ async function connectToMongo(attempt = 1) {
         collection.createIndex({ year: 1 }, { name: 'idx_year_1' }).catch(() => {}),
         // Index composés de base
         collection.createIndex({ decimalLongitude: 1, decimalLatitude: 1 }, { name: 'idx_lon1_lat1' }).catch(() => {}),
-        collection.createIndex({ decimalLatitude: 1, decimalLongitude: 1 }, { name: 'idx_lat1_lon1' }).catch(() => {})
+        collection.createIndex({ decimalLatitude: 1, decimalLongitude: 1 }, { name: 'idx_lat1_lon1' }).catch(() => {}),
+        // Nom scientifique seul (sans niveaux supérieurs): carte d'un nom choisi, fiche du taxon
+        collection.createIndex({ scientificName: 1, year: 1 }, { name: 'idx_scientificName_1_year_1' }).catch(() => {})
       ]);
 
       // 2) Famille "Taxonomie -> Tri" (Egalité -> Tri)
@@ -87,11 +94,41 @@ async function connectToMongo(attempt = 1) {
         ).catch(() => {})
       ]);
 
-      console.log('Indexes ensured (simples + taxo->tri + taxo->tri->year + taxo->year)');
+      // 5) Index spatial sur le champ GeoJSON 'location' (filtres bbox / polygone de /api/observations)
+      await collection.createIndex({ location: '2dsphere' }, { name: 'idx_location_2dsphere' }).catch(() => {});
+
+      // 6) Famille "Tri -> _id" pour la pagination par curseur: le tri { champ, _id } doit rester indexé
+      await Promise.all([
+        collection.createIndex({ decimalLongitude: 1, _id: 1 }, { name: 'idx_lon1__id1' }).catch(() => {}),
+        collection.createIndex({ decimalLatitude: 1, _id: 1 }, { name: 'idx_lat1__id1' }).catch(() => {}),
+        collection.createIndex({ year: 1, _id: 1 }, { name: 'idx_year1__id1' }).catch(() => {}),
+        collection.createIndex(
+          { kingdom: 1, phylum: 1, class: 1, order: 1, family: 1, genus: 1, species: 1, scientificName: 1, decimalLongitude: 1, _id: 1 },
+          { name: 'idx_taxo_all_lon_1__id_1', partialFilterExpression: { decimalLongitude: { $type: 'number' } } }
+        ).catch(() => {}),
+        collection.createIndex(
+          { kingdom: 1, phylum: 1, class: 1, order: 1, family: 1, genus: 1, species: 1, scientificName: 1, decimalLatitude: 1, _id: 1 },
+          { name: 'idx_taxo_all_lat_1__id_1', partialFilterExpression: { decimalLatitude: { $type: 'number' } } }
+        ).catch(() => {}),
+        collection.createIndex(
+          { kingdom: 1, phylum: 1, class: 1, order: 1, family: 1, genus: 1, species: 1, scientificName: 1, year: 1, _id: 1 },
+          { name: 'idx_taxo_all_year_1__id_1' }
+        ).catch(() => {})
+      ]);
+
+      console.log('Indexes ensured (simples + taxo->tri + taxo->tri->year + taxo->year + location 2dsphere + keyset)');
     } catch (e) {
       console.warn('Index ensure failed (non-bloquant):', e?.message || e);
     }
 
+    // Compléter 'location' pour les documents existants (arrière-plan, non bloquant)
+    backfillLocation(collection);
+
+    // Initialisations des autres modules (collections annexes, index, comptes...)
+    for (const fn of connectedListeners) {
+      Promise.resolve().then(() => fn(db)).catch((e) => console.warn('onConnected listener failed (non-bloquant):', e?.message || e));
+    }
+
     // Logs de cycle de vie pour diagnostiquer la connectivité
     client.on?.('close', () => {
       console.warn('MongoDB: connexion fermée, tentative de reconnexion...');
@@ -108,6 +145,27 @@ async function connectToMongo(attempt = 1) {
   }
 }
 
+// Construit le champ GeoJSON 'location' à partir de decimalLongitude/decimalLatitude
+// pour les documents qui ne l'ont pas encore (coordonnées hors bornes ignorées: refusées par 2dsphere)
+async function backfillLocation(coll) {
+  try {
+    const t0 = Date.now();
+    const result = await coll.updateMany(
+      {
+        location: { $exists: false },
+        decimalLatitude: { $type: 'number', $gte: -90, $lte: 90 },
+        decimalLongitude: { $type: 'number', $gte: -180, $lte: 180 }
+      },
+      [{ $set: { location: { type: 'Point', coordinates: ['$decimalLongitude', '$decimalLatitude'] } } }]
+    );
+    if (result.modifiedCount > 0) {
+      console.log(`Backfill location: ${result.modifiedCount} documents mis à jour en ${((Date.now() - t0) / 1000).toFixed(1)}s`);
+    }
+  } catch (e) {
+    console.warn('Backfill location failed (non-bloquant):', e?.message || e);
+  }
+}
+
 // Planifie une reconnexion avec délai (anti-boucle frénétique)
 function scheduleReconnect(nextAttempt = 2, wait = 3000) {
   if (reconnectTimer) return;
@@ -122,6 +180,17 @@ function getCollection() {
   return collection;
 }
 
+// Expose la base active (collections annexes: users, ...) ou null tant que non connectée
+function getDb() {
+  return database;
+}
+
+// Enregistre une fonction appelée (avec la base) à chaque connexion réussie
+function onConnected(fn) {
+  connectedListeners.push(fn);
+  if (database) Promise.resolve().then(() => fn(database)).catch(() => {});
+}
+
 // Ferme proprement le client Mongo
 async function closeMongo() {
   try {
@@ -133,9 +202,10 @@ async function closeMongo() {
   } finally {
     client = null;
     collection = null;
+    database = null;
   }
 }
 
-module.exports = { connectToMongo, getCollection, closeMongo };
+module.exports = { connectToMongo, getCollection, getDb, onConnected, closeMongo };
 
 
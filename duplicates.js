@@ -0,0 +1,372 @@
+/**
+ * Doublons d'occurrences: détection par lots et fusion réversible
+ * --------------------------------------------------------------
+ * - Doublons probables: même nom scientifique (trim + minuscules), mêmes coordonnées arrondies à la
+ *   tolérance (cellule de toleranceDeg degrés, défaut DUPLICATE_TOLERANCE_DEG ou 0.001° ~ 100 m) et
+ *   même année (numérique, sinon absente); tolérance modifiable à chaque détection (conservée pour les
+ *   passages suivants)
+ * - Détection: agrégation de 'faune&flore' -> collection 'duplicate_groups' (un document par groupe
+ *   d'au moins deux occurrences), remplacée à chaque passage (groupes disparus retirés à la fin)
+ * - Résolution d'un groupe (admin), sur une occurrence de référence choisie:
+ *   - merge: champs absents de la référence complétés par les autres occurrences, puis celles-ci archivées
+ *   - delete: autres occurrences archivées, référence inchangée
+ *   Archives: documents complets conservés dans 'duplicate_merges' (retirés de 'faune&flore')
+ * - Annulation: documents archivés réinsérés avec leur _id, champs ajoutés à la référence retirés
+ *   (s'ils n'ont pas été modifiés depuis), groupe rouvert
+ * - Écritures journalisées (audit, source 'duplicates')
+ */
+const { ObjectId } = require('mongodb');
+const { getDb, onConnected } = require('./db');
+const audit = require('./audit');
+
+const GROUPS_COLLECTION = 'duplicate_groups';
+const MERGES_COLLECTION = 'duplicate_merges';
+const META_COLLECTION = 'duplicates_meta';
+const META_ID = 'detection';
+const DEFAULT_TOLERANCE_DEG = Number(process.env.DUPLICATE_TOLERANCE_DEG) || 0.001;
+const TOLERANCE_MIN_DEG = 0.00001;
+const TOLERANCE_MAX_DEG = 0.1;
+// Identifiants mémorisés par groupe (le nb d'occurrences reste exact au-delà)
+const MAX_GROUP_IDS = 200;
+const LIST_LIMIT_DEFAULT = 50;
+const LIST_LIMIT_MAX = 200;
+const WRITE_BATCH_SIZE = 1000;
+const AGGREGATION_MAX_TIME_MS = 30 * 60 * 1000;
+// Annulation réservée depuis plus longtemps: considérée comme interrompue (reprise possible)
+const REVERT_STALE_MS = 10 * 60 * 1000;
+// Champs jamais recopiés d'un doublon vers la référence
+const MERGE_IGNORED_FIELDS = new Set(['_id', 'location', 'qualityFlags']);
+const MERGE_MODES = ['merge', 'delete'];
+
+let running = false;
+
+onConnected(async (db) => {
+  await db.collection(GROUPS_COLLECTION)
+    .createIndex({ count: -1 }, { name: 'idx_duplicate_groups_count_-1' })
+    .catch(() => {});
+  await db.collection(MERGES_COLLECTION)
+    .createIndex({ at: -1 }, { name: 'idx_duplicate_merges_at_-1' })
+    .catch(() => {});
+});
+
+function collections() {
+  const db = getDb();
+  return db ? {
+    groups: db.collection(GROUPS_COLLECTION),
+    merges: db.collection(MERGES_COLLECTION),
+    meta: db.collection(META_COLLECTION),
+  } : null;
+}
+
+// Tolérance demandée (degrés) -> nombre, null si absente, ou { error }
+function parseTolerance(raw) {
+  if (raw === undefined || raw === null || raw === '') return null;
+  const v = Number(raw);
+  if (!Number.isFinite(v) || v < TOLERANCE_MIN_DEG || v > TOLERANCE_MAX_DEG) {
+    return { error: `Tolérance invalide (entre ${TOLERANCE_MIN_DEG} et ${TOLERANCE_MAX_DEG} degré).` };
+  }
+  return v;
+}
+
+// Année retenue pour le regroupement: nombre, sinon null (ex. "2020" texte), comme GROUP_YEAR
+function groupYear(year) {
+  return typeof year === 'number' ? year : null;
+}
+const GROUP_YEAR = { $cond: [{ $in: [{ $type: '$year' }, ['int', 'long', 'double']] }, '$year', null] };
+
+// Clé d'un groupe: nom normalisé | indices de cellule | année | tolérance
+function groupKey(name, latIdx, lngIdx, year, toleranceDeg) {
+  return [name, latIdx, lngIdx, groupYear(year) ?? '', toleranceDeg].join('|');
+}
+
+// Clé d'un document (mêmes calculs que l'agrégation: vérifie qu'il appartient toujours au groupe)
+function documentKey(doc, toleranceDeg) {
+  if (typeof doc.scientificName !== 'string' || typeof doc.decimalLatitude !== 'number' || typeof doc.decimalLongitude !== 'number') return null;
+  return groupKey(
+    doc.scientificName.trim().toLowerCase(),
+    Math.floor(doc.decimalLatitude / toleranceDeg),
+    Math.floor(doc.decimalLongitude / toleranceDeg),
+    doc.year,
+    toleranceDeg,
+  );
+}
+
+// Détection complète; { groups, duplicates, toleranceDeg } ou false (déjà en cours / pas de connexion)
+async function detectDuplicates(collection, { toleranceDeg } = {}) {
+  const c = collections();
+  if (!c || !collection) return false;
+  if (running) return false;
+  running = true;
+  const t0 = Date.now();
+  try {
+    const meta = await c.meta.findOne({ _id: META_ID });
+    const tol = toleranceDeg || meta?.toleranceDeg || DEFAULT_TOLERANCE_DEG;
+    const rows = collection.aggregate([
+      { $match: { scientificName: { $type: 'string', $ne: '' }, decimalLatitude: { $type: 'number' }, decimalLongitude: { $type: 'number' } } },
+      {
+        $group: {
+          _id: {
+            name: { $toLower: { $trim: { input: '$scientificName' } } },
+            lat: { $floor: { $divide: ['$decimalLatitude', tol] } },
+            lng: { $floor: { $divide: ['$decimalLongitude', tol] } },
+            year: GROUP_YEAR,
+          },
+          count: { $sum: 1 },
+          // Identifiants bornés dès le regroupement: un très grand groupe ne dépasse pas la limite mémoire
+          ids: { $firstN: { n: MAX_GROUP_IDS, input: '$_id' } },
+          scientificName: { $first: '$scientificName' },
+        }
+      },
+      { $match: { count: { $gte: 2 } } },
+    ], { allowDiskUse: true, maxTimeMS: AGGREGATION_MAX_TIME_MS });
+
+    // Groupes remplacés et estampillés, groupes disparus retirés à la fin (liste consultable pendant le calcul)
+    const stamp = new Date().toISOString();
+    let groups = 0;
+    let duplicates = 0;
+    let ops = [];
+    // eslint-disable-next-line no-restricted-syntax
+    for await (const r of rows) {
+      const { name, lat, lng, year } = r._id;
+      const group = {
+        scientificName: r.scientificName,
+        year: year ?? null,
+        // Coin sud-ouest de la cellule de tolérance
+        decimalLatitude: lat * tol,
+        decimalLongitude: lng * tol,
+        toleranceDeg: tol,
+        count: r.count,
+        ids: r.ids,
+        detectedAt: stamp,
+      };
+      ops.push({ replaceOne: { filter: { _id: groupKey(name, lat, lng, year, tol) }, replacement: group, upsert: true } });
+      groups++;
+      duplicates += r.count - 1;
+      if (ops.length >= WRITE_BATCH_SIZE) {
+        await c.groups.bulkWrite(ops, { ordered: false });
+        ops = [];
+      }
+    }
+    if (ops.length) await c.groups.bulkWrite(ops, { ordered: false });
+    await c.groups.deleteMany({ detectedAt: { $lt: stamp } });
+    const stats = { groups, duplicates, toleranceDeg: tol };
+    await c.meta.replaceOne({ _id: META_ID }, { _id: META_ID, ...stats, updatedAt: new Date().toISOString() }, { upsert: true });
+    console.log(`[duplicates] ${groups} groupes (${duplicates} doublons, tolérance ${tol}°) en ${((Date.now() - t0) / 1000).toFixed(1)}s`);
+    return stats;
+  } catch (e) {
+    console.error('[duplicates] Erreur détection:', e);
+    return false;
+  } finally {
+    running = false;
+  }
+}
+
+// Groupes ouverts, du plus grand au plus petit; q: début du nom scientifique
+// Retourne { groups, total, running, lastRun } ou { error }
+async function listDuplicateGroups({ limit, offset, q } = {}) {
+  const c = collections();
+  if (!c) throw new Error("La connexion à la BDD n'est pas encore établie.");
+  const lim = limit === undefined || limit === '' ? LIST_LIMIT_DEFAULT : Number(limit);
+  const off = offset === undefined || offset === '' ? 0 : Number(offset);
+  if (!Number.isInteger(lim) || lim < 1 || lim > LIST_LIMIT_MAX) {
+    return { error: `Paramètre limit invalide (entre 1 et ${LIST_LIMIT_MAX}).` };
+  }
+  if (!Number.isInteger(off) || off < 0) return { error: 'Paramètre offset invalide.' };
+  const prefix = String(q || '').trim().toLowerCase();
+  // Le nom normalisé débute la clé du groupe: préfixe ancré sur _id (parcours de plage d'index)
+  const filter = prefix ? { _id: { $regex: '^' + prefix.replace(/[.*+?^${}()|[\]\\]/g, '\\$&') } } : {};
+  const [groups, total, meta] = await Promise.all([
+    c.groups.find(filter, { projection: { ids: 0 } }).sort({ count: -1, _id: 1 }).skip(off).limit(lim).toArray(),
+    c.groups.countDocuments(filter),
+    c.meta.findOne({ _id: META_ID }, { projection: { _id: 0 } }),
+  ]);
+  return { groups, total, running, lastRun: meta };
+}
+
+// Groupe et ses occurrences actuelles (celles qui ne correspondent plus au groupe sont écartées)
+// null si le groupe est inconnu
+async function getDuplicateGroup(collection, key) {
+  const c = collections();
+  if (!c || !collection) throw new Error("La connexion à la BDD n'est pas encore établie.");
+  const group = await c.groups.findOne({ _id: key });
+  if (!group) return null;
+  return { group, documents: await groupDocuments(collection, group) };
+}
+
+// Occurrences actuelles d'un groupe (encore dans la même case)
+async function groupDocuments(collection, group) {
+  const docs = await collection.find({ _id: { $in: group.ids } }, { sort: { _id: 1 } }).toArray();
+  return docs.filter(d => documentKey(d, group.toleranceDeg) === group._id);
+}
+
+// Champs absents de la référence, pris dans les autres occurrences (la plus ancienne d'abord)
+function fieldsToFill(canonical, others) {
+  const filled = {};
+  for (const doc of others) {
+    for (const [k, v] of Object.entries(doc)) {
+      if (MERGE_IGNORED_FIELDS.has(k) || v === null || v === undefined || v === '') continue;
+      if (canonical[k] === undefined && filled[k] === undefined) filled[k] = v;
+    }
+  }
+  return filled;
+}
+
+// Résout un groupe: { merge } (fiche de la fusion), null si le groupe est inconnu, ou { error }
+// Le groupe est d'abord retiré de la liste (findOneAndDelete): deux résolutions simultanées du même
+// groupe ne peuvent pas archiver chacune les occurrences gardées par l'autre; il est remis en place
+// si la résolution échoue avant l'archivage
+async function resolveDuplicateGroup(req, collection, key, { canonicalId, mode }) {
+  if (!MERGE_MODES.includes(mode)) return { error: `Paramètre mode invalide (${MERGE_MODES.join(', ')}).` };
+  const c = collections();
+  if (!c || !collection) throw new Error("La connexion à la BDD n'est pas encore établie.");
+  const group = await c.groups.findOneAndDelete({ _id: key });
+  if (!group) return null;
+  const release = () => c.groups.replaceOne({ _id: key }, group, { upsert: true });
+  let archived = false;
+  try {
+    const documents = await groupDocuments(collection, group);
+    const canonical = documents.find(d => String(d._id) === String(canonicalId));
+    if (!canonical) {
+      await release();
+      return { error: "L'occurrence de référence n'appartient pas au groupe." };
+    }
+    const others = documents.filter(d => d !== canonical);
+    if (!others.length) return { error: 'Plus aucun doublon dans ce groupe (déjà résolu ou modifié).' };
+    const filled = mode === 'merge' ? fieldsToFill(canonical, others) : {};
+    // Fiche écrite avant toute modification: la fusion reste annulable même si elle est interrompue
+    const merge = {
+      _id: new ObjectId(),
+      groupKey: key,
+      scientificName: group.scientificName,
+      year: group.year,
+      toleranceDeg: group.toleranceDeg,
+      // Indices de la cellule (la référence y est encore): groupe rouvert au même endroit en cas d'annulation
+      latIdx: Math.floor(canonical.decimalLatitude / group.toleranceDeg),
+      lngIdx: Math.floor(canonical.decimalLongitude / group.toleranceDeg),
+      mode,
+      canonicalId: canonical._id,
+      filled,
+      archived: others,
+      actor: req?.user?.username || null,
+      at: new Date(),
+      revertedAt: null,
+    };
+    await c.merges.insertOne(merge);
+    archived = true;
+    await collection.deleteMany({ _id: { $in: others.map(d => d._id) } });
+    await audit.recordDeletes(req, others, 'duplicates');
+    if (Object.keys(filled).length) {
+      await collection.updateOne({ _id: canonical._id }, { $set: filled });
+      await audit.recordUpdates(req, [{ documentId: canonical._id, before: {}, after: filled }], 'duplicates');
+    }
+    return { merge: publicMerge(merge) };
+  } catch (e) {
+    // Fusion enregistrée: annulable par sa fiche, le groupe reste résolu
+    if (!archived) await release().catch(() => {});
+    throw e;
+  }
+}
+
+// Fiche de fusion sans les documents archivés complets
+function publicMerge(m) {
+  const { archived, ...rest } = m;
+  return { ...rest, archivedIds: (archived || []).map(d => d._id), filledFields: Object.keys(m.filled || {}) };
+}
+
+// Fusions, de la plus récente à la plus ancienne
+async function listMerges({ limit, offset } = {}) {
+  const c = collections();
+  if (!c) throw new Error("La connexion à la BDD n'est pas encore établie.");
+  const lim = limit === undefined || limit === '' ? LIST_LIMIT_DEFAULT : Number(limit);
+  const off = offset === undefined || offset === '' ? 0 : Number(offset);
+  if (!Number.isInteger(lim) || lim < 1 || lim > LIST_LIMIT_MAX) {
+    return { error: `Paramètre limit invalide (entre 1 et ${LIST_LIMIT_MAX}).` };
+  }
+  if (!Number.isInteger(off) || off < 0) return { error: 'Paramètre offset invalide.' };
+  const [merges, total] = await Promise.all([
+    c.merges.find({}).sort({ at: -1 }).skip(off).limit(lim).toArray(),
+    c.merges.countDocuments({}),
+  ]);
+  return { merges: merges.map(publicMerge), total };
+}
+
+// Annule une fusion: { merge }, null si elle est inconnue, ou { error } (déjà annulée / en cours)
+// La fiche est d'abord réservée (revertingAt): deux annulations simultanées ne réinsèrent et ne
+// journalisent pas deux fois; une annulation interrompue peut être reprise après REVERT_STALE_MS
+async function revertMerge(req, collection, mergeId) {
+  const c = collections();
+  if (!c || !collection) throw new Error("La connexion à la BDD n'est pas encore établie.");
+  const merge = await c.merges.findOneAndUpdate({
+    _id: mergeId,
+    revertedAt: null,
+    $or: [{ revertingAt: { $exists: false } }, { revertingAt: { $lt: new Date(Date.now() - REVERT_STALE_MS) } }],
+  }, { $set: { revertingAt: new Date() } });
+  if (!merge) {
+    const current = await c.merges.findOne({ _id: mergeId }, { projection: { revertedAt: 1 } });
+    if (!current) return null;
+    return { error: current.revertedAt ? 'Fusion déjà annulée.' : 'Annulation déjà en cours.' };
+  }
+  const release = () => c.merges.updateOne({ _id: merge._id }, { $unset: { revertingAt: '' } });
+  try {
+    // Documents réinsérés avec leur _id (ignorés s'ils existent déjà: annulation reprise après interruption)
+    try {
+      await collection.insertMany(merge.archived, { ordered: false });
+    } catch (e) {
+      const errors = e?.writeErrors ? [].concat(e.writeErrors) : [e];
+      if (!errors.every(w => (w.code ?? w.err?.code) === 11000)) throw e;
+    }
+    await audit.recordRestores(req, merge.archived, 'duplicates');
+    const canonical = await collection.findOne({ _id: merge.canonicalId });
+    if (canonical) {
+      // Champs ajoutés retirés, sauf s'ils ont été modifiés depuis la fusion
+      const unset = Object.keys(merge.filled || {})
+        .filter(k => JSON.stringify(canonical[k]) === JSON.stringify(merge.filled[k]));
+      if (unset.length) {
+        await collection.updateOne({ _id: canonical._id }, { $unset: Object.fromEntries(unset.map(k => [k, ''])) });
+        await audit.recordUpdates(req, [{
+          documentId: canonical._id,
+          before: Object.fromEntries(unset.map(k => [k, canonical[k]])),
+          after: {},
+        }], 'duplicates');
+      }
+    }
+  } catch (e) {
+    await release().catch(() => {});
+    throw e;
+  }
+  const revertedAt = new Date();
+  await c.merges.updateOne({ _id: merge._id }, {
+    $set: { revertedAt, revertedBy: req?.user?.username || null },
+    $unset: { revertingAt: '' },
+  });
+  // Groupe rouvert tel qu'avant la fusion (actualisé au prochain passage de détection)
+  const ids = [merge.canonicalId, ...merge.archived.map(d => d._id)];
+  // Fiches antérieures sans indices: lus depuis la fin de la clé (le nom peut contenir '|')
+  const [lat, lng] = merge.latIdx !== undefined ? [merge.latIdx, merge.lngIdx] : merge.groupKey.split('|').slice(-4, -2).map(Number);
+  await c.groups.replaceOne({ _id: merge.groupKey }, {
+    scientificName: merge.scientificName,
+    year: merge.year,
+    decimalLatitude: lat * merge.toleranceDeg,
+    decimalLongitude: lng * merge.toleranceDeg,
+    toleranceDeg: merge.toleranceDeg,
+    count: ids.length,
+    ids,
+    detectedAt: new Date().toISOString(),
+  }, { upsert: true });
+  const { revertingAt, ...reverted } = merge;
+  return { merge: publicMerge({ ...reverted, revertedAt }) };
+}
+
+module.exports = {
+  MERGE_MODES,
+  parseTolerance,
+  groupKey,
+  documentKey,
+  fieldsToFill,
+  detectDuplicates,
+  listDuplicateGroups,
+  getDuplicateGroup,
+  resolveDuplicateGroup,
+  listMerges,
+  revertMerge,
+};
@@ -0,0 +1,515 @@
+/**
+ * Grille biodiversité: métriques par cellule + grille filtrée (taxonomie kingdom..genus + années)
+ * ---------------------------------------------------------------------------------------------
+ * - Métriques calculées à partir des abondances (nb d'occurrences par espèce) de chaque cellule:
+ *   richesse, occurrences, Shannon, Simpson, richesse raréfiée, endémisme pondéré
+ * - Grille filtrée calculée à la demande par agrégation Mongo (cellule, espèce) -> abondance
+ *   (option excludeFlagged: documents signalés par les contrôles qualité écartés, voir quality.js)
+ * - Pyramide de résolutions GRID_LEVELS (2° ... 0.05°) et découpage à la vue (bbox)
+ * - Deux formes de cellule: carrés lat/lng ou hexagones d'aire égale (projection équivalente),
+ *   les hexagones aux niveaux grossiers seulement (HEX_LEVELS)
+ * - Même discrétisation et même normalisation des noms (trim + minuscules) que la grille globale
+ * - Résultats mémorisés dans un cache LRU borné (clé: taille de cellule + filtres normalisés)
+ * - Les calculs identiques simultanés partagent la même promesse (pas de double agrégation)
+ */
+
+const { parseTaxonomyFilters, conditionKey } = require('./taxonomyFilter');
+const { parseExcludeFlagged } = require('./quality');
+
+const GRID_TAXONOMY_LEVELS = ['kingdom', 'phylum', 'class', 'order', 'family', 'genus'];
+// Pyramide de résolutions (taille de cellule en degrés), du plus grossier au plus fin
+const GRID_LEVELS = [2, 1, 0.5, 0.25, 0.1, 0.05];
+// Niveaux hexagonaux: les plus grossiers seulement (un niveau hexagonal coûte autant qu'un niveau carré;
+// tous les niveaux doubleraient la pyramide)
+const HEX_LEVELS = [2, 1, 0.5];
+// Formes de cellule: carrés lat/lng (historique) ou hexagones d'aire égale
+const GRID_SHAPES = ['square', 'hex'];
+const DEFAULT_SHAPE = 'square';
+const EARTH_RADIUS_KM = 6371.0088;
+// Marge contre les erreurs d'arrondi (ex: 0.3 / 0.1 = 2.9999999999999996)
+const INDEX_EPSILON = 1e-9;
+const LRU_MAX_ENTRIES = 50;
+const LRU_TTL_MS = 60 * 60 * 1000;       // aligné sur le recalcul horaire de la grille globale
+const AGGREGATION_MAX_TIME_MS = 120000;
+
+// Cache LRU minimal: l'ordre d'insertion de la Map sert d'ordre d'usage
+// Borné en nombre d'entrées, et en taille totale si sizeOf est donné (ex: octets d'un Buffer)
+// generation: incrémentée par clear(); un calcul commencé avant un clear() ne doit pas remplir le
+// cache vidé (set(key, value, generation) relevée au début du calcul: ignoré si elle a changé)
+class LruCache {
+  constructor(maxEntries, ttlMs, { maxSize = Infinity, sizeOf = null } = {}) {
+    this.maxEntries = maxEntries;
+    this.ttlMs = ttlMs;
+    this.maxSize = maxSize;
+    this.sizeOf = sizeOf;
+    this.size = 0;
+    this.generation = 0;
+    this.map = new Map();
+  }
+
+  get(key) {
+    const entry = this.map.get(key);
+    if (!entry) return undefined;
+    if (Date.now() - entry.at > this.ttlMs) {
+      this.delete(key);
+      return undefined;
+    }
+    this.map.delete(key);
+    this.map.set(key, entry);
+    return entry.value;
+  }
+
+  set(key, value, generation = this.generation) {
+    if (generation !== this.generation) return;
+    this.delete(key);
+    const size = this.sizeOf ? this.sizeOf(value) : 0;
+    // Entrée plus grosse que tout le cache: non mémorisée
+    if (size > this.maxSize) return;
+    this.map.set(key, { value, at: Date.now(), size });
+    this.size += size;
+    while (this.map.size > this.maxEntries || this.size > this.maxSize) {
+      this.delete(this.map.keys().next().value);
+    }
+  }
+
+  delete(key) {
+    const entry = this.map.get(key);
+    if (!entry) return;
+    this.map.delete(key);
+    this.size -= entry.size;
+  }
+
+  clear() {
+    this.map.clear();
+    this.size = 0;
+    this.generation++;
+  }
+}
+
+// ---- Métriques de cellule ----
+const RAREFACTION_SAMPLE = 20; // taille d'échantillon de la richesse raréfiée (occurrences)
+
+const GRID_METRICS = {
+  speciesRichness: { label: 'Richesse spécifique', description: "Nombre d'espèces distinctes", integer: true },
+  occurrences: { label: "Nombre d'occurrences", description: "Densité d'observation (effort)", integer: true },
+  shannon: { label: 'Indice de Shannon', description: 'H = -Σ p·ln(p)' },
+  simpson: { label: 'Indice de Simpson', description: '1 - Σ p² (probabilité que deux occurrences diffèrent)' },
+  rarefiedRichness: { label: 'Richesse raréfiée', description: `Espèces attendues sur ${RAREFACTION_SAMPLE} occurrences (cellules plus petites exclues)` },
+  weightedEndemism: { label: 'Endémisme pondéré', description: 'Σ 1 / (nb de cellules occupées par l\'espèce)' },
+};
+const DEFAULT_METRIC = 'speciesRichness';
+
+// Espérance du nombre d'espèces dans un tirage sans remise de n occurrences (Hurlbert 1971)
+function rarefy(abundances, total, n) {
+  if (total < n) return null;
+  let expected = 0;
+  for (const ni of abundances) {
+    // P(espèce absente) = C(N - Ni, n) / C(N, n), en produit pour éviter les grands nombres
+    let pAbsent = 1;
+    for (let k = 0; k < n && pAbsent > 0; k++) {
+      pAbsent *= Math.max(0, total - ni - k) / (total - k);
+    }
+    expected += 1 - pAbsent;
+  }
+  return expected;
+}
+
+// Aire de répartition (nb de cellules occupées) de chaque espèce, pour l'endémisme pondéré
+// speciesMaps: itérable de Map espèce -> nb d'occurrences (une par cellule)
+function speciesRangeSizes(speciesMaps) {
+  const rangeSize = new Map();
+  for (const species of speciesMaps) {
+    for (const sp of species.keys()) rangeSize.set(sp, (rangeSize.get(sp) || 0) + 1);
+  }
+  return rangeSize;
+}
+
+// Métriques d'une cellule (species: Map espèce -> nb d'occurrences)
+function cellMetrics(species, rangeSize) {
+  let total = 0;
+  for (const n of species.values()) total += n;
+  let shannon = 0;
+  let sumP2 = 0;
+  let endemism = 0;
+  for (const [sp, n] of species.entries()) {
+    const p = n / total;
+    shannon -= p * Math.log(p);
+    sumP2 += p * p;
+    endemism += 1 / rangeSize.get(sp);
+  }
+  return {
+    speciesRichness: species.size,
+    occurrences: total,
+    shannon,
+    simpson: 1 - sumP2,
+    rarefiedRichness: rarefy(species.values(), total, RAREFACTION_SAMPLE),
+    weightedEndemism: endemism,
+  };
+}
+
+// Construit les cellules et leurs métriques
+// cellAbundances: Map clé -> Map espèce -> nb d'occurrences
+// geometryOf(clé) -> { bounds, polygon? } (voir cellGeometry)
+function buildMetricCells(cellAbundances, geometryOf) {
+  const rangeSize = speciesRangeSizes(cellAbundances.values());
+  const cells = [];
+  for (const [key, species] of cellAbundances.entries()) {
+    cells.push({ key, ...geometryOf(key), metrics: cellMetrics(species, rangeSize) });
+  }
+  return cells;
+}
+
+// Vues par métrique déjà calculées: tableau de cellules (niveau publié ou grille filtrée en cache)
+// -> Map métrique -> { order, values, stats } (indices des cellules triées par valeur décroissante)
+const metricViews = new WeakMap();
+
+function metricValue(c, metric) {
+  const v = c.metrics ? c.metrics[metric] : (metric === DEFAULT_METRIC ? c.count : null);
+  return v === null || v === undefined || !Number.isFinite(v) ? null : v;
+}
+
+// Tri de tout le niveau sur une métrique et stats (dont les quantiles 20/40/60/80% 'breaks'),
+// calculés une seule fois par tableau de cellules et par métrique
+function metricView(cells, metric) {
+  let views = metricViews.get(cells);
+  if (!views) { views = new Map(); metricViews.set(cells, views); }
+  let view = views.get(metric);
+  if (view) return view;
+  const values = new Float64Array(cells.length);
+  const indices = [];
+  for (let i = 0; i < cells.length; i++) {
+    const v = metricValue(cells[i], metric);
+    if (v === null) continue;
+    values[i] = v;
+    indices.push(i);
+  }
+  const order = Uint32Array.from(indices).sort((a, b) => values[b] - values[a]);
+  const stats = { min: null, max: null, breaks: [] };
+  if (order.length) {
+    stats.max = values[order[0]];
+    stats.min = values[order[order.length - 1]];
+    const q = p => values[order[Math.max(0, Math.min(order.length - 1, Math.ceil((1 - p) * order.length) - 1))]];
+    stats.breaks = [q(0.2), q(0.4), q(0.6), q(0.8)];
+  }
+  view = { order, values, stats };
+  views.set(metric, view);
+  return view;
+}
+
+// Précalcule le tri et les stats de toutes les métriques (publication d'un niveau)
+function prepareMetricViews(cells) {
+  for (const metric of Object.keys(GRID_METRICS)) metricView(cells, metric);
+}
+
+// Projette les cellules sur une métrique, limitées à la bbox éventuelle
+// Retourne { cells: [{ key, bounds, polygon?, count }], total, stats: { min, max, breaks } }
+// - 'count' porte la valeur de la métrique; cellules sans valeur exclues
+// - stats portent sur tout le niveau: couleurs stables quand la vue se déplace
+// - tri et stats viennent de metricView: chaque requête ne fait que le découpage à la bbox
+function cellsForMetric(cells, metric, bbox = null) {
+  const { order, values, stats } = metricView(cells, metric);
+  const out = [];
+  for (const i of order) {
+    const c = cells[i];
+    if (bbox && !cellInBBox(c.bounds, bbox)) continue;
+    out.push(c.polygon ? { key: c.key, bounds: c.bounds, polygon: c.polygon, count: values[i] } : { key: c.key, bounds: c.bounds, count: values[i] });
+  }
+  return { cells: out, total: order.length, stats };
+}
+
+const filteredGridCache = new LruCache(LRU_MAX_ENTRIES, LRU_TTL_MS);
+const pending = new Map(); // clé -> promesse du calcul en cours
+
+// Filtres de grille depuis la query: niveaux kingdom..genus (inclusions / exclusions, voir
+// taxonomyFilter.js) + yearMin/yearMax + excludeFlagged
+// Retourne { filters, key } avec filters = null si aucun filtre (grille globale), ou { error }
+function parseGridFilters(query) {
+  const taxonomy = parseTaxonomyFilters(query, GRID_TAXONOMY_LEVELS);
+  if (taxonomy.error) return { error: taxonomy.error };
+  const filters = { ...taxonomy.filters };
+  const yMin = query.yearMin ? Number(query.yearMin) : null;
+  const yMax = query.yearMax ? Number(query.yearMax) : null;
+  if (Number.isFinite(yMin)) filters.yearMin = yMin;
+  if (Number.isFinite(yMax)) filters.yearMax = yMax;
+  const flagged = parseExcludeFlagged(query.excludeFlagged);
+  if (flagged?.error) return { error: flagged.error };
+  if (flagged) filters.excludeFlagged = flagged.key;
+  if (Object.keys(filters).length === 0) return { filters: null, key: '' };
+  // Clé stable: ordre fixe des champs
+  const key = [...GRID_TAXONOMY_LEVELS, 'yearMin', 'yearMax', 'excludeFlagged']
+    .filter(k => filters[k] !== undefined)
+    .map(k => `${k}=${conditionKey(filters[k])}`)
+    .join('&');
+  return { filters, key };
+}
+
+// Filtre Mongo correspondant (coordonnées numériques + nom scientifique renseigné)
+function gridMatch(filters) {
+  const match = {};
+  for (const lvl of GRID_TAXONOMY_LEVELS) {
+    if (filters[lvl] !== undefined) match[lvl] = filters[lvl];
+  }
+  if (filters.yearMin !== undefined || filters.yearMax !== undefined) {
+    match.year = {};
+    if (filters.yearMin !== undefined) match.year.$gte = filters.yearMin;
+    if (filters.yearMax !== undefined) match.year.$lte = filters.yearMax;
+  }
+  if (filters.excludeFlagged !== undefined) Object.assign(match, parseExcludeFlagged(filters.excludeFlagged).match);
+  match.decimalLatitude = { $type: 'number', $gte: -90, $lte: 90 };
+  match.decimalLongitude = { $type: 'number', $gte: -180, $lte: 180 };
+  match.scientificName = { $type: 'string' };
+  return match;
+}
+
+// Indices de cellule (i: latitude, j: longitude) pour une taille donnée
+function cellIndex(value, origin, sizeDeg) {
+  return Math.floor((value - origin) * (1 / sizeDeg) + INDEX_EPSILON);
+}
+
+function cellKeyFromLatLng(lat, lng, sizeDeg) {
+  return `${cellIndex(lat, -90, sizeDeg)}:${cellIndex(lng, -180, sizeDeg)}`;
+}
+
+// Bornes [[lat0,lng0],[lat1,lng1]] d'une cellule "i:j" (arrondies pour éviter -89.69999999999999)
+function boundsFromCell(i, j, sizeDeg) {
+  const r = v => Math.round(v * 1e6) / 1e6;
+  const lat0 = -90 + i * sizeDeg;
+  const lng0 = -180 + j * sizeDeg;
+  return [[r(lat0), r(lng0)], [r(lat0 + sizeDeg), r(lng0 + sizeDeg)]];
+}
+
+function boundsFromCellKey(key, sizeDeg) {
+  const [i, j] = key.split(':').map(Number);
+  return boundsFromCell(i, j, sizeDeg);
+}
+
+// ---- Hexagones d'aire égale ----
+// Maillage hexagonal (pointe en haut, coordonnées axiales q:r) tracé dans la projection cylindrique
+// équivalente de Lambert (x = R·λ, y = R·sin φ): tous les hexagones ont la même aire réelle.
+// Un niveau hexagonal 'sizeDeg' a l'aire d'une cellule carrée de sizeDeg à l'équateur.
+const SQRT3 = Math.sqrt(3);
+const DEG = Math.PI / 180;
+
+// Rayon (km, centre -> sommet) de l'hexagone d'aire (sizeDeg·R·π/180)²
+function hexRadiusKm(sizeDeg) {
+  const side = sizeDeg * DEG * EARTH_RADIUS_KM;
+  return Math.sqrt((2 * side * side) / (3 * SQRT3));
+}
+
+function projectEqualArea(lat, lng) {
+  return { x: EARTH_RADIUS_KM * lng * DEG, y: EARTH_RADIUS_KM * Math.sin(lat * DEG) };
+}
+
+function unprojectEqualArea(x, y) {
+  const lng = x / (EARTH_RADIUS_KM * DEG);
+  const lat = Math.asin(Math.max(-1, Math.min(1, y / EARTH_RADIUS_KM))) / DEG;
+  // + 0: pas de -0 dans les sommets sérialisés
+  return [Math.round(lat * 1e6) / 1e6 + 0, Math.round(lng * 1e6) / 1e6 + 0];
+}
+
+// Arrondi cubique des coordonnées axiales fractionnaires vers l'hexagone contenant le point
+function hexRound(q, r) {
+  const s = -q - r;
+  let rq = Math.round(q);
+  let rr = Math.round(r);
+  const rs = Math.round(s);
+  const dq = Math.abs(rq - q);
+  const dr = Math.abs(rr - r);
+  const ds = Math.abs(rs - s);
+  if (dq > dr && dq > ds) rq = -rr - rs;
+  else if (dr > ds) rr = -rq - rs;
+  return [rq, rr];
+}
+
+function hexKeyFromLatLng(lat, lng, sizeDeg) {
+  const size = hexRadiusKm(sizeDeg);
+  const { x, y } = projectEqualArea(lat, lng);
+  const [q, r] = hexRound((SQRT3 / 3 * x - y / 3) / size, (2 / 3 * y) / size);
+  // Math.round peut produire -0: clé normalisée
+  return `${q + 0}:${r + 0}`;
+}
+
+// Sommets [lat, lng] de l'hexagone q:r (anneau ouvert, 6 points)
+function hexPolygon(key, sizeDeg) {
+  const size = hexRadiusKm(sizeDeg);
+  const [q, r] = key.split(':').map(Number);
+  const cx = size * (SQRT3 * q + SQRT3 / 2 * r);
+  const cy = size * (1.5 * r);
+  const ring = [];
+  for (let k = 0; k < 6; k++) {
+    const a = (60 * k - 30) * DEG;
+    ring.push(unprojectEqualArea(cx + size * Math.cos(a), cy + size * Math.sin(a)));
+  }
+  return ring;
+}
+
+// ---- Niveaux de la pyramide (forme + taille) ----
+// Identifiant d'un niveau: "0.25" (carrés) ou "hex:0.25"
+function gridLevelId(shape, sizeDeg) {
+  return shape === 'hex' ? `hex:${sizeDeg}` : String(sizeDeg);
+}
+
+function parseGridLevelId(id) {
+  const str = String(id);
+  return str.startsWith('hex:')
+    ? { shape: 'hex', sizeDeg: Number(str.slice(4)) }
+    : { shape: 'square', sizeDeg: Number(str) };
+}
+
+// Tailles disponibles pour une forme
+function levelsForShape(shape) {
+  return shape === 'hex' ? HEX_LEVELS : GRID_LEVELS;
+}
+
+// Tous les niveaux calculés par la grille globale (carrés puis hexagones grossiers)
+const GRID_PYRAMID = GRID_SHAPES.flatMap(shape => levelsForShape(shape).map(sizeDeg => gridLevelId(shape, sizeDeg)));
+
+// Clé de cellule d'un point pour une forme et une taille
+function cellKeyFor(shape, lat, lng, sizeDeg) {
+  return shape === 'hex' ? hexKeyFromLatLng(lat, lng, sizeDeg) : cellKeyFromLatLng(lat, lng, sizeDeg);
+}
+
+// Géométrie d'une cellule: { bounds } (carré) ou { bounds, polygon } (hexagone; bounds = emprise)
+function cellGeometry(shape, key, sizeDeg) {
+  if (shape !== 'hex') return { bounds: boundsFromCellKey(key, sizeDeg) };
+  const polygon = hexPolygon(key, sizeDeg);
+  const lats = polygon.map(p => p[0]);
+  const lngs = polygon.map(p => p[1]);
+  return {
+    bounds: [[Math.min(...lats), Math.min(...lngs)], [Math.max(...lats), Math.max(...lngs)]],
+    polygon,
+  };
+}
+
+// bbox "ouest,sud,est,nord" (vue de la carte) -> { west, south, east, north } | null | { error }
+// ouest > est: bbox à cheval sur l'antiméridien
+function parseGridBBox(raw) {
+  if (raw === undefined || raw === null || raw === '') return null;
+  const parts = String(raw).split(',').map(Number);
+  if (parts.length !== 4 || parts.some(v => !Number.isFinite(v))) {
+    return { error: 'bbox attendu: ouest,sud,est,nord (degrés décimaux).' };
+  }
+  const [west, south, east, north] = parts;
+  if (south > north) return { error: 'bbox invalide: sud > nord.' };
+  return { west, south, east, north };
+}
+
+// Vrai si la cellule (bornes) intersecte la bbox
+function cellInBBox(bounds, bbox) {
+  const [[lat0, lng0], [lat1, lng1]] = bounds;
+  if (lat1 < bbox.south || lat0 > bbox.north) return false;
+  if (bbox.west <= bbox.east) return !(lng1 < bbox.west || lng0 > bbox.east);
+  return lng1 >= bbox.west || lng0 <= bbox.east;
+}
+
+// Abondances par cellule d'un niveau, en flux: { key, species: Map nom normalisé -> nb d'occurrences }
+// - carrés: discrétisation et regroupement par cellule faits par Mongo (une cellule à la fois en mémoire)
+// - hexagones: Mongo regroupe par (point, espèce), la discrétisation se fait ici (cellKeyFor): tout le
+//   niveau est en mémoire, d'où les seuls niveaux grossiers (HEX_LEVELS)
+// options: { limit } (nb max de documents lus), { maxTimeMS }
+async function* aggregateCellSpecies(collection, shape, sizeDeg, match, { limit = 0, maxTimeMS = 0 } = {}) {
+  const sn = { $toLower: { $trim: { input: '$scientificName' } } };
+  const groupStages = shape === 'hex'
+    ? [
+      { $project: { _id: 0, lat: '$decimalLatitude', lng: '$decimalLongitude', sn } },
+      { $match: { sn: { $ne: '' } } },
+      { $group: { _id: { lat: '$lat', lng: '$lng', sn: '$sn' }, n: { $sum: 1 } } },
+    ]
+    : [
+      {
+        $project: {
+          _id: 0,
+          // Même discrétisation que cellKeyFromLatLng
+          i: { $floor: { $add: [{ $multiply: [{ $add: ['$decimalLatitude', 90] }, 1 / sizeDeg] }, INDEX_EPSILON] } },
+          j: { $floor: { $add: [{ $multiply: [{ $add: ['$decimalLongitude', 180] }, 1 / sizeDeg] }, INDEX_EPSILON] } },
+          sn,
+        }
+      },
+      { $match: { sn: { $ne: '' } } },
+      { $group: { _id: { i: '$i', j: '$j', sn: '$sn' }, n: { $sum: 1 } } },
+      { $group: { _id: { i: '$_id.i', j: '$_id.j' }, species: { $push: { sn: '$_id.sn', n: '$n' } } } },
+    ];
+  const pipeline = [{ $match: match }, ...(limit ? [{ $limit: limit }] : []), ...groupStages];
+  const cursor = collection.aggregate(pipeline, { allowDiskUse: true, ...(maxTimeMS ? { maxTimeMS } : {}) });
+  if (shape !== 'hex') {
+    // eslint-disable-next-line no-restricted-syntax
+    for await (const r of cursor) {
+      yield { key: `${r._id.i}:${r._id.j}`, species: new Map(r.species.map(x => [x.sn, x.n])) };
+    }
+    return;
+  }
+  const cellAbundances = new Map();
+  // eslint-disable-next-line no-restricted-syntax
+  for await (const r of cursor) {
+    const key = cellKeyFor(shape, r._id.lat, r._id.lng, sizeDeg);
+    let species = cellAbundances.get(key);
+    if (!species) { species = new Map(); cellAbundances.set(key, species); }
+    species.set(r._id.sn, (species.get(r._id.sn) || 0) + r.n);
+  }
+  for (const [key, species] of cellAbundances.entries()) yield { key, species };
+}
+
+// Agrégation: abondance par (cellule, espèce) puis métriques par cellule
+async function aggregateGrid(collection, shape, sizeDeg, filters) {
+  const t0 = Date.now();
+  const cellAbundances = new Map();
+  let scanned = 0;
+  const stream = aggregateCellSpecies(collection, shape, sizeDeg, gridMatch(filters), { maxTimeMS: AGGREGATION_MAX_TIME_MS });
+  // eslint-disable-next-line no-restricted-syntax
+  for await (const { key, species } of stream) {
+    cellAbundances.set(key, species);
+    for (const n of species.values()) scanned += n;
+  }
+  const cells = buildMetricCells(cellAbundances, key => cellGeometry(shape, key, sizeDeg));
+  console.log(`[grid-filtered] ${gridLevelId(shape, sizeDeg)} cells=${cells.length} scanned=${scanned} time=${((Date.now() - t0) / 1000).toFixed(1)}s`);
+  return { cells, scanned, updatedAt: new Date().toISOString(), capped: false };
+}
+
+// Grille filtrée (cache LRU puis agrégation); retourne { ...grille, fromCache }
+async function getFilteredGrid(collection, shape, sizeDeg, { filters, key }) {
+  const cacheKey = `${gridLevelId(shape, sizeDeg)}|${key}`;
+  const hit = filteredGridCache.get(cacheKey);
+  if (hit) return { ...hit, fromCache: true };
+  if (!pending.has(cacheKey)) {
+    const generation = filteredGridCache.generation;
+    const p = aggregateGrid(collection, shape, sizeDeg, filters)
+      .then(grid => { filteredGridCache.set(cacheKey, grid, generation); return grid; })
+      .finally(() => { if (pending.get(cacheKey) === p) pending.delete(cacheKey); });
+    pending.set(cacheKey, p);
+  }
+  const grid = await pending.get(cacheKey);
+  return { ...grid, fromCache: false };
+}
+
+// À appeler quand les données changent (écritures): les grilles filtrées seront recalculées
+function invalidateFilteredGrids() {
+  filteredGridCache.clear();
+  pending.clear(); // agrégations en cours: résultat d'avant l'écriture, non partagé
+}
+
+module.exports = {
+  GRID_TAXONOMY_LEVELS,
+  GRID_LEVELS,
+  HEX_LEVELS,
+  GRID_SHAPES,
+  DEFAULT_SHAPE,
+  GRID_PYRAMID,
+  GRID_METRICS,
+  DEFAULT_METRIC,
+  LruCache,
+  cellMetrics,
+  buildMetricCells,
+  prepareMetricViews,
+  cellsForMetric,
+  gridLevelId,
+  parseGridLevelId,
+  levelsForShape,
+  cellKeyFor,
+  cellGeometry,
+  parseGridBBox,
+  parseGridFilters,
+  gridMatch,
+  aggregateCellSpecies,
+  getFilteredGrid,
+  invalidateFilteredGrids,
+};
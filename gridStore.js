@@ -0,0 +1,148 @@
+/**
+ * Persistance de la grille globale (Mongo)
+ * ----------------------------------------
+ * - 'grid_meta': un document par grille ({ _id: 'global', version, versions, levels, scanned, capped,
+ *   updatedAt, scanStartedAt, lastObjectId, fullScanAt, reconciliationStamp }) -> versions de cellules en vigueur +
+ *   point de reprise du rafraîchissement incrémental
+ * - 'grid_cells': un document par cellule, par niveau et par version ({ v, level, key,
+ *   species: [[hash, n], ...] }); on garde les abondances (et non les métriques) pour pouvoir ajouter
+ *   de nouvelles occurrences
+ * - Écriture dans une nouvelle version (calcul complet: toutes les cellules; incrémental: cellules
+ *   modifiées seulement), puis bascule du pointeur 'grid_meta' en une écriture: une écriture
+ *   interrompue laisse l'état précédent intact; les versions remplacées sont supprimées ensuite
+ * - Lecture d'un niveau à la demande (cellule de la version la plus récente en vigueur)
+ * - Calcul incrémental possible (canRefreshIncrementally) tant que la pyramide et les noms n'ont pas
+ *   changé, qu'aucune écriture sur des _id déjà comptés n'a eu lieu et au plus FULL_RESCAN_MS après le
+ *   dernier calcul complet
+ */
+const { getDb, onConnected } = require('./db');
+
+const META_COLLECTION = 'grid_meta';
+const CELLS_COLLECTION = 'grid_cells';
+const GRID_ID = 'global';
+const WRITE_BATCH_SIZE = 1000;
+const FULL_RESCAN_MS = 24 * 60 * 60 * 1000;
+// Écritures qui touchent des _id déjà comptés: non rattrapables par un calcul incrémental
+const REWRITE_ACTIONS = ['update', 'delete', 'restore'];
+
+onConnected(async (db) => {
+  const cells = db.collection(CELLS_COLLECTION);
+  // Ancien index (une seule version par cellule) incompatible avec les versions
+  await cells.dropIndex('idx_grid_cells_level_1_key_1').catch(() => {});
+  await cells
+    .createIndex({ level: 1, key: 1, v: -1 }, { name: 'idx_grid_cells_level_1_key_1_v_-1', unique: true })
+    .catch(() => {});
+});
+
+function collections() {
+  const db = getDb();
+  return db ? { meta: db.collection(META_COLLECTION), cells: db.collection(CELLS_COLLECTION) } : null;
+}
+
+// Pointeur courant ou null (aucune grille persistée, ou ancien format sans versions)
+async function loadGridMeta() {
+  const c = collections();
+  if (!c) return null;
+  const meta = await c.meta.findOne({ _id: GRID_ID });
+  if (!meta || !Array.isArray(meta.versions) || !meta.versions.length) return null;
+  const { _id, ...rest } = meta;
+  return rest;
+}
+
+// Prépare une nouvelle version (numéro suivant) après suppression des restes d'écritures interrompues
+async function beginGridVersion(previousMeta) {
+  const c = collections();
+  if (!c) return null;
+  const current = previousMeta ? previousMeta.versions : [];
+  await c.cells.deleteMany({ v: { $nin: current } });
+  return (previousMeta ? previousMeta.version : 0) + 1;
+}
+
+// Écrivain de cellules par lots pour une version et un niveau
+// add(clé, Map hash -> n) puis flush() en fin de niveau
+function cellWriter(version, level) {
+  const c = collections();
+  if (!c) throw new Error("La connexion à la BDD n'est pas encore établie.");
+  let ops = [];
+  const write = async () => {
+    if (!ops.length) return;
+    const batch = ops;
+    ops = [];
+    await c.cells.bulkWrite(batch, { ordered: false });
+  };
+  return {
+    async add(key, species) {
+      ops.push({ insertOne: { document: { v: version, level, key, species: [...species.entries()] } } });
+      if (ops.length >= WRITE_BATCH_SIZE) await write();
+    },
+    flush: write,
+  };
+}
+
+// Cellules d'un niveau (version la plus récente en vigueur de chaque clé), en flux:
+// { key, species: Map hash -> n }
+async function* readLevelCells(meta, level) {
+  const c = collections();
+  if (!c) return;
+  const cursor = c.cells
+    .find({ level, v: { $in: meta.versions } }, { projection: { _id: 0, key: 1, species: 1 } })
+    .sort({ key: 1, v: -1 });
+  let lastKey = null;
+  // eslint-disable-next-line no-restricted-syntax
+  for await (const doc of cursor) {
+    if (doc.key === lastKey) continue; // version plus ancienne d'une cellule réécrite
+    lastKey = doc.key;
+    yield { key: doc.key, species: new Map(doc.species) };
+  }
+}
+
+// Abondances actuelles de quelques cellules d'un niveau: Map clé -> Map hash -> n
+async function findCells(meta, level, keys) {
+  const c = collections();
+  const found = new Map();
+  if (!c || !keys.length) return found;
+  const cursor = c.cells
+    .find({ level, key: { $in: keys }, v: { $in: meta.versions } }, { projection: { _id: 0, key: 1, species: 1 } })
+    .sort({ key: 1, v: -1 });
+  // eslint-disable-next-line no-restricted-syntax
+  for await (const doc of cursor) {
+    if (!found.has(doc.key)) found.set(doc.key, new Map(doc.species));
+  }
+  return found;
+}
+
+// Bascule le pointeur sur la nouvelle version (meta.version, meta.versions), puis supprime:
+// - les versions qui ne sont plus en vigueur (calcul complet précédent, écritures interrompues)
+// - les anciennes versions des cellules réécrites (rewritten: Map niveau -> clés, en incrémental)
+async function commitGridVersion(meta, rewritten = null) {
+  const c = collections();
+  if (!c) return false;
+  await c.meta.replaceOne({ _id: GRID_ID }, { _id: GRID_ID, ...meta }, { upsert: true });
+  await c.cells.deleteMany({ v: { $nin: meta.versions } });
+  for (const [level, keys] of rewritten ? rewritten.entries() : []) {
+    const list = [...keys];
+    for (let i = 0; i < list.length; i += WRITE_BATCH_SIZE) {
+      await c.cells.deleteMany({ level, key: { $in: list.slice(i, i + WRITE_BATCH_SIZE) }, v: { $ne: meta.version } });
+    }
+  }
+  return true;
+}
+
+// Vrai si la grille en vigueur (meta, null si aucune) peut être complétée par un calcul incrémental
+// levels: pyramide demandée; namesStamp: version des noms (reconciliationStamp);
+// hasWritesSince(date, actions): écritures journalisées depuis la date (voir audit.js)
+async function canRefreshIncrementally(meta, { levels, namesStamp, hasWritesSince, now = Date.now() }) {
+  if (!meta) return false;
+  if (meta.capped || !meta.lastObjectId || !meta.fullScanAt || !meta.scanStartedAt) return false;
+  // Noms des occurrences réconciliés depuis le dernier calcul complet
+  if ((meta.reconciliationStamp || 0) !== namesStamp) return false;
+  if (meta.levels.length !== levels.length || meta.levels.some((l, i) => l !== levels[i])) return false;
+  if (now - new Date(meta.fullScanAt).getTime() > FULL_RESCAN_MS) return false;
+  // Les modifications / suppressions / réinsertions (_id anciens) ne se rattrapent pas par _id: recalcul complet.
+  // Depuis le début du calcul précédent: une écriture faite pendant son parcours peut lui avoir échappé
+  return !(await hasWritesSince(new Date(meta.scanStartedAt), REWRITE_ACTIONS));
+}
+
+module.exports = {
+  loadGridMeta, beginGridVersion, cellWriter, readLevelCells, findCells, commitGridVersion, canRefreshIncrementally,
+};
@@ -0,0 +1,296 @@
+/**
+ * Import en masse d'occurrences (CSV / Darwin Core Archive)
+ * ---------------------------------------------------------
+ * - CSV / TSV: parsing en flux (csv-parse), séparateur détecté sur la ligne d'en-tête
+ * - DwC-A (.zip): lecture de meta.xml (fichier cœur, séparateur, colonnes -> termes DwC)
+ * - Même normalisation que l'ajout unitaire (voir occurrence.js), insertMany par lots
+ * - Rapport ligne par ligne (erreurs plafonnées) et mode simulation (dryRun: aucune écriture)
+ */
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { once } = require('events');
+const { Transform } = require('stream');
+const { pipeline } = require('stream/promises');
+const { promisify } = require('util');
+const { parse } = require('csv-parse');
+const yauzl = require('yauzl');
+const { normalizeOccurrence } = require('./occurrence');
+
+const DEFAULT_BATCH_SIZE = 1000;
+const MAX_REPORTED_ERRORS = 1000; // au-delà on compte sans détailler
+const PREVIEW_SIZE = 5;           // documents normalisés renvoyés en dryRun
+const MAX_IMPORT_BYTES = (Number(process.env.IMPORT_MAX_MB) || 500) * 1024 * 1024; // fichier envoyé
+
+// Dépassement de la taille maximale d'un fichier importé (413 côté route)
+function tooLargeError(maxBytes) {
+  const err = new Error(`Fichier trop volumineux (maximum ${Math.round(maxBytes / 1024 / 1024)} Mo)`);
+  err.code = 'IMPORT_TOO_LARGE';
+  return err;
+}
+
+// Devine le séparateur à partir de la ligne d'en-tête (tabulation, virgule ou point-virgule)
+function detectDelimiter(headerLine) {
+  const candidates = ['\t', ',', ';'];
+  let best = ',';
+  let bestCount = 0;
+  for (const c of candidates) {
+    const count = headerLine.split(c).length - 1;
+    if (count > bestCount) { best = c; bestCount = count; }
+  }
+  return best;
+}
+
+// Lit un flux CSV et produit { line, record } pour chaque ligne de données
+// options: delimiter (sinon détecté), quote (false pour désactiver), columns (tableau imposé),
+// fromLine (première ligne lue, 1 = en-tête si columns non fourni), defaults (valeurs constantes),
+// maxBytes (taille maximale du flux, sinon illimitée)
+async function* csvRecords(input, options = {}) {
+  const iterator = input[Symbol.asyncIterator]();
+  let bytes = 0;
+  const count = (chunk) => {
+    bytes += chunk.length;
+    if (options.maxBytes && bytes > options.maxBytes) throw tooLargeError(options.maxBytes);
+  };
+  // Lire au moins la première ligne pour détecter le séparateur
+  let head = Buffer.alloc(0);
+  let ended = false;
+  while (!head.includes(0x0a)) {
+    const next = await iterator.next();
+    if (next.done) { ended = true; break; }
+    count(next.value);
+    head = Buffer.concat([head, Buffer.from(next.value)]);
+  }
+  const firstLine = head.toString('utf8').split(/\r?\n/)[0].replace(/^\uFEFF/, '');
+  const delimiter = options.delimiter || detectDelimiter(firstLine);
+  // Les exports GBIF "simple CSV" sont tabulés et non quotés: un guillemet y est un caractère normal
+  const quote = options.quote !== undefined ? options.quote : (delimiter === '\t' ? false : '"');
+
+  const parser = parse({
+    delimiter,
+    quote,
+    columns: options.columns || (header => header.map(h => String(h).trim())),
+    from_line: options.fromLine || 1,
+    bom: true,
+    info: true,
+    relax_quotes: true,
+    relax_column_count: true,
+    skip_empty_lines: true,
+  });
+
+  // Alimente le parser en tâche de fond (avec contre-pression)
+  (async () => {
+    try {
+      parser.write(head);
+      if (!ended) {
+        for (;;) {
+          const next = await iterator.next();
+          if (next.done) break;
+          count(next.value);
+          if (!parser.write(next.value)) await once(parser, 'drain');
+        }
+      }
+      parser.end();
+    } catch (e) {
+      parser.destroy(e);
+    }
+  })();
+
+  // eslint-disable-next-line no-restricted-syntax
+  for await (const { record, info } of parser) {
+    yield { line: info.lines, record: options.defaults ? { ...options.defaults, ...record } : record };
+  }
+}
+
+// Valeur d'attribut XML (les séparateurs DwC-A sont écrits échappés: "\t", "\n")
+function xmlAttr(attrs, name) {
+  const m = new RegExp(`\\b${name}\\s*=\\s*"([^"]*)"`).exec(attrs);
+  if (!m) return undefined;
+  return m[1]
+    .replace(/\\t/g, '\t')
+    .replace(/\\n/g, '\n')
+    .replace(/\\r/g, '\r')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&amp;/g, '&');
+}
+
+// Nom court d'un terme DwC (http://rs.tdwg.org/dwc/terms/decimalLatitude -> decimalLatitude)
+function termName(uri) {
+  return String(uri || '').split(/[/#]/).pop();
+}
+
+// Lit le bloc <core> de meta.xml: fichier de données, format et correspondance colonne -> terme
+function parseMetaXml(xml) {
+  const core = /<core\b([^>]*)>([\s\S]*?)<\/core>/i.exec(xml);
+  if (!core) return null;
+  const [, attrs, body] = core;
+  const location = /<location>\s*([^<]+?)\s*<\/location>/i.exec(body)?.[1];
+  if (!location) return null;
+  const columns = [];
+  const defaults = {};
+  const fieldRe = /<field\b([^>]*)\/?>/gi;
+  let m;
+  while ((m = fieldRe.exec(body))) {
+    const term = termName(xmlAttr(m[1], 'term'));
+    const index = xmlAttr(m[1], 'index');
+    if (!term) continue;
+    if (index !== undefined && index !== '') columns[Number(index)] = term;
+    else if (xmlAttr(m[1], 'default') !== undefined) defaults[term] = xmlAttr(m[1], 'default');
+  }
+  // Colonne identifiant du cœur: occurrenceID si elle n'est pas déjà décrite par un <field>
+  const idIndex = xmlAttr(/<id\b([^>]*)\/?>/i.exec(body)?.[1] || '', 'index');
+  if (idIndex !== undefined && columns[Number(idIndex)] === undefined && !columns.includes('occurrenceID')) {
+    columns[Number(idIndex)] = 'occurrenceID';
+  }
+  const enclosedBy = xmlAttr(attrs, 'fieldsEnclosedBy');
+  return {
+    location,
+    delimiter: xmlAttr(attrs, 'fieldsTerminatedBy') || ',',
+    quote: enclosedBy ? enclosedBy : false,
+    ignoreHeaderLines: Number(xmlAttr(attrs, 'ignoreHeaderLines') || 0),
+    // csv-parse ignore les colonnes sans nom (undefined)
+    columns: Array.from({ length: columns.length }, (_, i) => columns[i]),
+    defaults,
+  };
+}
+
+// Ouvre une archive DwC-A (fichier zip sur disque) et produit les lignes du fichier cœur
+async function* dwcaRecords(zipPath) {
+  const openZip = promisify(yauzl.open);
+  const zip = await openZip(zipPath, { lazyEntries: true, autoClose: false });
+  try {
+    const entries = new Map();
+    await new Promise((resolve, reject) => {
+      zip.on('entry', (entry) => { entries.set(entry.fileName, entry); zip.readEntry(); });
+      zip.on('end', resolve);
+      zip.on('error', reject);
+      zip.readEntry();
+    });
+    const openEntry = promisify(zip.openReadStream.bind(zip));
+    const readText = async (entry) => {
+      const chunks = [];
+      // eslint-disable-next-line no-restricted-syntax
+      for await (const c of await openEntry(entry)) chunks.push(c);
+      return Buffer.concat(chunks).toString('utf8');
+    };
+
+    const metaEntry = [...entries.values()].find(e => path.basename(e.fileName).toLowerCase() === 'meta.xml');
+    const meta = metaEntry ? parseMetaXml(await readText(metaEntry)) : null;
+    let dataEntry;
+    if (meta) {
+      dataEntry = entries.get(meta.location) || [...entries.values()].find(e => e.fileName.endsWith('/' + meta.location));
+    } else {
+      // Archive sans meta.xml: premier fichier tabulaire, occurrence.txt en priorité
+      const tabular = [...entries.values()].filter(e => /\.(txt|csv|tsv)$/i.test(e.fileName));
+      dataEntry = tabular.find(e => /occurrence\.txt$/i.test(e.fileName)) || tabular[0];
+    }
+    if (!dataEntry) throw new Error('Archive DwC-A invalide: fichier de données introuvable');
+
+    const stream = await openEntry(dataEntry);
+    const options = meta
+      ? { delimiter: meta.delimiter, quote: meta.quote, columns: meta.columns, fromLine: meta.ignoreHeaderLines + 1, defaults: meta.defaults }
+      : {};
+    yield* csvRecords(stream, options);
+  } finally {
+    zip.close();
+  }
+}
+
+// Copie un flux (corps de requête) dans un fichier temporaire; l'appelant supprime le fichier
+// Au-delà de maxBytes: erreur IMPORT_TOO_LARGE et fichier partiel supprimé
+async function saveToTempFile(input, extension = '.zip', maxBytes = MAX_IMPORT_BYTES) {
+  const file = path.join(os.tmpdir(), `import-${Date.now()}-${Math.random().toString(36).slice(2)}${extension}`);
+  let bytes = 0;
+  const limit = new Transform({
+    transform(chunk, _encoding, callback) {
+      bytes += chunk.length;
+      callback(bytes > maxBytes ? tooLargeError(maxBytes) : null, chunk);
+    },
+  });
+  try {
+    await pipeline(input, limit, fs.createWriteStream(file));
+  } catch (e) {
+    await fs.promises.rm(file, { force: true });
+    throw e;
+  }
+  return file;
+}
+
+// Ligne CSV -> corps de document: valeurs vides ignorées, _id jamais repris du fichier
+function recordToBody(record) {
+  const body = {};
+  for (const [k, v] of Object.entries(record)) {
+    if (!k || k === '_id') continue;
+    if (v === undefined || v === null) continue;
+    const str = String(v);
+    if (str.trim() === '') continue;
+    body[k] = str;
+  }
+  return body;
+}
+
+// Importe des lignes { line, record } dans la collection
+// options: dryRun (valide sans écrire), batchSize, onInserted (appelé avec les documents insérés de chaque lot)
+// Retourne un rapport { dryRun, rows, valid, inserted, failed, errors[], errorsTruncated, preview? }
+// Si la lecture ou l'écriture échoue en cours de route, l'erreur levée porte le rapport partiel
+// (err.report): les lots déjà insérés le restent
+async function importRecords(collection, records, { dryRun = false, batchSize = DEFAULT_BATCH_SIZE, onInserted } = {}) {
+  const report = { dryRun, rows: 0, valid: 0, inserted: 0, failed: 0, errors: [], errorsTruncated: false };
+  if (dryRun) report.preview = [];
+  const addError = (line, error) => {
+    report.failed++;
+    if (report.errors.length < MAX_REPORTED_ERRORS) report.errors.push({ line, error });
+    else report.errorsTruncated = true;
+  };
+
+  let batch = [];
+  const flush = async () => {
+    if (batch.length === 0 || dryRun) { batch = []; return; }
+    const current = batch;
+    batch = [];
+    let failedIndexes = new Set();
+    try {
+      const result = await collection.insertMany(current.map(b => b.doc), { ordered: false });
+      report.inserted += result.insertedCount;
+    } catch (e) {
+      // Insertion non ordonnée: les documents valides passent, on rapporte les autres par ligne
+      const writeErrors = Array.isArray(e?.writeErrors) ? e.writeErrors : (e?.writeErrors ? [e.writeErrors] : []);
+      if (writeErrors.length === 0) throw e;
+      report.inserted += Number.isFinite(e.insertedCount) ? e.insertedCount : current.length - writeErrors.length;
+      failedIndexes = new Set(writeErrors.map(we => we.index));
+      for (const we of writeErrors) {
+        const item = current[we.index];
+        report.valid--;
+        addError(item ? item.line : null, we.errmsg || we.message || 'Erreur d\'insertion');
+      }
+    }
+    // insertMany renseigne _id sur chaque document envoyé
+    if (onInserted) await onInserted(current.filter((_, i) => !failedIndexes.has(i)).map(b => b.doc));
+  };
+
+  try {
+    // eslint-disable-next-line no-restricted-syntax
+    for await (const { line, record } of records) {
+      report.rows++;
+      const { doc, error } = normalizeOccurrence(recordToBody(record));
+      if (error) {
+        addError(line, error);
+        continue;
+      }
+      report.valid++;
+      if (dryRun && report.preview.length < PREVIEW_SIZE) report.preview.push(doc);
+      batch.push({ line, doc });
+      if (batch.length >= batchSize) await flush();
+    }
+    await flush();
+  } catch (e) {
+    if (e && typeof e === 'object') e.report = report;
+    throw e;
+  }
+  return report;
+}
+
+module.exports = { csvRecords, dwcaRecords, parseMetaXml, saveToTempFile, importRecords, MAX_IMPORT_BYTES };
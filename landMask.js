@@ -0,0 +1,95 @@
+/**
+ * Masque terre / mer (contrôles qualité des coordonnées)
+ * ------------------------------------------------------
+ * - Terres émergées Natural Earth 1:10m (paquet world-atlas), rastérisées une fois en mémoire
+ *   (remplissage par lignes, règle pair-impair)
+ * - Grille de MASK_CELL_DEG (~5,5 km): 1 bit par cellule, ~3 Mo
+ * - En mer = aucune cellule de terre dans un rayon donné (tolérance pour le trait de côte simplifié
+ *   et les occurrences littorales)
+ */
+const { feature } = require('topojson-client');
+
+const MASK_CELL_DEG = 0.05;
+const COLS = Math.round(360 / MASK_CELL_DEG);
+const ROWS = Math.round(180 / MASK_CELL_DEG);
+const DEFAULT_COAST_TOLERANCE_KM = 10;
+const KM_PER_DEG = 111.32;
+
+let mask = null;
+
+// Anneaux [lng, lat] de toutes les terres
+function landRings() {
+  const topology = require('world-atlas/land-10m.json');
+  const land = feature(topology, topology.objects.land);
+  const rings = [];
+  for (const f of land.features || [land]) {
+    const g = f.geometry;
+    const polygons = g.type === 'Polygon' ? [g.coordinates] : g.type === 'MultiPolygon' ? g.coordinates : [];
+    for (const poly of polygons) rings.push(...poly);
+  }
+  return rings;
+}
+
+// Rastérisation: pour chaque ligne (centre de cellule), intersections des arêtes puis remplissage
+// entre paires d'intersections
+function buildMask() {
+  const t0 = Date.now();
+  const bits = new Uint8Array(Math.ceil((COLS * ROWS) / 8));
+  const crossings = Array.from({ length: ROWS }, () => []);
+  for (const ring of landRings()) {
+    for (let i = 0; i < ring.length - 1; i++) {
+      const [x0, y0] = ring[i];
+      const [x1, y1] = ring[i + 1];
+      if (y0 === y1) continue;
+      const yMin = Math.min(y0, y1);
+      const yMax = Math.max(y0, y1);
+      // Lignes dont le centre est dans [yMin, yMax[
+      const rStart = Math.max(0, Math.ceil((yMin + 90) / MASK_CELL_DEG - 0.5));
+      const rEnd = Math.min(ROWS - 1, Math.ceil((yMax + 90) / MASK_CELL_DEG - 0.5) - 1);
+      for (let r = rStart; r <= rEnd; r++) {
+        const y = (r + 0.5) * MASK_CELL_DEG - 90;
+        crossings[r].push(x0 + ((y - y0) * (x1 - x0)) / (y1 - y0));
+      }
+    }
+  }
+  let landCells = 0;
+  for (let r = 0; r < ROWS; r++) {
+    const xs = crossings[r].sort((a, b) => a - b);
+    for (let k = 0; k + 1 < xs.length; k += 2) {
+      const cStart = Math.max(0, Math.ceil((xs[k] + 180) / MASK_CELL_DEG - 0.5));
+      const cEnd = Math.min(COLS - 1, Math.floor((xs[k + 1] + 180) / MASK_CELL_DEG - 0.5));
+      for (let c = cStart; c <= cEnd; c++) {
+        const idx = r * COLS + c;
+        bits[idx >> 3] |= 1 << (idx & 7);
+        landCells++;
+      }
+    }
+  }
+  console.log(`[land-mask] ${landCells} cellules de terre (${MASK_CELL_DEG}°) en ${((Date.now() - t0) / 1000).toFixed(1)}s`);
+  return bits;
+}
+
+function isLandCell(r, c) {
+  if (r < 0 || r >= ROWS) return false;
+  const col = ((c % COLS) + COLS) % COLS; // antiméridien
+  const idx = r * COLS + col;
+  return (mask[idx >> 3] & (1 << (idx & 7))) !== 0;
+}
+
+// Vrai si aucune terre à moins de toleranceKm du point
+function isInSea(lat, lng, toleranceKm = DEFAULT_COAST_TOLERANCE_KM) {
+  if (!mask) mask = buildMask();
+  const r0 = Math.floor((lat + 90) / MASK_CELL_DEG);
+  const c0 = Math.floor((lng + 180) / MASK_CELL_DEG);
+  const dr = Math.ceil(toleranceKm / KM_PER_DEG / MASK_CELL_DEG);
+  const cosLat = Math.max(0.05, Math.cos((lat * Math.PI) / 180));
+  const dc = Math.min(COLS / 2, Math.ceil(toleranceKm / (KM_PER_DEG * cosLat) / MASK_CELL_DEG));
+  for (let r = r0 - dr; r <= r0 + dr; r++) {
+    for (let c = c0 - dc; c <= c0 + dc; c++) {
+      if (isLandCell(r, c)) return false;
+    }
+  }
+  return true;
+}
+
+module.exports = { isInSea };
@@ -0,0 +1,171 @@
+/**
+ * Gradient latitudinal de diversité
+ * ---------------------------------
+ * - Richesse spécifique (nb de noms scientifiques distincts) et nb d'occurrences par bande de latitude
+ * - Mêmes filtres que la grille (taxonomie kingdom..genus + années, voir grid.js) et même normalisation
+ *   des noms (trim + minuscules)
+ * - Sans filtre: bandes déduites de la grille globale persistée (union par bande des espèces de chaque
+ *   cellule, au niveau carré le plus grossier dont la taille divise la largeur de bande), sans relire
+ *   'faune&flore'; agrégation sinon (filtres, grille absente ou plafonnée, largeur non multiple)
+ * - Régression linéaire (moindres carrés) de la richesse sur la distance à l'équateur (|latitude| du
+ *   centre de bande) + coefficient de corrélation de Pearson
+ * - Résultats mémorisés dans un cache LRU (clé: largeur de bande + filtres normalisés, ou version de la
+ *   grille globale)
+ */
+const { LruCache, gridMatch, levelsForShape, gridLevelId } = require('./grid');
+
+const LATITUDE_BAND_DEFAULT = 1;
+const LATITUDE_BAND_MIN = 0.25;
+const LATITUDE_BAND_MAX = 10;
+// Marge contre les erreurs d'arrondi (même discrétisation que la grille)
+const INDEX_EPSILON = 1e-9;
+const AGGREGATION_MAX_TIME_MS = 120000;
+
+const gradientCache = new LruCache(50, 60 * 60 * 1000);
+const pending = new Map(); // clé -> promesse du calcul en cours
+
+// Largeur de bande (degrés) depuis la query -> nombre ou { error }
+function parseBandDeg(raw) {
+  if (raw === undefined || raw === null || raw === '') return LATITUDE_BAND_DEFAULT;
+  const value = Number(raw);
+  if (!Number.isFinite(value) || value < LATITUDE_BAND_MIN || value > LATITUDE_BAND_MAX) {
+    return { error: `Paramètre bandDeg invalide (entre ${LATITUDE_BAND_MIN} et ${LATITUDE_BAND_MAX}).` };
+  }
+  return value;
+}
+
+// Régression y = slope·x + intercept et corrélation de Pearson (null si moins de 3 points ou variance nulle)
+function linearRegression(points) {
+  const n = points.length;
+  if (n < 3) return null;
+  const mx = points.reduce((s, p) => s + p.x, 0) / n;
+  const my = points.reduce((s, p) => s + p.y, 0) / n;
+  let sxx = 0; let syy = 0; let sxy = 0;
+  for (const { x, y } of points) {
+    sxx += (x - mx) * (x - mx);
+    syy += (y - my) * (y - my);
+    sxy += (x - mx) * (y - my);
+  }
+  if (sxx === 0 || syy === 0) return null;
+  const slope = sxy / sxx;
+  const r = sxy / Math.sqrt(sxx * syy);
+  return { n, slope, intercept: my - slope * mx, r, r2: r * r };
+}
+
+// Bandes [{ _id: indice de bande, species, occurrences, lngMin, lngMax }] -> résultat du gradient
+function gradientResult(rows, bandDeg, t0, source) {
+  const round = v => Math.round(v * 1e6) / 1e6;
+  const bands = rows.map(r => {
+    const latMin = round(-90 + r._id * bandDeg);
+    const latMax = round(latMin + bandDeg);
+    return {
+      latMin,
+      latMax,
+      lat: round((latMin + latMax) / 2),
+      species: r.species,
+      occurrences: r.occurrences,
+      lngMin: r.lngMin,
+      lngMax: r.lngMax,
+    };
+  });
+  const regression = linearRegression(bands.map(b => ({ x: Math.abs(b.lat), y: b.species })));
+  const scanned = bands.reduce((s, b) => s + b.occurrences, 0);
+  console.log(`[latitude] ${source} bandDeg=${bandDeg} bands=${bands.length} scanned=${scanned} time=${((Date.now() - t0) / 1000).toFixed(1)}s`);
+  return { bands, regression, scanned, updatedAt: new Date().toISOString() };
+}
+
+// Niveau carré de la grille globale utilisable pour une largeur de bande (chaque cellule dans une seule
+// bande), le plus grossier possible; null si aucun
+function gridLevelForBand(bandDeg, levels) {
+  const size = levelsForShape('square')
+    .filter(s => levels.includes(gridLevelId('square', s)))
+    .sort((a, b) => b - a)
+    .find(s => Math.abs(bandDeg / s - Math.round(bandDeg / s)) < INDEX_EPSILON);
+  return size === undefined ? null : size;
+}
+
+// Bandes depuis les cellules d'un niveau carré de la grille globale ({ key: 'i:j', species: Map hash -> n })
+// Étendue en longitude arrondie aux bords des cellules
+async function gradientFromGrid(cells, sizeDeg, bandDeg) {
+  const t0 = Date.now();
+  const perBand = Math.round(bandDeg / sizeDeg);
+  const maxI = Math.round(180 / sizeDeg);
+  const maxJ = Math.round(360 / sizeDeg);
+  const byBand = new Map(); // indice -> { species: Set de hashes, occurrences, lngMin, lngMax }
+  // eslint-disable-next-line no-restricted-syntax
+  for await (const { key, species } of cells) {
+    const [i, j] = key.split(':').map(Number);
+    // Coordonnées hors bornes (la grille globale ne les écarte pas)
+    if (i < 0 || i > maxI || j < 0 || j > maxJ) continue;
+    const index = Math.floor(i / perBand);
+    let band = byBand.get(index);
+    if (!band) { band = { species: new Set(), occurrences: 0, lngMin: Infinity, lngMax: -Infinity }; byBand.set(index, band); }
+    for (const [h, n] of species.entries()) {
+      band.species.add(h);
+      band.occurrences += n;
+    }
+    band.lngMin = Math.min(band.lngMin, -180 + j * sizeDeg);
+    band.lngMax = Math.max(band.lngMax, Math.min(180, -180 + (j + 1) * sizeDeg));
+  }
+  const rows = [...byBand.entries()]
+    .sort((a, b) => a[0] - b[0])
+    .map(([index, b]) => ({ _id: index, species: b.species.size, occurrences: b.occurrences, lngMin: b.lngMin, lngMax: b.lngMax }));
+  return gradientResult(rows, bandDeg, t0, `grille ${sizeDeg}°`);
+}
+
+async function aggregateGradient(collection, bandDeg, filters) {
+  const t0 = Date.now();
+  const pipeline = [
+    { $match: gridMatch(filters || {}) },
+    {
+      $project: {
+        _id: 0,
+        band: { $floor: { $add: [{ $multiply: [{ $add: ['$decimalLatitude', 90] }, 1 / bandDeg] }, INDEX_EPSILON] } },
+        lng: '$decimalLongitude',
+        sn: { $toLower: { $trim: { input: '$scientificName' } } },
+      }
+    },
+    { $match: { sn: { $ne: '' } } },
+    { $group: { _id: { band: '$band', sn: '$sn' }, n: { $sum: 1 }, lngMin: { $min: '$lng' }, lngMax: { $max: '$lng' } } },
+    {
+      $group: {
+        _id: '$_id.band',
+        species: { $sum: 1 },
+        occurrences: { $sum: '$n' },
+        lngMin: { $min: '$lngMin' },
+        lngMax: { $max: '$lngMax' },
+      }
+    },
+    { $sort: { _id: 1 } },
+  ];
+  const rows = await collection.aggregate(pipeline, { allowDiskUse: true, maxTimeMS: AGGREGATION_MAX_TIME_MS }).toArray();
+  return gradientResult(rows, bandDeg, t0, 'agrégation');
+}
+
+// Gradient (cache LRU puis grille globale ou agrégation); selection = { filters, key } de parseGridFilters
+// globalGrid (sans filtre, grille complète): { version, levels, readLevel(identifiant) -> flux de cellules }
+async function getLatitudeGradient(collection, bandDeg, { filters, key }, globalGrid = null) {
+  const sizeDeg = !filters && globalGrid ? gridLevelForBand(bandDeg, globalGrid.levels) : null;
+  const cacheKey = sizeDeg ? `${bandDeg}|grid=${globalGrid.version}` : `${bandDeg}|${key}`;
+  const hit = gradientCache.get(cacheKey);
+  if (hit) return { ...hit, fromCache: true };
+  if (!pending.has(cacheKey)) {
+    const generation = gradientCache.generation;
+    const p = (sizeDeg
+      ? gradientFromGrid(globalGrid.readLevel(gridLevelId('square', sizeDeg)), sizeDeg, bandDeg)
+      : aggregateGradient(collection, bandDeg, filters))
+      .then(result => { gradientCache.set(cacheKey, result, generation); return result; })
+      .finally(() => { if (pending.get(cacheKey) === p) pending.delete(cacheKey); });
+    pending.set(cacheKey, p);
+  }
+  const result = await pending.get(cacheKey);
+  return { ...result, fromCache: false };
+}
+
+// À appeler quand les données changent (écritures)
+function invalidateLatitudeGradients() {
+  gradientCache.clear();
+  pending.clear(); // calculs en cours antérieurs à l'écriture: plus réutilisés
+}
+
+module.exports = { parseBandDeg, linearRegression, getLatitudeGradient, invalidateLatitudeGradients };
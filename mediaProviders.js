@@ -0,0 +1,153 @@
+/**
+ * Fournisseurs d'images / métadonnées d'espèces (interrogés par speciesMedia.js)
+ * -----------------------------------------------------------------------------
+ * Un fournisseur = { name, lookup(canonicalName) } où lookup renvoie (promesse):
+ *   { imageUrl, pageUrl, licence, attribution, source, vernacularNames: [{ name, lang }] }
+ *   ou null si le taxon est inconnu; une exception signale une panne (réseau, HTTP 5xx...)
+ * - wikipedia-<lang>: résumé de page (recherche si le titre exact n'existe pas) + licence et auteur de
+ *   l'image (métadonnées Commons)
+ * - gbif: correspondance de nom -> médias de l'espèce + noms vernaculaires
+ * - stub: réponses lues dans un fichier JSON local ({ "<nom canonique>": { imageUrl, ... } }),
+ *   sans accès réseau (développement, tests)
+ * Liste choisie par SPECIES_MEDIA_PROVIDERS (ex. "wikipedia-fr,wikipedia-en,gbif", ordre = priorité)
+ */
+const fs = require('fs');
+
+const REQUEST_TIMEOUT_MS = 5000;
+const USER_AGENT = 'projet_r510-biodiversite/1.0 (species media proxy)';
+const DEFAULT_PROVIDERS = 'wikipedia-fr,wikipedia-en,gbif';
+// Langues retenues pour les noms vernaculaires GBIF (codes ISO 639-2)
+const GBIF_VERNACULAR_LANGS = { por: 'pt', fra: 'fr', eng: 'en', spa: 'es' };
+
+// GET JSON avec délai maximal; null si 404
+async function getJson(url) {
+  const resp = await fetch(url, {
+    headers: { 'User-Agent': USER_AGENT, Accept: 'application/json' },
+    signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS),
+  });
+  if (resp.status === 404) return null;
+  if (!resp.ok) throw new Error(`HTTP ${resp.status} (${url})`);
+  return resp.json();
+}
+
+const stripHtml = (html) => String(html || '').replace(/<[^>]*>/g, '').replace(/\s+/g, ' ').trim();
+
+// ---- Wikipedia ----
+// Nom de fichier Commons d'une URL upload.wikimedia.org (vignette ou original)
+function commonsFileName(url) {
+  const m = /\/(?:commons|[a-z]{2,3})\/(?:thumb\/)?[0-9a-f]\/[0-9a-f]{2}\/([^/]+)/.exec(String(url || ''));
+  return m ? decodeURIComponent(m[1]) : null;
+}
+
+function wikipediaProvider(lang) {
+  const api = `https://${lang}.wikipedia.org`;
+  const summary = title => getJson(`${api}/api/rest_v1/page/summary/${encodeURIComponent(title)}`);
+  return {
+    name: `wikipedia-${lang}`,
+    async lookup(canonicalName) {
+      let page = await summary(canonicalName);
+      if (!page?.thumbnail?.source) {
+        const search = await getJson(`${api}/w/api.php?action=query&list=search&srlimit=1&format=json&srsearch=${encodeURIComponent(canonicalName)}`);
+        const title = search?.query?.search?.[0]?.title;
+        page = title ? await summary(title) : null;
+      }
+      if (!page?.thumbnail?.source) return null;
+      // Licence / auteur: métadonnées du fichier (facultatives: l'image reste utilisable sans)
+      let licence = null;
+      let attribution = null;
+      const file = commonsFileName(page.originalimage?.source || page.thumbnail.source);
+      if (file) {
+        try {
+          const info = await getJson(`${api}/w/api.php?action=query&prop=imageinfo&iiprop=extmetadata&format=json&titles=${encodeURIComponent(`File:${file}`)}`);
+          const meta = Object.values(info?.query?.pages || {})[0]?.imageinfo?.[0]?.extmetadata || {};
+          licence = stripHtml(meta.LicenseShortName?.value) || null;
+          attribution = stripHtml(meta.Artist?.value) || null;
+        } catch {}
+      }
+      // Titre de page différent du nom scientifique: nom vernaculaire dans la langue du wiki
+      const title = page.titles?.normalized || page.title || '';
+      const vernacularNames = title && title.toLowerCase() !== canonicalName.toLowerCase() ? [{ name: title, lang }] : [];
+      return {
+        imageUrl: page.thumbnail.source,
+        pageUrl: page.content_urls?.desktop?.page || null,
+        licence,
+        attribution,
+        source: `Wikipedia (${lang})`,
+        vernacularNames,
+      };
+    },
+  };
+}
+
+// ---- GBIF ----
+function gbifProvider() {
+  const api = 'https://api.gbif.org/v1';
+  return {
+    name: 'gbif',
+    async lookup(canonicalName) {
+      const match = await getJson(`${api}/species/match?name=${encodeURIComponent(canonicalName)}`);
+      const key = match?.usageKey;
+      if (!key || match.matchType === 'NONE') return null;
+      const [media, vernacular] = await Promise.all([
+        getJson(`${api}/species/${key}/media?limit=20`),
+        getJson(`${api}/species/${key}/vernacularNames?limit=100`).catch(() => null),
+      ]);
+      const images = (media?.results || []).filter(m => /^https?:\/\//i.test(m?.identifier || '')
+        && (String(m.type || '').toLowerCase().includes('still') || String(m.format || '').toLowerCase().startsWith('image')));
+      const seen = new Set();
+      const vernacularNames = [];
+      for (const v of vernacular?.results || []) {
+        const lang = GBIF_VERNACULAR_LANGS[v.language];
+        const id = `${lang}|${String(v.vernacularName || '').toLowerCase()}`;
+        if (!lang || !v.vernacularName || seen.has(id)) continue;
+        seen.add(id);
+        vernacularNames.push({ name: v.vernacularName, lang });
+      }
+      if (!images.length && !vernacularNames.length) return null;
+      const img = images[0];
+      return {
+        imageUrl: img?.identifier || null,
+        pageUrl: `https://www.gbif.org/species/${key}`,
+        licence: img?.license || null,
+        attribution: img ? (img.rightsHolder || img.creator || img.publisher || null) : null,
+        source: 'GBIF',
+        vernacularNames,
+      };
+    },
+  };
+}
+
+// ---- Stub local ----
+// Fichier relu à chaque appel: il peut être modifié sans redémarrer le serveur
+function stubProvider(file) {
+  return {
+    name: 'stub',
+    async lookup(canonicalName) {
+      if (!file) return null;
+      const data = JSON.parse(await fs.promises.readFile(file, 'utf8'));
+      const entry = data[canonicalName] ?? data[canonicalName.toLowerCase()];
+      if (!entry) return null;
+      return {
+        imageUrl: entry.imageUrl || null,
+        pageUrl: entry.pageUrl || null,
+        licence: entry.licence || null,
+        attribution: entry.attribution || null,
+        source: entry.source || 'stub',
+        vernacularNames: Array.isArray(entry.vernacularNames) ? entry.vernacularNames : [],
+      };
+    },
+  };
+}
+
+// Fournisseurs depuis une liste de noms séparés par des virgules (ordre = priorité)
+function createProviders(spec = process.env.SPECIES_MEDIA_PROVIDERS || DEFAULT_PROVIDERS) {
+  return String(spec).split(',').map(s => s.trim()).filter(Boolean).map((id) => {
+    if (id === 'gbif') return gbifProvider();
+    if (id === 'stub') return stubProvider(process.env.SPECIES_MEDIA_STUB_FILE);
+    const m = /^wikipedia-([a-z]{2,3})$/.exec(id);
+    if (m) return wikipediaProvider(m[1]);
+    throw new Error(`Fournisseur d'images inconnu: ${id}`);
+  });
+}
+
+module.exports = { wikipediaProvider, gbifProvider, stubProvider, createProviders };
@@ -0,0 +1,72 @@
+/**
+ * Normalisation des documents d'occurrence
+ * ----------------------------------------
+ * - Partagée par l'ajout unitaire (POST /api/documents), la modification (PUT / PATCH, voir applyPatch)
+ *   et l'import en masse (importer.js)
+ * - Validation selon le schéma déclaré (schema.js): types, bornes, vocabulaires, trim des textes
+ * - Coordonnées numériques requises + point GeoJSON 'location' (index 2dsphere)
+ * - Nom rapporté au taxon accepté du référentiel local s'il est chargé (voir backbone.js)
+ * - Indicateurs qualité propres au document recalculés (coordonnées, pays, date; voir quality.js)
+ */
+const { validateOccurrence } = require('./schema');
+const { reconciledFields } = require('./backbone');
+const { applyRecordFlags } = require('./quality');
+
+// Mapping util: cast robuste vers number (gère string, virgule, etc.)
+function toNumberOrNull(v) {
+  if (v === undefined || v === null) return null;
+  if (Array.isArray(v)) return null;
+  if (typeof v === 'string') {
+    const cleaned = v.trim().replace(',', '.');
+    const n = Number(cleaned);
+    return Number.isFinite(n) ? n : null;
+  }
+  const n = Number(v);
+  return Number.isFinite(n) ? n : null;
+}
+
+// Construit le champ GeoJSON 'location' (indexé 2dsphere) à partir des coordonnées décimales
+function locationFromCoords(lat, lng) {
+  if (typeof lat !== 'number' || typeof lng !== 'number') return null;
+  if (lat < -90 || lat > 90 || lng < -180 || lng > 180) return null;
+  return { type: 'Point', coordinates: [lng, lat] };
+}
+
+// Normalise et valide un corps de document (JSON arbitraire) avant écriture
+// options.unchanged: champs hors schéma non modifiés d'un document existant (voir validateOccurrence)
+// Retourne { doc } ou { error, fields } (erreurs par champ, voir schema.js)
+function normalizeOccurrence(body, options) {
+  // Cloner l'objet: _id et location sont gérés par le serveur
+  const input = { ...(body || {}) };
+  delete input._id;
+  delete input.location;
+  const { doc, fields } = validateOccurrence(input, options);
+  if (fields) {
+    const detail = Object.entries(fields).map(([k, msg]) => `${k}: ${msg}`).join(' ; ');
+    return { error: `Document invalide (${detail})`, fields };
+  }
+  // Taxon accepté (nom d'origine conservé dans verbatimScientificName)
+  Object.assign(doc, reconciledFields(doc));
+  // Point GeoJSON pour l'index 2dsphere (filtres spatiaux)
+  const location = locationFromCoords(doc.decimalLatitude, doc.decimalLongitude);
+  if (location) doc.location = location;
+  // Indicateurs par espèce conservés jusqu'au prochain traitement par lots
+  applyRecordFlags(doc);
+  return { doc };
+}
+
+// Modification partielle (PATCH): champs envoyés appliqués au document existant (null = suppression)
+// Retourne { merged, unchanged }: unchanged = champs repris tels quels, à passer à normalizeOccurrence
+// (les limites des champs hors schéma ne s'appliquent qu'aux champs envoyés: un document plus ancien
+// reste modifiable)
+function applyPatch(existing, body) {
+  const merged = { ...existing };
+  delete merged._id;
+  const unchanged = new Set(Object.keys(merged).filter(k => !Object.prototype.hasOwnProperty.call(body, k)));
+  for (const [k, v] of Object.entries(body)) {
+    if (v === null) delete merged[k]; else merged[k] = v;
+  }
+  return { merged, unchanged };
+}
+
+module.exports = { toNumberOrNull, locationFromCoords, normalizeOccurrence, applyPatch };
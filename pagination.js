@@ -0,0 +1,56 @@
+/**
+ * Pagination par curseur (keyset) de /api/observations
+ * ----------------------------------------------------
+ * - Jeton nextCursor (base64url): champ et sens du tri, valeur du champ de tri et _id du dernier
+ *   document renvoyé
+ * - Page suivante: clause "après le curseur" sur le tri { [sortField]: dir, _id: dir }, _id départageant
+ *   les égalités
+ */
+const { ObjectId } = require('mongodb');
+
+// Le jeton nextCursor encode la position du dernier document renvoyé: valeur du champ de tri + _id
+// (départage des égalités). Il est lié au tri demandé: un changement de tri invalide le curseur.
+function encodeCursor(sortField, sortDir, doc) {
+  const id = doc._id;
+  const payload = {
+    f: sortField,
+    d: sortDir,
+    v: sortField === '_id' ? null : (doc[sortField] ?? null),
+    id: id instanceof ObjectId ? id.toHexString() : id,
+    t: id instanceof ObjectId ? 'oid' : undefined
+  };
+  return Buffer.from(JSON.stringify(payload)).toString('base64url');
+}
+
+// Décode un jeton (null si absent ou invalide / incompatible avec le tri courant)
+function decodeCursor(token, sortField, sortDir) {
+  try {
+    const payload = JSON.parse(Buffer.from(String(token), 'base64url').toString('utf8'));
+    if (!payload || payload.f !== sortField || payload.d !== sortDir) return null;
+    const id = payload.t === 'oid' ? new ObjectId(payload.id) : payload.id;
+    if (id === undefined || id === null) return null;
+    return { value: payload.v ?? null, id };
+  } catch {
+    return null;
+  }
+}
+
+// Clause "après le curseur" pour un tri { [sortField]: dir, _id: dir }
+// Les valeurs null/absentes sont en tête en asc et en queue en desc (ordre BSON)
+function keysetClause(sortField, sortDir, pos) {
+  const after = sortDir === 1 ? '$gt' : '$lt';
+  if (sortField === '_id') return { _id: { [after]: pos.id } };
+  const { value, id } = pos;
+  if (value === null) {
+    const sameNull = { [sortField]: null, _id: { [after]: id } };
+    return sortDir === 1 ? { $or: [sameNull, { [sortField]: { $ne: null } }] } : sameNull;
+  }
+  const branches = [
+    { [sortField]: { [after]: value } },
+    { [sortField]: value, _id: { [after]: id } }
+  ];
+  if (sortDir === -1) branches.push({ [sortField]: null });
+  return { $or: branches };
+}
+
+module.exports = { encodeCursor, decodeCursor, keysetClause };
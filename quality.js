@@ -0,0 +1,317 @@
+/**
+ * Contrôles qualité des occurrences (indicateurs écrits dans chaque document)
+ * -------------------------------------------------------------------------
+ * - qualityFlags: liste d'indicateurs (vide = aucun problème détecté; absent = pas encore contrôlé)
+ *   - ZERO_COORDINATES: latitude et longitude nulles (0, 0)
+ *   - COORDINATES_IN_SEA: aucune terre à moins de COAST_TOLERANCE_KM (voir landMask.js)
+ *   - COUNTRY_MISMATCH: pays au point (zone maritime comprise) différent de countryCode
+ *   - SWAPPED_COORDINATES: pays discordant, mais latitude et longitude inversées tombent dans countryCode
+ *   - FUTURE_DATE: année (mois, jour) postérieure à la date du contrôle
+ *   - GEOGRAPHIC_OUTLIER: point anormalement loin du centre (médian) des occurrences de l'espèce
+ *   - ENVIRONMENTAL_OUTLIER: valeur d'une variable environnementale relevée (QUALITY_ENV_FIELDS, défaut:
+ *     elevation, depth) hors de la plage habituelle de l'espèce
+ * - Indicateurs d'un document (coordonnées, pays, date): recalculés à chaque écriture (occurrence.js)
+ * - Indicateurs par espèce (aberrants): traitement par lots en deux passages sur la collection
+ *   1) échantillon aléatoire de SPECIES_SAMPLE_SIZE occurrences valides par espèce, tiré par agrégation
+ *      ($bottomN sur une clé $rand) et lu une espèce à la fois -> bornes (écart interquartile: au-delà
+ *      de Q3 + IQR_FACTOR x IQR)
+ *   2) indicateurs recalculés pour chaque document, écrits seulement s'ils changent (journalisés par lot,
+ *      audit action 'quality')
+ * - Option excludeFlagged des routes: 1/true = documents sans indicateur, ou liste d'indicateurs à exclure
+ */
+const countryCoder = require('@rapideditor/country-coder');
+const { getDb, onConnected } = require('./db');
+const audit = require('./audit');
+const { isInSea } = require('./landMask');
+
+const QUALITY_FLAGS = [
+  'ZERO_COORDINATES',
+  'COORDINATES_IN_SEA',
+  'COUNTRY_MISMATCH',
+  'SWAPPED_COORDINATES',
+  'FUTURE_DATE',
+  'GEOGRAPHIC_OUTLIER',
+  'ENVIRONMENTAL_OUTLIER',
+];
+// Indicateurs calculés par le traitement par lots (conservés tels quels lors d'une écriture unitaire)
+const SPECIES_FLAGS = new Set(['GEOGRAPHIC_OUTLIER', 'ENVIRONMENTAL_OUTLIER']);
+// Coordonnées inutilisables: exclues des échantillons par espèce
+const COORDINATE_FLAGS = new Set(['ZERO_COORDINATES', 'COORDINATES_IN_SEA', 'COUNTRY_MISMATCH', 'SWAPPED_COORDINATES']);
+
+const META_COLLECTION = 'quality_meta';
+const META_ID = 'occurrences';
+const COAST_TOLERANCE_KM = 10;
+const SPECIES_SAMPLE_SIZE = 1000;
+const MIN_SPECIES_RECORDS = 10;
+const IQR_FACTOR = 3;
+const MIN_OUTLIER_DISTANCE_KM = 100;
+const WRITE_BATCH_SIZE = 1000;
+const COUNTRY_CACHE_MAX = 200000;
+const EARTH_RADIUS_KM = 6371.0088;
+const ENV_FIELDS = String(process.env.QUALITY_ENV_FIELDS || 'elevation,depth')
+  .split(',').map(s => s.trim()).filter(Boolean);
+
+let running = false;
+const countryCache = new Map(); // "lat,lng" arrondis à 0.01° -> [pays, territoire]
+
+onConnected(async (db) => {
+  await db.collection('faune&flore')
+    .createIndex({ qualityFlags: 1 }, { name: 'idx_qualityFlags_1' })
+    .catch(() => {});
+});
+
+function metaCollection() {
+  const db = getDb();
+  return db ? db.collection(META_COLLECTION) : null;
+}
+
+// Codes pays (pays souverain, territoire: ex. FR / GF en Guyane) au point, [] en haute mer
+function countriesAt(lat, lng) {
+  const key = `${lat.toFixed(2)},${lng.toFixed(2)}`;
+  let codes = countryCache.get(key);
+  if (!codes) {
+    const loc = [lng, lat];
+    codes = [countryCoder.iso1A2Code(loc), countryCoder.iso1A2Code(loc, { level: 'territory' })].filter(Boolean);
+    if (countryCache.size >= COUNTRY_CACHE_MAX) countryCache.clear();
+    countryCache.set(key, codes);
+  }
+  return codes;
+}
+
+function isFutureDate(doc, now) {
+  const year = now.getFullYear();
+  if (!Number.isInteger(doc.year) || doc.year < year) return false;
+  if (doc.year > year) return true;
+  const month = now.getMonth() + 1;
+  if (!Number.isInteger(doc.month) || doc.month < month) return false;
+  if (doc.month > month) return true;
+  return Number.isInteger(doc.day) && doc.day > now.getDate();
+}
+
+// Indicateurs propres au document (sans comparaison avec les autres occurrences)
+function recordFlags(doc, now = new Date()) {
+  const flags = [];
+  const lat = doc.decimalLatitude;
+  const lng = doc.decimalLongitude;
+  if (typeof lat === 'number' && typeof lng === 'number') {
+    if (lat === 0 && lng === 0) {
+      flags.push('ZERO_COORDINATES');
+    } else {
+      if (isInSea(lat, lng, COAST_TOLERANCE_KM)) flags.push('COORDINATES_IN_SEA');
+      const declared = typeof doc.countryCode === 'string' ? doc.countryCode.toUpperCase() : '';
+      if (declared && !countriesAt(lat, lng).includes(declared)) {
+        flags.push('COUNTRY_MISMATCH');
+        if (Math.abs(lng) <= 90 && countriesAt(lng, lat).includes(declared)) flags.push('SWAPPED_COORDINATES');
+      }
+    }
+  }
+  if (isFutureDate(doc, now)) flags.push('FUTURE_DATE');
+  return flags;
+}
+
+// Indicateurs d'un document normalisé avant écriture: indicateurs propres recalculés, indicateurs
+// par espèce du dernier traitement conservés
+function applyRecordFlags(doc) {
+  const previous = Array.isArray(doc.qualityFlags) ? doc.qualityFlags : [];
+  doc.qualityFlags = [...recordFlags(doc), ...previous.filter(f => SPECIES_FLAGS.has(f))];
+  return doc;
+}
+
+// Option excludeFlagged -> { match } (condition à fusionner), null si absente, ou { error }
+function parseExcludeFlagged(raw) {
+  if (raw === undefined || raw === '' || raw === '0' || raw === 'false') return null;
+  if (raw === '1' || raw === 'true') {
+    // Documents jamais contrôlés conservés (indicateurs inconnus)
+    return { match: { 'qualityFlags.0': { $exists: false } }, key: '1' };
+  }
+  const list = [...new Set(String(raw).split(',').map(s => s.trim().toUpperCase()).filter(Boolean))].sort();
+  const unknown = list.filter(f => !QUALITY_FLAGS.includes(f));
+  if (!list.length || unknown.length) {
+    return { error: `Paramètre excludeFlagged invalide (1, ou liste parmi ${QUALITY_FLAGS.join(', ')}).` };
+  }
+  return { match: { qualityFlags: { $nin: list } }, key: list.join(',') };
+}
+
+// ---- Aberrants par espèce ----
+function haversineKm(lat1, lng1, lat2, lng2) {
+  const rad = Math.PI / 180;
+  const dLat = (lat2 - lat1) * rad;
+  const dLng = (lng2 - lng1) * rad;
+  const a = Math.sin(dLat / 2) ** 2 + Math.cos(lat1 * rad) * Math.cos(lat2 * rad) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.min(1, Math.sqrt(a)));
+}
+
+// Quantile (interpolation linéaire) d'une liste triée
+function quantile(sorted, p) {
+  if (!sorted.length) return NaN;
+  const pos = (sorted.length - 1) * p;
+  const lo = Math.floor(pos);
+  const hi = Math.ceil(pos);
+  return sorted[lo] + (sorted[hi] - sorted[lo]) * (pos - lo);
+}
+
+function speciesKey(doc) {
+  return typeof doc.scientificName === 'string' ? doc.scientificName.trim().toLowerCase() : '';
+}
+
+// Échantillon aléatoire par espèce (même clé que speciesKey pour les noms ASCII), calculé par le serveur
+// Mongo ($group débordant sur disque si besoin): seule l'espèce en cours de lecture est en mémoire
+// Exclut les coordonnées déjà signalées inutilisables; les documents jamais contrôlés sont revérifiés
+// à la lecture
+function speciesSamplePipeline() {
+  const row = {
+    decimalLatitude: '$decimalLatitude',
+    decimalLongitude: '$decimalLongitude',
+    countryCode: '$countryCode',
+    ...Object.fromEntries(ENV_FIELDS.map(f => [f, `$${f}`])),
+  };
+  return [
+    {
+      $match: {
+        scientificName: { $type: 'string' },
+        decimalLatitude: { $type: 'number' },
+        decimalLongitude: { $type: 'number' },
+        qualityFlags: { $nin: [...COORDINATE_FLAGS] },
+      },
+    },
+    { $project: { _id: 0, key: { $toLower: { $trim: { input: '$scientificName' } } }, r: { $rand: {} }, row } },
+    {
+      $group: {
+        _id: '$key',
+        n: { $sum: 1 },
+        rows: { $bottomN: { n: SPECIES_SAMPLE_SIZE, sortBy: { r: 1 }, output: '$row' } },
+      },
+    },
+  ];
+}
+
+// Bornes par espèce: centre médian + distance maximale, plage de chaque variable environnementale
+function speciesBounds(sample) {
+  if (sample.n < MIN_SPECIES_RECORDS) return null;
+  const rows = sample.rows;
+  const lats = rows.map(r => r[0]).sort((a, b) => a - b);
+  const lngs = rows.map(r => r[1]).sort((a, b) => a - b);
+  const center = [quantile(lats, 0.5), quantile(lngs, 0.5)];
+  const dists = rows.map(r => haversineKm(center[0], center[1], r[0], r[1])).sort((a, b) => a - b);
+  const q1 = quantile(dists, 0.25);
+  const q3 = quantile(dists, 0.75);
+  const bounds = { center, maxDistanceKm: Math.max(MIN_OUTLIER_DISTANCE_KM, q3 + IQR_FACTOR * (q3 - q1)), env: [] };
+  ENV_FIELDS.forEach((field, i) => {
+    const values = rows.map(r => r[2 + i]).filter(Number.isFinite).sort((a, b) => a - b);
+    if (values.length < MIN_SPECIES_RECORDS) return;
+    const v1 = quantile(values, 0.25);
+    const v3 = quantile(values, 0.75);
+    // Variable constante pour l'espèce: pas de plage exploitable
+    if (v3 - v1 <= 0) return;
+    bounds.env.push({ index: i, field, min: v1 - IQR_FACTOR * (v3 - v1), max: v3 + IQR_FACTOR * (v3 - v1) });
+  });
+  return bounds;
+}
+
+function envValues(doc) {
+  return ENV_FIELDS.map((f) => {
+    const v = doc[f];
+    return typeof v === 'number' ? v : (typeof v === 'string' && v.trim() !== '' ? Number(v) : NaN);
+  });
+}
+
+function speciesFlags(doc, bounds) {
+  if (!bounds) return [];
+  const flags = [];
+  const lat = doc.decimalLatitude;
+  const lng = doc.decimalLongitude;
+  if (typeof lat === 'number' && typeof lng === 'number'
+    && haversineKm(bounds.center[0], bounds.center[1], lat, lng) > bounds.maxDistanceKm) {
+    flags.push('GEOGRAPHIC_OUTLIER');
+  }
+  const env = envValues(doc);
+  if (bounds.env.some(b => Number.isFinite(env[b.index]) && (env[b.index] < b.min || env[b.index] > b.max))) {
+    flags.push('ENVIRONMENTAL_OUTLIER');
+  }
+  return flags;
+}
+
+function sameFlags(a, b) {
+  if (!Array.isArray(a) || a.length !== b.length) return false;
+  return a.every((f, i) => f === b[i]);
+}
+
+// Traitement complet (deux passages); { scanned, updated, flagged, counts } ou false (déjà en cours)
+async function runQualityChecks(collection) {
+  const metaColl = metaCollection();
+  if (!collection || !metaColl) return false;
+  if (running) return false;
+  running = true;
+  const t0 = Date.now();
+  const now = new Date();
+  const projection = {
+    decimalLatitude: 1, decimalLongitude: 1, scientificName: 1, countryCode: 1, year: 1, month: 1, day: 1, qualityFlags: 1,
+    ...Object.fromEntries(ENV_FIELDS.map(f => [f, 1])),
+  };
+  try {
+    // 1) Échantillons par espèce (occurrences aux coordonnées exploitables), une espèce à la fois
+    const bounds = new Map();
+    // eslint-disable-next-line no-restricted-syntax
+    for await (const group of collection.aggregate(speciesSamplePipeline(), { allowDiskUse: true })) {
+      if (!group._id) continue;
+      const rows = group.rows.filter(doc => !recordFlags(doc, now).some(f => COORDINATE_FLAGS.has(f)));
+      const b = speciesBounds({
+        n: group.n - (group.rows.length - rows.length),
+        rows: rows.map(doc => [doc.decimalLatitude, doc.decimalLongitude, ...envValues(doc)]),
+      });
+      if (b) bounds.set(group._id, b);
+    }
+    console.log(`[quality] Bornes calculées pour ${bounds.size} espèces en ${((Date.now() - t0) / 1000).toFixed(1)}s`);
+
+    // 2) Indicateurs de chaque document (écrits s'ils changent)
+    const counts = Object.fromEntries(QUALITY_FLAGS.map(f => [f, 0]));
+    let scanned = 0;
+    let updated = 0;
+    let flagged = 0;
+    let ops = [];
+    // Un lot écrit = une entrée de journal (action 'quality'): les indicateurs ne changent ni les noms
+    // ni les coordonnées, ils ne doivent pas forcer le recalcul complet de la grille comme un 'update'
+    const writeOps = async () => {
+      await collection.bulkWrite(ops, { ordered: false });
+      await audit.recordBatch(null, { action: 'quality', documentIds: ops.map(op => op.updateOne.filter._id), source: 'quality' });
+      ops = [];
+    };
+    // eslint-disable-next-line no-restricted-syntax
+    for await (const doc of collection.find({}, { projection })) {
+      scanned++;
+      const flags = [...recordFlags(doc, now), ...speciesFlags(doc, bounds.get(speciesKey(doc)))];
+      if (flags.length) flagged++;
+      for (const f of flags) counts[f]++;
+      if (sameFlags(doc.qualityFlags, flags)) continue;
+      ops.push({ updateOne: { filter: { _id: doc._id }, update: { $set: { qualityFlags: flags } } } });
+      updated++;
+      if (ops.length >= WRITE_BATCH_SIZE) await writeOps();
+    }
+    if (ops.length) await writeOps();
+    const stats = { scanned, updated, flagged, counts, species: bounds.size };
+    await metaColl.replaceOne({ _id: META_ID }, { _id: META_ID, ...stats, updatedAt: new Date().toISOString() }, { upsert: true });
+    console.log(`[quality] scanned=${scanned} flagged=${flagged} updated=${updated} time=${((Date.now() - t0) / 1000).toFixed(1)}s`);
+    return stats;
+  } catch (e) {
+    console.error('[quality] Erreur contrôle qualité:', e);
+    return false;
+  } finally {
+    running = false;
+  }
+}
+
+// Résumé du dernier traitement (nb de documents par indicateur) + traitement en cours
+async function qualitySummary() {
+  const metaColl = metaCollection();
+  const meta = metaColl ? await metaColl.findOne({ _id: META_ID }, { projection: { _id: 0 } }) : null;
+  return { flags: QUALITY_FLAGS, running, lastRun: meta };
+}
+
+module.exports = {
+  QUALITY_FLAGS,
+  recordFlags,
+  applyRecordFlags,
+  parseExcludeFlagged,
+  runQualityChecks,
+  qualitySummary,
+};
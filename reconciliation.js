@@ -0,0 +1,132 @@
+/**
+ * Réconciliation des noms des occurrences avec le référentiel local (voir backbone.js)
+ * -----------------------------------------------------------------------------------
+ * - Chaque document est rapporté au taxon accepté: scientificName, kingdom..genus, species, taxonRank,
+ *   taxonID (taxon accepté) et taxonomicStatus (statut du nom d'origine: ACCEPTED, SYNONYM...)
+ * - Nom d'origine conservé dans verbatimScientificName, point de départ de toute réconciliation
+ *   ultérieure (changement de référentiel): le traitement est rejouable sans perte
+ * - Noms inconnus du référentiel: document inchangé (compté dans unmatched)
+ * - Traitement par lots: complet quand la version du référentiel change, sinon limité aux documents
+ *   d'_id > dernier traité (les ajouts via l'API sont déjà réconciliés par occurrence.js)
+ * - Modifications journalisées par lot (audit, action 'reconcile', source 'reconciliation')
+ * - Version des noms (stamp): incrémentée par chaque passage qui modifie des documents; la grille
+ *   globale et le catalogue des taxons la mémorisent et repartent de zéro quand elle change
+ */
+const { ObjectId } = require('mongodb');
+const { getDb } = require('./db');
+const audit = require('./audit');
+const { getBackbone, reconciledFields } = require('./backbone');
+
+const META_COLLECTION = 'reconciliation_meta';
+const META_ID = 'occurrences';
+const WRITE_BATCH_SIZE = 1000;
+const PROJECTION = {
+  scientificName: 1, verbatimScientificName: 1, kingdom: 1, phylum: 1, class: 1, order: 1, family: 1,
+  genus: 1, species: 1, taxonRank: 1, taxonID: 1, taxonomicStatus: 1,
+};
+
+let running = false;
+
+function metaCollection() {
+  const db = getDb();
+  return db ? db.collection(META_COLLECTION) : null;
+}
+
+// Écrit un lot de modifications et son entrée de journal (une pour le lot)
+async function flush(collection, batch, backboneVersion) {
+  if (!batch.length) return;
+  await collection.bulkWrite(batch.map(c => ({
+    updateOne: { filter: { _id: c.documentId }, update: { $set: c.after } },
+  })), { ordered: false });
+  await audit.recordBatch(null, {
+    action: 'reconcile',
+    documentIds: batch.map(c => c.documentId),
+    source: 'reconciliation',
+    details: { backboneVersion },
+  });
+}
+
+// Réconcilie les documents (tous ou les nouveaux); { scanned, updated, unmatched, full } ou false
+async function reconcileOccurrences(collection) {
+  const backbone = getBackbone();
+  const metaColl = metaCollection();
+  if (!backbone || !metaColl || !collection) return false;
+  if (running) return false;
+  running = true;
+  const t0 = Date.now();
+  try {
+    const meta = await metaColl.findOne({ _id: META_ID });
+    const full = !meta || meta.backboneVersion !== backbone.version || !meta.lastObjectId;
+    const since = full ? null : meta.lastObjectId;
+    const cursor = collection.find(since ? { _id: { $gt: new ObjectId(since) } } : {}, { projection: PROJECTION });
+    let lastObjectId = since;
+    let scanned = 0;
+    let updated = 0;
+    let unmatched = 0;
+    let batch = [];
+    // eslint-disable-next-line no-restricted-syntax
+    for await (const doc of cursor) {
+      scanned++;
+      if (doc._id instanceof ObjectId) {
+        const hex = doc._id.toHexString();
+        if (!lastObjectId || hex > lastObjectId) lastObjectId = hex;
+      }
+      const changes = reconciledFields(doc);
+      if (!changes) { unmatched++; continue; }
+      const keys = Object.keys(changes);
+      if (!keys.length) continue;
+      batch.push({ documentId: doc._id, after: changes });
+      updated++;
+      if (batch.length >= WRITE_BATCH_SIZE) {
+        await flush(collection, batch, backbone.version);
+        batch = [];
+      }
+    }
+    await flush(collection, batch, backbone.version);
+    const stats = { scanned, updated, unmatched, full };
+    await metaColl.replaceOne({ _id: META_ID }, {
+      _id: META_ID,
+      backboneVersion: backbone.version,
+      stamp: (meta?.stamp || 0) + (updated > 0 ? 1 : 0),
+      lastObjectId,
+      updatedAt: new Date().toISOString(),
+      // Totaux du dernier passage complet, complétés par les passages incrémentaux
+      totals: full ? { scanned, updated, unmatched } : {
+        scanned: (meta.totals?.scanned || 0) + scanned,
+        updated: (meta.totals?.updated || 0) + updated,
+        unmatched: (meta.totals?.unmatched || 0) + unmatched,
+      },
+    }, { upsert: true });
+    console.log(`[reconciliation] ${full ? 'Passage complet' : 'Nouveaux documents'}: scanned=${scanned} updated=${updated} unmatched=${unmatched} time=${((Date.now() - t0) / 1000).toFixed(1)}s`);
+    return stats;
+  } catch (e) {
+    console.error('[reconciliation] Erreur:', e);
+    return false;
+  } finally {
+    running = false;
+  }
+}
+
+// État: référentiel chargé (fichier, version, nb de noms) + dernier passage
+async function reconciliationStatus() {
+  const backbone = getBackbone();
+  const metaColl = metaCollection();
+  const meta = metaColl ? await metaColl.findOne({ _id: META_ID }, { projection: { _id: 0 } }) : null;
+  return {
+    backbone: backbone
+      ? { file: backbone.file, version: backbone.version, names: backbone.taxa.size, loadedAt: backbone.loadedAt }
+      : null,
+    running,
+    lastRun: meta,
+    upToDate: Boolean(backbone && meta && meta.backboneVersion === backbone.version),
+  };
+}
+
+// Version des noms des occurrences (0 tant qu'aucun passage n'a modifié de document)
+async function reconciliationStamp() {
+  const metaColl = metaCollection();
+  const meta = metaColl ? await metaColl.findOne({ _id: META_ID }, { projection: { stamp: 1 } }) : null;
+  return meta?.stamp || 0;
+}
+
+module.exports = { reconcileOccurrences, reconciliationStatus, reconciliationStamp };
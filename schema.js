@@ -0,0 +1,170 @@
+/**
+ * Schéma des documents d'occurrence (termes Darwin Core canoniques)
+ * ------------------------------------------------------------------
+ * - Types déclarés par champ (texte, nombre, entier) + bornes et vocabulaires contrôlés
+ * - taxonRank / occurrenceStatus: vocabulaires GBIF (stockés en majuscules)
+ * - taxonID / taxonomicStatus: taxon accepté du référentiel local et statut du nom d'origine
+ *   (renseignés par la réconciliation, voir backbone.js)
+ * - countryCode: ISO 3166-1 alpha-2
+ * - Champs hors schéma acceptés si leur nom est un identifiant simple (pas de '$' ni de '.'), dans la
+ *   limite de FREE_FIELDS_MAX champs: valeurs simples, ou tableaux / objets d'au plus
+ *   FREE_VALUE_MAX_DEPTH niveaux et FREE_VALUE_MAX_LENGTH caractères une fois sérialisés
+ * - Erreurs structurées par champ: { champ: message } (affichées à côté des saisies)
+ */
+
+const YEAR_MIN = 1500;
+
+const TAXON_RANKS = [
+  'KINGDOM', 'PHYLUM', 'CLASS', 'ORDER', 'FAMILY', 'GENUS', 'SPECIES',
+  'SUBSPECIES', 'VARIETY', 'SUBVARIETY', 'FORM', 'SUBFORM', 'UNRANKED',
+];
+
+const OCCURRENCE_STATUSES = ['PRESENT', 'ABSENT'];
+
+// ISO 3166-1 alpha-2 (codes officiellement attribués)
+const COUNTRY_CODES = new Set((
+  'AD AE AF AG AI AL AM AO AQ AR AS AT AU AW AX AZ BA BB BD BE BF BG BH BI BJ BL BM BN BO BQ BR BS BT BV BW BY BZ '
+  + 'CA CC CD CF CG CH CI CK CL CM CN CO CR CU CV CW CX CY CZ DE DJ DK DM DO DZ EC EE EG EH ER ES ET FI FJ FK FM FO FR '
+  + 'GA GB GD GE GF GG GH GI GL GM GN GP GQ GR GS GT GU GW GY HK HM HN HR HT HU ID IE IL IM IN IO IQ IR IS IT JE JM JO JP '
+  + 'KE KG KH KI KM KN KP KR KW KY KZ LA LB LC LI LK LR LS LT LU LV LY MA MC MD ME MF MG MH MK ML MM MN MO MP MQ MR MS MT '
+  + 'MU MV MW MX MY MZ NA NC NE NF NG NI NL NO NP NR NU NZ OM PA PE PF PG PH PK PL PM PN PR PS PT PW PY QA RE RO RS RU RW '
+  + 'SA SB SC SD SE SG SH SI SJ SK SL SM SN SO SR SS ST SV SX SY SZ TC TD TF TG TH TJ TK TL TM TN TO TR TT TV TW TZ UA UG '
+  + 'UM US UY UZ VA VC VE VG VI VN VU WF WS YE YT ZA ZM ZW'
+).split(' '));
+
+// Déclaration des champs canoniques
+// type: 'string' | 'number' | 'integer'; required; min/max (nombres); maxLength; enum (majuscules); check (fonction)
+const OCCURRENCE_SCHEMA = {
+  occurrenceID:           { type: 'string', maxLength: 256 },
+  kingdom:                { type: 'string', maxLength: 128 },
+  phylum:                 { type: 'string', maxLength: 128 },
+  class:                  { type: 'string', maxLength: 128 },
+  order:                  { type: 'string', maxLength: 128 },
+  family:                 { type: 'string', maxLength: 128 },
+  genus:                  { type: 'string', maxLength: 128 },
+  species:                { type: 'string', maxLength: 256 },
+  infraspecificEpithet:   { type: 'string', maxLength: 128 },
+  taxonRank:              { type: 'string', enum: TAXON_RANKS },
+  scientificName:         { type: 'string', maxLength: 512 },
+  verbatimScientificName: { type: 'string', maxLength: 512 },
+  taxonID:                { type: 'string', maxLength: 256 },
+  taxonomicStatus:        { type: 'string', maxLength: 64, upper: true },
+  countryCode:            { type: 'string', check: v => COUNTRY_CODES.has(v.toUpperCase()), upper: true, message: 'Code pays ISO 3166-1 alpha-2 attendu (ex: BR).' },
+  locality:               { type: 'string', maxLength: 1024 },
+  occurrenceStatus:       { type: 'string', enum: OCCURRENCE_STATUSES },
+  decimalLatitude:        { type: 'number', required: true, min: -90, max: 90 },
+  decimalLongitude:       { type: 'number', required: true, min: -180, max: 180 },
+  year:                   { type: 'integer', min: YEAR_MIN, max: () => new Date().getFullYear() },
+  month:                  { type: 'integer', min: 1, max: 12 },
+  day:                    { type: 'integer', min: 1, max: 31 },
+  individualCount:        { type: 'integer', min: 0 },
+  coordinateUncertaintyInMeters: { type: 'number', min: 0 },
+};
+
+// Noms de champs libres: identifiant simple (pas d'opérateur Mongo ni de chemin pointé)
+const FIELD_NAME_RE = /^[A-Za-z][A-Za-z0-9_]{0,63}$/;
+const FREE_FIELDS_MAX = 100;
+const FREE_VALUE_MAX_DEPTH = 2;       // ex. tableau d'objets simples
+const FREE_VALUE_MAX_LENGTH = 4096;   // caractères (JSON)
+
+// Valeur d'un champ libre: message d'erreur, ou null si acceptée
+function freeValueError(raw) {
+  if (raw !== null && typeof raw === 'object' && JSON.stringify(raw).length > FREE_VALUE_MAX_LENGTH) {
+    return `${FREE_VALUE_MAX_LENGTH} caractères maximum (valeur sérialisée).`;
+  }
+  if (typeof raw === 'string' && raw.length > FREE_VALUE_MAX_LENGTH) return `${FREE_VALUE_MAX_LENGTH} caractères maximum.`;
+  const walk = (value, depth) => {
+    // Valeurs BSON d'un document existant (Date, ObjectId...): valeurs simples
+    if (value === null || typeof value !== 'object') return null;
+    if (!Array.isArray(value) && Object.getPrototypeOf(value) !== Object.prototype) return null;
+    if (depth >= FREE_VALUE_MAX_DEPTH) return `Structure trop imbriquée (${FREE_VALUE_MAX_DEPTH} niveaux maximum).`;
+    for (const [k, child] of Object.entries(value)) {
+      if (!Array.isArray(value) && !FIELD_NAME_RE.test(k)) return 'Nom de sous-champ invalide (lettres, chiffres et _ uniquement).';
+      const error = walk(child, depth + 1);
+      if (error) return error;
+    }
+    return null;
+  };
+  return walk(raw, 0);
+}
+
+// Cast numérique tolérant (virgule décimale, espaces)
+function castNumber(v) {
+  if (typeof v === 'number') return Number.isFinite(v) ? v : null;
+  if (typeof v !== 'string') return null;
+  const s = v.trim().replace(',', '.');
+  if (s === '') return null;
+  const n = Number(s);
+  return Number.isFinite(n) ? n : null;
+}
+
+// Vérifie et convertit une valeur selon sa règle; retourne { value } ou { error }
+function checkValue(rule, raw) {
+  if (rule.type === 'number' || rule.type === 'integer') {
+    const n = castNumber(raw);
+    if (n === null) return { error: rule.type === 'integer' ? 'Nombre entier attendu.' : 'Nombre attendu.' };
+    if (rule.type === 'integer' && !Number.isInteger(n)) return { error: 'Nombre entier attendu.' };
+    const max = typeof rule.max === 'function' ? rule.max() : rule.max;
+    if (rule.min !== undefined && n < rule.min) return { error: max !== undefined ? `Valeur attendue entre ${rule.min} et ${max}.` : `Valeur minimale: ${rule.min}.` };
+    if (max !== undefined && n > max) return { error: rule.min !== undefined ? `Valeur attendue entre ${rule.min} et ${max}.` : `Valeur maximale: ${max}.` };
+    return { value: n };
+  }
+  if (typeof raw === 'object') return { error: 'Texte attendu.' };
+  const s = String(raw).trim();
+  if (rule.maxLength && s.length > rule.maxLength) return { error: `${rule.maxLength} caractères maximum.` };
+  if (rule.enum) {
+    const up = s.toUpperCase();
+    if (!rule.enum.includes(up)) return { error: `Valeur attendue parmi: ${rule.enum.join(', ')}.` };
+    return { value: up };
+  }
+  if (rule.check && !rule.check(s)) return { error: rule.message || 'Valeur invalide.' };
+  return { value: rule.upper ? s.toUpperCase() : s };
+}
+
+// Valide un document (après retrait de _id / location par l'appelant)
+// unchanged: champs hors schéma repris tels quels d'un document existant (modification partielle),
+// conservés sans contrôle (documents antérieurs aux limites) mais comptés dans FREE_FIELDS_MAX
+// Retourne { doc } (valeurs converties, champs optionnels vides retirés) ou { fields } (erreurs par champ)
+function validateOccurrence(input, { unchanged = new Set() } = {}) {
+  const doc = {};
+  const fields = {};
+  let freeFields = 0;
+  for (const [key, raw] of Object.entries(input || {})) {
+    const rule = OCCURRENCE_SCHEMA[key];
+    if (!rule) {
+      if (unchanged.has(key)) { freeFields++; doc[key] = raw; continue; }
+      if (!FIELD_NAME_RE.test(key)) { fields[key] = 'Nom de champ invalide (lettres, chiffres et _ uniquement).'; continue; }
+      if (++freeFields > FREE_FIELDS_MAX) { fields[key] = `Trop de champs hors schéma (${FREE_FIELDS_MAX} maximum).`; continue; }
+      const error = freeValueError(raw);
+      if (error) fields[key] = error; else doc[key] = raw;
+      continue;
+    }
+    if (raw === undefined || raw === null || (typeof raw === 'string' && raw.trim() === '')) continue;
+    const { value, error } = checkValue(rule, raw);
+    if (error) fields[key] = error; else doc[key] = value;
+  }
+  for (const [key, rule] of Object.entries(OCCURRENCE_SCHEMA)) {
+    if (rule.required && doc[key] === undefined && !fields[key]) fields[key] = 'Champ requis.';
+  }
+  return Object.keys(fields).length ? { fields } : { doc };
+}
+
+// Description publique du schéma (vocabulaires pour les listes de saisie côté client)
+function describeSchema() {
+  const out = {};
+  for (const [key, rule] of Object.entries(OCCURRENCE_SCHEMA)) {
+    const max = typeof rule.max === 'function' ? rule.max() : rule.max;
+    out[key] = {
+      type: rule.type,
+      required: !!rule.required,
+      ...(rule.min !== undefined ? { min: rule.min } : {}),
+      ...(max !== undefined ? { max } : {}),
+      ...(rule.maxLength ? { maxLength: rule.maxLength } : {}),
+      ...(rule.enum ? { enum: rule.enum } : {}),
+    };
+  }
+  out.countryCode.enum = [...COUNTRY_CODES];
+  return out;
+}
+
+module.exports = { OCCURRENCE_SCHEMA, TAXON_RANKS, OCCURRENCE_STATUSES, COUNTRY_CODES, validateOccurrence, describeSchema };
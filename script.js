@@ -35,6 +35,9 @@ const markers = L.layerGroup().addTo(map);
 // Couche dédiée pour la visualisation latitude-diversité (séparée des marqueurs d'observations)
 let latDivLayer = L.layerGroup();
 let latDivActive = false;
+// Couche de l'animation temporelle (échantillons par année) et état lecture/pause
+let timelineLayer = L.layerGroup();
+let timelineActive = false;
 const statusDiv = document.getElementById('requete');
 const loadingOverlay = document.getElementById('loading-overlay');
 const cancelBtn = document.getElementById('btn-cancel-requests');
@@ -91,6 +94,16 @@ if (cancelBtn) {
     console.warn('[cancel] Aborted requests:', aborted);
   });
 }
+// ----- Session utilisateur (rôles viewer < contributor < admin) -----
+const ROLE_ORDER = ['viewer', 'contributor', 'admin'];
+let currentUser = null; // { username, role } ou null (anonyme)
+
+// Vrai si l'utilisateur connecté a au moins le rôle demandé
+function userHasRole(minRole) {
+  if (!currentUser) return false;
+  return ROLE_ORDER.indexOf(currentUser.role) >= ROLE_ORDER.indexOf(minRole);
+}
+
 // Ne rien charger au démarrage tant qu'aucun filtre n'est sélectionné
 if (statusDiv) statusDiv.textContent = 'Sélectionnez un filtre taxonomique pour afficher la carte.';
 
@@ -101,7 +114,8 @@ const docLimitInput = document.getElementById('doc-limit');
 const docLimitLabel = document.getElementById('doc-limit-label');
 const rangeSingleEl = document.querySelector('.range-single');
 
-// Mapping exponentiel: valeur slider [0..SLIDER_MAX] -> [DOC_MIN..DOC_MAX]
+// Mapping exponentiel: valeur slider [0..SLIDER_MAX] -> [DOC_MIN..DOC_MAX] (mêmes bornes que le
+// curseur de index.html): toute la collection est atteignable, donc aussi le mode canvas
 const DOC_MIN = 100;
 const DOC_MAX = 35000000;
 const SLIDER_MAX = 1000;
@@ -121,6 +135,12 @@ function limitToSlider(limit) {
 }
 // État courant du tri (par défaut: ID croissant)
 let sortState = { field: '_id', dir: 'asc' };
+// Restreindre les requêtes à la zone visible de la carte (bbox envoyée à /api/observations)
+const viewportOnlyInput = document.getElementById('viewport-only');
+let viewportOnly = viewportOnlyInput ? viewportOnlyInput.checked : true;
+// Écarter les occurrences signalées par les contrôles qualité (carte, export, tuiles, grille)
+const excludeFlaggedInput = document.getElementById('exclude-flagged');
+let excludeFlagged = excludeFlaggedInput ? excludeFlaggedInput.checked : false;
 
 function getDocLimit() { return docLimit; }
 
@@ -199,46 +219,109 @@ function initDocLimitPanel() {
     });
   });
   updateActiveSort();
+
+  // Mode de rendu des observations (voir RENDER_MODES): rechargement avec les filtres courants
+  const renderModeSelect = document.getElementById('render-mode');
+  if (renderModeSelect) {
+    renderModeSelect.innerHTML = Object.entries(RENDER_MODES)
+      .map(([id, label]) => `<option value="${id}">${escapeHtml(label)}</option>`)
+      .join('');
+    renderModeSelect.value = renderModeSetting;
+    renderModeSelect.addEventListener('change', async () => {
+      renderModeSetting = renderModeSelect.value;
+      try { localStorage.setItem('render_mode', renderModeSetting); } catch {}
+      if (observationCount === 0 && !vectorTileLayer) return;
+      await updateMapForFilters({ ...getCurrentTaxFilters(), ...getCurrentYearFilter() });
+    });
+  }
+
+  // Bouton "Exporter" (format choisi dans la liste à côté)
+  const exportBtn = document.getElementById('btn-export');
+  const exportFormat = document.getElementById('export-format');
+  exportBtn?.addEventListener('click', () => exportCurrentSelection(exportFormat?.value || 'csv'));
+
+  // Case "Limiter à la zone affichée": relance la carte avec/sans bbox
+  viewportOnlyInput?.addEventListener('change', async () => {
+    viewportOnly = viewportOnlyInput.checked;
+    const filters = { ...getCurrentTaxFilters(), ...getCurrentYearFilter() };
+    showLoader();
+    try {
+      await updateMapForFilters(filters);
+    } finally {
+      hideLoader();
+    }
+  });
+
+  // Case "Exclure les données signalées": relance la carte et la grille active
+  excludeFlaggedInput?.addEventListener('change', async () => {
+    excludeFlagged = excludeFlaggedInput.checked;
+    const filters = { ...getCurrentTaxFilters(), ...getCurrentYearFilter() };
+    showLoader();
+    try {
+      await updateMapForFilters(filters);
+      await refreshBioGridGlobal({ quiet: true });
+      await refreshLatitudeDiversity();
+    } finally {
+      hideLoader();
+    }
+  });
 }
 
-// --------- Panneau taxonomique (sélection hiérarchique) ---------
-const selects = {
-  kingdom: document.getElementById('select-kingdom'),
-  phylum: document.getElementById('select-phylum'),
-  class: document.getElementById('select-class'),
-  order: document.getElementById('select-order'),
-  family: document.getElementById('select-family'),
-  genus: document.getElementById('select-genus'),
-  species: document.getElementById('select-species'),
-  scientificName: document.getElementById('select-scientificName'),
-};
+// --------- Panneau taxonomique (sélection hiérarchique, plusieurs valeurs par niveau) ---------
 const levels = ['kingdom','phylum','class','order','family','genus','species','scientificName'];
+// Bouton de chaque niveau (ouvre la liste de choix, voir openTaxMenu)
+const taxButtons = Object.fromEntries(levels.map(lvl => [lvl, document.getElementById(`tax-${lvl}`)]));
+// État par niveau: valeurs proposées (cascade), valeurs incluses ($in) et exclues ($nin)
+const taxState = Object.fromEntries(levels.map(lvl => [lvl, { values: [], include: [], exclude: [], enabled: false }]));
+
+// Libellé du bouton d'un niveau: valeurs incluses puis exclues ("sauf ...")
+function renderTaxButton(lvl) {
+  const btn = taxButtons[lvl];
+  if (!btn) return;
+  const { include, exclude, enabled } = taxState[lvl];
+  const short = (list) => (list.length > 2 ? `${list[0]} +${list.length - 1}` : list.join(', '));
+  const parts = [];
+  if (include.length) parts.push(short(include));
+  if (exclude.length) parts.push(`sauf ${short(exclude)}`);
+  btn.textContent = parts.length ? parts.join(' · ') : '—';
+  btn.title = [
+    include.length ? `Inclus: ${include.join(', ')}` : '',
+    exclude.length ? `Exclus: ${exclude.join(', ')}` : '',
+  ].filter(Boolean).join('\n');
+  btn.disabled = !enabled;
+  btn.classList.toggle('has-include', include.length > 0);
+  btn.classList.toggle('has-exclude', exclude.length > 0);
+}
 
-// Réinitialise et désactive tous les sélecteurs taxonomiques situés en dessous du niveau donné.
-// Désactive + réinitialise tous les selects en dessous d'un niveau donné
+// Désactive + réinitialise tous les niveaux en dessous d'un niveau donné
 function resetBelow(level) {
   const idx = levels.indexOf(level);
   for (let i = idx + 1; i < levels.length; i++) {
-    const s = selects[levels[i]];
-    if (!s) continue;
-    s.innerHTML = '<option value="">—</option>';
-    s.disabled = true;
+    taxState[levels[i]] = { values: [], include: [], exclude: [], enabled: false };
+    renderTaxButton(levels[i]);
   }
 }
 
-// Remplit un <select> avec une option vide puis les valeurs fournies et l'active.
-function populateSelect(el, values) {
-  el.innerHTML = '<option value="">—</option>' + values.map(v => `<option value="${v.replaceAll('"','&quot;')}">${v}</option>`).join('');
-  el.disabled = false;
+// Propose les valeurs fournies pour un niveau (sélection vidée) et l'active
+function populateTaxLevel(lvl, values) {
+  taxState[lvl] = { values, include: [], exclude: [], enabled: true };
+  renderTaxButton(lvl);
+}
+
+// Paramètres de requête d'un objet de filtres: les valeurs multiples (tableaux) deviennent des
+// paramètres répétés (ex. class=Mammalia&class=Aves&familyExclude=Nymphalidae)
+function filterParams(filters, init = {}) {
+  const params = new URLSearchParams(init);
+  for (const [k, v] of Object.entries(filters || {})) {
+    if (Array.isArray(v)) v.forEach(x => params.append(k, x));
+    else if (v !== undefined && v !== null && v !== '') params.set(k, v);
+  }
+  return params;
 }
 
-// Récupère depuis l'API les valeurs distinctes pour un niveau taxonomique donné en appliquant les filtres.
 // Récupère les valeurs distinctes d'un niveau taxo en tenant compte des filtres amont
 async function fetchTaxValues(level, currentFilters) {
-  const params = new URLSearchParams({ level });
-  for (const k of levels) {
-    if (currentFilters[k]) params.set(k, currentFilters[k]);
-  }
+  const params = filterParams(currentFilters, { level });
   try {
     const resp = await fetchWithCancel('/api/taxonomy/values?' + params.toString());
     const data = await resp.json();
@@ -249,9 +332,891 @@ async function fetchTaxValues(level, currentFilters) {
   }
 }
 
+// Bbox courante de la carte (minLng,minLat,maxLng,maxLat), bornée au monde pour le serveur
+function getMapBBox() {
+  const b = map.getBounds();
+  const clamp = (v, lo, hi) => Math.max(lo, Math.min(hi, v));
+  return [
+    clamp(b.getWest(), -180, 180),
+    clamp(b.getSouth(), -90, 90),
+    clamp(b.getEast(), -180, 180),
+    clamp(b.getNorth(), -90, 90)
+  ].map(v => v.toFixed(5)).join(',');
+}
+
+// Paramètres de sélection communs à /api/observations et /api/export: filtres, qualité, tri et filtre spatial
+// options.bbox: true = vue courante de la carte, chaîne = bbox explicite, false = pas de filtre spatial
+// (par défaut: suit la case "Limiter à la zone affichée")
+// options.polygon: polygone GeoJSON (ou tableau de [lng, lat]) transmis tel quel au serveur
+function buildSelectionParams(filters, options = {}) {
+  const params = filterParams(filters);
+  if (excludeFlagged) params.set('excludeFlagged', '1');
+  // Tri
+  if (sortState?.field && sortState?.dir) {
+    params.set('sortField', sortState.field);
+    params.set('sortDir', sortState.dir);
+  }
+  // Filtre spatial: la limite de documents porte alors sur ce qui est visible
+  const bboxOpt = options.bbox === undefined ? viewportOnly : options.bbox;
+  const bbox = typeof bboxOpt === 'string' ? bboxOpt : (bboxOpt ? getMapBBox() : null);
+  if (bbox) params.set('bbox', bbox);
+  if (options.polygon) params.set('polygon', JSON.stringify(options.polygon));
+  return params;
+}
+
+// Télécharge la sélection courante (filtres, tri, zone affichée, limite) au format demandé
+// Le navigateur gère directement le flux du fichier (pas de fetch: pas de mise en mémoire)
+function exportCurrentSelection(format) {
+  const params = buildSelectionParams({ ...getCurrentTaxFilters(), ...getCurrentYearFilter() });
+  params.set('format', format);
+  params.set('limit', String(getDocLimit()));
+  const a = document.createElement('a');
+  a.href = '/api/export?' + params.toString();
+  a.download = '';
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  showToast(`Export ${format.toUpperCase()} lancé (${fmt(getDocLimit())} documents max).`, 'info');
+}
+
+// Taille de page pour /api/observations (la limite du slider est atteinte en plusieurs pages).
+// Les pages sont streamées en NDJSON: elles peuvent être grandes sans retarder l'affichage.
+const OBS_PAGE_SIZE = 50000;
+let mapLoadSeq = 0; // identifiant du chargement courant (les plus anciens s'arrêtent)
+let lastMarkerLoad = null; // { filters, options } du dernier chargement de marqueurs (suivi de la vue)
+
+// Lit une réponse NDJSON au fil de l'eau: onItem(obj) est appelé pour chaque ligne de données
+// (retourner false arrête la lecture). Renvoie la ligne finale { __end: true, ... } si reçue.
+async function readNdjson(resp, onItem) {
+  const reader = resp.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+  let trailer = null;
+  const handleLine = async (line) => {
+    if (!line.trim()) return true;
+    const obj = JSON.parse(line);
+    if (obj.__error) throw new Error(obj.__error);
+    if (obj.__end) { trailer = obj; return true; }
+    return (await onItem(obj)) !== false;
+  };
+  try {
+    for (;;) {
+      const { value, done } = await reader.read();
+      if (done) break;
+      buffer += decoder.decode(value, { stream: true });
+      const lines = buffer.split('\n');
+      buffer = lines.pop();
+      for (const line of lines) {
+        if (!(await handleLine(line))) { await reader.cancel().catch(() => {}); return trailer; }
+      }
+    }
+    buffer += decoder.decode();
+    await handleLine(buffer);
+    return trailer;
+  } finally {
+    try { reader.releaseLock(); } catch {}
+  }
+}
+
+// ----- Rendu des observations -----
+// Quatre modes, tous dans la couche 'markers' (masquée par les filtres rapides):
+// - markers: un L.circleMarker SVG par observation (popups directs), pour les petits résultats
+// - cluster: regroupement (Leaflet.markercluster), nb d'observations au survol, popups au zoom maximal
+// - canvas: un seul <canvas> redessiné à chaque déplacement, pour des centaines de milliers de points
+// - tiles: tuiles vectorielles servies par /tiles/observations (Leaflet.VectorGrid), sans limite de
+//   documents: seules les tuiles visibles sont chargées, points éclaircis aux petits zooms
+// 'auto' choisit selon la limite de documents demandée (jamais les tuiles: choix explicite).
+const RENDER_MODES = {
+  auto: 'Automatique',
+  markers: 'Marqueurs',
+  cluster: 'Regroupés',
+  canvas: 'Canvas (grands volumes)',
+  tiles: 'Tuiles vectorielles (toute la collection)'
+};
+const AUTO_MARKERS_MAX = 5000;     // au-delà: regroupement
+const AUTO_CLUSTER_MAX = 20000;    // au-delà: canvas (le regroupement devient lent)
+let renderModeSetting = 'auto';
+try { renderModeSetting = localStorage.getItem('render_mode') || renderModeSetting; } catch {}
+if (!RENDER_MODES[renderModeSetting]) renderModeSetting = 'auto';
+let renderMode = 'markers';        // mode effectif du chargement courant
+let clusterLayer = null;           // L.MarkerClusterGroup (mode cluster)
+let pendingClusterMarkers = [];    // ajoutés par lots (addLayers) pour rester rapide
+let canvasLayer = null;            // ObservationCanvasLayer (mode canvas)
+let vectorTileLayer = null;        // L.VectorGrid.Protobuf (mode tiles)
+let vectorTileUrl = '';            // URL (filtres compris) de la couche de tuiles courante
+
+// Observations affichées indexées par _id, et marqueurs (modes markers / cluster)
+// pour la mise à jour / suppression en place depuis le popup
+const observationById = new Map();
+const markerById = new Map();
+let observationCount = 0;
+
+// Couche canvas des observations: pas d'objet Leaflet par point, index de pixels (cases de
+// CANVAS_HIT_CELL px) reconstruit à chaque dessin pour retrouver le point cliqué
+const CANVAS_HIT_CELL = 16;
+const ObservationCanvasLayer = L.Layer.extend({
+  initialize() {
+    this._points = [];
+    this._hitIndex = new Map();
+    this._frame = null;
+  },
+  onAdd(map) {
+    this._canvas = L.DomUtil.create('canvas', 'obs-canvas leaflet-zoom-hide');
+    map.getPanes().overlayPane.appendChild(this._canvas);
+    map.on('moveend resize', this._reset, this);
+    map.on('click', this._onClick, this);
+    map.on('mousemove', this._onMouseMove, this);
+    this._reset();
+  },
+  onRemove(map) {
+    L.DomUtil.remove(this._canvas);
+    map.off('moveend resize', this._reset, this);
+    map.off('click', this._onClick, this);
+    map.off('mousemove', this._onMouseMove, this);
+    map.getContainer().style.cursor = '';
+    cancelAnimationFrame(this._frame);
+  },
+  addPoint(obs) {
+    this._points.push(obs);
+    this._scheduleRedraw();
+  },
+  eachPoint(fn) {
+    this._points.forEach(fn);
+  },
+  updatePoint(id, obs) {
+    const i = this._points.findIndex(p => String(p._id) === id);
+    if (i < 0) return;
+    if (obs) this._points[i] = obs; else this._points.splice(i, 1);
+    this._scheduleRedraw();
+  },
+  _scheduleRedraw() {
+    if (!this._map || this._frame) return;
+    this._frame = requestAnimationFrame(() => { this._frame = null; this._redraw(); });
+  },
+  _reset() {
+    const map = this._map;
+    const size = map.getSize();
+    const ratio = window.devicePixelRatio || 1;
+    L.DomUtil.setPosition(this._canvas, map.containerPointToLayerPoint([0, 0]));
+    this._canvas.width = size.x * ratio;
+    this._canvas.height = size.y * ratio;
+    this._canvas.style.width = size.x + 'px';
+    this._canvas.style.height = size.y + 'px';
+    this._redraw();
+  },
+  _radius() {
+    const zoom = this._map.getZoom();
+    return zoom >= 12 ? 6 : zoom >= 8 ? 4 : 2.5;
+  },
+  _redraw() {
+    const map = this._map;
+    if (!map) return;
+    const ctx = this._canvas.getContext('2d');
+    const ratio = window.devicePixelRatio || 1;
+    ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+    ctx.clearRect(0, 0, this._canvas.width, this._canvas.height);
+    const b = map.getBounds().pad(0.05);
+    const south = b.getSouth(); const north = b.getNorth(); const west = b.getWest(); const east = b.getEast();
+    const r = this._radius();
+    this._hitIndex = new Map();
+    ctx.beginPath();
+    for (let i = 0; i < this._points.length; i++) {
+      const p = this._points[i];
+      const lat = p.decimalLatitude; const lng = p.decimalLongitude;
+      if (lat < south || lat > north || lng < west || lng > east) continue;
+      const pt = map.latLngToContainerPoint([lat, lng]);
+      ctx.moveTo(pt.x + r, pt.y);
+      ctx.arc(pt.x, pt.y, r, 0, Math.PI * 2);
+      const key = `${Math.floor(pt.x / CANVAS_HIT_CELL)}:${Math.floor(pt.y / CANVAS_HIT_CELL)}`;
+      const cell = this._hitIndex.get(key);
+      if (cell) cell.push(i); else this._hitIndex.set(key, [i]);
+    }
+    ctx.fillStyle = 'rgba(63, 167, 255, 0.7)';
+    ctx.fill();
+    if (r >= 4) {
+      ctx.strokeStyle = '#0078ff';
+      ctx.lineWidth = 1;
+      ctx.stroke();
+    }
+  },
+  // Point le plus proche du pixel (cases voisines de l'index), ou null
+  _hitTest(containerPoint) {
+    const map = this._map;
+    const cx = Math.floor(containerPoint.x / CANVAS_HIT_CELL);
+    const cy = Math.floor(containerPoint.y / CANVAS_HIT_CELL);
+    const maxDist = this._radius() + 3;
+    let best = null; let bestDist = Infinity;
+    for (let dx = -1; dx <= 1; dx++) {
+      for (let dy = -1; dy <= 1; dy++) {
+        for (const i of this._hitIndex.get(`${cx + dx}:${cy + dy}`) || []) {
+          const p = this._points[i];
+          if (!p) continue;
+          const d = map.latLngToContainerPoint([p.decimalLatitude, p.decimalLongitude]).distanceTo(containerPoint);
+          if (d <= maxDist && d < bestDist) { best = p; bestDist = d; }
+        }
+      }
+    }
+    return best;
+  },
+  _onClick(e) {
+    const obs = this._hitTest(e.containerPoint);
+    if (obs) openObservationPopupAt(obs);
+  },
+  _onMouseMove(e) {
+    this._map.getContainer().style.cursor = this._hitTest(e.containerPoint) ? 'pointer' : '';
+  }
+});
+
+// Mode effectif pour un chargement de 'expected' observations au plus
+function resolveRenderMode(expected) {
+  const clusterAvailable = typeof L.markerClusterGroup === 'function';
+  let mode = renderModeSetting;
+  if (mode === 'auto') mode = expected <= AUTO_MARKERS_MAX ? 'markers' : expected <= AUTO_CLUSTER_MAX ? 'cluster' : 'canvas';
+  // Plugin de regroupement / de tuiles non chargé (CDN indisponible): canvas
+  if (mode === 'cluster' && !clusterAvailable) mode = 'canvas';
+  if (mode === 'tiles' && typeof L.vectorGrid?.protobuf !== 'function') mode = 'canvas';
+  return mode;
+}
+
+// Vide la couche des observations (et les index)
+function clearObservationMarkers() {
+  markers.clearLayers();
+  markerById.clear();
+  observationById.clear();
+  observationCount = 0;
+  clusterLayer = null;
+  canvasLayer = null;
+  vectorTileLayer = null;
+  vectorTileUrl = '';
+  pendingClusterMarkers = [];
+}
+
+// Leaflet >= 1.8 n'a plus L.DomEvent.fakeStop, encore appelé par VectorGrid sur les clics
+if (L.DomEvent && !L.DomEvent.fakeStop) L.DomEvent.fakeStop = () => true;
+
+// Mode tiles: (re)crée la couche de tuiles si les filtres ont changé (la vue n'intervient pas)
+function showObservationTiles(filters, options = {}) {
+  const params = buildSelectionParams(filters, { bbox: false, polygon: options.polygon });
+  params.delete('sortField');
+  params.delete('sortDir');
+  const qs = params.toString();
+  const url = '/tiles/observations/{z}/{x}/{y}.pbf' + (qs ? '?' + qs : '');
+  if (vectorTileLayer && url === vectorTileUrl) return;
+  clearObservationMarkers();
+  renderMode = 'tiles';
+  vectorTileUrl = url;
+  vectorTileLayer = L.vectorGrid.protobuf(url, {
+    rendererFactory: L.canvas.tile,
+    interactive: true,
+    maxNativeZoom: 18,
+    vectorTileLayerStyles: {
+      // Points regroupés (petits zooms): taille selon le nb d'observations représentées
+      observations: (props, zoom) => ({
+        radius: props.count > 1 ? Math.min(8, 3 + Math.log10(props.count) * 2) : (zoom >= 12 ? 5 : 3),
+        fill: true,
+        fillColor: '#3fa7ff',
+        fillOpacity: 0.7,
+        color: '#0078ff',
+        weight: 1
+      })
+    }
+  });
+  vectorTileLayer.on('click', async (e) => {
+    const props = e.layer?.properties || {};
+    // Point représentatif d'un regroupement: zoomer plutôt qu'ouvrir un document arbitraire
+    if (props.count > 1) {
+      map.setView(e.latlng, Math.min(map.getZoom() + 2, map.getMaxZoom()));
+      return;
+    }
+    if (!props.id) return;
+    try {
+      const resp = await fetchWithCancel('/api/documents/' + encodeURIComponent(props.id));
+      if (!resp.ok) throw new Error(`HTTP ${resp.status}`);
+      const data = await resp.json();
+      openObservationPopupAt(data.observation);
+    } catch (err) {
+      if (err?.name === 'AbortError') return;
+      console.error('Erreur ouverture observation (tuile):', err);
+    }
+  });
+  vectorTileLayer.addTo(markers);
+  if (statusDiv) statusDiv.textContent = 'Tuiles vectorielles: toutes les observations filtrées (points éclaircis aux petits zooms)';
+}
+
+// Prépare la couche des observations pour un nouveau chargement
+function beginObservationRendering(expected) {
+  clearObservationMarkers();
+  renderMode = resolveRenderMode(expected);
+  if (renderMode === 'cluster') {
+    clusterLayer = L.markerClusterGroup({ chunkedLoading: true, showCoverageOnHover: false, spiderfyOnMaxZoom: true });
+    // Nb d'observations (et d'espèces pour les petits groupes) au survol d'un groupe
+    clusterLayer.on('clustermouseover', (e) => {
+      const count = e.layer.getChildCount();
+      let text = `${fmt(count)} observations`;
+      if (count <= 5000) {
+        const species = new Set(e.layer.getAllChildMarkers().map(m => m.obs?.scientificName).filter(Boolean));
+        text += ` · ${fmt(species.size)} espèces`;
+      }
+      e.layer.bindTooltip(text, { direction: 'top' }).openTooltip();
+    });
+    clusterLayer.on('clustermouseout', (e) => e.layer.closeTooltip());
+    clusterLayer.addTo(markers);
+  } else if (renderMode === 'canvas') {
+    canvasLayer = new ObservationCanvasLayer();
+    canvasLayer.addTo(markers);
+  }
+}
+
+// Ajoute en une fois les marqueurs regroupés en attente
+function flushObservationRendering() {
+  if (clusterLayer && pendingClusterMarkers.length) {
+    clusterLayer.addLayers(pendingClusterMarkers);
+    pendingClusterMarkers = [];
+  }
+}
+
+// Emprise des observations affichées (null si aucune)
+function observationBounds() {
+  let south = Infinity; let north = -Infinity; let west = Infinity; let east = -Infinity;
+  const extend = (obs) => {
+    south = Math.min(south, obs.decimalLatitude); north = Math.max(north, obs.decimalLatitude);
+    west = Math.min(west, obs.decimalLongitude); east = Math.max(east, obs.decimalLongitude);
+  };
+  if (canvasLayer) canvasLayer.eachPoint(extend);
+  else if (clusterLayer) clusterLayer.getLayers().forEach(m => extend(m.obs));
+  else markers.getLayers().forEach(m => extend(m.obs));
+  return Number.isFinite(south) ? L.latLngBounds([south, west], [north, east]) : null;
+}
+
+// Contenu HTML du popup d'une observation (infos + actions Modifier / Supprimer)
+function buildObservationPopupHtml(obs) {
+  const sci = obs.scientificName || '';
+  const yearTxt = (typeof obs.year === 'number' || typeof obs.year === 'string') ? String(obs.year) : '';
+  const locTxt = obs.locality ? String(obs.locality) : '';
+  const ccTxt = obs.countryCode ? String(obs.countryCode).toUpperCase() : '';
+
+  const infoParts = [];
+  infoParts.push(`<div><strong>Nom scientifique :</strong> <em>${escapeHtml(sci)}</em></div>`);
+  if (yearTxt) infoParts.push(`<div><strong>Date de l'observation :</strong> ${escapeHtml(yearTxt)}</div>`);
+  const cityLine = (locTxt || ccTxt) ? `<div><strong>Ville :</strong> ${escapeHtml(locTxt)}${ccTxt ? ', ' + escapeHtml(ccTxt) : ''}</div>` : '';
+  if (cityLine) infoParts.push(cityLine);
+
+  // Fiche du taxon (tous), puis actions selon le rôle: modification (contributor), suppression (admin)
+  const actionButtons = [];
+  if (sci) actionButtons.push('<button type="button" class="popup-btn" data-action="profile">Fiche</button>');
+  if (obs._id && userHasRole('contributor')) actionButtons.push('<button type="button" class="popup-btn" data-action="edit">Modifier</button>');
+  if (obs._id && userHasRole('admin')) actionButtons.push('<button type="button" class="popup-btn danger" data-action="delete">Supprimer</button>');
+  const actions = actionButtons.length ? `
+      <div class="popup-actions">${actionButtons.join('')}</div>` : '';
+  // Onglets Détails / Historique (journal d'audit, comptes connectés) pour les documents identifiés
+  const tabs = obs._id && userHasRole('viewer') ? `
+      <div class="popup-tabs" role="tablist">
+        <button type="button" class="popup-tab active" data-tab="details" role="tab">Détails</button>
+        <button type="button" class="popup-tab" data-tab="history" role="tab">Historique</button>
+      </div>` : '';
+  return `
+    <div class="obs-popup" data-name="${escapeAttr(sci)}">${tabs}
+      <div class="popup-pane" data-pane="details">
+        <div class="img-container">Recherche image…</div>
+        <div class="info">${infoParts.join('')}</div>${actions}
+      </div>
+      <div class="popup-pane history" data-pane="history" hidden></div>
+    </div>`;
+}
+
+const AUDIT_ACTION_LABELS = { insert: 'Création', update: 'Modification', delete: 'Suppression', restore: 'Rétablissement', reconcile: 'Modification par lot', quality: 'Indicateurs qualité' };
+const AUDIT_SOURCE_LABELS = { import: 'import', reconciliation: 'réconciliation taxonomique', duplicates: 'doublons', quality: 'contrôle qualité' };
+
+// Valeur lisible d'un champ du diff (objets sérialisés, tronqués)
+function formatAuditValue(v) {
+  if (v === null || v === undefined) return '∅';
+  const txt = typeof v === 'object' ? JSON.stringify(v) : String(v);
+  return txt.length > 40 ? txt.slice(0, 39) + '…' : txt;
+}
+
+// Charge et affiche l'historique d'un document dans l'onglet du popup
+async function loadDocumentHistory(id, pane) {
+  pane.textContent = 'Chargement de l\'historique…';
+  try {
+    const resp = await fetch('/api/documents/' + encodeURIComponent(id) + '/history');
+    if (!resp.ok) throw new Error(`HTTP ${resp.status}`);
+    const { history } = await resp.json();
+    if (!history.length) {
+      pane.textContent = 'Aucune modification enregistrée.';
+      return;
+    }
+    pane.innerHTML = history.map(entry => {
+      const when = new Date(entry.at).toLocaleString('fr-FR');
+      const who = entry.actor ? escapeHtml(entry.actor) : 'anonyme';
+      const ip = entry.ip ? ` <span class="audit-ip">(${escapeHtml(entry.ip)})</span>` : '';
+      const changes = entry.action === 'update'
+        ? Object.entries(entry.diff || {}).map(([k, d]) =>
+            `<li><strong>${escapeHtml(k)}</strong> : ${escapeHtml(formatAuditValue(d.before))} → ${escapeHtml(formatAuditValue(d.after))}</li>`).join('')
+        : '';
+      return `<div class="audit-entry">
+          <div><strong>${escapeHtml(AUDIT_ACTION_LABELS[entry.action] || entry.action)}</strong>${AUDIT_SOURCE_LABELS[entry.source] ? ` (${AUDIT_SOURCE_LABELS[entry.source]})` : ''}</div>
+          <div class="audit-meta">${escapeHtml(when)} — ${who}${ip}</div>
+          ${changes ? `<ul>${changes}</ul>` : ''}
+        </div>`;
+    }).join('');
+  } catch (err) {
+    console.error('Erreur historique document:', err);
+    pane.textContent = 'Impossible de charger l\'historique.';
+  }
+}
+
+// Branche les actions d'un popup d'observation ouvert: Modifier / Supprimer, onglets, image d'espèce
+// currentObs: fonction retournant l'observation à jour (modifiée depuis l'ouverture éventuellement)
+async function wireObservationPopup(popup, currentObs, close) {
+  const el = popup.getElement();
+  const current = currentObs();
+  el?.querySelector('[data-action="edit"]')?.addEventListener('click', () => {
+    close();
+    openDocumentEditor?.(String(current._id));
+  });
+  el?.querySelector('[data-action="delete"]')?.addEventListener('click', () => deleteObservation(String(current._id)));
+  el?.querySelector('[data-action="profile"]')?.addEventListener('click', () => openTaxonProfile(current.scientificName));
+  el?.querySelectorAll('.popup-tab').forEach(tab => tab.addEventListener('click', () => {
+    const name = tab.dataset.tab;
+    el.querySelectorAll('.popup-tab').forEach(t => t.classList.toggle('active', t === tab));
+    el.querySelectorAll('.popup-pane').forEach(p => { p.hidden = p.dataset.pane !== name; });
+    // Rechargé à chaque ouverture de l'onglet: l'historique change avec les modifications
+    if (name === 'history') loadDocumentHistory(String(current._id), el.querySelector('[data-pane="history"]'));
+    popup.update();
+  }));
+  try {
+    const container = el?.querySelector('.img-container');
+    if (!container) return;
+    const sci = current.scientificName || '';
+    const media = await fetchSpeciesMedia(sci);
+    container.innerHTML = speciesMediaHtml(media, sci);
+    popup.update();
+  } catch {}
+}
+
+// Popup d'une observation du mode canvas (pas de marqueur: popup ouvert sur la carte)
+function openObservationPopupAt(obs) {
+  const popup = L.popup({ maxWidth: 260 })
+    .setLatLng([obs.decimalLatitude, obs.decimalLongitude])
+    .setContent(buildObservationPopupHtml(obs))
+    .openOn(map);
+  const id = obs._id ? String(obs._id) : null;
+  wireObservationPopup(popup, () => (id && observationById.get(id)) || obs, () => map.closePopup(popup));
+}
+
+// Crée le marqueur SVG d'une observation (popup + image d'espèce chargée à l'ouverture)
+function createObservationMarker(obs) {
+  const marker = L.circleMarker([obs.decimalLatitude, obs.decimalLongitude], {
+    radius: 6,
+    color: '#0078ff',
+    fillColor: '#3fa7ff',
+    fillOpacity: 0.7
+  });
+  marker.obs = obs;
+  if (obs._id) markerById.set(String(obs._id), marker);
+  marker.bindPopup(buildObservationPopupHtml(obs), { maxWidth: 260 });
+  marker.on('popupopen', (e) => wireObservationPopup(e.popup, () => marker.obs, () => marker.closePopup()));
+  return marker;
+}
+
+// Ajoute une observation selon le mode de rendu courant
+function addObservationMarker(obs) {
+  const lat = obs.decimalLatitude;
+  const lng = obs.decimalLongitude;
+  if (typeof lat !== 'number' || typeof lng !== 'number') return null;
+  if (obs._id) observationById.set(String(obs._id), obs);
+  observationCount++;
+  if (renderMode === 'canvas' && canvasLayer) {
+    canvasLayer.addPoint(obs);
+    return null;
+  }
+  const marker = createObservationMarker(obs);
+  if (renderMode === 'cluster' && clusterLayer) {
+    pendingClusterMarkers.push(marker);
+    if (pendingClusterMarkers.length >= 5000) flushObservationRendering();
+  } else {
+    marker.addTo(markers);
+  }
+  return marker;
+}
+
+// Retire une observation affichée (tous modes)
+function removeObservationMarker(id) {
+  if (!observationById.has(id)) return;
+  observationById.delete(id);
+  observationCount--;
+  const marker = markerById.get(id);
+  if (marker) {
+    (clusterLayer || markers).removeLayer(marker);
+    markerById.delete(id);
+  }
+  canvasLayer?.updatePoint(id, null);
+}
+
+// Met à jour en place l'observation modifiée (position + popup)
+function refreshObservationMarker(id, obs) {
+  id = String(id);
+  if (!observationById.has(id)) return;
+  if (typeof obs.decimalLatitude !== 'number' || typeof obs.decimalLongitude !== 'number') {
+    removeObservationMarker(id);
+    return;
+  }
+  observationById.set(id, obs);
+  canvasLayer?.updatePoint(id, obs);
+  const marker = markerById.get(id);
+  if (!marker) return;
+  marker.obs = obs;
+  // Regroupement: retirer puis remettre pour que le marqueur rejoigne le bon groupe
+  if (clusterLayer) clusterLayer.removeLayer(marker);
+  marker.setLatLng([obs.decimalLatitude, obs.decimalLongitude]);
+  marker.setPopupContent(buildObservationPopupHtml(obs));
+  if (clusterLayer) clusterLayer.addLayer(marker);
+}
+
+// Supprime un document (après confirmation) et retire son marqueur
+async function deleteObservation(id) {
+  if (!id) return;
+  if (!confirm('Supprimer définitivement ce document ?')) return;
+  try {
+    const resp = await fetchWithCancel('/api/documents/' + encodeURIComponent(id), { method: 'DELETE' });
+    if (await handleAuthFailure(resp)) return;
+    if (!resp.ok && resp.status !== 404) {
+      const text = await resp.text();
+      throw new Error(`HTTP ${resp.status}: ${text}`);
+    }
+    map.closePopup();
+    removeObservationMarker(id);
+    showToast('Document supprimé.', 'info');
+  } catch (err) {
+    if (err?.name === 'AbortError') return;
+    console.error('Erreur suppression document:', err);
+    showToast('Erreur lors de la suppression du document.', 'error');
+  }
+}
+
+// Ouvre la modal en mode édition pour un document (défini par initAddPanel)
+let openDocumentEditor = null;
+
+// Applique l'état de session à l'interface (panneau d'ajout, actions des popups, panneau de connexion)
+function applyAuthUi() {
+  const addPanel = document.getElementById('add-panel');
+  if (addPanel) addPanel.hidden = !userHasRole('contributor');
+  const userEl = document.getElementById('auth-user');
+  if (userEl) userEl.textContent = currentUser ? `${currentUser.username} (${currentUser.role})` : '';
+  const btnLogin = document.getElementById('btn-login');
+  const btnLogout = document.getElementById('btn-logout');
+  if (btnLogin) btnLogin.hidden = !!currentUser;
+  if (btnLogout) btnLogout.hidden = !currentUser;
+  const btnDuplicates = document.getElementById('btn-duplicates');
+  if (btnDuplicates) btnDuplicates.hidden = !userHasRole('admin');
+  for (const marker of markerById.values()) marker.setPopupContent(buildObservationPopupHtml(marker.obs));
+}
+
+// Réponse 401/403 d'une route d'écriture: message du serveur, session locale oubliée si expirée
+// Retourne true si la réponse a été traitée ici
+async function handleAuthFailure(resp) {
+  if (resp.status !== 401 && resp.status !== 403) return false;
+  const data = await resp.json().catch(() => ({}));
+  showToast(data.error || 'Action non autorisée.', 'error');
+  if (resp.status === 401) {
+    currentUser = null;
+    applyAuthUi();
+  }
+  return true;
+}
+
+// Panneau de connexion + modal: lit la session courante au chargement
+(function initAuthPanel() {
+  const modal = document.getElementById('login-modal');
+  const form = document.getElementById('login-form');
+  const btnLogin = document.getElementById('btn-login');
+  const btnLogout = document.getElementById('btn-logout');
+  const btnClose = document.getElementById('btn-login-close');
+  const open = () => { modal?.setAttribute('aria-hidden', 'false'); form?.elements.namedItem('username')?.focus(); };
+  const close = () => { modal?.setAttribute('aria-hidden', 'true'); };
+
+  btnLogin?.addEventListener('click', open);
+  btnClose?.addEventListener('click', close);
+  modal?.addEventListener('click', (e) => { if (e.target === modal) close(); });
+  document.addEventListener('keydown', (e) => {
+    if (modal?.getAttribute('aria-hidden') === 'false' && e.key === 'Escape') close();
+  });
+
+  form?.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    const fd = new FormData(form);
+    try {
+      const resp = await fetch('/api/auth/login', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ username: fd.get('username'), password: fd.get('password') })
+      });
+      const data = await resp.json().catch(() => ({}));
+      if (!resp.ok) {
+        showToast(data.error || 'Connexion impossible.', 'error');
+        return;
+      }
+      currentUser = data.user;
+      form.reset();
+      close();
+      applyAuthUi();
+      showToast(`Connecté en tant que ${currentUser.username}.`, 'info');
+    } catch (err) {
+      console.error('Erreur connexion:', err);
+      showToast('Connexion impossible.', 'error');
+    }
+  });
+
+  btnLogout?.addEventListener('click', async () => {
+    try { await fetch('/api/auth/logout', { method: 'POST' }); } catch {}
+    currentUser = null;
+    applyAuthUi();
+  });
+
+  fetch('/api/auth/me')
+    .then(r => (r.ok ? r.json() : { user: null }))
+    .then(data => { currentUser = data.user || null; applyAuthUi(); })
+    .catch(() => applyAuthUi());
+})();
+
+// Modal des doublons (admin): groupes détectés par le serveur, choix de l'occurrence de référence,
+// fusion / suppression des autres, annulation des fusions récentes
+(function initDuplicatesPanel() {
+  const modal = document.getElementById('duplicates-modal');
+  const btnOpen = document.getElementById('btn-duplicates');
+  const btnClose = document.getElementById('btn-duplicates-close');
+  const toleranceInput = document.getElementById('duplicates-tolerance');
+  const btnDetect = document.getElementById('btn-duplicates-detect');
+  const searchInput = document.getElementById('duplicates-search');
+  const statusEl = document.getElementById('duplicates-status');
+  const groupsEl = document.getElementById('duplicates-groups');
+  const mergesEl = document.getElementById('duplicates-merges');
+  const btnPrev = document.getElementById('btn-duplicates-prev');
+  const btnNext = document.getElementById('btn-duplicates-next');
+  if (!modal || !groupsEl) return;
+  const PAGE_SIZE = 20;
+  const HIDDEN_FIELDS = new Set(['_id', 'location', 'qualityFlags']);
+  const MODE_LABELS = { merge: 'Fusion', delete: 'Suppression des autres' };
+  let offset = 0;
+  let pollTimer = null;
+  let searchTimer = null;
+  const isOpen = () => modal.getAttribute('aria-hidden') === 'false';
+
+  async function loadGroups() {
+    const params = new URLSearchParams({ limit: String(PAGE_SIZE), offset: String(offset) });
+    const q = searchInput?.value.trim();
+    if (q) params.set('q', q);
+    try {
+      const resp = await fetch('/api/duplicates?' + params.toString());
+      if (!resp.ok) throw new Error(`HTTP ${resp.status}`);
+      const data = await resp.json();
+      const last = data.lastRun;
+      const lastTxt = last
+        ? `Dernière détection le ${new Date(last.updatedAt).toLocaleString('fr-FR')} : ${fmt(last.groups)} groupe(s), ${fmt(last.duplicates)} doublon(s), tolérance ${last.toleranceDeg}°`
+        : 'Aucune détection effectuée.';
+      statusEl.textContent = lastTxt + (data.running ? ' — détection en cours…' : '');
+      if (toleranceInput && !toleranceInput.value && last?.toleranceDeg) toleranceInput.value = String(last.toleranceDeg);
+      groupsEl.innerHTML = data.groups.length
+        ? data.groups.map(g => `<div class="duplicates-group" data-key="${escapeAttr(g._id)}">
+            <div class="duplicates-group-head">
+              <strong>${escapeHtml(g.scientificName)}</strong>
+              <span>${g.year !== null && g.year !== undefined ? escapeHtml(String(g.year)) : 'année inconnue'}</span>
+              <span>${Number(g.decimalLatitude).toFixed(4)}, ${Number(g.decimalLongitude).toFixed(4)}</span>
+              <span class="count">${fmt(g.count)} occurrences</span>
+            </div>
+            <div class="duplicates-group-body" hidden></div>
+          </div>`).join('')
+        : '<div>Aucun groupe de doublons.</div>';
+      if (btnPrev) btnPrev.disabled = offset === 0;
+      if (btnNext) btnNext.disabled = offset + PAGE_SIZE >= data.total;
+      // Détection en cours: état relu jusqu'à la fin
+      clearTimeout(pollTimer);
+      if (data.running && isOpen()) pollTimer = setTimeout(loadGroups, 3000);
+    } catch (err) {
+      console.error('Erreur chargement des doublons:', err);
+      statusEl.textContent = 'Erreur lors du chargement des doublons.';
+    }
+  }
+
+  // Occurrences d'un groupe: un tableau (champs en colonnes, valeurs divergentes signalées), référence à cocher
+  async function loadGroupDetail(groupEl) {
+    const body = groupEl.querySelector('.duplicates-group-body');
+    body.hidden = false;
+    body.textContent = 'Chargement…';
+    try {
+      const resp = await fetch('/api/duplicates/' + encodeURIComponent(groupEl.dataset.key));
+      if (resp.status === 404) { body.textContent = 'Groupe résolu ou disparu depuis la détection.'; return; }
+      if (!resp.ok) throw new Error(`HTTP ${resp.status}`);
+      const { documents } = await resp.json();
+      const fields = [...new Set(documents.flatMap(d => Object.keys(d)))].filter(k => !HIDDEN_FIELDS.has(k));
+      const cell = v => (v === undefined || v === null ? '' : formatAuditValue(v));
+      const differs = k => new Set(documents.map(d => JSON.stringify(d[k] ?? null))).size > 1;
+      const diffFields = new Set(fields.filter(differs));
+      const rows = documents.map((d, i) => `<tr>
+          <td><input type="radio" name="canonical-${escapeAttr(groupEl.dataset.key)}" value="${escapeAttr(String(d._id))}" ${i === 0 ? 'checked' : ''} aria-label="Occurrence de référence" /></td>
+          <td>${escapeHtml(String(d._id))}</td>
+          ${fields.map(k => `<td class="${diffFields.has(k) ? 'diff' : ''}">${escapeHtml(cell(d[k]))}</td>`).join('')}
+        </tr>`).join('');
+      body.innerHTML = `<table class="duplicates-table">
+          <thead><tr><th>Réf.</th><th>_id</th>${fields.map(k => `<th>${escapeHtml(k)}</th>`).join('')}</tr></thead>
+          <tbody>${rows}</tbody>
+        </table>
+        <div class="duplicates-actions">
+          <button type="button" class="extra-add" data-mode="merge" title="Compléter la référence avec les champs des autres, puis les archiver">Fusionner dans la référence</button>
+          <button type="button" class="danger" data-mode="delete" title="Archiver les autres sans modifier la référence">Supprimer les autres</button>
+        </div>`;
+    } catch (err) {
+      console.error('Erreur chargement du groupe:', err);
+      body.textContent = 'Erreur lors du chargement du groupe.';
+    }
+  }
+
+  async function resolveGroup(groupEl, mode) {
+    const canonicalId = groupEl.querySelector('input[type="radio"]:checked')?.value;
+    if (!canonicalId) return;
+    const question = mode === 'merge'
+      ? 'Fusionner les autres occurrences dans la référence ? (annulable)'
+      : 'Supprimer les autres occurrences du groupe ? (annulable)';
+    if (!confirm(question)) return;
+    try {
+      const resp = await fetch('/api/duplicates/' + encodeURIComponent(groupEl.dataset.key) + '/resolve', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ canonicalId, mode })
+      });
+      if (await handleAuthFailure(resp)) return;
+      const data = await resp.json().catch(() => ({}));
+      if (!resp.ok) {
+        showToast(data.error || 'Résolution impossible.', 'error');
+        return;
+      }
+      showToast(`Groupe résolu : ${fmt(data.merge.archivedIds.length)} occurrence(s) archivée(s).`, 'info');
+      await Promise.all([loadGroups(), loadMerges()]);
+      if (observationCount > 0) await updateMapForFilters({ ...getCurrentTaxFilters(), ...getCurrentYearFilter() });
+    } catch (err) {
+      console.error('Erreur résolution du groupe:', err);
+      showToast('Erreur lors de la résolution du groupe.', 'error');
+    }
+  }
+
+  async function loadMerges() {
+    try {
+      const resp = await fetch('/api/duplicates/merges?limit=' + PAGE_SIZE);
+      if (await handleAuthFailure(resp)) return;
+      if (!resp.ok) throw new Error(`HTTP ${resp.status}`);
+      const { merges } = await resp.json();
+      mergesEl.innerHTML = merges.length
+        ? `<table><thead><tr><th>Date</th><th>Auteur</th><th>Nom</th><th>Année</th><th>Action</th><th>Archivées</th><th>Champs ajoutés</th><th></th></tr></thead><tbody>
+          ${merges.map(m => `<tr class="${m.revertedAt ? 'reverted' : ''}">
+            <td>${escapeHtml(new Date(m.at).toLocaleString('fr-FR'))}</td>
+            <td>${escapeHtml(m.actor || '—')}</td>
+            <td>${escapeHtml(m.scientificName || '')}</td>
+            <td>${m.year !== null && m.year !== undefined ? escapeHtml(String(m.year)) : ''}</td>
+            <td>${escapeHtml(MODE_LABELS[m.mode] || m.mode)}</td>
+            <td>${fmt(m.archivedIds.length)}</td>
+            <td title="${escapeAttr(m.filledFields.join(', '))}">${fmt(m.filledFields.length)}</td>
+            <td>${m.revertedAt
+              ? `annulée le ${escapeHtml(new Date(m.revertedAt).toLocaleString('fr-FR'))}`
+              : `<button type="button" class="extra-add" data-revert="${escapeAttr(String(m._id))}">Annuler</button>`}</td>
+          </tr>`).join('')}
+        </tbody></table>`
+        : '<div>Aucune fusion.</div>';
+    } catch (err) {
+      console.error('Erreur chargement des fusions:', err);
+      mergesEl.textContent = 'Erreur lors du chargement des fusions.';
+    }
+  }
+
+  async function revert(id) {
+    if (!confirm('Annuler cette fusion ? Les occurrences archivées seront rétablies.')) return;
+    try {
+      const resp = await fetch('/api/duplicates/merges/' + encodeURIComponent(id) + '/revert', { method: 'POST' });
+      if (await handleAuthFailure(resp)) return;
+      const data = await resp.json().catch(() => ({}));
+      if (!resp.ok) {
+        showToast(data.error || 'Annulation impossible.', 'error');
+        return;
+      }
+      showToast(`Fusion annulée : ${fmt(data.merge.archivedIds.length)} occurrence(s) rétablie(s).`, 'info');
+      await Promise.all([loadGroups(), loadMerges()]);
+      if (observationCount > 0) await updateMapForFilters({ ...getCurrentTaxFilters(), ...getCurrentYearFilter() });
+    } catch (err) {
+      console.error('Erreur annulation de la fusion:', err);
+      showToast("Erreur lors de l'annulation de la fusion.", 'error');
+    }
+  }
+
+  const open = () => {
+    modal.setAttribute('aria-hidden', 'false');
+    offset = 0;
+    loadGroups();
+    loadMerges();
+  };
+  const close = () => {
+    modal.setAttribute('aria-hidden', 'true');
+    clearTimeout(pollTimer);
+  };
+  btnOpen?.addEventListener('click', open);
+  btnClose?.addEventListener('click', close);
+  modal.addEventListener('click', (e) => { if (e.target === modal) close(); });
+  document.addEventListener('keydown', (e) => {
+    if (isOpen() && e.key === 'Escape') close();
+  });
+
+  groupsEl.addEventListener('click', (e) => {
+    const groupEl = e.target.closest('.duplicates-group');
+    if (!groupEl) return;
+    const modeBtn = e.target.closest('[data-mode]');
+    if (modeBtn) { resolveGroup(groupEl, modeBtn.dataset.mode); return; }
+    if (e.target.closest('.duplicates-group-head')) {
+      const body = groupEl.querySelector('.duplicates-group-body');
+      if (body.hidden) loadGroupDetail(groupEl); else body.hidden = true;
+    }
+  });
+  mergesEl.addEventListener('click', (e) => {
+    const btn = e.target.closest('[data-revert]');
+    if (btn) revert(btn.dataset.revert);
+  });
+  btnPrev?.addEventListener('click', () => { offset = Math.max(0, offset - PAGE_SIZE); loadGroups(); });
+  btnNext?.addEventListener('click', () => { offset += PAGE_SIZE; loadGroups(); });
+  searchInput?.addEventListener('input', () => {
+    clearTimeout(searchTimer);
+    searchTimer = setTimeout(() => { offset = 0; loadGroups(); }, 300);
+  });
+
+  btnDetect?.addEventListener('click', async () => {
+    const toleranceDeg = toleranceInput?.value ? Number(toleranceInput.value) : undefined;
+    try {
+      const resp = await fetch('/api/duplicates/detect', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ toleranceDeg })
+      });
+      if (await handleAuthFailure(resp)) return;
+      const data = await resp.json().catch(() => ({}));
+      if (!resp.ok) {
+        showToast(data.error || 'Détection impossible.', 'error');
+        return;
+      }
+      showToast('Détection des doublons lancée.', 'info');
+      loadGroups();
+    } catch (err) {
+      console.error('Erreur détection des doublons:', err);
+      showToast('Erreur lors du lancement de la détection.', 'error');
+    }
+  });
+})();
+
 // Charge les observations selon les filtres, met à jour les marqueurs sur la carte et gère le loader.
 // Charge les observations selon les filtres, met à jour les marqueurs et le statut
-async function updateMapForFilters(filters) {
+// options: voir buildSelectionParams (bbox, polygon)
+async function updateMapForFilters(filters, options = {}) {
+  // Tuiles vectorielles: pas de chargement des observations (ni de limite de documents)
+  if (resolveRenderMode(getDocLimit()) === 'tiles') {
+    ++mapLoadSeq; // un chargement de marqueurs en cours devient obsolète
+    showObservationTiles(filters, options);
+    return;
+  }
   // Avertir si on lance une requête avec un docLimit très élevé
   try {
     if (getDocLimit() > 10000) {
@@ -262,86 +1227,59 @@ async function updateMapForFilters(filters) {
       }
     }
   } catch {}
-  const params = new URLSearchParams({ limit: String(getDocLimit()) });
-  // Tri
-  if (sortState?.field && sortState?.dir) {
-    params.set('sortField', sortState.field);
-    params.set('sortDir', sortState.dir);
-  }
-  for (const k of Object.keys(filters)) {
-    if (filters[k] !== undefined && filters[k] !== null && filters[k] !== '') params.set(k, filters[k]);
-  }
+  const totalLimit = getDocLimit();
+  lastMarkerLoad = { filters, options };
+  const params = buildSelectionParams(filters, options);
+  params.set('format', 'ndjson');
+  const bbox = params.get('bbox');
+  // Un nouveau chargement rend obsolète celui en cours (pagination interrompue)
+  const seq = ++mapLoadSeq;
+  const isStale = () => cancelRequested || seq !== mapLoadSeq;
   showLoader();
   try {
-    const url = '/api/observations?' + params.toString();
-    console.debug('[fetch] GET', url);
-  const resp = await fetchWithCancel(url);
-    if (!resp.ok) {
-      const text = await resp.text();
-      throw new Error(`HTTP ${resp.status}: ${text}`);
-    }
-    if (cancelRequested) return; // si annulé pendant le chargement
-    const data = await resp.json();
-    markers.clearLayers();
-    if (Array.isArray(data.results)) {
-      console.debug('[fetch] results:', data.results.length);
-      // Dessin en boucles avec vérification d'annulation pour garder l'UI réactive
-      for (let i = 0; i < data.results.length; i++) {
-        if (cancelRequested) { markers.clearLayers(); return; }
-        const obs = data.results[i];
-        const lat = obs.decimalLatitude;
-        const lng = obs.decimalLongitude;
-        if (typeof lat === 'number' && typeof lng === 'number') {
-            const marker = L.circleMarker([lat, lng], {
-              radius: 6,
-              color: '#0078ff',
-              fillColor: '#3fa7ff',
-              fillOpacity: 0.7
-            }).addTo(markers);
-
-            const sci = obs.scientificName || '';
-            const yearTxt = (typeof obs.year === 'number' || typeof obs.year === 'string') ? String(obs.year) : '';
-            const locTxt = obs.locality ? String(obs.locality) : '';
-            const ccTxt = obs.countryCode ? String(obs.countryCode).toUpperCase() : '';
-
-            const infoParts = [];
-            infoParts.push(`<div><strong>Nom scientifique :</strong> <em>${escapeHtml(sci)}</em></div>`);
-            if (yearTxt) infoParts.push(`<div><strong>Date de l'observation :</strong> ${escapeHtml(yearTxt)}</div>`);
-            const cityLine = (locTxt || ccTxt) ? `<div><strong>Ville :</strong> ${escapeHtml(locTxt)}${ccTxt ? ', ' + escapeHtml(ccTxt) : ''}</div>` : '';
-            if (cityLine) infoParts.push(cityLine);
-
-            const popupHtml = `
-              <div class="obs-popup" data-name="${escapeAttr(sci)}">
-                <div class="img-container">Recherche image…</div>
-                <div class="info">${infoParts.join('')}</div>
-              </div>`;
-            marker.bindPopup(popupHtml, { maxWidth: 260 });
-
-            marker.on('popupopen', async (e) => {
-              try {
-                const container = e.popup.getElement()?.querySelector('.img-container');
-                if (!container) return;
-                const url = await fetchSpeciesImage(sci);
-                if (url) {
-                  container.innerHTML = `<img class="popup-photo" src="${url}" alt="Photo ${escapeAttr(sci)}"/>`;
-                } else {
-                  container.innerHTML = '';
-                }
-              } catch {}
-            });
-        }
-        // yield occasionnellement pour laisser l'UI respirer
-        if (i % 1000 === 0) await new Promise(r => setTimeout(r, 0));
+    // Chargement progressif page par page (curseur nextCursor) jusqu'à atteindre la limite demandée
+    let nextCursor = null;
+    let loaded = 0;
+    let first = true;
+    do {
+      params.set('limit', String(Math.min(OBS_PAGE_SIZE, totalLimit - loaded)));
+      if (nextCursor) params.set('cursor', nextCursor); else params.delete('cursor');
+      const url = '/api/observations?' + params.toString();
+      console.debug('[fetch] GET', url);
+      const resp = await fetchWithCancel(url);
+      if (!resp.ok) {
+        const text = await resp.text();
+        throw new Error(`HTTP ${resp.status}: ${text}`);
       }
-      const all = markers.getLayers();
-      if (all.length > 0) {
-        const group = L.featureGroup(all);
-        map.fitBounds(group.getBounds().pad(0.2));
+      if (isStale()) return; // si annulé pendant le chargement
+      if (first) { beginObservationRendering(totalLimit); first = false; }
+      // Dessin au fil du flux avec vérification d'annulation pour garder l'UI réactive
+      let pageCount = 0;
+      const trailer = await readNdjson(resp, async (obs) => {
+        if (isStale()) { flushObservationRendering(); return false; } // on garde les marqueurs déjà dessinés
+        addObservationMarker(obs);
+        pageCount++;
+        // yield occasionnellement pour laisser l'UI respirer
+        if (pageCount % 1000 === 0) {
+          if (statusDiv) statusDiv.textContent = `${fmt(loaded + pageCount)} / ${fmt(totalLimit)} observations chargées…`;
+          await new Promise(r => setTimeout(r, 0));
+        }
+      });
+      flushObservationRendering();
+      if (isStale()) return;
+      console.debug('[fetch] results:', pageCount, 'next:', !!trailer?.nextCursor);
+      loaded += pageCount;
+      nextCursor = trailer?.nextCursor || null;
+      if (nextCursor && loaded < totalLimit && statusDiv) {
+        statusDiv.textContent = `${fmt(loaded)} / ${fmt(totalLimit)} observations chargées…`;
       }
-      if (statusDiv) statusDiv.textContent = `${all.length} observations affichées`;
-    } else {
-      if (statusDiv) statusDiv.textContent = '0 observations';
-    }
+    } while (nextCursor && loaded < totalLimit && !isStale());
+    if (isStale()) return;
+
+    // Pas de recadrage quand la requête est bornée à la vue: la carte resterait figée sur ce qui est déjà visible
+    const bounds = observationCount > 0 && !bbox ? observationBounds() : null;
+    if (bounds) map.fitBounds(bounds.pad(0.2));
+    if (statusDiv) statusDiv.textContent = observationCount > 0 ? `${fmt(observationCount)} observations affichées (${RENDER_MODES[renderMode].toLowerCase()})` : '0 observations';
   } catch (err) {
     if (err?.name === 'AbortError') {
       console.warn('updateMapForFilters: requête annulée');
@@ -350,10 +1288,21 @@ async function updateMapForFilters(filters) {
       if (statusDiv) statusDiv.textContent = 'Erreur lors du chargement des observations';
     }
   } finally {
-    hideLoader();
+    // Ne pas masquer le loader d'un chargement plus récent encore en cours
+    if (seq === mapLoadSeq) hideLoader();
   }
 }
 
+// Case "Limiter à la zone affichée": les marqueurs suivent la carte, rechargés après chaque déplacement
+// (mêmes filtres que le dernier chargement) avec un délai, comme la grille; les tuiles suivent seules
+let viewportMoveTimer = null;
+map.on('moveend', () => {
+  if (!viewportOnly || !lastMarkerLoad || timelineActive) return;
+  if (resolveRenderMode(getDocLimit()) === 'tiles') return;
+  clearTimeout(viewportMoveTimer);
+  viewportMoveTimer = setTimeout(() => updateMapForFilters(lastMarkerLoad.filters, lastMarkerLoad.options), 400);
+});
+
 // Utilities d'échappement HTML (sécurité XSS dans les popups)
 function escapeHtml(str) {
   return String(str)
@@ -367,96 +1316,60 @@ function escapeAttr(str) {
   return escapeHtml(str).replace(/`/g, '&#96;');
 }
 
-// Cache simple pour éviter de recharger plusieurs fois la même image
-const speciesImageCache = new Map(); // name -> url|null
-
-// Recherche d'une petite image d'espèce (Wikipedia FR/EN, fallback GBIF)
-async function fetchSpeciesImage(scientificName) {
-  if (!scientificName) return null;
-  const key = scientificName.trim().toLowerCase();
-  if (speciesImageCache.has(key)) return speciesImageCache.get(key);
-
-  const tryWikiSummary = async (lang, title) => {
-    const url = `https://${lang}.wikipedia.org/api/rest_v1/page/summary/` + encodeURIComponent(title);
-    try {
-      const resp = await fetchWithCancel(url);
-      if (!resp.ok) return null;
-      const data = await resp.json();
-      return data?.thumbnail?.source || null;
-    } catch { return null; }
-  };
-
-  const tryWikiSearchThenSummary = async (lang, query) => {
-    const searchUrl = `https://${lang}.wikipedia.org/w/api.php?action=query&list=search&srsearch=` + encodeURIComponent(query) + `&srlimit=1&format=json&origin=*`;
-    try {
-      const s = await fetchWithCancel(searchUrl);
-      if (!s.ok) return null;
-      const sd = await s.json();
-      const title = sd?.query?.search?.[0]?.title;
-      if (!title) return null;
-      return await tryWikiSummary(lang, title);
-    } catch { return null; }
-  };
-
-  // 1) Wikipedia FR puis EN (summary direct, puis recherche)
-  let img = await tryWikiSummary('fr', scientificName);
-  if (!img) img = await tryWikiSummary('en', scientificName);
-  if (!img) img = await tryWikiSearchThenSummary('fr', scientificName);
-  if (!img) img = await tryWikiSearchThenSummary('en', scientificName);
-  if (img) { speciesImageCache.set(key, img); return img; }
-
-  // 2) Fallback GBIF: match -> speciesKey -> media
-  try {
-    // Trouver la clé d'espèce
-    let speciesKey = null;
-    try {
-      const matchUrl = 'https://api.gbif.org/v1/species/match?name=' + encodeURIComponent(scientificName);
-      const r = await fetchWithCancel(matchUrl);
-      if (r.ok) {
-        const md = await r.json();
-        speciesKey = md?.usageKey || md?.speciesKey || null;
-      }
-    } catch {}
-    if (!speciesKey) {
-      const searchUrl = 'https://api.gbif.org/v1/species/search?q=' + encodeURIComponent(scientificName) + '&limit=1';
-      const r2 = await fetchWithCancel(searchUrl);
-      if (r2.ok) {
-        const sd = await r2.json();
-        speciesKey = sd?.results?.[0]?.key || null;
-      }
-    }
-    if (speciesKey) {
-      const mediaUrl = `https://api.gbif.org/v1/species/${speciesKey}/media`;
-      const mr = await fetchWithCancel(mediaUrl);
-      if (mr.ok) {
-        const md = await mr.json();
-        if (Array.isArray(md) && md.length) {
-          const rec = md.find(x => (x?.type || '').toLowerCase().includes('still') || (x?.format || '').toLowerCase().includes('image')) || md[0];
-          const url = rec?.identifier || rec?.references || null;
-          if (url && /^https?:\/\//i.test(url)) {
-            speciesImageCache.set(key, url);
-            return url;
-          }
-        }
-      }
-    }
-  } catch {}
+// Images d'espèces: proxy serveur (fournisseurs + cache persistant), promesses gardées par onglet
+const speciesMediaCache = new Map(); // name -> Promise<media|null>
+
+// Image + licence/attribution + noms vernaculaires d'une espèce (null si rien ou erreur)
+function fetchSpeciesMedia(scientificName) {
+  const name = (scientificName || '').trim();
+  if (!name) return Promise.resolve(null);
+  const key = name.toLowerCase();
+  if (!speciesMediaCache.has(key)) {
+    const p = fetch(`/api/taxa/${encodeURIComponent(name)}/media`)
+      .then(resp => (resp.ok ? resp.json() : null))
+      .then(media => (media?.found ? media : null))
+      .catch(() => null)
+      .then((media) => {
+        // Échec (fournisseurs indisponibles...): nouvel essai à la prochaine ouverture
+        if (!media) speciesMediaCache.delete(key);
+        return media;
+      });
+    speciesMediaCache.set(key, p);
+  }
+  return speciesMediaCache.get(key);
+}
 
-  speciesImageCache.set(key, null);
-  return null;
+// Photo + légende (auteur · licence · source) + noms vernaculaires (français en premier)
+function speciesMediaHtml(media, name) {
+  if (!media) return '';
+  const credits = [media.attribution, media.licence].filter(Boolean).map(escapeHtml);
+  if (media.source) {
+    credits.push(media.pageUrl && /^https?:\/\//i.test(media.pageUrl)
+      ? `<a href="${escapeAttr(media.pageUrl)}" target="_blank" rel="noopener">${escapeHtml(media.source)}</a>`
+      : escapeHtml(media.source));
+  }
+  const names = [...(media.vernacularNames || [])]
+    .sort((a, b) => (b.lang === 'fr') - (a.lang === 'fr'))
+    .slice(0, 3)
+    .map(v => `${escapeHtml(v.name)} <span class="species-media-lang">${escapeHtml(v.lang)}</span>`);
+  const img = media.imageUrl && /^https?:\/\//i.test(media.imageUrl)
+    ? `<img class="popup-photo" src="${escapeAttr(media.imageUrl)}" alt="Photo ${escapeAttr(name)}"/>`
+    : '';
+  return `${img}${img && credits.length ? `<div class="species-media-credit">${credits.join(' · ')}</div>` : ''}`
+    + `${names.length ? `<div class="species-media-names">${names.join(', ')}</div>` : ''}`;
 }
 
 // getCurrentYearFilter sera défini plus bas, après la déclaration des variables du panneau date
 
-// Gestionnaire appelé quand un sélecteur taxonomique change : met à jour les sélecteurs descendants et la carte.
-// Quand un select taxo change: met à jour les descendants et relance la carte
+// Gestionnaire appelé quand la sélection d'un niveau taxonomique change : met à jour les niveaux descendants et la carte.
+// Quand un niveau taxo change: met à jour les descendants et relance la carte
 async function onTaxChange(levelChanged) {
   try {
+    const current = getCurrentTaxFilters();
     const filters = {};
-    for (const lvl of levels) {
-      const val = selects[lvl]?.value || '';
-      if (val) filters[lvl] = val;
-      if (lvl === levelChanged) break;
+    for (const lvl of levels.slice(0, levels.indexOf(levelChanged) + 1)) {
+      if (current[lvl]) filters[lvl] = current[lvl];
+      if (current[`${lvl}Exclude`]) filters[`${lvl}Exclude`] = current[`${lvl}Exclude`];
     }
     resetBelow(levelChanged);
 
@@ -465,46 +1378,160 @@ async function onTaxChange(levelChanged) {
     if (idx >= 0 && idx < levels.length - 1) {
       const next = levels[idx + 1];
       const values = await fetchTaxValues(next, filters);
-      if (values.length) populateSelect(selects[next], values);
+      if (values.length) populateTaxLevel(next, values);
     }
 
-    // Si scientificName est choisi, afficher uniquement ce nom
-    if (selects.scientificName && selects.scientificName.value) {
-      await updateMapForFilters({ scientificName: selects.scientificName.value, ...getCurrentYearFilter() });
+    // Si des noms scientifiques sont choisis, afficher uniquement ces noms
+    if (filters.scientificName) {
+      await updateMapForFilters({ scientificName: filters.scientificName, ...getCurrentYearFilter() });
       if (bioGridActive) await refreshBioGridGlobal();
+      await refreshLatitudeDiversity();
+      await refreshQualityOverlay();
+      await refreshTimeline();
       return;
     }
 
     // Sinon, afficher avec les filtres partiels (ex: genus)
     await updateMapForFilters({ ...filters, ...getCurrentYearFilter() });
     if (bioGridActive) await refreshBioGridGlobal();
+    await refreshLatitudeDiversity();
+    await refreshQualityOverlay();
+    await refreshTimeline();
   } catch (e) {
     console.error('Erreur filtre taxonomique:', e);
   }
 }
 
-// Initialise le panneau taxonomique (remplit kingdom, attache les événements, gère le bouton reset).
+// ----- Liste de choix d'un niveau (inclure / exclure plusieurs valeurs) -----
+const taxMenu = document.getElementById('tax-menu');
+const taxMenuFilter = document.getElementById('tax-menu-filter');
+const taxMenuList = document.getElementById('tax-menu-list');
+const TAX_MENU_MAX_ITEMS = 300; // au-delà: affiner avec le champ de filtre
+let taxMenuLevel = null;        // niveau dont la liste est ouverte
+let taxMenuDraft = null;        // { include: Set, exclude: Set } en cours d'édition
+
+// Valeurs de la liste: sélectionnées d'abord, puis les autres (filtrées par le champ de saisie)
+function renderTaxMenu() {
+  if (!taxMenuLevel || !taxMenuList) return;
+  const { values } = taxState[taxMenuLevel];
+  const { include, exclude } = taxMenuDraft;
+  const q = (taxMenuFilter?.value || '').trim().toLowerCase();
+  const marked = [...include, ...exclude];
+  const others = values.filter(v => !include.has(v) && !exclude.has(v) && (!q || v.toLowerCase().includes(q)));
+  const shown = others.slice(0, TAX_MENU_MAX_ITEMS);
+  const item = (v) => {
+    const state = include.has(v) ? 'include' : (exclude.has(v) ? 'exclude' : '');
+    const mark = state === 'include' ? '✓' : (state === 'exclude' ? '✕' : '');
+    return `<li role="option" class="${state}" data-value="${escapeAttr(v)}" aria-selected="${state === 'include'}">`
+      + `<span class="mark">${mark}</span>${escapeHtml(v)}</li>`;
+  };
+  taxMenuList.innerHTML = marked.map(item).join('')
+    + shown.map(item).join('')
+    + (others.length > shown.length ? `<li class="more">… ${fmt(others.length - shown.length)} autres valeurs: affiner le filtre</li>` : '')
+    + (!marked.length && !others.length ? '<li class="more">Aucune valeur</li>' : '');
+}
+
+function positionTaxMenu(btn) {
+  const rect = btn.getBoundingClientRect();
+  const menuHeight = taxMenu.offsetHeight;
+  taxMenu.style.left = `${Math.round(rect.left)}px`;
+  if (window.innerHeight - rect.bottom >= menuHeight + 4 || rect.top < menuHeight + 4) {
+    taxMenu.style.top = `${Math.round(rect.bottom + 2)}px`;
+    taxMenu.style.bottom = '';
+  } else {
+    taxMenu.style.top = '';
+    taxMenu.style.bottom = `${Math.round(window.innerHeight - rect.top + 2)}px`;
+  }
+}
+
+function openTaxMenu(lvl) {
+  if (!taxMenu || !taxState[lvl].enabled) return;
+  taxMenuLevel = lvl;
+  taxMenuDraft = { include: new Set(taxState[lvl].include), exclude: new Set(taxState[lvl].exclude) };
+  if (taxMenuFilter) taxMenuFilter.value = '';
+  renderTaxMenu();
+  taxMenu.hidden = false;
+  positionTaxMenu(taxButtons[lvl]);
+  taxButtons[lvl]?.setAttribute('aria-expanded', 'true');
+  taxMenuFilter?.focus();
+}
+
+// Ferme la liste; apply = reporter la sélection en cours (et relancer la carte si elle a changé)
+function closeTaxMenu(apply) {
+  if (!taxMenuLevel) return;
+  const lvl = taxMenuLevel;
+  const draft = taxMenuDraft;
+  taxMenuLevel = null;
+  taxMenuDraft = null;
+  taxMenu.hidden = true;
+  taxButtons[lvl]?.setAttribute('aria-expanded', 'false');
+  if (!apply) return;
+  const st = taxState[lvl];
+  const include = st.values.filter(v => draft.include.has(v));
+  const exclude = st.values.filter(v => draft.exclude.has(v));
+  if (include.join('\u0000') === st.include.join('\u0000') && exclude.join('\u0000') === st.exclude.join('\u0000')) return;
+  st.include = include;
+  st.exclude = exclude;
+  renderTaxButton(lvl);
+  onTaxChange(lvl);
+}
+
+(function initTaxMenu() {
+  if (!taxMenu || !taxMenuList) return;
+  for (const lvl of levels) {
+    taxButtons[lvl]?.addEventListener('click', () => {
+      if (taxMenuLevel === lvl) closeTaxMenu(true);
+      else {
+        closeTaxMenu(true);
+        openTaxMenu(lvl);
+      }
+    });
+  }
+  // Clic sur une valeur: aucune -> incluse -> exclue -> aucune
+  taxMenuList.addEventListener('click', (e) => {
+    const li = e.target.closest('li[data-value]');
+    if (!li || !taxMenuDraft) return;
+    const v = li.dataset.value;
+    const { include, exclude } = taxMenuDraft;
+    if (include.has(v)) { include.delete(v); exclude.add(v); } else if (exclude.has(v)) exclude.delete(v); else include.add(v);
+    renderTaxMenu();
+  });
+  taxMenuFilter?.addEventListener('input', renderTaxMenu);
+  taxMenuFilter?.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter') { e.preventDefault(); closeTaxMenu(true); }
+    if (e.key === 'Escape') closeTaxMenu(false);
+  });
+  document.getElementById('tax-menu-clear')?.addEventListener('click', () => {
+    if (!taxMenuDraft) return;
+    taxMenuDraft.include.clear();
+    taxMenuDraft.exclude.clear();
+    renderTaxMenu();
+  });
+  document.getElementById('tax-menu-apply')?.addEventListener('click', () => closeTaxMenu(true));
+  // Clic ailleurs: la sélection en cours est appliquée
+  document.addEventListener('mousedown', (e) => {
+    if (!taxMenuLevel || taxMenu.contains(e.target) || taxButtons[taxMenuLevel]?.contains(e.target)) return;
+    closeTaxMenu(true);
+  });
+  window.addEventListener('resize', () => { if (taxMenuLevel) positionTaxMenu(taxButtons[taxMenuLevel]); });
+})();
+
+// Initialise le panneau taxonomique (remplit kingdom, gère le bouton reset).
 // Initialise le panneau taxonomie (peuple 'kingdom' et attache les listeners)
 async function initTaxonomyPanel() {
   showLoader();
   try {
     const kingdoms = await fetchTaxValues('kingdom', {});
-    if (kingdoms.length) populateSelect(selects.kingdom, kingdoms);
-    // Ecouteurs
-    for (const lvl of levels) {
-      const el = selects[lvl];
-      if (!el) continue;
-      el.addEventListener('change', () => onTaxChange(lvl));
-    }
+    if (kingdoms.length) populateTaxLevel('kingdom', kingdoms);
     const resetBtn = document.getElementById('btn-reset-taxonomy');
     if (resetBtn) {
       resetBtn.addEventListener('click', async () => {
-        for (const lvl of levels) {
-          const el = selects[lvl];
-          if (!el) continue;
-          el.value = '';
-        }
+        closeTaxMenu(false);
+        taxState.kingdom.include = [];
+        taxState.kingdom.exclude = [];
+        renderTaxButton('kingdom');
         resetBelow('kingdom');
+        if (taxonSearchInput) taxonSearchInput.value = '';
         // Réinitialiser le filtre d'années
         if (typeof yearFilterTouched !== 'undefined') yearFilterTouched = false;
         if (yearMinInput && yearMaxInput && yearBounds.min !== null && yearBounds.max !== null) {
@@ -516,6 +1543,10 @@ async function initTaxonomyPanel() {
           updateDualRangeTrack();
         }
         await updateMapForFilters({});
+        if (bioGridActive) await refreshBioGridGlobal();
+        await refreshLatitudeDiversity();
+        await refreshQualityOverlay();
+        await refreshTimeline();
       });
     }
   } catch (e) {
@@ -525,6 +1556,293 @@ async function initTaxonomyPanel() {
   }
 }
 
+// ----- Recherche de taxon par nom (autocomplétion) -----
+const taxonSearchInput = document.getElementById('taxon-search');
+const taxonSearchList = document.getElementById('taxon-search-results');
+const TAXON_SEARCH_DEBOUNCE_MS = 200;
+let taxonSearchResults = [];
+let taxonSearchActive = -1;
+let taxonSearchSeq = 0;
+let taxonSearchTimer = null;
+
+function closeTaxonSearch() {
+  taxonSearchResults = [];
+  taxonSearchActive = -1;
+  if (taxonSearchList) {
+    taxonSearchList.hidden = true;
+    taxonSearchList.innerHTML = '';
+  }
+  taxonSearchInput?.setAttribute('aria-expanded', 'false');
+}
+
+// Liste des résultats: nom scientifique, nom vernaculaire, famille, nb d'occurrences (≈ si approché)
+function renderTaxonSearchResults(message) {
+  if (!taxonSearchList) return;
+  if (!taxonSearchResults.length) {
+    taxonSearchList.innerHTML = message ? `<li class="empty">${escapeHtml(message)}</li>` : '';
+    taxonSearchList.hidden = !message;
+    taxonSearchInput?.setAttribute('aria-expanded', message ? 'true' : 'false');
+    return;
+  }
+  taxonSearchList.innerHTML = taxonSearchResults.map((t, i) => {
+    const meta = [t.vernacularName, t.family, `${fmt(t.occurrences)} obs.`].filter(Boolean).join(' · ');
+    return `<li role="option" data-index="${i}" class="${i === taxonSearchActive ? 'active' : ''}" aria-selected="${i === taxonSearchActive}">`
+      + `${t.match === 'fuzzy' ? '≈ ' : ''}<span class="sn">${escapeHtml(t.scientificName)}</span>`
+      + `<span class="meta">${escapeHtml(meta)}</span></li>`;
+  }).join('');
+  taxonSearchList.hidden = false;
+  taxonSearchInput?.setAttribute('aria-expanded', 'true');
+  taxonSearchList.querySelector('li.active')?.scrollIntoView({ block: 'nearest' });
+}
+
+async function runTaxonSearch(q) {
+  const seq = ++taxonSearchSeq;
+  try {
+    const resp = await fetchWithCancel('/api/taxonomy/search?' + new URLSearchParams({ q, limit: '12' }).toString());
+    const data = await resp.json();
+    if (seq !== taxonSearchSeq) return; // une saisie plus récente a pris le relais
+    if (!resp.ok) throw new Error(data?.error || `HTTP ${resp.status}`);
+    taxonSearchResults = Array.isArray(data.results) ? data.results : [];
+    taxonSearchActive = taxonSearchResults.length ? 0 : -1;
+    renderTaxonSearchResults(data.building ? 'Index des noms en cours de construction…' : 'Aucun taxon trouvé');
+  } catch (e) {
+    if (e?.name === 'AbortError' || seq !== taxonSearchSeq) return;
+    console.error('Erreur recherche taxon:', e);
+    taxonSearchResults = [];
+    renderTaxonSearchResults('Recherche indisponible');
+  }
+}
+
+// Remplit tous les niveaux taxonomiques d'après le résultat choisi (valeurs de chaque niveau chargées
+// en cascade, une seule valeur incluse par niveau), puis recharge la carte comme un changement du
+// niveau le plus fin
+async function applyTaxonSearchResult(taxon) {
+  const lastIdx = levels.reduce((acc, lvl, i) => (taxon[lvl] ? i : acc), -1);
+  if (lastIdx < 0) return;
+  closeTaxMenu(false);
+  showLoader();
+  try {
+    const filters = {};
+    for (let i = 0; i <= lastIdx; i++) {
+      const lvl = levels[i];
+      const values = await fetchTaxValues(lvl, filters);
+      const value = taxon[lvl] || '';
+      if (value && !values.includes(value)) values.push(value);
+      populateTaxLevel(lvl, values);
+      if (value) {
+        taxState[lvl].include = [value];
+        renderTaxButton(lvl);
+        filters[lvl] = value;
+      }
+    }
+  } catch (e) {
+    console.error('Erreur sélection du taxon:', e);
+    showToast('Impossible de charger la classification du taxon', 'error');
+    return;
+  } finally {
+    hideLoader();
+  }
+  await onTaxChange(levels[lastIdx]);
+}
+
+(function initTaxonSearch() {
+  if (!taxonSearchInput || !taxonSearchList) return;
+  const choose = (index) => {
+    const taxon = taxonSearchResults[index];
+    if (!taxon) return;
+    taxonSearchInput.value = taxon.scientificName || '';
+    closeTaxonSearch();
+    applyTaxonSearchResult(taxon);
+  };
+  taxonSearchInput.addEventListener('input', () => {
+    clearTimeout(taxonSearchTimer);
+    const q = taxonSearchInput.value.trim();
+    if (q.length < 2) {
+      taxonSearchSeq++;
+      closeTaxonSearch();
+      return;
+    }
+    taxonSearchTimer = setTimeout(() => runTaxonSearch(q), TAXON_SEARCH_DEBOUNCE_MS);
+  });
+  taxonSearchInput.addEventListener('keydown', (e) => {
+    const n = taxonSearchResults.length;
+    if (e.key === 'ArrowDown' && n) {
+      e.preventDefault();
+      taxonSearchActive = (taxonSearchActive + 1) % n;
+      renderTaxonSearchResults();
+    } else if (e.key === 'ArrowUp' && n) {
+      e.preventDefault();
+      taxonSearchActive = (taxonSearchActive - 1 + n) % n;
+      renderTaxonSearchResults();
+    } else if (e.key === 'Enter' && taxonSearchActive >= 0) {
+      e.preventDefault();
+      choose(taxonSearchActive);
+    } else if (e.key === 'Escape') {
+      closeTaxonSearch();
+    }
+  });
+  // mousedown (avant le blur de l'input) pour ne pas perdre le clic
+  taxonSearchList.addEventListener('mousedown', (e) => {
+    const li = e.target.closest('li[data-index]');
+    if (!li) return;
+    e.preventDefault();
+    choose(Number(li.dataset.index));
+  });
+  taxonSearchInput.addEventListener('blur', () => closeTaxonSearch());
+})();
+
+// ----- Fiche d'un taxon (panneau latéral) -----
+const taxonProfilePanel = document.getElementById('taxon-profile');
+const taxonProfileBody = document.getElementById('taxon-profile-body');
+const taxonProfileRangeDiv = document.getElementById('taxon-profile-range');
+const TAXON_LEVEL_LABELS = {
+  kingdom: 'Règne', phylum: 'Embranchement', class: 'Classe', order: 'Ordre', family: 'Famille',
+  genus: 'Genre', species: 'Espèce', scientificName: 'Nom scientifique',
+};
+let taxonProfileMap = null;    // mini-carte de l'aire de répartition (créée à la première ouverture)
+let taxonProfileLayer = null;
+let taxonProfileSeq = 0;       // ignore les réponses dépassées
+
+// Histogramme des occurrences par année (années sans occurrence comprises)
+function taxonProfileHistogramSvg(years) {
+  if (!years.length) return '<div class="taxon-profile-empty">Aucune année renseignée</div>';
+  const counts = new Map(years.map(y => [y.year, y.count]));
+  const first = years[0].year;
+  const last = years[years.length - 1].year;
+  const span = last - first + 1;
+  const max = Math.max(...years.map(y => y.count));
+  const w = 280; const h = 70; const barW = w / span;
+  const bars = [];
+  for (let year = first; year <= last; year++) {
+    const c = counts.get(year) || 0;
+    if (!c) continue;
+    const bh = Math.max(1, (c / max) * (h - 4));
+    bars.push(`<rect x="${((year - first) * barW).toFixed(2)}" y="${(h - bh).toFixed(2)}" width="${Math.max(1, barW - 0.5).toFixed(2)}" height="${bh.toFixed(2)}"><title>${year}: ${fmt(c)}</title></rect>`);
+  }
+  return `<svg class="taxon-profile-hist" viewBox="0 0 ${w} ${h}" preserveAspectRatio="none" role="img" aria-label="Occurrences par année">${bars.join('')}</svg>`
+    + `<div class="taxon-profile-axis"><span>${first}</span><span>max ${fmt(max)} / an</span><span>${last}</span></div>`;
+}
+
+function renderTaxonProfile(s) {
+  document.getElementById('taxon-profile-level').textContent = TAXON_LEVEL_LABELS[s.level] || s.level;
+  document.getElementById('taxon-profile-title').textContent = s.name;
+  // Classification: chaque niveau supérieur ouvre sa propre fiche
+  const crumbs = levels
+    .filter(lvl => s.classification[lvl])
+    .map(lvl => `<button type="button" class="taxon-profile-crumb" data-level="${lvl}" data-name="${escapeAttr(s.classification[lvl])}" title="${escapeAttr(TAXON_LEVEL_LABELS[lvl])}">${escapeHtml(s.classification[lvl])}</button>`)
+    .join(' › ');
+  const yearsTxt = s.firstYear !== null ? (s.firstYear === s.lastYear ? String(s.firstYear) : `${s.firstYear} – ${s.lastYear}`) : '—';
+  const countries = s.countries.length
+    ? s.countries.map(c => `${escapeHtml(c.countryCode)} (${fmt(c.count)})`).join(' · ')
+    : '—';
+  // Synonymes du référentiel taxonomique local (noms réconciliés vers ce taxon)
+  const synonyms = s.nomenclature?.synonyms?.length
+    ? `<dt>Synonymes</dt><dd class="taxon-profile-synonyms">${s.nomenclature.synonyms.map(syn => escapeHtml(syn.scientificName)).join('<br>')}</dd>`
+    : '';
+  const localities = s.localities.top.length
+    ? `<ol class="taxon-profile-localities">${s.localities.top.map(l => `<li>${escapeHtml(l.locality)} <span>${fmt(l.count)}</span></li>`).join('')}</ol>`
+    : '';
+  taxonProfileBody.innerHTML = `
+    <div class="taxon-profile-media"></div>
+    ${crumbs ? `<div class="taxon-profile-crumbs">${crumbs}</div>` : ''}
+    <dl class="taxon-profile-stats">
+      <dt>Occurrences</dt><dd>${fmt(s.total)}${s.range ? ` (${fmt(s.range.georeferenced)} géolocalisées)` : ''}</dd>
+      <dt>Années</dt><dd>${yearsTxt}</dd>
+      <dt>Pays</dt><dd>${countries}</dd>
+      <dt>Localités</dt><dd>${fmt(s.localities.distinct)}${s.localities.distinct > s.localities.top.length ? ` (${s.localities.top.length} plus fréquentes)` : ''}</dd>
+      ${synonyms}
+    </dl>
+    ${localities}
+    <div class="taxon-profile-section">Occurrences par année</div>
+    ${taxonProfileHistogramSvg(s.years)}
+    <div class="taxon-profile-section">Aire de répartition</div>`;
+  taxonProfileBody.querySelectorAll('.taxon-profile-crumb').forEach(btn => {
+    btn.addEventListener('click', () => openTaxonProfile(btn.dataset.name, btn.dataset.level));
+  });
+  drawTaxonProfileRange(s.range);
+}
+
+// Mini-carte: enveloppe convexe des occurrences (ou points / segment s'il y en a moins de 3) + EOO
+function drawTaxonProfileRange(range) {
+  const mapDiv = document.getElementById('taxon-profile-map');
+  if (!range) {
+    if (mapDiv) mapDiv.hidden = true;
+    taxonProfileRangeDiv.textContent = 'Aucune occurrence géolocalisée';
+    return;
+  }
+  mapDiv.hidden = false;
+  if (!taxonProfileMap) {
+    taxonProfileMap = L.map(mapDiv, { zoomControl: false, attributionControl: false, scrollWheelZoom: false });
+    L.tileLayer('https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png', { maxZoom: 19 }).addTo(taxonProfileMap);
+    taxonProfileLayer = L.layerGroup().addTo(taxonProfileMap);
+  }
+  taxonProfileMap.invalidateSize();
+  taxonProfileLayer.clearLayers();
+  const style = { color: '#d9480f', weight: 2, fillOpacity: 0.25 };
+  if (range.hull.length >= 3) L.polygon(range.hull, style).addTo(taxonProfileLayer);
+  else if (range.hull.length === 2) L.polyline(range.hull, style).addTo(taxonProfileLayer);
+  range.hull.forEach(p => L.circleMarker(p, { radius: 3, color: '#d9480f', weight: 1, fillOpacity: 0.8 }).addTo(taxonProfileLayer));
+  const [minLng, minLat, maxLng, maxLat] = range.bbox;
+  const bounds = L.latLngBounds([minLat, minLng], [maxLat, maxLng]);
+  if (minLat === maxLat && minLng === maxLng) taxonProfileMap.setView(bounds.getCenter(), 8);
+  else taxonProfileMap.fitBounds(bounds.pad(0.15));
+  const f = v => v.toFixed(2);
+  taxonProfileRangeDiv.innerHTML = `Emprise: lat ${f(minLat)} → ${f(maxLat)}, lng ${f(minLng)} → ${f(maxLng)}`
+    + `<br>Zone d'occurrence (enveloppe convexe): ≈ ${fmt(range.eooKm2)} km²`;
+}
+
+// Ouvre la fiche d'un taxon (nom exact au niveau donné)
+async function openTaxonProfile(name, level = 'scientificName') {
+  if (!taxonProfilePanel || !name) return;
+  const seq = ++taxonProfileSeq;
+  taxonProfilePanel.hidden = false;
+  document.getElementById('taxon-profile-level').textContent = TAXON_LEVEL_LABELS[level] || level;
+  document.getElementById('taxon-profile-title').textContent = name;
+  taxonProfileBody.innerHTML = '<div class="taxon-profile-empty">Chargement…</div>';
+  taxonProfileRangeDiv.textContent = '';
+  const mapDiv = document.getElementById('taxon-profile-map');
+  if (mapDiv) mapDiv.hidden = true;
+  try {
+    const resp = await fetchWithCancel(`/api/taxa/${encodeURIComponent(name)}/summary?` + new URLSearchParams({ level }).toString());
+    const data = await resp.json().catch(() => null);
+    if (seq !== taxonProfileSeq) return;
+    if (!resp.ok) throw new Error(data?.error || `HTTP ${resp.status}`);
+    renderTaxonProfile(data);
+    // Photo et noms vernaculaires (espèces uniquement), chargés après les statistiques
+    if (level === 'scientificName' || level === 'species') {
+      const media = await fetchSpeciesMedia(name);
+      const mediaDiv = taxonProfileBody.querySelector('.taxon-profile-media');
+      if (seq === taxonProfileSeq && mediaDiv) mediaDiv.innerHTML = speciesMediaHtml(media, name);
+    }
+  } catch (e) {
+    if (seq !== taxonProfileSeq) return;
+    if (e?.name === 'AbortError') {
+      taxonProfileBody.innerHTML = '<div class="taxon-profile-empty">Chargement annulé</div>';
+      return;
+    }
+    console.error('Erreur fiche taxon:', e);
+    taxonProfileBody.innerHTML = `<div class="taxon-profile-empty">${escapeHtml(e.message || 'Fiche indisponible')}</div>`;
+  }
+}
+
+function closeTaxonProfile() {
+  taxonProfileSeq++;
+  if (taxonProfilePanel) taxonProfilePanel.hidden = true;
+}
+
+(function initTaxonProfile() {
+  document.getElementById('btn-taxon-profile-close')?.addEventListener('click', closeTaxonProfile);
+  // Bouton "Fiche" du panneau taxonomique: niveau le plus fin avec une seule valeur incluse
+  document.getElementById('btn-taxon-profile')?.addEventListener('click', () => {
+    const lvl = [...levels].reverse().find(l => taxState[l].include.length === 1);
+    if (!lvl) {
+      showToast('Choisir une seule valeur à un niveau taxonomique pour afficher sa fiche', 'info');
+      return;
+    }
+    openTaxonProfile(taxState[lvl].include[0], lvl);
+  });
+})();
+
 // ----- Panneau dates -----
 const yearMinInput = document.getElementById('year-min');
 const yearMaxInput = document.getElementById('year-max');
@@ -567,11 +1885,7 @@ function getCurrentYearFilter() {
 // (Optionnel) Récupère des bornes d'années; ici on utilise plutôt /api/years/minmax
 async function fetchYearBounds(currentFilters) {
   // On récupère les bornes de l’attribut 'year' selon les filtres (ou globalement)
-  const params = new URLSearchParams();
-  const levels = ['kingdom','phylum','class','order','family','genus','species','scientificName'];
-  for (const k of levels) {
-    if (currentFilters?.[k]) params.set(k, currentFilters[k]);
-  }
+  const params = filterParams(currentFilters);
   const resp = await fetchWithCancel('/api/taxonomy/values?level=year&' + params.toString());
   const data = await resp.json();
   // Si l’API ne supporte pas encore level=year, on basculera sur une approche fallback ci-dessous
@@ -595,13 +1909,15 @@ function setYearControls(minYear, maxYear) {
   updateDualRangeTrack();
 }
 
-// Lit les sélecteurs taxonomiques et retourne un objet contenant les filtres actifs.
-// Retourne les filtres taxonomiques actifs (sélecteurs non vides)
+// Lit l'état des niveaux taxonomiques et retourne un objet contenant les filtres actifs.
+// Retourne les filtres taxonomiques actifs: <niveau> = valeur (ou tableau si plusieurs valeurs
+// incluses), <niveau>Exclude = tableau des valeurs exclues
 function getCurrentTaxFilters() {
   const filters = {};
   for (const lvl of levels) {
-    const val = selects[lvl]?.value || '';
-    if (val) filters[lvl] = val;
+    const { include, exclude } = taxState[lvl];
+    if (include.length) filters[lvl] = include.length === 1 ? include[0] : [...include];
+    if (exclude.length) filters[`${lvl}Exclude`] = [...exclude];
   }
   return filters;
 }
@@ -612,7 +1928,7 @@ async function initDatePanel() {
   // Fallback simple: déterminer les bornes min/max depuis un échantillon si l’API year n’existe pas
   try {
     const filters = getCurrentTaxFilters();
-    const params = new URLSearchParams(filters);
+    const params = filterParams(filters);
     const resp = await fetchWithCancel('/api/years/minmax?' + params.toString());
     if (!resp.ok) {
       const text = await resp.text().catch(() => '');
@@ -659,6 +1975,8 @@ async function initDatePanel() {
     try {
       await updateMapForFilters(filters);
       if (bioGridActive) await refreshBioGridGlobal();
+      await refreshLatitudeDiversity();
+      await refreshQualityOverlay();
     } finally {
       hideLoader();
     }
@@ -697,12 +2015,212 @@ initTaxonomyPanel();
 initDatePanel();
 initDocLimitPanel();
 
-// ================= Biodiversity Grid Overlay (fixe, global) =================
-// On calcule une grille globale côté serveur une seule fois à l'activation.
+// ----- Animation temporelle (panneau Temporalité) -----
+// Série par année (/api/years/series) sous les filtres taxonomiques courants: la lecture avance année par
+// année (fenêtre glissante de 1, 5 ou 10 ans) et affiche un échantillon de points de la fenêtre.
+// Les curseurs d'années suivent la fenêtre affichée sans relancer de requête.
+const TIMELINE_SAMPLE = 100;             // points par année demandés au serveur
+const timelinePlayBtn = document.getElementById('btn-timeline-play');
+const timelineStopBtn = document.getElementById('btn-timeline-stop');
+const timelineWindowSel = document.getElementById('timeline-window');
+const timelineSpeedSel = document.getElementById('timeline-speed');
+const timelineSpark = document.getElementById('timeline-sparkline');
+const timelineLabel = document.getElementById('timeline-label');
+let timelineSeries = null;               // { key, years: [{ year, count, samples }] }
+let timelineIndex = 0;                   // index de la première année de la fenêtre
+let timelineTimer = null;
+
+function timelineWindow() {
+  return Math.max(1, Number(timelineWindowSel?.value) || 1);
+}
+
+// Charge (ou réutilise) la série pour les filtres taxonomiques courants
+async function loadTimelineSeries() {
+  const params = filterParams(getCurrentTaxFilters(), { sample: String(TIMELINE_SAMPLE) });
+  const key = params.toString();
+  if (timelineSeries && timelineSeries.key === key) return timelineSeries;
+  const resp = await fetchWithCancel('/api/years/series?' + key);
+  if (!resp.ok) throw new Error(`HTTP ${resp.status}`);
+  const data = await resp.json();
+  timelineSeries = { key, years: data.years || [], total: data.total || 0 };
+  timelineIndex = 0;
+  drawTimelineSparkline();
+  return timelineSeries;
+}
+
+// Sparkline: une barre par année (hauteur = nb d'observations), fenêtre courante en surbrillance
+function drawTimelineSparkline() {
+  if (!timelineSpark) return;
+  const years = timelineSeries?.years || [];
+  if (years.length === 0) { timelineSpark.innerHTML = ''; return; }
+  const W = 240; const H = 36;
+  const max = Math.max(1, ...years.map(y => y.count));
+  const bw = W / years.length;
+  const w = timelineWindow();
+  timelineSpark.innerHTML = years.map((y, i) => {
+    const h = Math.max(1, (y.count / max) * (H - 2));
+    const inWindow = timelineActive && i >= timelineIndex && i < timelineIndex + w;
+    return `<rect class="${inWindow ? 'spark-window' : 'spark-bar'}" data-index="${i}" x="${(i * bw).toFixed(2)}" y="${(H - h).toFixed(2)}" width="${Math.max(0.5, bw - 0.5).toFixed(2)}" height="${h.toFixed(2)}"><title>${y.year}: ${fmt(y.count)} observations</title></rect>`;
+  }).join('');
+}
+
+// Affiche la fenêtre [timelineIndex, timelineIndex + fenêtre[ : points, libellé, curseurs d'années
+function renderTimelineFrame() {
+  const years = timelineSeries?.years || [];
+  if (years.length === 0) return;
+  const slice = years.slice(timelineIndex, timelineIndex + timelineWindow());
+  const first = slice[0].year;
+  const last = slice[slice.length - 1].year;
+  timelineLayer.clearLayers();
+  slice.forEach((entry, k) => {
+    // La dernière année de la fenêtre est la plus visible
+    const recent = k === slice.length - 1;
+    for (const p of entry.samples) {
+      L.circleMarker([p.decimalLatitude, p.decimalLongitude], {
+        radius: recent ? 5 : 4,
+        color: recent ? '#ffcc00' : '#ff9800',
+        weight: 1,
+        fillOpacity: recent ? 0.8 : 0.35,
+        interactive: false
+      }).addTo(timelineLayer);
+    }
+  });
+  if (!map.hasLayer(timelineLayer)) timelineLayer.addTo(map);
+  const count = slice.reduce((s, y) => s + y.count, 0);
+  const period = first === last ? String(first) : `${first}–${last}`;
+  if (timelineLabel) timelineLabel.textContent = `${period}: ${fmt(count)} observations (échantillon affiché)`;
+  if (yearMinInput && yearMaxInput) {
+    yearMinInput.value = String(first);
+    yearMaxInput.value = String(last);
+    if (yearMinLabel) yearMinLabel.textContent = String(first);
+    if (yearMaxLabel) yearMaxLabel.textContent = String(last);
+    updateDualRangeTrack();
+  }
+  drawTimelineSparkline();
+}
+
+function pauseTimeline() {
+  clearInterval(timelineTimer);
+  timelineTimer = null;
+  timelinePlayBtn?.classList.remove('playing');
+  if (timelinePlayBtn) timelinePlayBtn.textContent = '▶';
+}
+
+function scheduleTimelineSteps() {
+  clearInterval(timelineTimer);
+  timelineTimer = setInterval(() => {
+    const years = timelineSeries?.years || [];
+    if (timelineIndex + timelineWindow() >= years.length) { pauseTimeline(); return; }
+    timelineIndex++;
+    renderTimelineFrame();
+  }, Number(timelineSpeedSel?.value) || 800);
+}
+
+async function playTimeline() {
+  showLoader();
+  try {
+    const series = await loadTimelineSeries();
+    if (series.years.length === 0) {
+      if (timelineLabel) timelineLabel.textContent = 'Aucune observation datée pour ces filtres';
+      return;
+    }
+    // Reprise depuis le début si la lecture précédente est allée au bout
+    if (timelineIndex + timelineWindow() >= series.years.length) timelineIndex = 0;
+    timelineActive = true;
+    if (timelineStopBtn) timelineStopBtn.disabled = false;
+    timelinePlayBtn?.classList.add('playing');
+    if (timelinePlayBtn) timelinePlayBtn.textContent = '❚❚';
+    updateMarkerVisibilityForFilters();
+    renderTimelineFrame();
+    scheduleTimelineSteps();
+  } catch (e) {
+    console.error('Erreur animation temporelle:', e);
+    if (timelineLabel) timelineLabel.textContent = 'Série temporelle indisponible';
+  } finally {
+    hideLoader();
+  }
+}
+
+// Arrêt: retire les points animés, rétablit les marqueurs et la plage d'années du filtre courant
+function stopTimeline() {
+  pauseTimeline();
+  timelineActive = false;
+  timelineLayer.clearLayers();
+  if (map.hasLayer(timelineLayer)) map.removeLayer(timelineLayer);
+  if (timelineStopBtn) timelineStopBtn.disabled = true;
+  const current = getCurrentYearFilter();
+  if (yearMinInput && yearMaxInput && yearBounds.min !== null) {
+    yearMinInput.value = String(current.yearMin ?? yearBounds.min);
+    yearMaxInput.value = String(current.yearMax ?? yearBounds.max);
+    if (yearMinLabel) yearMinLabel.textContent = yearMinInput.value;
+    if (yearMaxLabel) yearMaxLabel.textContent = yearMaxInput.value;
+    updateDualRangeTrack();
+  }
+  if (timelineLabel) timelineLabel.textContent = 'Lecture: observations année par année';
+  drawTimelineSparkline();
+  updateMarkerVisibilityForFilters();
+}
+
+// Filtres taxonomiques modifiés: la série affichée est rechargée (la lecture en cours est arrêtée)
+async function refreshTimeline() {
+  if (!timelineSeries) return;
+  if (timelineActive) stopTimeline();
+  try {
+    await loadTimelineSeries();
+  } catch (e) {
+    console.error('Erreur série temporelle:', e);
+  }
+}
+
+(function initTimelineControls() {
+  timelinePlayBtn?.addEventListener('click', () => {
+    if (timelineTimer) pauseTimeline(); else playTimeline();
+  });
+  timelineStopBtn?.addEventListener('click', stopTimeline);
+  // Changement de vitesse pendant la lecture: nouvel intervalle immédiatement
+  timelineSpeedSel?.addEventListener('change', () => { if (timelineTimer) scheduleTimelineSteps(); });
+  timelineWindowSel?.addEventListener('change', () => { if (timelineActive) renderTimelineFrame(); else drawTimelineSparkline(); });
+  // Clic sur la sparkline: aller à l'année (lecture en pause)
+  timelineSpark?.addEventListener('click', async (e) => {
+    const index = Number(e.target?.dataset?.index);
+    if (!Number.isInteger(index) || !timelineSeries) return;
+    pauseTimeline();
+    timelineIndex = Math.min(index, Math.max(0, timelineSeries.years.length - timelineWindow()));
+    timelineActive = true;
+    if (timelineStopBtn) timelineStopBtn.disabled = false;
+    updateMarkerVisibilityForFilters();
+    renderTimelineFrame();
+  });
+})();
+
+// ================= Biodiversity Grid Overlay =================
+// Sans filtre: grille globale pré-calculée côté serveur. Avec des filtres taxonomiques
+// (kingdom..genus) et/ou d'années: grille calculée à la demande (cache LRU côté serveur).
 
-let bioGridLayer = null;           // L.LayerGroup des rectangles de cellules
+let bioGridLayer = null;           // L.LayerGroup des cellules (rectangles ou hexagones)
 let bioGridActive = false;         // overlay actif
-let bioGridCellSizeDeg = 0.25;      // taille de cellule en degrés (lat/lng), fixe (4x plus petit que 1.0)
+let bioGridCellSizeDeg = 0.25;      // taille de cellule en degrés (lat/lng), suit le zoom (voir bioGridLevelForZoom)
+let bioGridLoadSeq = 0;            // ignore les réponses d'une requête de grille dépassée
+
+// Pyramide de résolutions servie par le serveur (remplacée par /api/coords/grid/metrics)
+// Hexagones: niveaux grossiers seulement
+let bioGridLevels = [2, 1, 0.5, 0.25, 0.1, 0.05];
+let bioGridHexLevels = [2, 1, 0.5];
+// Niveau de zoom Leaflet -> taille de cellule: ~quelques centaines de cellules à l'écran
+const BIOGRID_ZOOM_LEVELS = [
+  { maxZoom: 3, sizeDeg: 2 },
+  { maxZoom: 4, sizeDeg: 1 },
+  { maxZoom: 5, sizeDeg: 0.5 },
+  { maxZoom: 7, sizeDeg: 0.25 },
+  { maxZoom: 9, sizeDeg: 0.1 },
+  { maxZoom: Infinity, sizeDeg: 0.05 },
+];
+function bioGridLevelForZoom(zoom) {
+  const wanted = BIOGRID_ZOOM_LEVELS.find(l => zoom <= l.maxZoom).sizeDeg;
+  // Niveau disponible le plus proche pour la forme courante (au cas où le serveur n'expose pas ce niveau)
+  const available = bioGridShape === 'hex' ? bioGridHexLevels : bioGridLevels;
+  return available.reduce((best, l) => (Math.abs(l - wanted) < Math.abs(best - wanted) ? l : best), available[0]);
+}
 
 const DEFAULT_BIOGRID_MAXDOCS = 35000000; // borne supérieure utilisée côté serveur
 function getBioGridMaxDocs() {
@@ -719,23 +2237,28 @@ function getBioGridMaxDocs() {
   return String(DEFAULT_BIOGRID_MAXDOCS);
 }
 
-function cellKeyFromLatLng(lat, lng, sizeDeg) {
-  const i = Math.floor((lat + 90) / sizeDeg);
-  const j = Math.floor((lng + 180) / sizeDeg);
-  return `${i}:${j}`;
-}
-
-function boundsFromKey(key, sizeDeg) {
-  const [iStr, jStr] = key.split(':');
-  const i = Number(iStr); const j = Number(jStr);
-  const lat0 = -90 + i * sizeDeg;
-  const lat1 = lat0 + sizeDeg;
-  const lng0 = -180 + j * sizeDeg;
-  const lng1 = lng0 + sizeDeg;
-  return [[lat0, lng0], [lat1, lng1]];
-}
+// Forme des cellules: carrés lat/lng ou hexagones d'aire égale (calculés côté serveur), mémorisée localement
+let bioGridShape = 'square';
+try { bioGridShape = localStorage.getItem('biogrid_shape') || bioGridShape; } catch {}
+const BIOGRID_SHAPE_LABELS = { square: 'Carrés', hex: 'Hexagones (aire égale)' };
+
+// Palette commune aux métriques (du plus faible au plus fort)
+const BIOGRID_PALETTE = ['#e53935', '#ff9800', '#f2c037', '#7cb342', '#2e7d32'];
+
+// Métrique affichée par la grille (voir /api/coords/grid/metrics), mémorisée localement
+let bioGridMetric = 'speciesRichness';
+try { bioGridMetric = localStorage.getItem('biogrid_metric') || bioGridMetric; } catch {}
+// Libellés des métriques (remplacés par ceux du serveur au chargement)
+let bioGridMetricInfo = {
+  speciesRichness: { label: 'Richesse spécifique', integer: true },
+  occurrences: { label: "Nombre d'occurrences", integer: true },
+  shannon: { label: 'Indice de Shannon' },
+  simpson: { label: 'Indice de Simpson' },
+  rarefiedRichness: { label: 'Richesse raréfiée' },
+  weightedEndemism: { label: 'Endémisme pondéré' },
+};
 
-// Palette logarithmique sur la richesse spécifique (nb d'espèces distinctes)
+// Palette logarithmique sur les comptages (richesse spécifique, occurrences)
 // Bins ~ [1-9], [10-99], [100-999], [1000-9999], [>=10000]
 function colorForCount(c) {
   if (!Number.isFinite(c) || c <= 0) return '#00000000';
@@ -745,17 +2268,85 @@ function colorForCount(c) {
   if (c < 10000) return '#7cb342';    // vert moyen
   return '#2e7d32';                   // vert foncé
 }
-// Va chercher la grille globale en cache (ou signale si calcul en cours)
+
+// Seuils de classes pour une métrique: bins log pour les comptages, quantiles sinon
+// (quantiles du niveau entier fournis par le serveur, sinon calculés sur les cellules reçues)
+// Retourne 4 seuils croissants (5 classes)
+function bioGridBreaks(metric, cells, stats = null) {
+  if (bioGridMetricInfo[metric]?.integer) return [10, 100, 1000, 10000];
+  if (stats?.breaks?.length === 4) return stats.breaks;
+  const values = cells.map(c => c.count).filter(Number.isFinite).sort((a, b) => a - b);
+  if (!values.length) return [0, 0, 0, 0];
+  const q = (p) => values[Math.min(values.length - 1, Math.floor(p * values.length))];
+  return [q(0.2), q(0.4), q(0.6), q(0.8)];
+}
+
+// Couleur d'une valeur selon les seuils (classe = nb de seuils dépassés)
+function colorForValue(v, breaks) {
+  if (!Number.isFinite(v)) return '#00000000';
+  let k = 0;
+  while (k < breaks.length && v >= breaks[k]) k++;
+  return BIOGRID_PALETTE[k];
+}
+
+// Légende de la grille (change avec la métrique et la distribution des valeurs)
+let bioGridLegend = null;
+function formatLegendValue(v, integer) {
+  if (!Number.isFinite(v)) return '—';
+  return integer ? fmt(Math.round(v)) : v.toLocaleString('fr-FR', { maximumFractionDigits: 2 });
+}
+function updateBioGridLegend(metric, breaks, stats) {
+  if (!bioGridLegend) {
+    bioGridLegend = L.control({ position: 'bottomleft' });
+    bioGridLegend.onAdd = () => L.DomUtil.create('div', 'grid-legend');
+  }
+  if (!bioGridLegend._map) bioGridLegend.addTo(map);
+  const info = bioGridMetricInfo[metric] || { label: metric };
+  const integer = !!info.integer;
+  const lo = [integer ? 1 : stats?.min, ...breaks];
+  const rows = BIOGRID_PALETTE.map((color, k) => {
+    const from = formatLegendValue(lo[k], integer);
+    const label = k < breaks.length ? `${from} – ${formatLegendValue(breaks[k], integer)}` : `≥ ${from}`;
+    return `<div class="legend-row"><span class="legend-swatch" style="background:${color}"></span>${escapeHtml(label)}</div>`;
+  }).join('');
+  const container = bioGridLegend.getContainer();
+  container.innerHTML = `<div class="legend-title" title="${escapeAttr(info.description || '')}">${escapeHtml(info.label)}</div>${rows}`;
+}
+function removeBioGridLegend() {
+  if (bioGridLegend && bioGridLegend._map) bioGridLegend.remove();
+}
+// Niveaux taxonomiques pris en compte par la grille (espèce/nom: richesse triviale)
+const BIOGRID_TAXONOMY_LEVELS = ['kingdom', 'phylum', 'class', 'order', 'family', 'genus'];
+
+// Filtres courants appliqués à la grille: taxonomie kingdom..genus (inclusions / exclusions) + plage d'années
+// + exclusion des données signalées
+function getBioGridFilters() {
+  const tax = getCurrentTaxFilters();
+  const filters = {};
+  for (const lvl of BIOGRID_TAXONOMY_LEVELS) {
+    if (tax[lvl]) filters[lvl] = tax[lvl];
+    if (tax[`${lvl}Exclude`]) filters[`${lvl}Exclude`] = tax[`${lvl}Exclude`];
+  }
+  if (excludeFlagged) filters.excludeFlagged = '1';
+  return { ...filters, ...getCurrentYearFilter() };
+}
+
+// Va chercher la grille (globale en cache, ou filtrée) et signale si le calcul global est en cours
 async function fetchGridCellsGlobal() {
-  // Essayer d'abord le cache
-  const cacheParams = new URLSearchParams({ sizeDeg: String(bioGridCellSizeDeg) });
+  // Seules les cellules de la vue courante sont demandées
+  const cacheParams = filterParams(getBioGridFilters(), {
+    sizeDeg: String(bioGridCellSizeDeg),
+    shape: bioGridShape,
+    metric: bioGridMetric,
+    bbox: getMapBBox(),
+  });
   let url = '/api/coords/grid/cached?' + cacheParams.toString();
   console.debug('[bio-grid] GET', url);
   let resp = await fetchWithCancel(url);
   if (!resp.ok) throw new Error(`HTTP ${resp.status}`);
   let data = await resp.json();
   if (data.cached && Array.isArray(data.cells)) {
-    console.log('[bio-grid] cache hit:', data.cells.length, 'cellules, scanned=', data.scanned, 'updatedAt=', data.updatedAt);
+    console.log('[bio-grid]', data.filtered ? 'grille filtrée:' : 'cache hit:', data.cells.length, 'cellules, scanned=', data.scanned, 'updatedAt=', data.updatedAt);
     return data;
   }
   // Si calcul en cours ou cache manquant, prévenir l'utilisateur et arrêter
@@ -765,21 +2356,24 @@ async function fetchGridCellsGlobal() {
   throw new Error('bio-grid-cache-not-ready');
 }
 
-// Dessine les cellules rectangulaires de la grille biodiversité
-function drawBioGridFromCells(cells) {
+// Dessine les cellules de la grille biodiversité ('count' = valeur de la métrique)
+// Hexagones: 'polygon' (sommets [lat, lng]); carrés: 'bounds'
+function drawBioGridFromCells(cells, metric = bioGridMetric, stats = null) {
+  const breaks = bioGridBreaks(metric, cells, stats);
   const rects = [];
   for (const cell of cells) {
     const count = cell.count;
-    if (!Number.isFinite(count) || count <= 0) continue;
-    const color = colorForCount(count);
-    const rect = L.rectangle(cell.bounds, {
+    if (!Number.isFinite(count)) continue;
+    const color = bioGridMetricInfo[metric]?.integer ? colorForCount(count) : colorForValue(count, breaks);
+    const style = {
       color,
       weight: 1,
       opacity: 0.8,
       fillColor: color,
       fillOpacity: 0.45,
       interactive: false
-    });
+    };
+    const rect = Array.isArray(cell.polygon) ? L.polygon(cell.polygon, style) : L.rectangle(cell.bounds, style);
     rects.push(rect);
   }
   if (bioGridLayer) {
@@ -787,35 +2381,117 @@ function drawBioGridFromCells(cells) {
     bioGridLayer = null;
   }
   bioGridLayer = L.layerGroup(rects);
-  if (bioGridActive) bioGridLayer.addTo(map);
-  console.log('[bio-grid] rectangles dessinés:', rects.length);
+  if (bioGridActive) {
+    bioGridLayer.addTo(map);
+    updateBioGridLegend(metric, breaks, stats);
+  }
+  console.log('[bio-grid] cellules dessinées:', rects.length);
 }
 
 // Rafraîchit la grille biodiversité si l'overlay est actif
-async function refreshBioGridGlobal() {
+// options.quiet: pas d'overlay de chargement (déplacements de la carte)
+async function refreshBioGridGlobal({ quiet = false } = {}) {
   if (!bioGridActive) return;
-  showLoader();
+  const seq = ++bioGridLoadSeq;
+  if (!quiet) showLoader();
   try {
     const data = await fetchGridCellsGlobal();
-    if (statusDiv) statusDiv.textContent = `Grille biodiversité (fixe): ${data.cells.length} cellules (scan=${data.scanned}${data.capped ? ', cap' : ''})`;
-    drawBioGridFromCells(data.cells);
+    if (seq !== bioGridLoadSeq || !bioGridActive) return;
+    const scope = data.filtered ? 'filtrée' : 'globale';
+    const shape = data.shape === 'hex' ? ', hexagones' : '';
+    if (statusDiv) statusDiv.textContent = `Grille biodiversité (${scope}, ${data.sizeDeg}°${shape}): ${data.cells.length}/${data.total ?? data.cells.length} cellules (scan=${data.scanned}${data.capped ? ', cap' : ''})`;
+    drawBioGridFromCells(data.cells, data.metric || bioGridMetric, data.stats);
   } catch (e) {
     console.error('Erreur refreshBioGridGlobal:', e);
   } finally {
-    hideLoader();
+    if (!quiet) hideLoader();
   }
 }
 
+// Suit la carte: niveau de la pyramide choisi au zoom (zoomend), cellules de la vue rechargées
+// après chaque déplacement (moveend, aussi émis après un zoom: un seul rechargement), avec un léger délai
+let bioGridMoveTimer = null;
+function scheduleBioGridRefresh() {
+  if (!bioGridActive) return;
+  clearTimeout(bioGridMoveTimer);
+  bioGridMoveTimer = setTimeout(() => refreshBioGridGlobal({ quiet: true }), 250);
+}
+map.on('zoomend', () => {
+  const next = bioGridLevelForZoom(map.getZoom());
+  if (next === bioGridCellSizeDeg) return;
+  console.debug('[bio-grid] niveau', bioGridCellSizeDeg, '->', next);
+  bioGridCellSizeDeg = next;
+  scheduleBioGridRefresh();
+});
+map.on('moveend', scheduleBioGridRefresh);
+
 // Active/désactive l'overlay biodiversité global (grille fixe)
 async function toggleBiodiversityGrid(enable) {
   bioGridActive = enable;
   if (enable) {
+    bioGridCellSizeDeg = bioGridLevelForZoom(map.getZoom());
     await refreshBioGridGlobal();
   } else {
     if (bioGridLayer && map.hasLayer(bioGridLayer)) map.removeLayer(bioGridLayer);
+    removeBioGridLegend();
   }
 }
 
+// Sélecteur de métrique (panneau des filtres): libellés du serveur, rafraîchit la grille active
+(function initBioGridMetricPicker() {
+  const select = document.getElementById('grid-metric');
+  if (!select) return;
+  const fill = () => {
+    select.innerHTML = Object.entries(bioGridMetricInfo)
+      .map(([id, info]) => `<option value="${escapeAttr(id)}" title="${escapeAttr(info.description || '')}">${escapeHtml(info.label)}</option>`)
+      .join('');
+    if (!bioGridMetricInfo[bioGridMetric]) bioGridMetric = 'speciesRichness';
+    select.value = bioGridMetric;
+  };
+  fill();
+  fetch('/api/coords/grid/metrics')
+    .then(r => (r.ok ? r.json() : null))
+    .then(data => {
+      if (Array.isArray(data?.levels) && data.levels.length) {
+        bioGridLevels = data.levels;
+        if (Array.isArray(data.hexLevels) && data.hexLevels.length) bioGridHexLevels = data.hexLevels;
+        bioGridCellSizeDeg = bioGridLevelForZoom(map.getZoom());
+      }
+      if (data?.metrics) { bioGridMetricInfo = data.metrics; fill(); }
+    })
+    .catch(() => {});
+  select.addEventListener('change', async () => {
+    bioGridMetric = select.value;
+    try { localStorage.setItem('biogrid_metric', bioGridMetric); } catch {}
+    if (bioGridActive) await refreshBioGridGlobal();
+  });
+})();
+
+// Sélecteur de forme des cellules (carrés / hexagones), rafraîchit la grille active
+(function initBioGridShapePicker() {
+  const select = document.getElementById('grid-shape');
+  if (!select) return;
+  const fill = (shapes) => {
+    select.innerHTML = shapes
+      .map(id => `<option value="${escapeAttr(id)}">${escapeHtml(BIOGRID_SHAPE_LABELS[id] || id)}</option>`)
+      .join('');
+    if (!shapes.includes(bioGridShape)) bioGridShape = 'square';
+    select.value = bioGridShape;
+  };
+  fill(Object.keys(BIOGRID_SHAPE_LABELS));
+  fetch('/api/coords/grid/metrics')
+    .then(r => (r.ok ? r.json() : null))
+    .then(data => { if (Array.isArray(data?.shapes) && data.shapes.length) fill(data.shapes); })
+    .catch(() => {});
+  select.addEventListener('change', async () => {
+    bioGridShape = select.value;
+    try { localStorage.setItem('biogrid_shape', bioGridShape); } catch {}
+    // Les hexagones n'existent qu'aux niveaux grossiers
+    bioGridCellSizeDeg = bioGridLevelForZoom(map.getZoom());
+    if (bioGridActive) await refreshBioGridGlobal();
+  });
+})();
+
 // Attacher le bouton Filtre 1 au toggle de la grille biodiversité
 // Bouton de filtre rapide f1: toggle de l'overlay biodiversité
 (function attachBiodiversityButton() {
@@ -842,14 +2518,15 @@ function anyQuickFilterActive() {
   return !!document.querySelector('.filter-buttons .filter-btn.active');
 }
 function updateMarkerVisibilityForFilters() {
-  if (anyQuickFilterActive()) hideMarkersLayer(); else showMarkersLayer();
+  // L'animation temporelle remplace aussi les marqueurs tant qu'elle n'est pas arrêtée
+  if (anyQuickFilterActive() || timelineActive) hideMarkersLayer(); else showMarkersLayer();
 }
-// Branche les autres boutons de filtres rapides (f3, f4)
+// Branche les autres boutons de filtres rapides (f4)
 (function attachOtherQuickFilters() {
   const buttons = document.querySelectorAll('.filter-buttons .filter-btn');
   buttons.forEach(btn => {
     const key = btn.getAttribute('data-filter');
-    if (key === 'f1' || key === 'f2') return; // f1 et f2 sont gérés séparément
+    if (key === 'f1' || key === 'f2' || key === 'f3') return; // f1, f2 et f3 sont gérés séparément
     btn.addEventListener('click', () => {
       btn.classList.toggle('active');
       updateMarkerVisibilityForFilters();
@@ -858,32 +2535,26 @@ function updateMarkerVisibilityForFilters() {
 })();
 
 // Attacher le bouton Filtre 2 pour afficher la corrélation latitude-diversité
-// Filtre rapide f2: afficher une “corrélation latitude-diversité” (mock)
+// Filtre rapide f2: gradient latitudinal de richesse (bandes + graphique), recalculé à chaque activation
 (function attachLatitudeDiversityButton() {
   const btn = document.querySelector('[data-filter="f2"]');
   if (!btn) return;
   const setActive = (on) => btn.classList.toggle('active', on);
   btn.addEventListener('click', async () => {
-    // On active le filtre visuellement et on affiche la corrélation
-    const wasActive = btn.classList.contains('active');
     // Si déjà actif, on le désactive et restaure les marqueurs
-    if (wasActive) {
+    if (btn.classList.contains('active')) {
       setActive(false);
-      // Retirer la couche lat-div si présente
-      try { if (map.hasLayer(latDivLayer)) map.removeLayer(latDivLayer); } catch {}
       latDivActive = false;
+      try { if (map.hasLayer(latDivLayer)) map.removeLayer(latDivLayer); } catch {}
+      removeLatitudeChart();
       updateMarkerVisibilityForFilters();
       if (statusDiv) statusDiv.textContent = '';
       return;
     }
     setActive(true);
-    // Si la couche est vide, appeler la fonction pour la peupler
+    latDivActive = true;
     try {
-      if (!latDivLayer || latDivLayer.getLayers().length === 0) {
-        await showLatitudeDiversityCorrelation();
-      }
-      if (!map.hasLayer(latDivLayer)) latDivLayer.addTo(map);
-      latDivActive = true;
+      await showLatitudeDiversityCorrelation();
     } finally {
       // masquer les marqueurs (car le filtre rapide est actif)
       updateMarkerVisibilityForFilters();
@@ -891,6 +2562,144 @@ function updateMarkerVisibilityForFilters() {
   });
 })();
 
+// ----- Calque qualité des données -----
+// Occurrences signalées par les contrôles qualité du serveur (/api/quality/flagged), dans la vue et sous
+// les filtres courants: un cercle par occurrence, couleur du premier indicateur; légende cliquable
+// (n'afficher qu'un indicateur) avec le nombre d'occurrences de la vue et le bilan global
+const QUALITY_FLAG_INFO = {
+  ZERO_COORDINATES: { label: 'Coordonnées nulles (0, 0)', color: '#8e44ad' },
+  COORDINATES_IN_SEA: { label: 'En mer', color: '#2e86de' },
+  COUNTRY_MISMATCH: { label: 'Pays incohérent', color: '#e67e22' },
+  SWAPPED_COORDINATES: { label: 'Latitude / longitude inversées', color: '#c0392b' },
+  FUTURE_DATE: { label: 'Date future', color: '#f1c40f' },
+  GEOGRAPHIC_OUTLIER: { label: 'Aberrant géographique', color: '#e84393' },
+  ENVIRONMENTAL_OUTLIER: { label: 'Aberrant environnemental', color: '#1abc9c' },
+};
+const QUALITY_POINTS_LIMIT = 3000;
+const qualityLayer = L.layerGroup();
+let qualityActive = false;
+let qualityFlagFilter = null;  // indicateur seul affiché (null: tous)
+let qualityLoadSeq = 0;        // ignore les réponses dépassées
+let qualityLegend = null;
+let qualityTotals = null;      // bilan du dernier traitement (nb de documents par indicateur)
+
+function qualityFlagLabel(flag) {
+  return QUALITY_FLAG_INFO[flag]?.label || flag;
+}
+
+async function fetchQualityFlagged() {
+  const params = filterParams({ ...getCurrentTaxFilters(), ...getCurrentYearFilter() }, {
+    bbox: getMapBBox(),
+    limit: String(QUALITY_POINTS_LIMIT),
+  });
+  if (qualityFlagFilter) params.set('flag', qualityFlagFilter);
+  const resp = await fetchWithCancel('/api/quality/flagged?' + params.toString());
+  if (!resp.ok) throw new Error(`HTTP ${resp.status}`);
+  return resp.json();
+}
+
+function updateQualityLegend(counts, truncated) {
+  if (!qualityLegend) {
+    qualityLegend = L.control({ position: 'bottomleft' });
+    qualityLegend.onAdd = () => {
+      const div = L.DomUtil.create('div', 'grid-legend quality-legend');
+      L.DomEvent.disableClickPropagation(div);
+      div.addEventListener('click', (ev) => {
+        const row = ev.target.closest('[data-flag]');
+        if (!row) return;
+        qualityFlagFilter = qualityFlagFilter === row.dataset.flag ? null : row.dataset.flag;
+        refreshQualityOverlay();
+      });
+      return div;
+    };
+  }
+  if (!qualityLegend._map) qualityLegend.addTo(map);
+  const rows = Object.entries(QUALITY_FLAG_INFO).map(([flag, info]) => {
+    const n = counts[flag] || 0;
+    const total = qualityTotals?.[flag];
+    const classes = ['legend-row', qualityFlagFilter === flag ? 'selected' : '', n ? '' : 'empty'].filter(Boolean).join(' ');
+    const title = total !== undefined ? `${fmt(total)} occurrence(s) signalée(s) au total` : '';
+    return `<div class="${classes}" data-flag="${escapeAttr(flag)}" title="${escapeAttr(title)}"><span class="legend-swatch" style="background:${info.color}"></span>${escapeHtml(info.label)}<span class="legend-count">${fmt(n)}</span></div>`;
+  }).join('');
+  const note = truncated ? `<div class="legend-note">${fmt(QUALITY_POINTS_LIMIT)} premières occurrences de la vue</div>` : '';
+  qualityLegend.getContainer().innerHTML = `<div class="legend-title">Qualité des données (vue)</div>${rows}${note}`;
+}
+
+function drawQualityPoints(points) {
+  qualityLayer.clearLayers();
+  const counts = {};
+  for (const p of points) {
+    const flags = Array.isArray(p.flags) ? p.flags : [];
+    flags.forEach(f => { counts[f] = (counts[f] || 0) + 1; });
+    if (!Number.isFinite(p.lat) || !Number.isFinite(p.lng)) continue;
+    const shown = qualityFlagFilter || flags.find(f => QUALITY_FLAG_INFO[f]) || flags[0];
+    const color = QUALITY_FLAG_INFO[shown]?.color || '#7f8c8d';
+    const marker = L.circleMarker([p.lat, p.lng], { radius: 5, color: '#fff', weight: 1, fillColor: color, fillOpacity: 0.9 });
+    const year = p.year !== undefined && p.year !== null ? ` (${escapeHtml(String(p.year))})` : '';
+    marker.bindPopup(`<b>${escapeHtml(p.scientificName || 'Nom inconnu')}</b>${year}<br>${flags.map(f => escapeHtml(qualityFlagLabel(f))).join('<br>')}`);
+    qualityLayer.addLayer(marker);
+  }
+  return counts;
+}
+
+// Recharge le calque (vue, filtres ou indicateur modifiés)
+// options.quiet: pas d'overlay de chargement (déplacements de la carte)
+async function refreshQualityOverlay({ quiet = false } = {}) {
+  if (!qualityActive) return;
+  const seq = ++qualityLoadSeq;
+  if (!quiet) showLoader();
+  try {
+    const data = await fetchQualityFlagged();
+    if (seq !== qualityLoadSeq || !qualityActive) return;
+    const counts = drawQualityPoints(data.points || []);
+    updateQualityLegend(counts, data.truncated);
+    if (statusDiv) statusDiv.textContent = `Qualité des données: ${fmt(data.count)} occurrence(s) signalée(s) dans la vue${data.truncated ? ' (tronqué)' : ''}`;
+  } catch (e) {
+    if (e?.name === 'AbortError') return;
+    console.error('Erreur refreshQualityOverlay:', e);
+    if (statusDiv) statusDiv.textContent = 'Erreur calque qualité des données';
+  } finally {
+    if (!quiet) hideLoader();
+  }
+}
+
+let qualityMoveTimer = null;
+map.on('moveend', () => {
+  if (!qualityActive) return;
+  clearTimeout(qualityMoveTimer);
+  qualityMoveTimer = setTimeout(() => refreshQualityOverlay({ quiet: true }), 250);
+});
+
+async function toggleQualityOverlay(enable) {
+  qualityActive = enable;
+  if (enable) {
+    qualityLayer.addTo(map);
+    fetch('/api/quality/summary')
+      .then(r => (r.ok ? r.json() : null))
+      .then(data => { qualityTotals = data?.lastRun?.counts || null; })
+      .catch(() => {});
+    await refreshQualityOverlay();
+  } else {
+    qualityLoadSeq++;
+    qualityLayer.clearLayers();
+    if (map.hasLayer(qualityLayer)) map.removeLayer(qualityLayer);
+    if (qualityLegend && qualityLegend._map) qualityLegend.remove();
+    if (statusDiv) statusDiv.textContent = '';
+  }
+}
+
+// Filtre rapide f3: calque qualité des données
+(function attachQualityButton() {
+  const btn = document.querySelector('[data-filter="f3"]');
+  if (!btn) return;
+  btn.addEventListener('click', async () => {
+    const on = !btn.classList.contains('active');
+    btn.classList.toggle('active', on);
+    updateMarkerVisibilityForFilters();
+    await toggleQualityOverlay(on);
+  });
+})();
+
 // ---- Positionner les panneaux à gauche : date au-dessus de documents, au-dessus de taxonomie ----
 // Positionne les panneaux (gauche) en pile: date au-dessus, puis limit, puis taxonomie
 (function stackLeftPanels() {
@@ -956,22 +2765,82 @@ function updateMarkerVisibilityForFilters() {
   const extraList = document.getElementById('extra-list');
   const btnExtraAdd = document.getElementById('btn-extra-add');
 
+  const modalTitle = document.getElementById('add-modal-title');
+  const btnSubmit = document.getElementById('btn-add-submit');
+  const importSection = modal?.querySelector('.import-section');
+
   if (!addPanel || !modal || !form) return;
   const open = () => { modal.setAttribute('aria-hidden', 'false'); };
   const close = () => { modal.setAttribute('aria-hidden', 'true'); };
-  addPanel.addEventListener('click', open);
-  addPanel.addEventListener('keydown', (e) => { if (e.key === 'Enter' || e.key === ' ') { e.preventDefault(); open(); } });
-  btnClose?.addEventListener('click', close);
-  btnCancel?.addEventListener('click', close);
-  modal.addEventListener('click', (e) => { if (e.target === modal) close(); });
-  document.addEventListener('keydown', (e) => {
-    if (modal.getAttribute('aria-hidden') === 'false' && e.key === 'Escape') {
-      e.preventDefault();
-      close();
+
+  // ---- Erreurs de validation par champ (réponse 400 { error, fields }) ----
+  function clearFieldErrors() {
+    modal.querySelectorAll('.field-error').forEach(el => el.remove());
+    modal.querySelectorAll('.invalid').forEach(el => el.classList.remove('invalid'));
+  }
+
+  // Affiche chaque message à côté de sa saisie (champ du formulaire ou ligne optionnelle)
+  function showFieldErrors(fields) {
+    clearFieldErrors();
+    let first = null;
+    for (const [name, message] of Object.entries(fields || {})) {
+      let input = form.elements.namedItem(name);
+      if (!input || input.tagName !== 'INPUT') {
+        const row = [...(extraList?.querySelectorAll('.extra-row') || [])]
+          .find(r => r.querySelector('.extra-key')?.value?.trim() === name);
+        input = row?.querySelector('.extra-val') || null;
+      }
+      const msg = document.createElement('span');
+      msg.className = 'field-error';
+      msg.textContent = input ? message : `${name}: ${message}`;
+      if (input) {
+        input.classList.add('invalid');
+        if (input.classList.contains('extra-val')) input.closest('.extra-row')?.appendChild(msg);
+        else input.insertAdjacentElement('afterend', msg);
+        first = first || input;
+      } else {
+        form.querySelector('.form-actions')?.insertAdjacentElement('beforebegin', msg);
+      }
     }
-  });
+    first?.focus();
+  }
+
+  // Réponse 400: erreurs par champ si fournies; retourne true si traitée ici
+  async function handleValidationFailure(resp) {
+    if (resp.status !== 400) return false;
+    const data = await resp.json().catch(() => ({}));
+    if (data.fields) {
+      showFieldErrors(data.fields);
+      showToast('Document invalide: corrigez les champs signalés.', 'error');
+    } else {
+      showToast(data.error || 'Document invalide.', 'error');
+    }
+    return true;
+  }
+
+  // Vocabulaires du schéma (taxonRank, occurrenceStatus, countryCode) proposés en listes de saisie
+  fetch('/api/schema/occurrence')
+    .then(r => (r.ok ? r.json() : null))
+    .then(data => {
+      for (const [name, def] of Object.entries(data?.fields || {})) {
+        const input = form.elements.namedItem(name);
+        if (!def.enum || !input || input.tagName !== 'INPUT') continue;
+        const list = document.createElement('datalist');
+        list.id = `schema-${name}`;
+        list.innerHTML = def.enum.map(v => `<option value="${escapeHtml(v)}"></option>`).join('');
+        form.appendChild(list);
+        input.setAttribute('list', list.id);
+      }
+    })
+    .catch(() => {});
+
+  // Mode édition: { id, original } du document en cours de modification (null = ajout)
+  let editing = null;
+  // Champs jamais exposés dans le formulaire (gérés par le serveur)
+  const PROTECTED_FIELDS = new Set(['_id', 'location', 'qualityFlags']);
 
-  btnExtraAdd?.addEventListener('click', () => {
+  // Ajoute une ligne clé/valeur dans les champs optionnels
+  function addExtraRow(key = '', value = '') {
     const row = document.createElement('div');
     row.className = 'extra-row';
     row.innerHTML = `
@@ -979,10 +2848,71 @@ function updateMarkerVisibilityForFilters() {
       <input placeholder="Valeur" class="extra-val" />
       <button type="button" class="remove">Supprimer</button>
     `;
+    row.querySelector('.extra-key').value = key;
+    row.querySelector('.extra-val').value = value;
     row.querySelector('.remove')?.addEventListener('click', () => row.remove());
     extraList?.appendChild(row);
+  }
+
+  // Bascule titres/boutons entre ajout et modification; vide le formulaire
+  function setMode(edit) {
+    form.reset();
+    clearFieldErrors();
+    if (extraList) extraList.innerHTML = '';
+    if (modalTitle) modalTitle.textContent = edit ? 'Modifier le document' : 'Ajouter un document';
+    if (btnSubmit) btnSubmit.textContent = edit ? 'Enregistrer' : 'Créer';
+    // Les documents existants peuvent avoir des champs canoniques vides: pas de "required" en édition
+    form.noValidate = !!edit;
+    if (importSection) importSection.hidden = !!edit;
+  }
+
+  const openAdd = () => {
+    if (editing) { editing = null; setMode(false); }
+    open();
+  };
+
+  // Charge le document et ouvre la modal pré-remplie (champs inconnus -> champs optionnels)
+  openDocumentEditor = async (id) => {
+    showLoader();
+    try {
+      const resp = await fetchWithCancel('/api/documents/' + encodeURIComponent(id));
+      if (!resp.ok) {
+        const text = await resp.text();
+        throw new Error(`HTTP ${resp.status}: ${text}`);
+      }
+      const { document: doc } = await resp.json();
+      setMode(true);
+      editing = { id, original: doc };
+      for (const [k, v] of Object.entries(doc)) {
+        if (PROTECTED_FIELDS.has(k) || v === null || v === undefined) continue;
+        const input = form.elements.namedItem(k);
+        const text = typeof v === 'object' ? JSON.stringify(v) : String(v);
+        if (input && input.tagName === 'INPUT') input.value = text; else addExtraRow(k, text);
+      }
+      open();
+    } catch (err) {
+      if (err?.name === 'AbortError') return;
+      console.error('Erreur chargement document:', err);
+      showToast('Impossible de charger le document.', 'error');
+    } finally {
+      hideLoader();
+    }
+  };
+
+  addPanel.addEventListener('click', openAdd);
+  addPanel.addEventListener('keydown', (e) => { if (e.key === 'Enter' || e.key === ' ') { e.preventDefault(); openAdd(); } });
+  btnClose?.addEventListener('click', close);
+  btnCancel?.addEventListener('click', close);
+  modal.addEventListener('click', (e) => { if (e.target === modal) close(); });
+  document.addEventListener('keydown', (e) => {
+    if (modal.getAttribute('aria-hidden') === 'false' && e.key === 'Escape') {
+      e.preventDefault();
+      close();
+    }
   });
 
+  btnExtraAdd?.addEventListener('click', () => addExtraRow());
+
   // Parse un nombre en tolérant les virgules et espaces
   function parseLocaleNumber(v) {
     if (v === undefined || v === null) return null;
@@ -1004,20 +2934,27 @@ function updateMarkerVisibilityForFilters() {
       if (k) payload[k] = String(v);
     });
 
-    // Validation/normalisation côté client des coordonnées
+    // Validation/normalisation côté client des coordonnées (le serveur valide le reste du schéma)
     const lat = parseLocaleNumber(payload.decimalLatitude);
     const lng = parseLocaleNumber(payload.decimalLongitude);
-    if (lat === null || lng === null) {
-      showToast('Veuillez renseigner des coordonnées numériques (latitude/longitude).', 'error');
-      return;
-    }
-    if (lat < -90 || lat > 90 || lng < -180 || lng > 180) {
-      showToast('Coordonnées hors bornes: latitude [-90,90], longitude [-180,180].', 'error');
+    const coordErrors = {};
+    if (lat === null) coordErrors.decimalLatitude = 'Nombre attendu.';
+    else if (lat < -90 || lat > 90) coordErrors.decimalLatitude = 'Valeur attendue entre -90 et 90.';
+    if (lng === null) coordErrors.decimalLongitude = 'Nombre attendu.';
+    else if (lng < -180 || lng > 180) coordErrors.decimalLongitude = 'Valeur attendue entre -180 et 180.';
+    if (Object.keys(coordErrors).length) {
+      showFieldErrors(coordErrors);
       return;
     }
+    clearFieldErrors();
     payload.decimalLatitude = lat;
     payload.decimalLongitude = lng;
 
+    if (editing) {
+      await submitEdit(payload);
+      return;
+    }
+
     showLoader();
     try {
       const resp = await fetchWithCancel('/api/documents', {
@@ -1025,6 +2962,8 @@ function updateMarkerVisibilityForFilters() {
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify(payload)
       });
+      if (await handleAuthFailure(resp)) return;
+      if (await handleValidationFailure(resp)) return;
       if (!resp.ok) {
         const text = await resp.text();
         throw new Error(`HTTP ${resp.status}: ${text}`);
@@ -1043,65 +2982,221 @@ function updateMarkerVisibilityForFilters() {
       hideLoader();
     }
   });
-})();
 
+  // Modification: n'envoie que les champs changés (PATCH), null pour les champs retirés
+  async function submitEdit(payload) {
+    const { id, original } = editing;
+    const patch = {};
+    for (const [k, v] of Object.entries(payload)) {
+      const before = original[k];
+      const beforeTxt = (before === null || before === undefined) ? '' : (typeof before === 'object' ? JSON.stringify(before) : String(before));
+      if (typeof v === 'number' ? v !== before : String(v) !== beforeTxt) patch[k] = v;
+    }
+    for (const k of Object.keys(original)) {
+      if (!PROTECTED_FIELDS.has(k) && !(k in payload)) patch[k] = null;
+    }
+    if (Object.keys(patch).length === 0) {
+      close();
+      return;
+    }
+    showLoader();
+    try {
+      const resp = await fetchWithCancel('/api/documents/' + encodeURIComponent(id), {
+        method: 'PATCH',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(patch)
+      });
+      if (await handleAuthFailure(resp)) return;
+      if (await handleValidationFailure(resp)) return;
+      if (!resp.ok) {
+        const text = await resp.text();
+        throw new Error(`HTTP ${resp.status}: ${text}`);
+      }
+      const data = await resp.json();
+      refreshObservationMarker(id, data.observation);
+      editing = { id, original: data.document };
+      if (statusDiv) statusDiv.textContent = 'Document modifié';
+      showToast('Document modifié.', 'info');
+      close();
+    } catch (err) {
+      if (err?.name === 'AbortError') return;
+      console.error('Erreur modification document:', err);
+      showToast('Erreur lors de la modification du document.', 'error');
+    } finally {
+      hideLoader();
+    }
+  }
 
+  // Import en masse: le fichier est envoyé brut (le serveur le parse en flux)
+  const importFile = document.getElementById('import-file');
+  const importDryRun = document.getElementById('import-dryrun');
+  const btnImport = document.getElementById('btn-import');
+  const importReport = document.getElementById('import-report');
+
+  // Affiche le rapport d'import (résumé + erreurs par ligne)
+  function renderImportReport(r) {
+    if (!importReport) return;
+    const summary = r.dryRun
+      ? `Simulation: ${fmt(r.rows)} lignes lues, ${fmt(r.valid)} valides, ${fmt(r.failed)} en erreur.`
+      : `${fmt(r.inserted)} documents insérés sur ${fmt(r.rows)} lignes, ${fmt(r.failed)} en erreur.`;
+    const errors = (r.errors || []).map(e => `<li>Ligne ${escapeHtml(e.line ?? '?')} : ${escapeHtml(e.error)}</li>`).join('');
+    const more = r.errorsTruncated ? '<div>(liste des erreurs tronquée)</div>' : '';
+    importReport.innerHTML = `<div class="import-summary ${r.failed ? 'warn' : 'ok'}">${escapeHtml(summary)}</div>`
+      + (errors ? `<ul>${errors}</ul>${more}` : '');
+  }
 
-// ----- Corrélation latitude-diversité -----
-// Démo: génère des points fictifs pour illustrer une corrélation lat/diversité
-async function showLatitudeDiversityCorrelation() {
-  showLoader();
-  try {
-    // Use mock data for testing
-    const mockData = {
-      correlation: Array.from({ length: 40 }, (_, i) => ({
-        latitude: -34 + (39 * i / 39), // From -34 to 5
-        diversite: Math.floor(Math.random() * 2000) // Random diversity 0-2000
-      }))
-    };
+  btnImport?.addEventListener('click', async () => {
+    const file = importFile?.files?.[0];
+    if (!file) {
+      showToast('Choisissez un fichier CSV ou une archive DwC-A (.zip).', 'warn');
+      return;
+    }
+    const isZip = /\.zip$/i.test(file.name);
+    const params = new URLSearchParams({ format: isZip ? 'dwca' : 'csv' });
+    const dryRun = !!importDryRun?.checked;
+    if (dryRun) params.set('dryRun', '1');
+    if (importReport) importReport.textContent = 'Import en cours…';
+    showLoader();
+    try {
+      const resp = await fetchWithCancel('/api/documents/import?' + params.toString(), {
+        method: 'POST',
+        headers: { 'Content-Type': isZip ? 'application/zip' : 'text/csv' },
+        body: file
+      });
+      if (await handleAuthFailure(resp)) { if (importReport) importReport.textContent = ''; return; }
+      if (!resp.ok) {
+        const text = await resp.text();
+        let failure = null;
+        try { failure = JSON.parse(text); } catch (_) { /* réponse texte */ }
+        // Import interrompu (fichier illisible ou trop volumineux): rapport partiel des lignes déjà insérées
+        if (failure?.error && importReport) {
+          if (Number.isFinite(failure.rows)) renderImportReport(failure);
+          else importReport.textContent = '';
+          importReport.insertAdjacentHTML('afterbegin', `<div class="import-summary warn">${escapeHtml(failure.error)}</div>`);
+          if (failure.inserted > 0) {
+            showToast(`Import interrompu : ${fmt(failure.inserted)} documents déjà importés.`, 'warn');
+            await updateMapForFilters({ ...getCurrentTaxFilters(), ...getCurrentYearFilter() });
+          }
+          return;
+        }
+        throw new Error(`HTTP ${resp.status}: ${text}`);
+      }
+      const report = await resp.json();
+      renderImportReport(report);
+      if (!dryRun && report.inserted > 0) {
+        showToast(`${fmt(report.inserted)} documents importés.`, 'info');
+        await updateMapForFilters({ ...getCurrentTaxFilters(), ...getCurrentYearFilter() });
+      }
+    } catch (err) {
+      if (err?.name === 'AbortError') { if (importReport) importReport.textContent = 'Import annulé'; return; }
+      console.error('Erreur import:', err);
+      if (importReport) importReport.textContent = 'Erreur lors de l\'import du fichier';
+    } finally {
+      hideLoader();
+    }
+  });
+})();
 
-    // Utiliser la couche dédiée pour ne pas être affecté par la logique qui cache la couche `markers`
-    latDivLayer.clearLayers();
 
-    mockData.correlation.forEach(d => {
-      if (typeof d.latitude !== 'number' || typeof d.diversite !== 'number') return;
 
-      // Limiter les latitudes au Brésil (~-34 à 5)
-      const lat = Math.max(-34, Math.min(5, d.latitude));
+// ----- Corrélation latitude-diversité -----
+// Richesse spécifique par bande de latitude calculée côté serveur (/api/latitude/diversity), sous les
+// filtres courants (taxonomie kingdom..genus + années): bandes sur la carte + graphique avec la régression
+const LATDIV_BAND_DEG = 1;
+let latDivChart = null;     // L.Control du graphique
+let latDivLoadSeq = 0;      // ignore les réponses dépassées
+
+async function fetchLatitudeDiversity() {
+  const params = filterParams(getBioGridFilters(), { bandDeg: String(LATDIV_BAND_DEG) });
+  const resp = await fetchWithCancel('/api/latitude/diversity?' + params.toString());
+  if (!resp.ok) throw new Error(`HTTP ${resp.status}`);
+  return resp.json();
+}
 
-      // Longitude approximative pour le Brésil (~-74 à -34) avec dispersion
-      const lng = Math.max(-74, Math.min(-34, -55 + (Math.random() - 0.5) * 10));
+// Bandes de latitude sur l'emprise en longitude des observations, couleur selon la richesse
+function drawLatitudeBands(bands) {
+  latDivLayer.clearLayers();
+  const max = bands.reduce((m, b) => Math.max(m, b.species), 0);
+  for (const b of bands) {
+    const k = max > 0 ? Math.min(BIOGRID_PALETTE.length - 1, Math.floor((b.species / max) * BIOGRID_PALETTE.length)) : 0;
+    const color = BIOGRID_PALETTE[k];
+    L.rectangle([[b.latMin, b.lngMin], [b.latMax, b.lngMax]], {
+      color,
+      weight: 1,
+      opacity: 0.7,
+      fillColor: color,
+      fillOpacity: 0.35
+    })
+      .bindPopup(`Latitude ${b.latMin}° à ${b.latMax}°<br>Espèces: ${fmt(b.species)}<br>Occurrences: ${fmt(b.occurrences)}`)
+      .addTo(latDivLayer);
+  }
+}
 
-      const diversite = d.diversite;
+// Graphique SVG: richesse (barres horizontales) le long de la latitude (axe vertical, comme la carte)
+// + droite de régression richesse ~ |latitude| (en V si les bandes traversent l'équateur)
+function latitudeChartSvg(bands, regression) {
+  const W = 240; const H = 170; const PAD_L = 34; const PAD_R = 8; const PAD_T = 8; const PAD_B = 18;
+  const latMin = Math.min(...bands.map(b => b.latMin));
+  const latMax = Math.max(...bands.map(b => b.latMax));
+  const max = Math.max(1, ...bands.map(b => b.species));
+  const x = v => PAD_L + (v / max) * (W - PAD_L - PAD_R);
+  const y = lat => PAD_T + ((latMax - lat) / Math.max(1e-9, latMax - latMin)) * (H - PAD_T - PAD_B);
+  const bars = bands.map(b => `<rect x="${PAD_L}" y="${y(b.latMax).toFixed(1)}" width="${(x(b.species) - PAD_L).toFixed(1)}" height="${Math.max(1, y(b.latMin) - y(b.latMax) - 1).toFixed(1)}" fill="#7cb342" opacity="0.8"><title>${b.lat}° : ${fmt(b.species)} espèces</title></rect>`).join('');
+  let line = '';
+  if (regression) {
+    const lats = [latMin, ...(latMin < 0 && latMax > 0 ? [0] : []), latMax];
+    const pts = lats.map(lat => `${x(Math.max(0, Math.min(max, regression.slope * Math.abs(lat) + regression.intercept))).toFixed(1)},${y(lat).toFixed(1)}`);
+    line = `<polyline points="${pts.join(' ')}" fill="none" stroke="#e53935" stroke-width="2" />`;
+  }
+  const axis = `<line x1="${PAD_L}" y1="${PAD_T}" x2="${PAD_L}" y2="${H - PAD_B}" stroke="#ccc" />`
+    + `<text x="${PAD_L - 4}" y="${PAD_T + 8}" text-anchor="end">${latMax}°</text>`
+    + `<text x="${PAD_L - 4}" y="${H - PAD_B}" text-anchor="end">${latMin}°</text>`
+    + `<text x="${W - PAD_R}" y="${H - 4}" text-anchor="end">${fmt(max)} espèces</text>`;
+  return `<svg viewBox="0 0 ${W} ${H}" width="${W}" height="${H}" role="img" aria-label="Richesse par bande de latitude">${bars}${line}${axis}</svg>`;
+}
 
-      // Couleur selon le niveau de diversité
-      const color =
-        diversite > 1000 ? '#ff0000' :
-        diversite > 500  ? '#ff7f00' :
-        diversite > 100  ? '#ffff00' :
-                          '#00ff00';
+function updateLatitudeChart(data) {
+  if (!latDivChart) {
+    latDivChart = L.control({ position: 'bottomleft' });
+    latDivChart.onAdd = () => {
+      const div = L.DomUtil.create('div', 'latdiv-chart');
+      L.DomEvent.disableClickPropagation(div);
+      return div;
+    };
+  }
+  if (!latDivChart._map) latDivChart.addTo(map);
+  const reg = data.regression;
+  const summary = reg
+    ? `r = ${reg.r.toLocaleString('fr-FR', { maximumFractionDigits: 3 })} (R² = ${reg.r2.toLocaleString('fr-FR', { maximumFractionDigits: 3 })}, n = ${reg.n})<br>`
+      + `${reg.slope.toLocaleString('fr-FR', { maximumFractionDigits: 1 })} espèces par degré d'éloignement de l'équateur`
+    : 'Pas assez de bandes pour une régression';
+  latDivChart.getContainer().innerHTML = `
+    <div class="legend-title">Richesse par latitude (bandes de ${data.bandDeg}°)</div>
+    ${latitudeChartSvg(data.bands, reg)}
+    <div class="latdiv-summary">${summary}</div>`;
+}
 
-      L.circleMarker([lat, lng], {
-        radius: Math.max(3, Math.min(10, diversite / 10)),
-        color,
-        fillColor: color,
-        fillOpacity: 0.6
-      })
-      .addTo(latDivLayer)
-      .bindPopup(`Latitude ~${lat}°<br>Diversité: ${diversite}`);
-    });
+function removeLatitudeChart() {
+  if (latDivChart && latDivChart._map) latDivChart.remove();
+}
 
-    const all = latDivLayer.getLayers();
-    if (all.length > 0) {
-      // S'assurer que la couche est affichée
-      if (!map.hasLayer(latDivLayer)) latDivLayer.addTo(map);
-      latDivActive = true;
-      const group = L.featureGroup(all);
-      map.fitBounds(group.getBounds().pad(0.3));
-      if (statusDiv) statusDiv.textContent = 'Corrélation latitude-diversité affichée';
-    } else {
+async function showLatitudeDiversityCorrelation({ fit = true } = {}) {
+  const seq = ++latDivLoadSeq;
+  showLoader();
+  try {
+    const data = await fetchLatitudeDiversity();
+    if (seq !== latDivLoadSeq || !latDivActive) return;
+    if (!Array.isArray(data.bands) || data.bands.length === 0) {
+      latDivLayer.clearLayers();
+      removeLatitudeChart();
       if (statusDiv) statusDiv.textContent = 'Aucune donnée de corrélation disponible';
+      return;
     }
+    drawLatitudeBands(data.bands);
+    if (!map.hasLayer(latDivLayer)) latDivLayer.addTo(map);
+    updateLatitudeChart(data);
+    if (fit) map.fitBounds(L.featureGroup(latDivLayer.getLayers()).getBounds().pad(0.1));
+    if (statusDiv) statusDiv.textContent = `Corrélation latitude-diversité: ${data.bands.length} bandes, ${fmt(data.scanned)} occurrences`;
   } catch (err) {
     console.error('Erreur corrélation:', err);
     if (statusDiv) statusDiv.textContent = 'Erreur corrélation latitude-diversité';
@@ -1109,3 +3204,8 @@ async function showLatitudeDiversityCorrelation() {
     hideLoader();
   }
 }
+
+// Filtres modifiés: recalcul sans recadrer la carte
+async function refreshLatitudeDiversity() {
+  if (latDivActive) await showLatitudeDiversityCorrelation({ fit: false });
+}
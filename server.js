@@ -3,12 +3,52 @@
  * ------------------------------------------------------
  * - Sert l'UI statique (Leaflet + panneaux)
  * - Expose des API optimisées MongoDB pour:
- *   - /api/observations: requête dynamique (taxonomie + année + tri + limit)
+ *   - /api/observations: requête dynamique (taxonomie + année + bbox/polygone + qualité + tri + limit),
+ *     paginée par curseur (keyset sur champ de tri + _id), en JSON ou en flux NDJSON
+ *   - /api/export: export de la sélection courante (CSV Darwin Core, GeoJSON, KML) en flux
+ *   - /tiles/observations/{z}/{x}/{y}.pbf: tuiles vectorielles (MVT) des observations, mêmes filtres,
+ *     points éclaircis aux petits zooms (voir tiles.js)
+ *   - /api/documents (+ /import, /:id): ajout unitaire, import en masse CSV / DwC-A,
+ *     lecture / modification / suppression d'un document (validés selon schema.js)
+ *   - /api/documents/:id/history: journal d'audit du document (auteur, date, diff; voir audit.js)
+ *   - /api/schema/occurrence: schéma déclaré des champs Darwin Core (types, vocabulaires)
+ *   - /api/auth, /api/users: connexion (cookie signé) et gestion des comptes
+ *     Écritures réservées aux rôles contributor (ajout/modif/import) et admin (suppression)
  *   - /api/coords: coordonnées simples (utilitaires)
+ *   - /api/coords/grid/cached: grille biodiversité par métrique (richesse, occurrences, Shannon,
+ *     Simpson, richesse raréfiée, endémisme pondéré), globale pré-calculée ou filtrée par
+ *     taxonomie kingdom..genus + années avec cache LRU (voir grid.js); pyramide de résolutions
+ *     (2° ... 0.05°) découpée à la vue (bbox), en carrés ou en hexagones d'aire égale (shape,
+ *     niveaux 2° ... 0.5°);
+ *     /metrics: liste des métriques, des niveaux et des formes
+ *   - /api/latitude/diversity: richesse spécifique par bande de latitude (mêmes filtres que la grille)
+ *     + régression / corrélation richesse ~ |latitude| (voir latitude.js)
  *   - /api/years/minmax: bornes rapides des années sous filtres taxo
+ *   - /api/years/series: nb d'observations + échantillon de points par année (animation temporelle)
  *   - /api/taxonomy/values: valeurs distinctes d’un niveau (cascade)
+ *   - /api/taxonomy/search: autocomplétion sur les noms (scientifique, verbatim, vernaculaire,
+ *     genre, espèce), par préfixe puis approchée, sur le catalogue 'taxa' mis à jour périodiquement
+ *     (voir taxa.js)
+ *   - /api/taxa/:name/summary: fiche d'un taxon (tout niveau): occurrences, années, pays, localités,
+ *     histogramme annuel, aire de répartition (enveloppe convexe / EOO; voir taxonSummary.js)
+ *   - /api/taxonomy/reconcile: nom -> taxon accepté + synonymes selon le référentiel local (BACKBONE_FILE);
+ *     /api/taxonomy/reconciliation: état / relance (admin) de la réconciliation des occurrences, qui
+ *     rapporte chaque document au taxon accepté (voir backbone.js, reconciliation.js)
+ *   - /api/taxa/:name/media: image, licence, attribution et noms vernaculaires d'une espèce via des
+ *     fournisseurs configurables (Wikipedia, GBIF, stub local), mémorisés dans 'species_media' avec
+ *     expiration (voir speciesMedia.js, mediaProviders.js)
+ *   - /api/quality/flagged: occurrences signalées par les contrôles qualité (calque de la carte);
+ *     /summary: bilan par indicateur; /run: relance (admin) du traitement par lots (voir quality.js)
+ *   - /api/duplicates: groupes de doublons probables (même nom, coordonnées arrondies à la tolérance,
+ *     même année), détection (admin, tolérance réglable), résolution d'un groupe (admin: fusion dans
+ *     une occurrence de référence ou suppression des autres) et annulation des fusions (voir duplicates.js)
  *
  * Notes d’implémentation:
+ * - Filtres taxonomiques: une ou plusieurs valeurs incluses par niveau (<niveau>=A&<niveau>=B -> $in)
+ *   et valeurs exclues (<niveau>Exclude=X -> $nin), communs à toutes les routes (voir taxonomyFilter.js);
+ *   noms d'espèces rapportés au taxon accepté (un synonyme sélectionne son taxon accepté)
+ * - excludeFlagged=1 (ou liste d'indicateurs) sur /api/observations, /api/export, les tuiles, la grille
+ *   et le gradient latitudinal: documents signalés par les contrôles qualité écartés
  * - Les perfs reposent sur des index composés ESR (Égalité → Sort → Range)
  *   créés au démarrage (voir db.js). Pas de hints forcés (sauf min/max year).
  * - On garde les champs canoniques (decimalLatitude, decimalLongitude, scientificName,
@@ -17,7 +57,38 @@
 require('dotenv').config();
 const express = require('express');
 const path = require('path');
-const { connectToMongo, getCollection, closeMongo } = require('./db');
+const { once } = require('events');
+const { ObjectId } = require('mongodb');
+const { connectToMongo, getCollection, onConnected, closeMongo } = require('./db');
+const { toNumberOrNull, normalizeOccurrence, applyPatch } = require('./occurrence');
+const { encodeCursor, decodeCursor, keysetClause } = require('./pagination');
+const { describeSchema } = require('./schema');
+const { csvRecords, dwcaRecords, saveToTempFile, importRecords, MAX_IMPORT_BYTES } = require('./importer');
+const fs = require('fs');
+const auth = require('./auth');
+const audit = require('./audit');
+const {
+  loadGridMeta, beginGridVersion, cellWriter, readLevelCells, findCells, commitGridVersion, canRefreshIncrementally,
+} = require('./gridStore');
+const {
+  GRID_METRICS, DEFAULT_METRIC, GRID_LEVELS, HEX_LEVELS, GRID_SHAPES, DEFAULT_SHAPE, GRID_PYRAMID,
+  cellMetrics, prepareMetricViews, cellsForMetric, gridLevelId, parseGridLevelId, cellGeometry, parseGridBBox,
+  parseGridFilters, aggregateCellSpecies, getFilteredGrid, invalidateFilteredGrids,
+} = require('./grid');
+const { parseBandDeg, getLatitudeGradient, invalidateLatitudeGradients } = require('./latitude');
+const { parseSeriesQuery, getYearSeries, invalidateYearSeries } = require('./timeseries');
+const { TILE_SOURCE_CELL_DEG, parseTileCoords, getObservationTile, invalidateObservationTiles } = require('./tiles');
+const { refreshTaxaCatalogue, searchTaxa } = require('./taxa');
+const { TAXONOMY_LEVELS, parseTaxonomyFilters } = require('./taxonomyFilter');
+const { parseSummaryLevel, getTaxonSummary, invalidateTaxonSummaries } = require('./taxonSummary');
+const { getSpeciesMedia } = require('./speciesMedia');
+const { loadBackbone, getBackbone, resolveName, synonymsOf, acceptedValue } = require('./backbone');
+const { reconcileOccurrences, reconciliationStatus, reconciliationStamp } = require('./reconciliation');
+const { QUALITY_FLAGS, parseExcludeFlagged, runQualityChecks, qualitySummary } = require('./quality');
+const {
+  MERGE_MODES, parseTolerance, detectDuplicates, listDuplicateGroups, getDuplicateGroup, resolveDuplicateGroup,
+  listMerges, revertMerge,
+} = require('./duplicates');
 
 const app = express();
 const PORT = process.env.PORT || 3005;
@@ -26,18 +97,131 @@ const PORT = process.env.PORT || 3005;
 app.use(express.static(__dirname));
 // Parseur JSON pour les POST (ajout de document)
 app.use(express.json({ limit: '1mb' }));
+// Session (cookie signé) -> req.user pour toutes les routes d'API
+app.use('/api', auth.authenticate);
 
 // Démarrer la connexion Mongo en arrière-plan (reconnexion automatique gérée dans db.js)
 connectToMongo();
 
 // =================== Cache de grille (globale, pré-calculée) ===================
-// Objectif: calculer périodiquement une grille de richesse spécifique (nb d'espèces distinctes
-// par cellule) côté serveur pour offrir une superposition instantanée.
-// Structure: clé sizeDeg (string) -> { cells, scanned, updatedAt, capped, metric: 'speciesRichness' }
+// Objectif: calculer périodiquement les abondances par espèce de chaque cellule côté serveur
+// et en dériver toutes les métriques (richesse, occurrences, Shannon, Simpson, raréfaction,
+// endémisme pondéré; voir grid.js) pour offrir une superposition instantanée.
+// Pyramide de résolutions (GRID_LEVELS: 2° ... 0.05°) calculée un niveau à la fois (regroupement
+// cellule/espèce fait par Mongo, cellules écrites au fil de l'eau: aucun niveau entier en mémoire);
+// le client choisit le niveau selon le zoom et ne demande que les cellules de la vue.
+// Chaque niveau existe en carrés lat/lng, les niveaux grossiers aussi en hexagones d'aire égale
+// (GRID_PYRAMID: "0.25", "hex:0.5").
+// Persistance (gridStore.js): abondances par version + pointeur (grid_meta) basculé en fin de calcul;
+// au démarrage seul le pointeur est lu, chaque niveau est chargé à sa première demande et servi
+// (éventuellement périmé) pendant le rafraîchissement en tâche de fond.
+// Rafraîchissement incrémental: seuls les documents d'_id (ObjectId, horodaté) postérieur au dernier
+// calcul sont lus, ajoutés aux abondances persistées des cellules touchées. Recalcul complet si des
+// modifications/suppressions ont été journalisées (audit), si le dernier calcul a atteint le plafond,
+// ou au plus tard toutes les 24 h (voir canRefreshIncrementally).
+// Structure: identifiant de niveau -> { cells: [{ key, bounds, polygon?, metrics }], scanned, updatedAt, capped }
 const gridCache = new Map();
 let isComputingCache = false;
+// Pointeur persistant courant (versions en vigueur, niveaux, point de reprise), voir gridStore.js
+let gridMeta = null;
+const gridLevelLoads = new Map(); // identifiant de niveau -> promesse du chargement en cours
 
-async function computeGlobalGrid(sizeDeg = 0.25, cap = 35000000) {
+// Hash 53-bit rapide pour réduire l'empreinte mémoire vs strings
+function hash53(s) {
+  let h1 = 0xdeadbeef ^ s.length, h2 = 0x41c6ce57 ^ s.length;
+  for (let i = 0, ch; i < s.length; i++) {
+    ch = s.charCodeAt(i);
+    h1 = Math.imul(h1 ^ ch, 2654435761);
+    h2 = Math.imul(h2 ^ ch, 1597334677);
+  }
+  h1 = (h1 ^ (h2 >>> 16)) >>> 0;
+  h2 = (h2 ^ (h1 >>> 16)) >>> 0;
+  return (h2 * 0x200000 + (h1 >>> 11)) * 1 + (h1 & 0x7ff);
+}
+
+// Construit les cellules (métriques) d'un niveau à partir des abondances persistées, en deux lectures
+// (aires de répartition des espèces, puis métriques): un seul niveau en mémoire à la fois
+// (tri et stats de chaque métrique calculés ici une fois, les requêtes ne font que découper à la vue)
+async function loadGridLevel(meta, id) {
+  const { shape, sizeDeg } = parseGridLevelId(id);
+  const rangeSize = new Map();
+  // eslint-disable-next-line no-restricted-syntax
+  for await (const { species } of readLevelCells(meta, id)) {
+    for (const h of species.keys()) rangeSize.set(h, (rangeSize.get(h) || 0) + 1);
+  }
+  const cells = [];
+  // eslint-disable-next-line no-restricted-syntax
+  for await (const { key, species } of readLevelCells(meta, id)) {
+    cells.push({ key, ...cellGeometry(shape, key, sizeDeg), metrics: cellMetrics(species, rangeSize) });
+  }
+  prepareMetricViews(cells);
+  return { cells, scanned: meta.scanned, updatedAt: meta.updatedAt, capped: meta.capped };
+}
+
+// Niveau publié de la grille globale (chargé à la première demande); null si absent de la grille
+async function getGlobalGridLevel(id) {
+  const hit = gridCache.get(id);
+  if (hit) return hit;
+  const meta = gridMeta;
+  if (!meta || !meta.levels.includes(id)) return null;
+  if (!gridLevelLoads.has(id)) {
+    const p = loadGridLevel(meta, id)
+      .then((level) => {
+        // Pointeur basculé pendant la lecture: niveau non mémorisé (rechargé à la demande suivante)
+        if (gridMeta === meta) gridCache.set(id, level);
+        return level;
+      })
+      .finally(() => gridLevelLoads.delete(id));
+    gridLevelLoads.set(id, p);
+  }
+  return gridLevelLoads.get(id);
+}
+
+// Après un calcul: niveaux déjà servis rechargés un à un (les anciens restent servis entre-temps),
+// les autres oubliés
+async function republishGridLevels(meta) {
+  const loaded = [...gridCache.keys()];
+  for (const id of loaded) {
+    if (!meta.levels.includes(id)) { gridCache.delete(id); continue; }
+    const level = await loadGridLevel(meta, id);
+    if (gridMeta !== meta) return;
+    gridCache.set(id, level);
+  }
+}
+
+// Semis des petits zooms des tuiles d'observations sans filtre: centre de chaque cellule du niveau
+// TILE_SOURCE_CELL_DEG de la grille globale ('count' = nb d'occurrences nommées), null sans grille
+const gridTilePoints = new WeakMap(); // niveau publié -> semis
+async function globalGridTilePoints() {
+  const level = await getGlobalGridLevel(gridLevelId('square', TILE_SOURCE_CELL_DEG));
+  if (!level) return null;
+  let points = gridTilePoints.get(level);
+  if (!points) {
+    points = level.cells.map(({ bounds: [[lat0, lng0], [lat1, lng1]], metrics }) => ({
+      lat: (lat0 + lat1) / 2, lng: (lng0 + lng1) / 2, count: metrics.occurrences,
+    }));
+    gridTilePoints.set(level, points);
+  }
+  return points;
+}
+
+// Chargement du pointeur persisté dès la connexion Mongo
+const gridStateLoaded = new Promise((resolve) => {
+  onConnected(async () => {
+    try {
+      const meta = await loadGridMeta();
+      if (meta && !gridMeta) {
+        gridMeta = meta;
+        console.log(`[grid-cache] Grille persistée disponible (updatedAt=${meta.updatedAt}, scanned=${meta.scanned}, version=${meta.version})`);
+      }
+    } catch (e) {
+      console.warn('[grid-cache] Chargement de la grille persistée impossible:', e?.message || e);
+    }
+    resolve();
+  });
+});
+
+async function computeGlobalGrid(levels = GRID_PYRAMID, cap = 35000000) {
   const collection = getCollection();
   if (!collection) {
     console.warn('[grid-cache] Collection indisponible, report du calcul');
@@ -48,82 +232,90 @@ async function computeGlobalGrid(sizeDeg = 0.25, cap = 35000000) {
     return false;
   }
   isComputingCache = true;
-  const key = String(sizeDeg);
-  console.log(`[grid-cache] Démarrage calcul global (richesse spécifique) sizeDeg=${key}, cap=${cap}`);
+  const levelsTxt = levels.join(',');
   try {
-    // Requête Mongo: ne récupérer que les docs avec coords numériques (projection minimale)
-    const findQuery = {
-      filter: {
-        decimalLatitude: { $type: 'number' },
-        decimalLongitude: { $type: 'number' }
-      },
-      options: { projection: { _id: 0, decimalLatitude: 1, decimalLongitude: 1, scientificName: 1 } }
-    };
-    const cursor = collection.find(findQuery.filter, findQuery.options);
-    // Map cellule -> Set de hash d'espèces distinctes (scientificName)
-    const uniq = new Map();
-    let scanned = 0;
-    // Fonctions utilitaires de discrétisation et de géométrie
-    const cellKeyFromLatLng = (lat, lng) => {
-      const i = Math.floor((lat + 90) / sizeDeg);
-      const j = Math.floor((lng + 180) / sizeDeg);
-      return `${i}:${j}`;
-    };
-    const boundsFromKey = (k) => {
-      const [iStr, jStr] = k.split(':');
-      const i = Number(iStr); const j = Number(jStr);
-      const lat0 = -90 + i * sizeDeg;
-      const lng0 = -180 + j * sizeDeg;
-      return [[lat0, lng0], [lat0 + sizeDeg, lng0 + sizeDeg]];
+    await gridStateLoaded;
+    const scanStartedAt = new Date().toISOString();
+    const namesStamp = await reconciliationStamp();
+    const incremental = await canRefreshIncrementally(gridMeta, { levels, namesStamp, hasWritesSince: audit.hasWritesSince });
+    const previousMeta = gridMeta;
+    const since = incremental ? previousMeta.lastObjectId : null;
+    console.log(`[grid-cache] Démarrage calcul ${incremental ? `incrémental (_id > ${since})` : 'global'} (abondances par espèce) niveaux=${levelsTxt}, cap=${cap}`);
+    // Docs avec coords numériques et nom renseigné, jusqu'au plus grand _id actuel (même ensemble pour
+    // tous les niveaux, point de reprise du prochain calcul incrémental)
+    const match = {
+      decimalLatitude: { $type: 'number' },
+      decimalLongitude: { $type: 'number' },
+      scientificName: { $type: 'string' },
+      ...(incremental ? { _id: { $gt: new ObjectId(since) } } : {})
     };
+    const [last] = await collection.find(match, { projection: { _id: 1 } }).sort({ _id: -1 }).limit(1).toArray();
+    if (incremental && !last) {
+      console.log('[grid-cache] Aucune occurrence nouvelle');
+      return true;
+    }
+    const lastObjectId = last?._id instanceof ObjectId ? last._id.toHexString() : since;
+    if (last) match._id = { ...match._id, $lte: last._id };
+    // Écriture dans une nouvelle version puis bascule du pointeur: la grille en vigueur reste
+    // intacte (et servie) jusque-là
+    const version = await beginGridVersion(previousMeta);
     const t0 = Date.now();
-    let lastLog = t0;
-    const LOG_EVERY = 200000; // fréquence de logs en documents
-    const LOG_MS = 3000; // et/ou toutes les 3s
-    // Hash 53-bit rapide pour réduire l'empreinte mémoire vs strings
-    const hash53 = (s) => {
-      let h1 = 0xdeadbeef ^ s.length, h2 = 0x41c6ce57 ^ s.length;
-      for (let i = 0, ch; i < s.length; i++) {
-        ch = s.charCodeAt(i);
-        h1 = Math.imul(h1 ^ ch, 2654435761);
-        h2 = Math.imul(h2 ^ ch, 1597334677);
-      }
-      h1 = (h1 ^ (h2 >>> 16)) >>> 0;
-      h2 = (h2 ^ (h1 >>> 16)) >>> 0;
-      return (h2 * 0x200000 + (h1 >>> 11)) * 1 + (h1 & 0x7ff);
-    };
-    // eslint-disable-next-line no-restricted-syntax
-    for await (const doc of cursor) {
-      scanned++;
-      if (scanned > cap) break;
-      const lat = doc.decimalLatitude;
-      const lng = doc.decimalLongitude;
-      if (typeof lat !== 'number' || typeof lng !== 'number') continue;
-      const sn = typeof doc.scientificName === 'string' ? doc.scientificName.trim().toLowerCase() : '';
-      if (!sn) continue; // on ne compte que les espèces identifiées
-      const key = cellKeyFromLatLng(lat, lng);
-      let set = uniq.get(key);
-      if (!set) { set = new Set(); uniq.set(key, set); }
-      set.add(hash53(sn));
-
-      if (scanned % LOG_EVERY === 0) {
-        const now = Date.now();
-        if (now - lastLog >= LOG_MS) {
-          const secs = (now - t0) / 1000;
-          const rate = scanned / Math.max(1, secs);
-          console.log(`[grid-cache] progress scanned=${scanned} cells=${uniq.size} rate=${rate.toFixed(1)} doc/s elapsed=${secs.toFixed(1)}s`);
-          lastLog = now;
+    // Un niveau à la fois: regroupement (cellule, espèce) fait par Mongo, cellules écrites au fil de
+    // l'eau (en incrémental: ajoutées aux abondances persistées des cellules touchées)
+    const rewritten = new Map();
+    let scanned = 0;
+    for (const id of levels) {
+      const { shape, sizeDeg } = parseGridLevelId(id);
+      const tLevel = Date.now();
+      const writer = cellWriter(version, id);
+      const keys = [];
+      let batch = [];
+      let levelScanned = 0;
+      const writeBatch = async () => {
+        const existing = incremental ? await findCells(previousMeta, id, batch.map(([key]) => key)) : null;
+        for (const [key, species] of batch) {
+          for (const [h, n] of existing?.get(key) || []) species.set(h, (species.get(h) || 0) + n);
+          await writer.add(key, species);
+        }
+        batch = [];
+      };
+      const stream = aggregateCellSpecies(collection, shape, sizeDeg, match, { limit: cap });
+      // eslint-disable-next-line no-restricted-syntax
+      for await (const cell of stream) {
+        // Par cellule: Map hash d'espèce (scientificName) -> nb d'occurrences
+        const species = new Map();
+        for (const [sn, n] of cell.species.entries()) {
+          const h = hash53(sn);
+          species.set(h, (species.get(h) || 0) + n);
+          levelScanned += n;
         }
+        if (incremental) keys.push(cell.key);
+        batch.push([cell.key, species]);
+        if (batch.length >= 1000) await writeBatch();
       }
+      await writeBatch();
+      await writer.flush();
+      if (incremental) rewritten.set(id, keys);
+      scanned = levelScanned; // identique pour tous les niveaux
+      console.log(`[grid-cache] niveau ${id} écrit scanned=${levelScanned} time=${((Date.now() - tLevel) / 1000).toFixed(1)}s`);
     }
-    const cells = [];
-    for (const [k, set] of uniq.entries()) {
-      cells.push({ key: k, count: set.size, bounds: boundsFromKey(k) });
-    }
-    cells.sort((a,b) => b.count - a.count);
-    gridCache.set(key, { cells, scanned, updatedAt: new Date().toISOString(), capped: scanned >= cap, metric: 'speciesRichness' });
+    const meta = {
+      version,
+      versions: incremental ? [...previousMeta.versions, version] : [version],
+      levels,
+      scanned: (incremental ? previousMeta.scanned : 0) + Math.min(scanned, cap),
+      capped: scanned >= cap,
+      updatedAt: new Date().toISOString(),
+      scanStartedAt,
+      lastObjectId,
+      fullScanAt: incremental ? previousMeta.fullScanAt : new Date().toISOString(),
+      reconciliationStamp: namesStamp,
+    };
+    await commitGridVersion(meta, incremental ? rewritten : null);
+    gridMeta = meta;
     const t1 = Date.now();
-    console.log(`[grid-cache] Calcul terminé (richesse spécifique) sizeDeg=${key} cells=${cells.length} scanned=${scanned} time=${((t1-t0)/1000).toFixed(1)}s`);
+    console.log(`[grid-cache] Calcul terminé (version ${version}) scanned=${scanned} time=${((t1-t0)/1000).toFixed(1)}s`);
+    await republishGridLevels(meta);
     return true;
   } catch (e) {
     console.error('[grid-cache] Erreur calcul:', e);
@@ -133,24 +325,61 @@ async function computeGlobalGrid(sizeDeg = 0.25, cap = 35000000) {
   }
 }
 
+// Après une écriture: résultats calculés à la demande (grilles filtrées, gradient latitudinal,
+// série temporelle, tuiles vectorielles, fiches de taxons) à refaire
+function invalidateDerivedData() {
+  invalidateFilteredGrids();
+  invalidateLatitudeGradients();
+  invalidateYearSeries();
+  invalidateObservationTiles();
+  invalidateTaxonSummaries();
+}
+
 // Lancer un warm-up au démarrage (après un petit délai pour laisser Mongo se connecter)
-setTimeout(() => { computeGlobalGrid(0.25, 35000000); }, 5000);
+setTimeout(() => { computeGlobalGrid(GRID_PYRAMID, 35000000); }, 5000);
 // Recalcul périodique: toutes les heures
-setInterval(() => { computeGlobalGrid(0.25, 35000000); }, 60 * 60 * 1000);
-
-// Mapping util: cast robuste vers number (gère string, virgule, etc.)
-function toNumberOrNull(v) {
-  if (v === undefined || v === null) return null;
-  if (Array.isArray(v)) return null;
-  if (typeof v === 'string') {
-    const cleaned = v.trim().replace(',', '.');
-    const n = Number(cleaned);
-    return Number.isFinite(n) ? n : null;
-  }
-  const n = Number(v);
-  return Number.isFinite(n) ? n : null;
+setInterval(() => { computeGlobalGrid(GRID_PYRAMID, 35000000); }, 60 * 60 * 1000);
+// Catalogue des taxons (recherche par nom): même rythme, décalé
+setTimeout(() => { refreshTaxaCatalogue(getCollection()); }, 8000);
+setInterval(() => { refreshTaxaCatalogue(getCollection()); }, 60 * 60 * 1000);
+
+// Référentiel taxonomique local (BACKBONE_FILE): chargé au démarrage, puis réconciliation des occurrences
+let backboneLoaded = null;
+function reloadBackbone() {
+  backboneLoaded = loadBackbone().catch((e) => {
+    console.error('[backbone] Chargement du référentiel impossible:', e?.message || e);
+    return null;
+  });
+  return backboneLoaded;
+}
+reloadBackbone();
+async function runReconciliation() {
+  const stats = await reconcileOccurrences(getCollection());
+  if (stats && stats.updated > 0) {
+    // Noms modifiés: résultats dérivés à refaire; grille globale et catalogue des taxons relancés
+    // (calcul complet décidé par leur version des noms)
+    invalidateDerivedData();
+    computeGlobalGrid(GRID_PYRAMID, 35000000);
+    refreshTaxaCatalogue(getCollection());
+  }
+  return stats;
+}
+setTimeout(() => { backboneLoaded.then(runReconciliation); }, 10000);
+setInterval(runReconciliation, 60 * 60 * 1000);
+
+// Contrôles qualité (indicateurs par document): au démarrage après la réconciliation, puis chaque jour
+async function runQuality() {
+  const stats = await runQualityChecks(getCollection());
+  // Indicateurs modifiés: sélections excludeFlagged (grilles filtrées, tuiles...) à refaire
+  if (stats && stats.updated > 0) invalidateDerivedData();
+  return stats;
 }
+setTimeout(runQuality, 20000);
+setInterval(runQuality, 24 * 60 * 60 * 1000);
 
+// Détection des doublons: au démarrage (après les traitements précédents), puis chaque jour
+setTimeout(() => { detectDuplicates(getCollection()); }, 30000);
+setInterval(() => { detectDuplicates(getCollection()); }, 24 * 60 * 60 * 1000);
 
 // Normalise un document Mongo en observation “canonique” pour la carte
 function mapDocToObservation(doc) {
@@ -174,6 +403,170 @@ function mapDocToObservation(doc) {
 }
 
 
+// Ferme un anneau GeoJSON ([lng, lat]...) s'il ne l'est pas déjà et vérifie les bornes
+function normalizeRing(ring) {
+  if (!Array.isArray(ring)) return null;
+  const pts = [];
+  for (const p of ring) {
+    if (!Array.isArray(p) || p.length < 2) return null;
+    const lng = toNumberOrNull(p[0]);
+    const lat = toNumberOrNull(p[1]);
+    if (lng === null || lat === null || lng < -180 || lng > 180 || lat < -90 || lat > 90) return null;
+    pts.push([lng, lat]);
+  }
+  if (pts.length < 3) return null;
+  const [f, l] = [pts[0], pts[pts.length - 1]];
+  if (f[0] !== l[0] || f[1] !== l[1]) pts.push([f[0], f[1]]);
+  return pts.length >= 4 ? pts : null;
+}
+
+// Filtre spatial sur 'location' à partir des paramètres de requête:
+// - bbox=minLng,minLat,maxLng,maxLat (ordre de L.LatLngBounds#toBBoxString côté client)
+// - polygon=JSON: géométrie GeoJSON (Polygon / MultiPolygon) ou simple tableau de [lng, lat]
+// Retourne { clause } (à fusionner dans le filtre Mongo, ou null) ou { error } si paramètres invalides
+function buildGeoFilter(query) {
+  const clauses = [];
+
+  if (query.bbox) {
+    const parts = String(query.bbox).split(',').map(toNumberOrNull);
+    if (parts.length !== 4 || parts.some(v => v === null)) {
+      return { error: 'Paramètre bbox invalide (attendu: minLng,minLat,maxLng,maxLat)' };
+    }
+    const minLng = Math.max(-180, parts[0]);
+    const minLat = Math.max(-90, parts[1]);
+    const maxLng = Math.min(180, parts[2]);
+    const maxLat = Math.min(90, parts[3]);
+    if (minLng >= maxLng || minLat >= maxLat) {
+      return { error: 'Paramètre bbox invalide (min doit être inférieur à max)' };
+    }
+    if (maxLng - minLng >= 180) {
+      // Vue très large: un polygone géodésique serait ambigu, on retombe sur les champs décimaux
+      clauses.push({ decimalLatitude: { $gte: minLat, $lte: maxLat }, decimalLongitude: { $gte: minLng, $lte: maxLng } });
+    } else {
+      // Les arêtes 2dsphere sont géodésiques: on densifie les bords horizontaux (pas de 1°)
+      // pour rester proche du rectangle affiché par Leaflet
+      const steps = Math.max(1, Math.ceil(maxLng - minLng));
+      const ring = [];
+      for (let k = 0; k <= steps; k++) ring.push([minLng + (maxLng - minLng) * k / steps, minLat]);
+      for (let k = steps; k >= 0; k--) ring.push([minLng + (maxLng - minLng) * k / steps, maxLat]);
+      ring.push([minLng, minLat]);
+      clauses.push({ location: { $geoWithin: { $geometry: { type: 'Polygon', coordinates: [ring] } } } });
+    }
+  }
+
+  if (query.polygon) {
+    let parsed;
+    try {
+      parsed = JSON.parse(String(query.polygon));
+    } catch {
+      return { error: 'Paramètre polygon invalide (JSON attendu)' };
+    }
+    let geometry = null;
+    if (Array.isArray(parsed)) {
+      const ring = normalizeRing(parsed);
+      if (ring) geometry = { type: 'Polygon', coordinates: [ring] };
+    } else if (parsed && parsed.type === 'Polygon' && Array.isArray(parsed.coordinates)) {
+      const rings = parsed.coordinates.map(normalizeRing);
+      if (rings.length && rings.every(Boolean)) geometry = { type: 'Polygon', coordinates: rings };
+    } else if (parsed && parsed.type === 'MultiPolygon' && Array.isArray(parsed.coordinates)) {
+      const polys = parsed.coordinates.map(p => (Array.isArray(p) ? p.map(normalizeRing) : []));
+      if (polys.length && polys.every(p => p.length && p.every(Boolean))) geometry = { type: 'MultiPolygon', coordinates: polys };
+    }
+    if (!geometry) {
+      return { error: 'Paramètre polygon invalide (Polygon/MultiPolygon GeoJSON ou tableau de [lng, lat])' };
+    }
+    clauses.push({ location: { $geoWithin: { $geometry: geometry } } });
+  }
+
+  if (clauses.length === 0) return { clause: null };
+  if (clauses.length === 1) return { clause: clauses[0] };
+  return { clause: { $and: clauses } };
+}
+
+// Sélection commune à /api/observations et /api/export (mêmes paramètres de requête):
+// - taxonomie kingdom..scientificName (inclusions / exclusions, voir taxonomyFilter.js),
+//   plage yearMin/yearMax, coords numériques
+// - excludeFlagged: écarte les documents signalés par les contrôles qualité (voir quality.js)
+// - filtre spatial optionnel (bbox / polygon, voir buildGeoFilter)
+// - tri contrôlé sortField/sortDir, avec _id en second critère (ordre total pour les curseurs)
+// Retourne { filter, sort, sortField, sortDir } ou { error } si un paramètre est invalide
+function parseSelection(query) {
+  // Autoriser uniquement quelques champs contrôlés; pas de $natural
+  const allowedSortFields = new Set(['_id','decimalLongitude','decimalLatitude','year']);
+  const sortFieldParam = String(query.sortField || '_id').trim();
+  const sortField = allowedSortFields.has(sortFieldParam) ? sortFieldParam : '_id';
+  const sortDir = String(query.sortDir || 'asc').trim().toLowerCase() === 'desc' ? -1 : 1;
+  const geo = buildGeoFilter(query);
+  if (geo.error) return { error: geo.error };
+
+  const taxonomy = parseTaxonomyFilters(query);
+  if (taxonomy.error) return { error: taxonomy.error };
+  const f = { ...taxonomy.filters };
+  const yMin = query.yearMin ? Number(query.yearMin) : null;
+  const yMax = query.yearMax ? Number(query.yearMax) : null;
+  if (Number.isFinite(yMin) || Number.isFinite(yMax)) {
+    f.year = {};
+    if (Number.isFinite(yMin)) f.year.$gte = yMin;
+    if (Number.isFinite(yMax)) f.year.$lte = yMax;
+  }
+  const flagged = parseExcludeFlagged(query.excludeFlagged);
+  if (flagged?.error) return { error: flagged.error };
+  if (flagged) Object.assign(f, flagged.match);
+  // Tous les documents retournés doivent avoir des coordonnées numériques
+  f.decimalLatitude = { $type: 'number' };
+  f.decimalLongitude = { $type: 'number' };
+  // Filtre spatial (bbox / polygone): les plages décimales éventuelles se fusionnent avec $type
+  if (geo.clause) {
+    for (const [k, v] of Object.entries(geo.clause)) {
+      f[k] = (k === 'decimalLatitude' || k === 'decimalLongitude') ? { ...f[k], ...v } : v;
+    }
+  }
+  const sort = sortField === '_id' ? { _id: sortDir } : { [sortField]: sortDir, _id: sortDir };
+  return { filter: f, sort, sortField, sortDir };
+}
+
+// Écrit un curseur Mongo dans la réponse, document par document (flux HTTP):
+// - format(doc) renvoie le texte à écrire ou null pour ignorer le document
+// - respecte la contre-pression du socket et ferme le curseur si le client se déconnecte (y compris
+//   pendant l'attente de 'drain', qui ne viendrait jamais)
+// Retourne { scanned, count, lastDoc, aborted }
+async function pipeCursorToResponse(res, cursor, { limit, format }) {
+  let aborted = false;
+  const disconnected = new AbortController();
+  const onClose = () => {
+    if (!res.writableFinished) {
+      aborted = true;
+      disconnected.abort();
+      cursor.close().catch(() => {});
+    }
+  };
+  res.on('close', onClose);
+  let scanned = 0;
+  let count = 0;
+  let lastDoc = null;
+  try {
+    // eslint-disable-next-line no-restricted-syntax
+    for await (const doc of cursor) {
+      if (aborted) break;
+      scanned++;
+      lastDoc = doc;
+      const chunk = format(doc);
+      if (chunk !== null && chunk !== undefined) {
+        count++;
+        if (!res.write(chunk)) await once(res, 'drain', { signal: disconnected.signal });
+      }
+      if (limit && count >= limit) break;
+    }
+  } catch (e) {
+    // Curseur fermé / attente de 'drain' interrompue suite à la déconnexion: pas une erreur
+    if (!aborted) throw e;
+  } finally {
+    res.off('close', onClose);
+  }
+  return { scanned, count, lastDoc, aborted };
+}
+
+
 /**
  * *************************
  * ******** ROUTES *********
@@ -190,9 +583,12 @@ app.get('/', (req, res) => {
 
 
 // Endpoint principal: renvoie des observations filtrées (et mappées) pour la carte
-// - Filtres: égalités taxo (kingdom..scientificName), plage year, coords numériques
+// - Filtres: taxonomie kingdom..scientificName (inclusions / exclusions), plage year, coords numériques,
+//   spatial optionnel (bbox de la vue courante et/ou polygone, via l'index 2dsphere sur 'location')
 // - Tri: _id | decimalLongitude | decimalLatitude | year
-// - Limit: borne le nombre de documents renvoyés
+// - Limit: borne le nombre de documents renvoyés (taille de page)
+// - Pagination: cursor=<nextCursor de la page précédente>; nextCursor vaut null quand il n'y a plus rien
+// - format=ndjson: réponse streamée (une observation par ligne + ligne finale __end avec les métadonnées)
 app.get('/api/observations', async (req, res) => {
   const collection = getCollection();
   if (!collection) {
@@ -205,39 +601,29 @@ app.get('/api/observations', async (req, res) => {
   const hasLimit = Number.isFinite(limitParam) && limitParam > 0;
   const limit = hasLimit ? limitParam : undefined;
 
-    // Requête Mongo explicite (style mongosh)
-    const taxonomyLevels = ['kingdom','phylum','class','order','family','genus','species','scientificName'];
-  const sortField = String(req.query.sortField || '_id').trim();
-  const sortDirStr = String(req.query.sortDir || 'asc').trim().toLowerCase();
-  const sortDir = sortDirStr === 'desc' ? -1 : 1;
-  const taxFiltersCount = taxonomyLevels.reduce((n,lvl)=> n + (req.query[lvl] ? 1 : 0), 0);
-  const hasTaxFilters = taxFiltersCount > 0;
-  const qYearMin = req.query.yearMin ? Number(req.query.yearMin) : null;
-  const qYearMax = req.query.yearMax ? Number(req.query.yearMax) : null;
-  const hasYearFilter = Number.isFinite(qYearMin) || Number.isFinite(qYearMax);
+    const selection = parseSelection(req.query);
+    if (selection.error) {
+      return res.status(400).json({ error: selection.error });
+    }
+    const { sortField, sortDir } = selection;
+    const cursorPos = req.query.cursor ? decodeCursor(req.query.cursor, sortField, sortDir) : null;
+    if (req.query.cursor && !cursorPos) {
+      return res.status(400).json({ error: 'Paramètre cursor invalide ou incompatible avec le tri demandé' });
+    }
     const explainRequested = (() => {
       const v = String(req.query.explain || '').trim().toLowerCase();
       return v === '1' || v === 'true';
     })();
+    const streamNdjson = String(req.query.format || '').trim().toLowerCase() === 'ndjson';
 
     // Construire la requête “style mongosh”: filter + options (projection, sort, limit)
     const findQuery = {
       filter: (() => {
-        const f = {};
-        for (const lvl of taxonomyLevels) {
-          const val = req.query[lvl];
-          if (val) f[lvl] = String(val);
+        const f = { ...selection.filter };
+        // Reprise après le dernier document de la page précédente
+        if (cursorPos) {
+          f.$and = [...(f.$and || []), keysetClause(sortField, sortDir, cursorPos)];
         }
-        const yMin = qYearMin;
-        const yMax = qYearMax;
-        if (Number.isFinite(yMin) || Number.isFinite(yMax)) {
-          f.year = {};
-          if (Number.isFinite(yMin)) f.year.$gte = yMin;
-          if (Number.isFinite(yMax)) f.year.$lte = yMax;
-        }
-        // Tous les documents retournés doivent avoir des coordonnées numériques
-        f.decimalLatitude = { ...(f.decimalLatitude || {}), $type: 'number' };
-        f.decimalLongitude = { ...(f.decimalLongitude || {}), $type: 'number' };
         return f;
       })(),
       options: {
@@ -250,14 +636,7 @@ app.get('/api/observations', async (req, res) => {
           countryCode: 1,
           year: 1
         },
-        sort: (() => {
-          // Autoriser uniquement quelques champs contrôlés; pas de $natural
-          const allowed = new Set(['_id','decimalLongitude','decimalLatitude','year']);
-          if (allowed.has(sortField)) {
-            return { [sortField]: sortDir };
-          }
-          return { _id: sortDir };
-        })(),
+        sort: selection.sort,
         // Donner un indice au planificateur pour utiliser l'index si pertinent
         hint: undefined,
         allowDiskUse: true,
@@ -292,59 +671,233 @@ app.get('/api/observations', async (req, res) => {
     }
 
     // Chemin standard: laisser Mongo exécuter tri + limit (les indexes couvrent les cas courants)
-    const results = [];
-    let scanned = 0;
     const cursor = collection.find(findQuery.filter, findQuery.options);
+
+    // Mode streaming NDJSON: une observation par ligne dès sa sortie du curseur,
+    // puis une ligne finale { __end: true, count, scanned, nextCursor, ... }
+    if (streamNdjson) {
+      res.status(200);
+      res.setHeader('Content-Type', 'application/x-ndjson; charset=utf-8');
+      res.setHeader('Cache-Control', 'no-cache');
+      res.flushHeaders();
+      try {
+        const out = await pipeCursorToResponse(res, cursor, {
+          limit: hasLimit ? limit : 0,
+          format: (doc) => {
+            const obs = mapDocToObservation(doc);
+            if (typeof obs.decimalLatitude !== 'number' || typeof obs.decimalLongitude !== 'number') return null;
+            return JSON.stringify(obs) + '\n';
+          }
+        });
+        if (out.aborted) return;
+        const nextCursor = (hasLimit && out.count >= limit && out.lastDoc) ? encodeCursor(sortField, sortDir, out.lastDoc) : null;
+        res.end(JSON.stringify({ __end: true, limit: hasLimit ? limit : null, count: out.count, scanned: out.scanned, plan: planSummary, windowedByYear: false, nextCursor }) + '\n');
+      } catch (e) {
+        // En-têtes déjà envoyés: on signale l'erreur dans le flux
+        console.error('Erreur /api/observations (ndjson) :', e);
+        res.end(JSON.stringify({ __error: 'Erreur lors de la récupération des observations.' }) + '\n');
+      }
+      return;
+    }
+
+    let scanned = 0;
+    let lastDoc = null;
+    const results = [];
     // eslint-disable-next-line no-restricted-syntax
     for await (const doc of cursor) {
       scanned++;
+      lastDoc = doc;
       const obs = mapDocToObservation(doc);
       if (typeof obs.decimalLatitude === 'number' && typeof obs.decimalLongitude === 'number') {
         results.push(obs);
       }
       if (hasLimit && results.length >= limit) break;
     }
-    res.json({ results, limit: hasLimit ? limit : null, count: results.length, scanned, plan: planSummary, windowedByYear: false });
+    const count = results.length;
+    // Page pleine: il peut rester des documents, on fournit le curseur de la page suivante
+    const nextCursor = (hasLimit && count >= limit && lastDoc) ? encodeCursor(sortField, sortDir, lastDoc) : null;
+    res.json({ results, limit: hasLimit ? limit : null, count, scanned, plan: planSummary, windowedByYear: false, nextCursor });
   } catch (err) {
     console.error('Erreur /api/observations :', err);
     res.status(500).send('Erreur lors de la récupération des observations.');
   }
 });
 
+// Tuiles vectorielles (MVT) des observations pour la carte: mêmes filtres que /api/observations
+// (taxonomie, années, polygone), points éclaircis aux petits zooms sans requête par tuile (voir tiles.js)
+// GET /tiles/observations/{z}/{x}/{y}.pbf?class=Aves&yearMin=2000
+app.get('/tiles/observations/:z/:x/:y.pbf', async (req, res) => {
+  const collection = getCollection();
+  if (!collection) {
+    return res.status(500).send("La connexion à la BDD n'est pas encore établie.");
+  }
+  const coords = parseTileCoords(req.params);
+  if (coords.error) {
+    return res.status(400).json({ error: coords.error });
+  }
+  // La tuile porte sa propre emprise: bbox ignorée
+  const selection = parseSelection({ ...req.query, bbox: undefined });
+  if (selection.error) {
+    return res.status(400).json({ error: selection.error });
+  }
+  try {
+    // Sans filtre (coordonnées numériques seulement): petits zooms tirés de la grille globale
+    const unfiltered = Object.entries(selection.filter)
+      .every(([k, v]) => (k === 'decimalLatitude' || k === 'decimalLongitude') && Object.keys(v).length === 1);
+    const tile = await getObservationTile(collection, coords, selection.filter, JSON.stringify(selection.filter),
+      unfiltered ? globalGridTilePoints : null);
+    res.setHeader('Content-Type', 'application/vnd.mapbox-vector-tile');
+    res.setHeader('Cache-Control', 'public, max-age=300');
+    return res.send(tile);
+  } catch (err) {
+    console.error('Erreur /tiles/observations :', err);
+    return res.status(500).send('Erreur lors de la génération de la tuile.');
+  }
+});
+
+// Colonnes Darwin Core exportées (noms de termes DwC = noms des champs stockés)
+const DWC_EXPORT_FIELDS = [
+  'occurrenceID', 'kingdom', 'phylum', 'class', 'order', 'family', 'genus', 'species',
+  'infraspecificEpithet', 'taxonRank', 'scientificName', 'verbatimScientificName',
+  'countryCode', 'locality', 'occurrenceStatus', 'decimalLatitude', 'decimalLongitude', 'year'
+];
+
+// Échappement CSV (RFC 4180): guillemets si séparateur, guillemet ou saut de ligne
+function csvCell(v) {
+  if (v === undefined || v === null) return '';
+  const str = String(v);
+  return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+}
+
+// Échappement XML pour le KML
+function xmlEscape(v) {
+  return String(v ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+// Valeurs DwC d'un document (occurrenceID retombe sur _id si absent)
+function dwcRecord(doc) {
+  const rec = {};
+  for (const f of DWC_EXPORT_FIELDS) rec[f] = doc[f];
+  if (rec.occurrenceID === undefined || rec.occurrenceID === null || rec.occurrenceID === '') rec.occurrenceID = String(doc._id);
+  return rec;
+}
+
+// Formats d'export: en-tête, ligne par document (null = ignoré), pied
+const EXPORT_FORMATS = {
+  csv: {
+    contentType: 'text/csv; charset=utf-8',
+    extension: 'csv',
+    head: () => DWC_EXPORT_FIELDS.join(',') + '\r\n',
+    row: (doc) => {
+      const rec = dwcRecord(doc);
+      return DWC_EXPORT_FIELDS.map(f => csvCell(rec[f])).join(',') + '\r\n';
+    },
+    tail: () => ''
+  },
+  geojson: {
+    contentType: 'application/geo+json; charset=utf-8',
+    extension: 'geojson',
+    head: () => '{"type":"FeatureCollection","features":[\n',
+    row: (doc, index) => {
+      const rec = dwcRecord(doc);
+      const { decimalLatitude: lat, decimalLongitude: lng } = rec;
+      if (typeof lat !== 'number' || typeof lng !== 'number') return null;
+      const feature = { type: 'Feature', geometry: { type: 'Point', coordinates: [lng, lat] }, properties: rec };
+      return (index > 0 ? ',\n' : '') + JSON.stringify(feature);
+    },
+    tail: () => '\n]}\n'
+  },
+  kml: {
+    contentType: 'application/vnd.google-earth.kml+xml; charset=utf-8',
+    extension: 'kml',
+    head: () => '<?xml version="1.0" encoding="UTF-8"?>\n<kml xmlns="http://www.opengis.net/kml/2.2">\n<Document>\n<name>Observations</name>\n',
+    row: (doc) => {
+      const rec = dwcRecord(doc);
+      const { decimalLatitude: lat, decimalLongitude: lng } = rec;
+      if (typeof lat !== 'number' || typeof lng !== 'number') return null;
+      const data = DWC_EXPORT_FIELDS
+        .filter(f => rec[f] !== undefined && rec[f] !== null && rec[f] !== '')
+        .map(f => `<Data name="${f}"><value>${xmlEscape(rec[f])}</value></Data>`)
+        .join('');
+      return `<Placemark><name>${xmlEscape(rec.scientificName)}</name><ExtendedData>${data}</ExtendedData>`
+        + `<Point><coordinates>${lng},${lat}</coordinates></Point></Placemark>\n`;
+    },
+    tail: () => '</Document>\n</kml>\n'
+  }
+};
+
+// Export de la sélection courante (mêmes paramètres que /api/observations: taxo, années, bbox/polygone, tri, limit)
+// GET /api/export?format=csv|geojson|kml&... -> fichier téléchargé en flux (Content-Disposition: attachment)
+app.get('/api/export', async (req, res) => {
+  const collection = getCollection();
+  if (!collection) {
+    return res.status(500).send("La connexion à la BDD n'est pas encore établie.");
+  }
+  const formatKey = String(req.query.format || 'csv').trim().toLowerCase();
+  const format = EXPORT_FORMATS[formatKey];
+  if (!format) {
+    return res.status(400).json({ error: 'Paramètre format invalide', allowed: Object.keys(EXPORT_FORMATS) });
+  }
+  const selection = parseSelection(req.query);
+  if (selection.error) {
+    return res.status(400).json({ error: selection.error });
+  }
+  const limitParam = parseInt(req.query.limit, 10);
+  const limit = Number.isFinite(limitParam) && limitParam > 0 ? limitParam : 0;
+
+  const projection = { _id: 1 };
+  for (const f of DWC_EXPORT_FIELDS) projection[f] = 1;
+  const cursor = collection.find(selection.filter, { projection, sort: selection.sort, allowDiskUse: true, limit: limit || undefined });
+
+  const stamp = new Date().toISOString().slice(0, 10).replace(/-/g, '');
+  res.status(200);
+  res.setHeader('Content-Type', format.contentType);
+  res.setHeader('Content-Disposition', `attachment; filename="observations-${stamp}.${format.extension}"`);
+  res.write(format.head());
+  try {
+    let index = 0;
+    const out = await pipeCursorToResponse(res, cursor, {
+      limit,
+      format: (doc) => {
+        const chunk = format.row(doc, index);
+        if (chunk !== null) index++;
+        return chunk;
+      }
+    });
+    if (out.aborted) return;
+    res.end(format.tail());
+  } catch (err) {
+    // En-têtes déjà envoyés: on coupe le flux (le téléchargement apparaîtra incomplet)
+    console.error('Erreur /api/export :', err);
+    res.destroy(err);
+  }
+});
+
 // Création d'un document (ajout depuis l'UI)
-// Body attendu: JSON arbitraire mais on normalise quelques champs canoniques
+// Body attendu: JSON validé selon le schéma déclaré (schema.js)
 // - decimalLatitude / decimalLongitude: convertis en Number et requis
-// - year: converti en Number si fourni
-// Réponse: { insertedId }
-app.post('/api/documents', async (req, res) => {
+// - types, bornes (year, coordonnées), vocabulaires (taxonRank, occurrenceStatus), countryCode ISO 3166
+// Réponse: { insertedId } ou 400 { error, fields: { champ: message } }
+app.post('/api/documents', auth.requireRole('contributor'), async (req, res) => {
   const collection = getCollection();
   if (!collection) {
     return res.status(500).send("La connexion à la BDD n'est pas encore établie.");
   }
   try {
-    const body = req.body || {};
-    // Cloner l'objet et normaliser quelques champs
-    const doc = { ...body };
-    // Champs numériques canoniques
-    if (doc.decimalLatitude !== undefined) doc.decimalLatitude = toNumberOrNull(doc.decimalLatitude);
-    if (doc.decimalLongitude !== undefined) doc.decimalLongitude = toNumberOrNull(doc.decimalLongitude);
-    if (doc.year !== undefined && doc.year !== null && doc.year !== '') {
-      const y = Number(String(doc.year).trim());
-      doc.year = Number.isFinite(y) ? y : doc.year; // si non num, on laisse tel quel
-    }
-    // Validation minimale: coords numériques requises
-    if (typeof doc.decimalLatitude !== 'number' || typeof doc.decimalLongitude !== 'number') {
-      return res.status(400).json({ error: 'Champs decimalLatitude et decimalLongitude numériques requis.' });
-    }
-    // Hygiène basique sur quelques strings
-    const strFields = ['kingdom','phylum','class','order','family','genus','species','infraspecificEpithet','taxonRank','scientificName','verbatimScientificName','countryCode','locality'];
-    for (const f of strFields) {
-      if (doc[f] !== undefined && doc[f] !== null) {
-        doc[f] = String(doc[f]).trim();
-      }
+    // Normalisation partagée avec l'import en masse (voir occurrence.js)
+    const { doc, error, fields } = normalizeOccurrence(req.body);
+    if (error) {
+      return res.status(400).json({ error, fields });
     }
     // Insertion
     const result = await collection.insertOne(doc);
+    await audit.recordAudit(req, { action: 'insert', documentId: result.insertedId, after: doc });
+    invalidateDerivedData();
     return res.status(201).json({ insertedId: result.insertedId });
   } catch (err) {
     console.error('Erreur /api/documents (POST) :', err);
@@ -352,6 +905,286 @@ app.post('/api/documents', async (req, res) => {
   }
 });
 
+// Schéma des documents (types, bornes, vocabulaires) pour les listes de saisie du formulaire
+app.get('/api/schema/occurrence', (req, res) => {
+  res.json({ fields: describeSchema() });
+});
+
+// Filtre sur _id à partir du paramètre d'URL (ObjectId si 24 hexa, sinon identifiant brut)
+function documentIdFilter(rawId) {
+  const id = String(rawId || '').trim();
+  return { _id: /^[0-9a-f]{24}$/i.test(id) ? new ObjectId(id) : id };
+}
+
+// ---- Authentification ----
+// Connexion: { username, password } -> cookie de session + { user }
+app.post('/api/auth/login', async (req, res) => {
+  try {
+    const { username, password } = req.body || {};
+    const result = await auth.login(req, username, password);
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+    auth.setSessionCookie(req, res, result.token);
+    return res.json({ user: result.user });
+  } catch (err) {
+    console.error('Erreur /api/auth/login :', err);
+    return res.status(500).send('Erreur lors de la connexion.');
+  }
+});
+
+// Déconnexion: toutes les sessions du compte sont révoquées (copies du cookie comprises)
+app.post('/api/auth/logout', async (req, res) => {
+  try {
+    if (req.user) await auth.revokeSessions(req.user.username);
+  } catch (err) {
+    console.error('Erreur /api/auth/logout :', err);
+    return res.status(500).send('Erreur lors de la déconnexion.');
+  }
+  auth.clearSessionCookie(res);
+  return res.json({ user: null });
+});
+
+// Utilisateur courant (null si anonyme) + rôles connus
+app.get('/api/auth/me', (req, res) => {
+  res.json({ user: req.user, roles: auth.ROLES });
+});
+
+// ---- Gestion des comptes (admin) ----
+app.get('/api/users', auth.requireRole('admin'), async (req, res) => {
+  try {
+    const users = await auth.usersCollection()
+      .find({}, { projection: { _id: 0, username: 1, role: 1, createdAt: 1 } })
+      .sort({ username: 1 })
+      .toArray();
+    res.json({ users });
+  } catch (err) {
+    console.error('Erreur /api/users :', err);
+    res.status(500).send('Erreur lors de la récupération des comptes.');
+  }
+});
+
+// Création d'un compte: { username, password, role }
+app.post('/api/users', auth.requireRole('admin'), async (req, res) => {
+  try {
+    const user = await auth.createUser(req.body || {});
+    return res.status(201).json({ user });
+  } catch (err) {
+    return res.status(400).json({ error: String(err?.message || err) });
+  }
+});
+
+// Modification d'un compte: { role?, password? }
+// - Nouveau mot de passe: sessions du compte révoquées (celle de l'admin qui change le sien est renouvelée)
+// - 409 si le dernier admin perdrait son rôle
+app.patch('/api/users/:username', auth.requireRole('admin'), async (req, res) => {
+  try {
+    const { role, password } = req.body || {};
+    const update = { $set: {} };
+    if (role !== undefined) {
+      if (!auth.isValidRole(role)) return res.status(400).json({ error: `Rôle invalide (${auth.ROLES.join(', ')}).` });
+      update.$set.role = role;
+    }
+    if (password !== undefined) {
+      if (String(password).length < 8) return res.status(400).json({ error: 'Mot de passe trop court (8 caractères minimum).' });
+      update.$set.passwordHash = await auth.hashPassword(password);
+      update.$inc = { tokenVersion: 1 };
+    }
+    const users = auth.usersCollection();
+    if (role !== undefined && role !== 'admin') {
+      const otherAdmins = await users.countDocuments({ role: 'admin', username: { $ne: req.params.username } });
+      if (otherAdmins === 0) {
+        return res.status(409).json({ error: 'Impossible de retirer le rôle admin du dernier administrateur.' });
+      }
+    }
+    const result = await users.findOneAndUpdate(
+      { username: req.params.username },
+      update,
+      { returnDocument: 'after' }
+    );
+    if (!result) return res.status(404).json({ error: 'Compte introuvable.' });
+    if (password !== undefined && result.username === req.user.username) {
+      auth.setSessionCookie(req, res, auth.issueToken(result.username, result.tokenVersion));
+    }
+    return res.json({ user: auth.publicUser(result) });
+  } catch (err) {
+    console.error('Erreur /api/users/:username (PATCH) :', err);
+    return res.status(500).send('Erreur lors de la modification du compte.');
+  }
+});
+
+app.delete('/api/users/:username', auth.requireRole('admin'), async (req, res) => {
+  try {
+    if (req.params.username === req.user.username) {
+      return res.status(400).json({ error: 'Impossible de supprimer son propre compte.' });
+    }
+    const result = await auth.usersCollection().deleteOne({ username: req.params.username });
+    if (result.deletedCount === 0) return res.status(404).json({ error: 'Compte introuvable.' });
+    return res.status(204).end();
+  } catch (err) {
+    console.error('Erreur /api/users/:username (DELETE) :', err);
+    return res.status(500).send('Erreur lors de la suppression du compte.');
+  }
+});
+
+// Lecture d'un document complet (popup "Modifier")
+app.get('/api/documents/:id', async (req, res) => {
+  const collection = getCollection();
+  if (!collection) {
+    return res.status(500).send("La connexion à la BDD n'est pas encore établie.");
+  }
+  try {
+    const doc = await collection.findOne(documentIdFilter(req.params.id));
+    if (!doc) {
+      return res.status(404).json({ error: 'Document introuvable.' });
+    }
+    return res.json({ document: doc, observation: mapDocToObservation(doc) });
+  } catch (err) {
+    console.error('Erreur /api/documents/:id (GET) :', err);
+    return res.status(500).send('Erreur lors de la récupération du document.');
+  }
+});
+
+// Remplacement (PUT: corps = document complet) ou modification partielle (PATCH: champs à changer,
+// null = suppression du champ). Même normalisation/validation que l'ajout (voir occurrence.js).
+// Réponse: { document, observation } (observation au format de /api/observations pour la carte)
+async function updateDocument(req, res, { partial }) {
+  const collection = getCollection();
+  if (!collection) {
+    return res.status(500).send("La connexion à la BDD n'est pas encore établie.");
+  }
+  const method = partial ? 'PATCH' : 'PUT';
+  try {
+    const filter = documentIdFilter(req.params.id);
+    const existing = await collection.findOne(filter);
+    if (!existing) {
+      return res.status(404).json({ error: 'Document introuvable.' });
+    }
+    const body = { ...(req.body || {}) };
+    delete body._id; // l'identifiant ne se modifie pas
+    const { merged, unchanged } = partial ? applyPatch(existing, body) : { merged: body };
+    // Nom saisi: nouveau nom d'origine de la réconciliation (sinon le nom d'origine conservé primerait)
+    if (merged.scientificName !== existing.scientificName && body.verbatimScientificName === undefined) {
+      merged.verbatimScientificName = merged.scientificName;
+    }
+    const { doc, error, fields } = normalizeOccurrence(merged, { unchanged });
+    if (error) {
+      return res.status(400).json({ error, fields });
+    }
+    const result = await collection.replaceOne(filter, doc);
+    if (result.matchedCount === 0) {
+      return res.status(404).json({ error: 'Document introuvable.' });
+    }
+    const updated = { _id: existing._id, ...doc };
+    await audit.recordAudit(req, { action: 'update', documentId: existing._id, before: existing, after: updated });
+    invalidateDerivedData();
+    return res.json({ document: updated, observation: mapDocToObservation(updated) });
+  } catch (err) {
+    console.error(`Erreur /api/documents/:id (${method}) :`, err);
+    return res.status(500).send('Erreur lors de la modification du document.');
+  }
+}
+
+// Historique des écritures d'un document (journal d'audit, du plus récent au plus ancien)
+// Réservé aux comptes connectés (auteurs des écritures); l'IP source n'est renvoyée qu'aux admins
+app.get('/api/documents/:id/history', auth.requireRole('viewer'), async (req, res) => {
+  try {
+    const { _id } = documentIdFilter(req.params.id);
+    const history = await audit.documentHistory(_id, { includeIp: auth.hasRole(req.user?.role, 'admin') });
+    return res.json({ history });
+  } catch (err) {
+    console.error('Erreur /api/documents/:id/history :', err);
+    return res.status(500).send("Erreur lors de la récupération de l'historique.");
+  }
+});
+
+app.put('/api/documents/:id', auth.requireRole('contributor'), (req, res) => updateDocument(req, res, { partial: false }));
+app.patch('/api/documents/:id', auth.requireRole('contributor'), (req, res) => updateDocument(req, res, { partial: true }));
+
+// Suppression d'un document (popup "Supprimer")
+app.delete('/api/documents/:id', auth.requireRole('admin'), async (req, res) => {
+  const collection = getCollection();
+  if (!collection) {
+    return res.status(500).send("La connexion à la BDD n'est pas encore établie.");
+  }
+  try {
+    const filter = documentIdFilter(req.params.id);
+    // Version supprimée conservée dans le journal (diff complet vers null)
+    const existing = await collection.findOneAndDelete(filter);
+    if (!existing) {
+      return res.status(404).json({ error: 'Document introuvable.' });
+    }
+    await audit.recordAudit(req, { action: 'delete', documentId: existing._id, before: existing });
+    invalidateDerivedData();
+    return res.status(204).end();
+  } catch (err) {
+    console.error('Erreur /api/documents/:id (DELETE) :', err);
+    return res.status(500).send('Erreur lors de la suppression du document.');
+  }
+});
+
+// Import en masse d'occurrences: corps brut de la requête (fichier envoyé tel quel, pas de multipart)
+// POST /api/documents/import?format=csv|dwca&dryRun=1[&delimiter=...]
+// - csv: CSV/TSV avec ligne d'en-tête (noms de champs = termes DwC), parsé en flux
+// - dwca: archive Darwin Core (.zip) avec meta.xml, stockée temporairement sur disque
+// Réponse: rapport { dryRun, rows, valid, inserted, failed, errors: [{ line, error }], ... }
+// Fichier limité à IMPORT_MAX_MB (413); en cas d'échec en cours de lecture, la réponse d'erreur
+// reprend le rapport partiel (inserted = lignes déjà insérées)
+app.post('/api/documents/import', auth.requireRole('contributor'), async (req, res) => {
+  const collection = getCollection();
+  if (!collection) {
+    return res.status(500).send("La connexion à la BDD n'est pas encore établie.");
+  }
+  if (Number(req.headers['content-length']) > MAX_IMPORT_BYTES) {
+    return res.status(413).json({ error: `Fichier trop volumineux (maximum ${Math.round(MAX_IMPORT_BYTES / 1024 / 1024)} Mo)` });
+  }
+  const contentType = String(req.headers['content-type'] || '').toLowerCase();
+  const format = String(req.query.format || (contentType.includes('zip') ? 'dwca' : 'csv')).trim().toLowerCase();
+  if (format !== 'csv' && format !== 'dwca') {
+    return res.status(400).json({ error: 'Paramètre format invalide', allowed: ['csv', 'dwca'] });
+  }
+  const dryRun = ['1', 'true'].includes(String(req.query.dryRun || '').trim().toLowerCase());
+  const delimiter = req.query.delimiter ? String(req.query.delimiter) : undefined;
+  let tmpFile = null;
+  try {
+    const t0 = Date.now();
+    let records;
+    if (format === 'dwca') {
+      // Le zip se lit par son répertoire central (fin de fichier): passage obligé par le disque
+      tmpFile = await saveToTempFile(req, '.zip');
+      records = dwcaRecords(tmpFile);
+    } else {
+      records = csvRecords(req, { delimiter, maxBytes: MAX_IMPORT_BYTES });
+    }
+    const report = await importRecords(collection, records, {
+      dryRun,
+      onInserted: docs => audit.recordInserts(req, docs, 'import'),
+    });
+    if (report.inserted > 0) invalidateDerivedData();
+    console.log(`[import] ${format}${dryRun ? ' (dryRun)' : ''} rows=${report.rows} inserted=${report.inserted} failed=${report.failed} time=${((Date.now() - t0) / 1000).toFixed(1)}s`);
+    return res.json({ format, ...report });
+  } catch (err) {
+    console.error('Erreur /api/documents/import :', err);
+    // Lots insérés avant l'erreur: ils restent en base et sont rapportés
+    const report = err?.report || null;
+    if (report?.inserted > 0) invalidateDerivedData();
+    if (err?.code === 'IMPORT_TOO_LARGE') {
+      return res.status(413).json({ error: err.message, format, ...report });
+    }
+    // Erreurs de lecture du fichier (CSV malformé, zip invalide) -> 400, le reste -> 500
+    const isFileError = String(err?.code || '').startsWith('CSV_') || /zip|central directory|DwC-A/i.test(String(err?.message || ''));
+    if (isFileError) {
+      return res.status(400).json({ error: 'Fichier illisible.', detail: String(err?.message || err), format, ...report });
+    }
+    if (report?.inserted > 0) {
+      return res.status(500).json({ error: "Erreur lors de l'import des documents.", format, ...report });
+    }
+    return res.status(500).send("Erreur lors de l'import des documents.");
+  } finally {
+    if (tmpFile) fs.promises.unlink(tmpFile).catch(() => {});
+  }
+});
+
 // Nouveau endpoint: renvoie uniquement les coordonnées (et nom) de tous les documents ayant des coordonnées valides
 app.get('/api/coords', async (req, res) => {
   const collection = getCollection();
@@ -392,21 +1225,116 @@ app.get('/api/coords', async (req, res) => {
 // NOTE: L'endpoint dynamique /api/coords/grid a été retiré (non utilisé). La grille globale
 // en cache /api/coords/grid/cached reste disponible et calcule désormais la richesse spécifique.
 
-// Endpoint cache: renvoie la grille globale pré-calculée (ou statut en cours)
-// GET /api/coords/grid/cached?sizeDeg=0.25
+// Endpoint cache: renvoie la grille globale pré-calculée, éventuellement périmée pendant un
+// rafraîchissement (ou statut en cours si aucune grille n'a encore été calculée/chargée)
+// Avec des filtres (kingdom..genus, yearMin/yearMax): grille calculée à la demande par agrégation,
+// mémorisée dans un cache LRU (voir grid.js)
+// metric: speciesRichness (défaut) | occurrences | shannon | simpson | rarefiedRichness | weightedEndemism
+// La valeur de la métrique est renvoyée dans 'count' de chaque cellule, avec ses bornes dans 'stats'
+// sizeDeg: niveau de la pyramide (GRID_LEVELS); shape: square (défaut) | hex (hexagones d'aire égale,
+// tailles HEX_LEVELS seulement, 'polygon' = sommets [lat, lng] de chaque cellule, 'bounds' = emprise); bbox=ouest,sud,est,nord: seules les cellules de la vue
+// sont renvoyées ('total' = nb de cellules du niveau, 'stats' calculées sur tout le niveau)
+// GET /api/coords/grid/cached?sizeDeg=0.5[&shape=hex][&metric=shannon][&bbox=-75,-35,-30,6][&class=Aves&yearMin=2000&yearMax=2010]
 app.get('/api/coords/grid/cached', async (req, res) => {
-  const sizeDeg = Number(req.query.sizeDeg ?? 0.25);
-  const key = String(Number.isFinite(sizeDeg) && sizeDeg > 0 ? sizeDeg : 0.25);
-  const item = gridCache.get(key);
+  const sizeParam = Number(req.query.sizeDeg ?? 0.25);
+  const sizeDeg = Number.isFinite(sizeParam) && sizeParam > 0 ? sizeParam : 0.25;
+  const shape = String(req.query.shape || DEFAULT_SHAPE);
+  if (!GRID_SHAPES.includes(shape)) {
+    return res.status(400).json({ error: `Forme de cellule inconnue (${GRID_SHAPES.join(', ')}).` });
+  }
+  if (shape === 'hex' && !HEX_LEVELS.includes(sizeDeg)) {
+    return res.status(400).json({ error: `Hexagones disponibles aux tailles ${HEX_LEVELS.join(', ')}° seulement.` });
+  }
+  const key = gridLevelId(shape, sizeDeg);
+  const metric = String(req.query.metric || DEFAULT_METRIC);
+  if (!GRID_METRICS[metric]) {
+    return res.status(400).json({ error: `Métrique inconnue (${Object.keys(GRID_METRICS).join(', ')}).` });
+  }
+  const bbox = parseGridBBox(req.query.bbox);
+  if (bbox?.error) {
+    return res.status(400).json({ error: bbox.error });
+  }
+  const selection = parseGridFilters(req.query);
+  if (selection.error) {
+    return res.status(400).json({ error: selection.error });
+  }
+  if (selection.filters) {
+    const collection = getCollection();
+    if (!collection) {
+      return res.status(500).send("La connexion à la BDD n'est pas encore établie.");
+    }
+    try {
+      const { cells, ...grid } = await getFilteredGrid(collection, shape, sizeDeg, selection);
+      return res.json({
+        cached: true, filtered: true, filters: selection.filters, sizeDeg, shape,
+        ...grid, metric, ...cellsForMetric(cells, metric, bbox)
+      });
+    } catch (err) {
+      console.error('Erreur /api/coords/grid/cached (filtrée) :', err);
+      return res.status(500).send('Erreur lors du calcul de la grille filtrée.');
+    }
+  }
+  let item;
+  try {
+    item = await getGlobalGridLevel(key);
+  } catch (err) {
+    console.error('Erreur /api/coords/grid/cached :', err);
+    return res.status(500).send('Erreur lors du chargement de la grille.');
+  }
   if (item) {
+    const { cells, ...meta } = item;
+    // stale: un rafraîchissement est en cours, la grille servie est celle du calcul précédent
     return res.json({
       cached: true,
-      sizeDeg: Number(key),
-      ...item
+      stale: isComputingCache,
+      sizeDeg,
+      shape,
+      ...meta,
+      metric,
+      ...cellsForMetric(cells, metric, bbox)
     });
   }
   // Pas dans le cache: ne pas déclencher le calcul ici; reporter le statut
-  return res.json({ cached: false, computing: isComputingCache, sizeDeg: Number(key) });
+  return res.json({ cached: false, computing: isComputingCache, sizeDeg, shape });
+});
+
+// Métriques de grille disponibles (sélecteur et légende côté client) + niveaux et formes de la pyramide
+app.get('/api/coords/grid/metrics', (req, res) => {
+  res.json({ metrics: GRID_METRICS, default: DEFAULT_METRIC, levels: GRID_LEVELS, hexLevels: HEX_LEVELS, shapes: GRID_SHAPES });
+});
+
+// Gradient latitudinal de diversité: richesse spécifique et occurrences par bande de latitude, sous les
+// mêmes filtres que la grille (kingdom..genus, yearMin/yearMax), + régression de la richesse sur
+// |latitude| et corrélation de Pearson (voir latitude.js)
+// Réponse: { bandDeg, filters, bands: [{ latMin, latMax, lat, species, occurrences, lngMin, lngMax }],
+//            regression: { n, slope, intercept, r, r2 } | null, scanned, updatedAt, fromCache }
+// GET /api/latitude/diversity?bandDeg=1[&class=Aves&yearMin=2000&yearMax=2010]
+app.get('/api/latitude/diversity', async (req, res) => {
+  const collection = getCollection();
+  if (!collection) {
+    return res.status(500).send("La connexion à la BDD n'est pas encore établie.");
+  }
+  const bandDeg = parseBandDeg(req.query.bandDeg);
+  if (bandDeg?.error) {
+    return res.status(400).json({ error: bandDeg.error });
+  }
+  const selection = parseGridFilters(req.query);
+  if (selection.error) {
+    return res.status(400).json({ error: selection.error });
+  }
+  try {
+    // Sans filtre: bandes déduites de la grille globale si elle est complète
+    await gridStateLoaded;
+    const meta = gridMeta;
+    const globalGrid = meta && !meta.capped
+      ? { version: meta.version, levels: meta.levels, readLevel: id => readLevelCells(meta, id) }
+      : null;
+    const result = await getLatitudeGradient(collection, bandDeg, selection, globalGrid);
+    return res.json({ bandDeg, filters: selection.filters, ...result });
+  } catch (err) {
+    console.error('Erreur /api/latitude/diversity :', err);
+    return res.status(500).send('Erreur lors du calcul du gradient latitudinal.');
+  }
 });
 
 // Endpoint min/max pour l'attribut 'year' selon les filtres taxonomiques courants
@@ -417,13 +1345,12 @@ app.get('/api/years/minmax', async (req, res) => {
     return res.status(500).send("La connexion à la BDD n'est pas encore établie.");
   }
   try {
-    // Construction du filtre (égalité stricte sur niveaux taxonomiques) + 'year' numérique
-    const levels = ['kingdom','phylum','class','order','family','genus','species','scientificName'];
-    const filter = {};
-    for (const lvl of levels) {
-      const val = req.query[lvl];
-      if (val) filter[lvl] = String(val);
+    // Construction du filtre (inclusions / exclusions sur niveaux taxonomiques) + 'year' numérique
+    const taxonomy = parseTaxonomyFilters(req.query);
+    if (taxonomy.error) {
+      return res.status(400).json({ error: taxonomy.error });
     }
+    const filter = { ...taxonomy.filters };
     filter.year = { $type: 'number' };
 
     // Stratégie ultra-rapide: deux recherches indexées avec tri et limite 1
@@ -442,7 +1369,31 @@ app.get('/api/years/minmax', async (req, res) => {
   }
 });
 
-// Endpoint pour récupérer les valeurs distinctes d'un niveau taxonomique, avec filtres amont (égalité stricte)
+// Série temporelle pour l'animation du panneau Temporalité: nb d'observations géolocalisées par année (années
+// continues, count 0 si aucune) + échantillon aléatoire par année, sous les filtres taxonomiques courants (voir timeseries.js)
+// Réponse: { filters, sample, years: [{ year, count, samples: [{ _id, decimalLatitude, decimalLongitude,
+//            scientificName }] }], total, updatedAt, fromCache }
+// GET /api/years/series?class=Aves[&yearMin=1950&yearMax=2020][&sample=100]
+app.get('/api/years/series', async (req, res) => {
+  const collection = getCollection();
+  if (!collection) {
+    return res.status(500).send("La connexion à la BDD n'est pas encore établie.");
+  }
+  const selection = parseSeriesQuery(req.query);
+  if (selection.error) {
+    return res.status(400).json({ error: selection.error });
+  }
+  try {
+    const result = await getYearSeries(collection, selection);
+    return res.json({ filters: selection.filters, sample: selection.sample, ...result });
+  } catch (err) {
+    console.error('Erreur /api/years/series :', err);
+    return res.status(500).send('Erreur lors du calcul de la série temporelle.');
+  }
+});
+
+// Endpoint pour récupérer les valeurs distinctes d'un niveau taxonomique, avec filtres amont
+// (inclusions / exclusions); les filtres du niveau demandé lui-même ne sont pas appliqués
 // - Pipeline compact: $match (contraintes amont) -> $sort -> $group -> $project
 app.get('/api/taxonomy/values', async (req, res) => {
   const collection = getCollection();
@@ -450,23 +1401,18 @@ app.get('/api/taxonomy/values', async (req, res) => {
     return res.status(500).send("La connexion à la BDD n'est pas encore établie.");
   }
   try {
-    const levels = ['kingdom','phylum','class','order','family','genus','species','scientificName'];
     const level = String(req.query.level || '').trim();
-    if (!levels.includes(level)) {
-      return res.status(400).json({ error: 'Paramètre level invalide', allowed: levels });
+    if (!TAXONOMY_LEVELS.includes(level)) {
+      return res.status(400).json({ error: 'Paramètre level invalide', allowed: TAXONOMY_LEVELS });
+    }
+    // Contraintes des niveaux amont uniquement
+    const upstream = parseTaxonomyFilters(req.query, TAXONOMY_LEVELS.slice(0, TAXONOMY_LEVELS.indexOf(level)));
+    if (upstream.error) {
+      return res.status(400).json({ error: upstream.error });
     }
     // Construire le pipeline avec filtre inline (style mongosh)
-    const idx = levels.indexOf(level);
     const pipeline = [
-      { $match: (() => {
-        const f = {};
-        for (let i = 0; i < idx; i++) {
-          const prev = levels[i];
-          const val = req.query[prev];
-          if (val) f[prev] = String(val);
-        }
-        return f;
-      })() },
+      { $match: upstream.filters },
       { $sort: { [level]: 1 } },
       { $group: { _id: `$${level}` } },
       { $project: { value: '$_id', _id: 0 } }
@@ -484,6 +1430,344 @@ app.get('/api/taxonomy/values', async (req, res) => {
   }
 });
 
+// Recherche de taxons par nom (autocomplétion): q = début du nom, tolère une ou deux fautes de frappe
+// Réponse: { q, results: [{ kingdom..scientificName, verbatimScientificName, vernacularName, occurrences, match }], building }
+app.get('/api/taxonomy/search', async (req, res) => {
+  if (!getCollection()) {
+    return res.status(500).send("La connexion à la BDD n'est pas encore établie.");
+  }
+  const q = String(req.query.q || '').trim();
+  if (q.length > 100) {
+    return res.status(400).json({ error: 'Paramètre q trop long (100 caractères au plus).' });
+  }
+  try {
+    const result = await searchTaxa(q, req.query.limit);
+    if (result.error) {
+      return res.status(400).json({ error: result.error });
+    }
+    return res.json({ q, ...result });
+  } catch (err) {
+    console.error('Erreur /api/taxonomy/search :', err);
+    return res.status(500).send('Erreur lors de la recherche de taxons.');
+  }
+});
+
+// Fiche d'un taxon: nom exact à un niveau taxonomique (par défaut scientificName)
+// Réponse: { level, name, classification, total, firstYear, lastYear, years: [{ year, count }],
+//            countries: [{ countryCode, count }], localities: { distinct, top: [{ locality, count }] },
+//            range: { georeferenced, bbox, hull: [[lat, lng]...], eooKm2 } | null, updatedAt, fromCache }
+// GET /api/taxa/Puma%20concolor/summary | /api/taxa/Felidae/summary?level=family
+app.get('/api/taxa/:name/summary', async (req, res) => {
+  const collection = getCollection();
+  if (!collection) {
+    return res.status(500).send("La connexion à la BDD n'est pas encore établie.");
+  }
+  const level = parseSummaryLevel(req.query.level);
+  if (level?.error) {
+    return res.status(400).json({ error: level.error });
+  }
+  const raw = String(req.params.name || '').trim();
+  if (!raw) {
+    return res.status(400).json({ error: 'Nom de taxon manquant.' });
+  }
+  // Espèces: nom rapporté au taxon accepté (synonymes), nomenclature jointe si le référentiel le connaît
+  const name = level === 'scientificName' || level === 'species' ? acceptedValue(level, raw) : raw;
+  try {
+    const summary = await getTaxonSummary(collection, level, name);
+    if (!summary) {
+      return res.status(404).json({ error: `Aucune occurrence pour ${level} = ${name}.` });
+    }
+    const match = level === 'scientificName' ? resolveName(name) : null;
+    if (match) {
+      summary.nomenclature = { taxonID: match.accepted.taxonID, synonyms: synonymsOf(match.accepted.taxonID) };
+    }
+    return res.json(summary);
+  } catch (err) {
+    console.error('Erreur /api/taxa/:name/summary :', err);
+    return res.status(500).send('Erreur lors du calcul de la fiche du taxon.');
+  }
+});
+
+// Réconciliation d'un nom avec le référentiel local: taxon accepté + synonymes
+// Réponse: { name, matchType: 'exact' | 'canonical', taxonomicStatus, accepted: { taxonID, scientificName,
+//            canonicalName, taxonRank, kingdom..genus, species }, synonyms: [{ taxonID, scientificName, taxonomicStatus }] }
+// 404 si le nom est inconnu, 503 si aucun référentiel n'est chargé
+// GET /api/taxonomy/reconcile?name=Felis%20concolor&kingdom=Animalia
+app.get('/api/taxonomy/reconcile', (req, res) => {
+  const name = String(req.query.name || '').trim();
+  if (!name || name.length > 512) {
+    return res.status(400).json({ error: 'Paramètre name manquant ou trop long (512 caractères au plus).' });
+  }
+  if (!getBackbone()) {
+    return res.status(503).json({ error: 'Aucun référentiel taxonomique chargé (BACKBONE_FILE).' });
+  }
+  const match = resolveName(name, req.query.kingdom ? String(req.query.kingdom) : undefined);
+  if (!match) {
+    return res.status(404).json({ error: `Nom inconnu du référentiel : ${name}.` });
+  }
+  const { acceptedNameUsageID, taxonomicStatus, ...accepted } = match.accepted;
+  return res.json({
+    name,
+    matchType: match.matchType,
+    taxonomicStatus: match.matched.taxonomicStatus,
+    accepted,
+    synonyms: synonymsOf(match.accepted.taxonID),
+  });
+});
+
+// État de la réconciliation: référentiel chargé, dernier passage (totaux), traitement en cours
+app.get('/api/taxonomy/reconciliation', async (req, res) => {
+  try {
+    return res.json(await reconciliationStatus());
+  } catch (err) {
+    console.error('Erreur /api/taxonomy/reconciliation :', err);
+    return res.status(500).send("Erreur lors de la lecture de l'état de la réconciliation.");
+  }
+});
+
+// Relance (admin): relit le fichier du référentiel (remplacé éventuellement) puis réconcilie en
+// tâche de fond; 202 (suivi via GET), 409 si un passage est déjà en cours
+app.post('/api/taxonomy/reconciliation', auth.requireRole('admin'), async (req, res) => {
+  if (!getCollection()) {
+    return res.status(500).send("La connexion à la BDD n'est pas encore établie.");
+  }
+  if (!process.env.BACKBONE_FILE) {
+    return res.status(503).json({ error: 'Aucun référentiel taxonomique configuré (BACKBONE_FILE).' });
+  }
+  const status = await reconciliationStatus().catch(() => null);
+  if (status?.running) {
+    return res.status(409).json({ error: 'Réconciliation déjà en cours.' });
+  }
+  reloadBackbone().then(runReconciliation);
+  return res.status(202).json({ started: true });
+});
+
+// Image et métadonnées d'une espèce (nom scientifique, auteur facultatif)
+// Réponse: { name, found, imageUrl, pageUrl, licence, attribution, source,
+//            vernacularNames: [{ name, lang }], fetchedAt, fromCache }
+// 502 si aucun fournisseur n'a répondu (rien n'est mémorisé dans ce cas)
+// GET /api/taxa/Puma%20concolor/media
+app.get('/api/taxa/:name/media', async (req, res) => {
+  if (!getCollection()) {
+    return res.status(500).send("La connexion à la BDD n'est pas encore établie.");
+  }
+  const raw = String(req.params.name || '').trim();
+  if (!raw || raw.length > 200) {
+    return res.status(400).json({ error: 'Nom scientifique manquant ou trop long (200 caractères au plus).' });
+  }
+  try {
+    const media = await getSpeciesMedia(raw);
+    if (!media) {
+      return res.status(400).json({ error: 'Nom scientifique invalide.' });
+    }
+    if (media.error) {
+      return res.status(502).json({ error: media.error });
+    }
+    return res.json(media);
+  } catch (err) {
+    console.error('Erreur /api/taxa/:name/media :', err);
+    return res.status(500).send('Erreur lors de la recherche des images de l\'espèce.');
+  }
+});
+
+// Contrôles qualité: indicateurs disponibles, état et bilan du dernier traitement (nb de documents par
+// indicateur)
+// GET /api/quality/summary
+app.get('/api/quality/summary', async (req, res) => {
+  try {
+    return res.json(await qualitySummary());
+  } catch (err) {
+    console.error('Erreur /api/quality/summary :', err);
+    return res.status(500).send('Erreur lors de la lecture du bilan des contrôles qualité.');
+  }
+});
+
+// Occurrences signalées de la sélection (calque qualité): mêmes filtres que /api/observations
+// (taxonomie, années, bbox / polygone), flag=<indicateur> pour n'en garder qu'un
+// Réponse: { flag, count, truncated, points: [{ _id, lat, lng, scientificName, year, flags }] }
+// GET /api/quality/flagged?bbox=-75,-35,-30,6&flag=COORDINATES_IN_SEA&limit=2000
+app.get('/api/quality/flagged', async (req, res) => {
+  const collection = getCollection();
+  if (!collection) {
+    return res.status(500).send("La connexion à la BDD n'est pas encore établie.");
+  }
+  const flag = req.query.flag ? String(req.query.flag).trim().toUpperCase() : null;
+  if (flag && !QUALITY_FLAGS.includes(flag)) {
+    return res.status(400).json({ error: `Indicateur inconnu (${QUALITY_FLAGS.join(', ')}).` });
+  }
+  const limitParam = parseInt(req.query.limit, 10);
+  const limit = Math.min(Number.isFinite(limitParam) && limitParam > 0 ? limitParam : 2000, 10000);
+  // Sélection sans excludeFlagged (contradictoire avec ce calque)
+  const selection = parseSelection({ ...req.query, excludeFlagged: undefined });
+  if (selection.error) {
+    return res.status(400).json({ error: selection.error });
+  }
+  const filter = { ...selection.filter, ...(flag ? { qualityFlags: flag } : { 'qualityFlags.0': { $exists: true } }) };
+  try {
+    const docs = await collection.find(filter, {
+      projection: { decimalLatitude: 1, decimalLongitude: 1, scientificName: 1, year: 1, qualityFlags: 1 },
+      limit: limit + 1,
+    }).toArray();
+    const truncated = docs.length > limit;
+    const points = docs.slice(0, limit).map(d => ({
+      _id: d._id,
+      lat: d.decimalLatitude,
+      lng: d.decimalLongitude,
+      scientificName: d.scientificName || '',
+      year: d.year,
+      flags: d.qualityFlags,
+    }));
+    return res.json({ flag, count: points.length, truncated, points });
+  } catch (err) {
+    console.error('Erreur /api/quality/flagged :', err);
+    return res.status(500).send('Erreur lors de la recherche des occurrences signalées.');
+  }
+});
+
+// Relance (admin) des contrôles qualité en tâche de fond; 202 (suivi via /summary), 409 si déjà en cours
+app.post('/api/quality/run', auth.requireRole('admin'), async (req, res) => {
+  if (!getCollection()) {
+    return res.status(500).send("La connexion à la BDD n'est pas encore établie.");
+  }
+  const summary = await qualitySummary().catch(() => null);
+  if (summary?.running) {
+    return res.status(409).json({ error: 'Contrôles qualité déjà en cours.' });
+  }
+  runQuality();
+  return res.status(202).json({ started: true });
+});
+
+// Groupes de doublons probables (du plus grand au plus petit) + état de la détection
+// Réponse: { groups: [{ _id, scientificName, year, decimalLatitude, decimalLongitude, toleranceDeg, count }],
+//            total, running, lastRun }
+// GET /api/duplicates?limit=50&offset=0[&q=puma]
+app.get('/api/duplicates', async (req, res) => {
+  if (!getCollection()) {
+    return res.status(500).send("La connexion à la BDD n'est pas encore établie.");
+  }
+  try {
+    const result = await listDuplicateGroups(req.query);
+    if (result.error) {
+      return res.status(400).json({ error: result.error });
+    }
+    return res.json(result);
+  } catch (err) {
+    console.error('Erreur /api/duplicates :', err);
+    return res.status(500).send('Erreur lors de la lecture des doublons.');
+  }
+});
+
+// Relance (admin) de la détection en tâche de fond, tolérance facultative (degrés, conservée ensuite)
+// POST /api/duplicates/detect { toleranceDeg: 0.001 } -> 202 (suivi via GET /api/duplicates), 409 si en cours
+app.post('/api/duplicates/detect', auth.requireRole('admin'), async (req, res) => {
+  const collection = getCollection();
+  if (!collection) {
+    return res.status(500).send("La connexion à la BDD n'est pas encore établie.");
+  }
+  const toleranceDeg = parseTolerance(req.body?.toleranceDeg);
+  if (toleranceDeg?.error) {
+    return res.status(400).json({ error: toleranceDeg.error });
+  }
+  const status = await listDuplicateGroups({ limit: 1 }).catch(() => null);
+  if (status?.running) {
+    return res.status(409).json({ error: 'Détection des doublons déjà en cours.' });
+  }
+  detectDuplicates(collection, { toleranceDeg: toleranceDeg || undefined });
+  return res.status(202).json({ started: true });
+});
+
+// Fusions (admin), de la plus récente à la plus ancienne (documents archivés non inclus)
+// GET /api/duplicates/merges?limit=50&offset=0
+app.get('/api/duplicates/merges', auth.requireRole('admin'), async (req, res) => {
+  if (!getCollection()) {
+    return res.status(500).send("La connexion à la BDD n'est pas encore établie.");
+  }
+  try {
+    const result = await listMerges(req.query);
+    if (result.error) {
+      return res.status(400).json({ error: result.error });
+    }
+    return res.json(result);
+  } catch (err) {
+    console.error('Erreur /api/duplicates/merges :', err);
+    return res.status(500).send('Erreur lors de la lecture des fusions.');
+  }
+});
+
+// Annulation (admin) d'une fusion: occurrences archivées réinsérées, référence rétablie, groupe rouvert
+// POST /api/duplicates/merges/:id/revert -> { merge }; 404 si inconnue, 409 si déjà annulée
+app.post('/api/duplicates/merges/:id/revert', auth.requireRole('admin'), async (req, res) => {
+  const collection = getCollection();
+  if (!collection) {
+    return res.status(500).send("La connexion à la BDD n'est pas encore établie.");
+  }
+  if (!ObjectId.isValid(req.params.id)) {
+    return res.status(400).json({ error: 'Identifiant de fusion invalide.' });
+  }
+  try {
+    const result = await revertMerge(req, collection, new ObjectId(req.params.id));
+    if (!result) {
+      return res.status(404).json({ error: 'Fusion introuvable.' });
+    }
+    if (result.error) {
+      return res.status(409).json({ error: result.error });
+    }
+    invalidateDerivedData();
+    return res.json(result);
+  } catch (err) {
+    console.error('Erreur /api/duplicates/merges/:id/revert :', err);
+    return res.status(500).send("Erreur lors de l'annulation de la fusion.");
+  }
+});
+
+// Groupe et ses occurrences actuelles (choix de l'occurrence de référence)
+// GET /api/duplicates/:key -> { group, documents }
+app.get('/api/duplicates/:key', async (req, res) => {
+  const collection = getCollection();
+  if (!collection) {
+    return res.status(500).send("La connexion à la BDD n'est pas encore établie.");
+  }
+  try {
+    const result = await getDuplicateGroup(collection, req.params.key);
+    if (!result) {
+      return res.status(404).json({ error: 'Groupe introuvable (résolu ou disparu depuis la détection).' });
+    }
+    return res.json(result);
+  } catch (err) {
+    console.error('Erreur /api/duplicates/:key :', err);
+    return res.status(500).send('Erreur lors de la lecture du groupe de doublons.');
+  }
+});
+
+// Résolution (admin) d'un groupe sur une occurrence de référence
+// mode=merge: champs manquants de la référence complétés par les autres, puis autres archivées;
+// mode=delete: autres archivées seulement. Réversible via /api/duplicates/merges/:id/revert
+// POST /api/duplicates/:key/resolve { canonicalId, mode } -> { merge }
+app.post('/api/duplicates/:key/resolve', auth.requireRole('admin'), async (req, res) => {
+  const collection = getCollection();
+  if (!collection) {
+    return res.status(500).send("La connexion à la BDD n'est pas encore établie.");
+  }
+  const { canonicalId, mode } = req.body || {};
+  if (!canonicalId || !MERGE_MODES.includes(mode)) {
+    return res.status(400).json({ error: `Paramètres canonicalId et mode (${MERGE_MODES.join(', ')}) requis.` });
+  }
+  try {
+    const result = await resolveDuplicateGroup(req, collection, req.params.key, { canonicalId, mode });
+    if (!result) {
+      return res.status(404).json({ error: 'Groupe introuvable (résolu ou disparu depuis la détection).' });
+    }
+    if (result.error) {
+      return res.status(409).json({ error: result.error });
+    }
+    invalidateDerivedData();
+    return res.json(result);
+  } catch (err) {
+    console.error('Erreur /api/duplicates/:key/resolve :', err);
+    return res.status(500).send('Erreur lors de la résolution du groupe de doublons.');
+  }
+});
+
 // Fermeture propre (SIGINT Ctrl+C): fermeture Mongo avant exit
 process.on('SIGINT', async () => {
   console.log('Arrêt du serveur...');
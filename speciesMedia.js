@@ -0,0 +1,110 @@
+/**
+ * Images et métadonnées d'espèces (proxy serveur avec cache persistant)
+ * --------------------------------------------------------------------
+ * - Fournisseurs interrogés dans l'ordre (voir mediaProviders.js) jusqu'au premier qui donne une image;
+ *   les noms vernaculaires des fournisseurs consultés sont fusionnés
+ * - Recherche sur le nom canonique (sans auteur ni année: "Puma concolor (Linnaeus, 1771)" -> "Puma concolor")
+ * - Collection 'species_media': une fiche par nom canonique (image, licence, attribution, noms
+ *   vernaculaires), expirée par index TTL (30 jours; 1 jour si rien n'a été trouvé)
+ * - Panne de tous les fournisseurs consultés: rien n'est mémorisé (nouvel essai à la demande suivante)
+ * - Requêtes identiques simultanées: une seule consultation des fournisseurs
+ */
+const { getDb, onConnected } = require('./db');
+const { createProviders } = require('./mediaProviders');
+const { canonicalName } = require('./backbone');
+
+const MEDIA_COLLECTION = 'species_media';
+const FOUND_TTL_MS = 30 * 24 * 60 * 60 * 1000;
+const NOT_FOUND_TTL_MS = 24 * 60 * 60 * 1000;
+
+let providers = createProviders();
+const pending = new Map(); // nom canonique -> promesse de la consultation en cours
+
+onConnected(async (db) => {
+  await db.collection(MEDIA_COLLECTION)
+    .createIndex({ expiresAt: 1 }, { name: 'idx_species_media_ttl', expireAfterSeconds: 0 })
+    .catch(() => {});
+});
+
+function mediaCollection() {
+  const db = getDb();
+  return db ? db.collection(MEDIA_COLLECTION) : null;
+}
+
+// Remplace les fournisseurs (ex. fournisseur stub pour des tests sans réseau)
+function setMediaProviders(list) {
+  providers = list;
+  pending.clear();
+}
+
+// Consulte les fournisseurs dans l'ordre; { found, ... } ou null si tous ont échoué
+async function lookupProviders(name) {
+  const vernacularNames = [];
+  const seen = new Set();
+  let failures = 0;
+  let media = null;
+  for (const provider of providers) {
+    let result;
+    try {
+      result = await provider.lookup(name);
+    } catch (e) {
+      failures++;
+      console.warn(`[species-media] ${provider.name} indisponible pour "${name}":`, e?.message || e);
+      continue;
+    }
+    if (!result) continue;
+    for (const v of result.vernacularNames || []) {
+      const id = `${v.lang}|${String(v.name).toLowerCase()}`;
+      if (!seen.has(id)) { seen.add(id); vernacularNames.push(v); }
+    }
+    if (result.imageUrl) {
+      media = result;
+      break;
+    }
+  }
+  if (!media && !vernacularNames.length && failures > 0 && failures === providers.length) {
+    return null;
+  }
+  return {
+    found: Boolean(media || vernacularNames.length),
+    imageUrl: media?.imageUrl || null,
+    pageUrl: media?.pageUrl || null,
+    licence: media?.licence || null,
+    attribution: media?.attribution || null,
+    source: media?.source || null,
+    vernacularNames,
+  };
+}
+
+// Fiche média d'un nom scientifique (cache Mongo puis fournisseurs); null si nom vide,
+// { error } si aucun fournisseur n'a répondu
+async function getSpeciesMedia(scientificName) {
+  const name = canonicalName(scientificName);
+  if (!name) return null;
+  const key = name.toLowerCase();
+  const coll = mediaCollection();
+  if (!coll) throw new Error("La connexion à la BDD n'est pas encore établie.");
+  const cached = await coll.findOne({ _id: key });
+  // L'index TTL ne purge qu'environ toutes les minutes: l'échéance est revérifiée ici
+  if (cached && new Date(cached.expiresAt) > new Date()) {
+    const { _id, expiresAt, ...doc } = cached;
+    return { ...doc, fromCache: true };
+  }
+  if (!pending.has(key)) {
+    const p = (async () => {
+      const result = await lookupProviders(name);
+      if (!result) return null;
+      const fetchedAt = new Date();
+      const doc = { name, ...result, fetchedAt };
+      const expiresAt = new Date(fetchedAt.getTime() + (result.found ? FOUND_TTL_MS : NOT_FOUND_TTL_MS));
+      await coll.replaceOne({ _id: key }, { ...doc, expiresAt }, { upsert: true });
+      return doc;
+    })().finally(() => pending.delete(key));
+    pending.set(key, p);
+  }
+  const doc = await pending.get(key);
+  if (!doc) return { error: "Aucun fournisseur d'images n'a répondu." };
+  return { ...doc, fromCache: false };
+}
+
+module.exports = { getSpeciesMedia, setMediaProviders };
@@ -0,0 +1,242 @@
+/**
+ * Catalogue des taxons et recherche par nom (autocomplétion)
+ * ----------------------------------------------------------
+ * - Collection 'taxa': un document par classification distincte (kingdom..scientificName) avec le
+ *   nom verbatim, le nom vernaculaire (vernacularName Darwin Core, s'il est renseigné), le nb
+ *   d'occurrences et des clés de recherche normalisées (minuscules, sans accents): noms complets
+ *   (scientificName, verbatimScientificName, vernacularName, genus + species) et chacun de leurs mots
+ * - Index { keys: 1 }: recherche par préfixe ancré (^...) = parcours de plage d'index
+ * - Correspondance approchée si peu de résultats: distance d'édition bornée sur le début des clés
+ *   partageant les deux premières lettres de la saisie
+ * - Construit par agrégation de 'faune&flore', puis complété par _id (comme la grille globale);
+ *   reconstruction complète si des modifications/suppressions ont été journalisées, si la version des
+ *   noms (réconciliation taxonomique) a changé, ou toutes les 24 h
+ */
+const { ObjectId } = require('mongodb');
+const { getDb, onConnected } = require('./db');
+const audit = require('./audit');
+
+const TAXA_COLLECTION = 'taxa';
+const META_COLLECTION = 'taxa_meta';
+const META_ID = 'catalogue';
+const TAXONOMY_LEVELS = ['kingdom', 'phylum', 'class', 'order', 'family', 'genus', 'species', 'scientificName'];
+const FULL_REBUILD_MS = 24 * 60 * 60 * 1000;
+const SEARCH_LIMIT_DEFAULT = 10;
+const SEARCH_LIMIT_MAX = 50;
+const FUZZY_MIN_LENGTH = 3;
+const FUZZY_CANDIDATES = 5000;
+const WRITE_BATCH_SIZE = 1000;
+const AGGREGATION_MAX_TIME_MS = 30 * 60 * 1000;
+
+let building = false;
+
+onConnected(async (db) => {
+  await db.collection(TAXA_COLLECTION)
+    .createIndex({ keys: 1, occurrences: -1 }, { name: 'idx_taxa_keys_1_occurrences_-1' })
+    .catch(() => {});
+});
+
+function collections() {
+  const db = getDb();
+  return db ? { taxa: db.collection(TAXA_COLLECTION), meta: db.collection(META_COLLECTION) } : null;
+}
+
+// Minuscules, sans accents ni ponctuation superflue, espaces simples
+function normalizeName(value) {
+  return String(value ?? '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9 ().,×-]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+// Clés de recherche d'un taxon: noms complets + mots (2 lettres au moins, hors années d'auteur)
+function searchKeys(taxon) {
+  const genus = normalizeName(taxon.genus);
+  const species = normalizeName(taxon.species);
+  const names = [
+    taxon.scientificName,
+    taxon.verbatimScientificName,
+    taxon.vernacularName,
+    taxon.genus,
+    taxon.species,
+  ].map(normalizeName);
+  // species peut ne contenir que l'épithète: binôme reconstitué
+  if (genus && species && !species.startsWith(`${genus} `)) names.push(`${genus} ${species}`);
+  const keys = new Set(names.filter(Boolean));
+  for (const name of keys) {
+    for (const word of name.split(/[ ().,-]+/)) if (word.length >= 2 && !/^\d+$/.test(word)) keys.add(word);
+  }
+  return [...keys];
+}
+
+// Identifiant stable d'une classification
+function taxonId(taxon) {
+  return TAXONOMY_LEVELS.map(l => taxon[l] ?? '').join('|');
+}
+
+// Distance d'édition (Levenshtein) avec abandon au-delà de max
+function boundedLevenshtein(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const cur = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      cur[j] = Math.min(prev[j] + 1, cur[j - 1] + 1, prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+      rowMin = Math.min(rowMin, cur[j]);
+    }
+    if (rowMin > max) return max + 1;
+    prev = cur;
+  }
+  return prev[b.length];
+}
+
+function escapeRegex(str) {
+  return str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// ---- Construction du catalogue ----
+async function needsFullRebuild(meta, namesStamp) {
+  if (!meta || !meta.lastObjectId || !meta.fullBuildAt) return true;
+  if (Date.now() - new Date(meta.fullBuildAt).getTime() > FULL_REBUILD_MS) return true;
+  if ((meta.reconciliationStamp || 0) !== namesStamp) return true;
+  return audit.hasWritesSince(new Date(meta.updatedAt), ['update', 'delete', 'restore']);
+}
+
+// Agrège les classifications (documents d'_id > since si fourni) et les reporte dans 'taxa'
+async function refreshTaxaCatalogue(collection) {
+  const c = collections();
+  if (!c || !collection) return false;
+  if (building) return false;
+  building = true;
+  const t0 = Date.now();
+  try {
+    const meta = await c.meta.findOne({ _id: META_ID });
+    // Chargement différé: reconciliation.js dépend (via backbone.js) de ce module
+    const { reconciliationStamp } = require('./reconciliation');
+    const namesStamp = await reconciliationStamp();
+    const full = await needsFullRebuild(meta, namesStamp);
+    const since = full ? null : meta.lastObjectId;
+    const group = {};
+    for (const l of TAXONOMY_LEVELS) group[l] = `$${l}`;
+    const rows = collection.aggregate([
+      { $match: { scientificName: { $type: 'string', $ne: '' }, ...(since ? { _id: { $gt: new ObjectId(since) } } : {}) } },
+      {
+        $group: {
+          _id: group,
+          occurrences: { $sum: 1 },
+          verbatimScientificName: { $first: '$verbatimScientificName' },
+          vernacularName: { $max: '$vernacularName' },
+          maxId: { $max: '$_id' },
+        }
+      },
+    ], { allowDiskUse: true, maxTimeMS: AGGREGATION_MAX_TIME_MS });
+
+    // Reconstruction complète: les comptes sont remplacés et estampillés, les taxons disparus retirés
+    // à la fin (le catalogue reste interrogeable pendant le calcul)
+    const stamp = new Date().toISOString();
+    let lastObjectId = since;
+    let count = 0;
+    let ops = [];
+    // eslint-disable-next-line no-restricted-syntax
+    for await (const r of rows) {
+      const taxon = {};
+      for (const l of TAXONOMY_LEVELS) if (r._id[l] !== undefined && r._id[l] !== null && r._id[l] !== '') taxon[l] = r._id[l];
+      if (r.verbatimScientificName) taxon.verbatimScientificName = r.verbatimScientificName;
+      if (typeof r.vernacularName === 'string' && r.vernacularName) taxon.vernacularName = r.vernacularName;
+      if (r.maxId instanceof ObjectId) {
+        const hex = r.maxId.toHexString();
+        if (!lastObjectId || hex > lastObjectId) lastObjectId = hex;
+      }
+      ops.push({
+        updateOne: {
+          filter: { _id: taxonId(taxon) },
+          update: full
+            ? { $set: { ...taxon, keys: searchKeys(taxon), occurrences: r.occurrences, builtAt: stamp } }
+            : { $setOnInsert: { ...taxon, keys: searchKeys(taxon), builtAt: stamp }, $inc: { occurrences: r.occurrences } },
+          upsert: true,
+        },
+      });
+      count++;
+      if (ops.length >= WRITE_BATCH_SIZE) {
+        await c.taxa.bulkWrite(ops, { ordered: false });
+        ops = [];
+      }
+    }
+    if (ops.length) await c.taxa.bulkWrite(ops, { ordered: false });
+    if (full) await c.taxa.deleteMany({ builtAt: { $lt: stamp } });
+    const now = new Date().toISOString();
+    await c.meta.replaceOne({ _id: META_ID }, {
+      _id: META_ID,
+      lastObjectId,
+      updatedAt: now,
+      fullBuildAt: full ? now : meta.fullBuildAt,
+      reconciliationStamp: namesStamp,
+    }, { upsert: true });
+    console.log(`[taxa] Catalogue ${full ? 'reconstruit' : 'complété'}: ${count} classifications en ${((Date.now() - t0) / 1000).toFixed(1)}s`);
+    return true;
+  } catch (e) {
+    console.error('[taxa] Erreur construction du catalogue:', e);
+    return false;
+  } finally {
+    building = false;
+  }
+}
+
+// ---- Recherche ----
+function publicTaxon(doc, match) {
+  const out = { match, occurrences: doc.occurrences };
+  for (const l of TAXONOMY_LEVELS) if (doc[l] !== undefined) out[l] = doc[l];
+  if (doc.verbatimScientificName) out.verbatimScientificName = doc.verbatimScientificName;
+  if (doc.vernacularName) out.vernacularName = doc.vernacularName;
+  return out;
+}
+
+// Recherche par préfixe puis approchée; retourne { results, building } ou { error }
+async function searchTaxa(rawQuery, rawLimit) {
+  const q = normalizeName(rawQuery);
+  if (q.length < 2) return { error: 'Paramètre q trop court (2 caractères au moins).' };
+  const limitParam = rawLimit === undefined || rawLimit === '' ? SEARCH_LIMIT_DEFAULT : Number(rawLimit);
+  if (!Number.isInteger(limitParam) || limitParam < 1 || limitParam > SEARCH_LIMIT_MAX) {
+    return { error: `Paramètre limit invalide (entre 1 et ${SEARCH_LIMIT_MAX}).` };
+  }
+  const c = collections();
+  if (!c) throw new Error("La connexion à la BDD n'est pas encore établie.");
+  const projection = { keys: 0, builtAt: 0 };
+
+  const prefix = await c.taxa.find({ keys: { $regex: `^${escapeRegex(q)}` } }, { projection })
+    .sort({ occurrences: -1 }).limit(limitParam).toArray();
+  const results = prefix.map(doc => publicTaxon(doc, 'prefix'));
+
+  if (results.length < limitParam && q.length >= FUZZY_MIN_LENGTH) {
+    // Distance tolérée: 1 faute, 2 pour les saisies longues
+    const maxDist = q.length >= 6 ? 2 : 1;
+    const seen = new Set(prefix.map(d => d._id));
+    const candidates = await c.taxa.find({ keys: { $regex: `^${escapeRegex(q.slice(0, 2))}` } })
+      .limit(FUZZY_CANDIDATES).toArray();
+    const fuzzy = [];
+    for (const doc of candidates) {
+      if (seen.has(doc._id)) continue;
+      let best = maxDist + 1;
+      for (const key of doc.keys) {
+        // Comparaison avec le début de la clé (saisie en cours), à longueur égale à ±1
+        const d = Math.min(
+          boundedLevenshtein(q, key.slice(0, q.length), maxDist),
+          boundedLevenshtein(q, key.slice(0, q.length + 1), maxDist),
+          boundedLevenshtein(q, key.slice(0, Math.max(1, q.length - 1)), maxDist)
+        );
+        if (d < best) best = d;
+      }
+      if (best <= maxDist) fuzzy.push({ doc, dist: best });
+    }
+    fuzzy.sort((a, b) => a.dist - b.dist || b.doc.occurrences - a.doc.occurrences);
+    for (const { doc } of fuzzy.slice(0, limitParam - results.length)) results.push(publicTaxon(doc, 'fuzzy'));
+  }
+  const meta = await c.meta.findOne({ _id: META_ID }, { projection: { _id: 1 } });
+  return { results, building: !meta };
+}
+
+module.exports = { normalizeName, searchKeys, boundedLevenshtein, refreshTaxaCatalogue, searchTaxa };
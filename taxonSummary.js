@@ -0,0 +1,188 @@
+/**
+ * Fiche d'un taxon: statistiques agrégées (nom scientifique ou tout niveau taxonomique)
+ * ------------------------------------------------------------------------------------
+ * - Une seule agrégation ($facet) sur les documents du taxon: nb d'occurrences, histogramme par
+ *   année, pays, localités (les plus fréquentes + nb distinct), classification (niveaux supérieurs)
+ * - Aire de répartition: emprise (bbox) + enveloppe convexe des occurrences géolocalisées et son aire
+ *   (zone d'occurrence / EOO, km²). Les points sont réduits aux coins (extrêmes en longitude et en
+ *   latitude) de chaque colonne de RANGE_COLUMN_DEG de longitude: enveloppe exacte à la largeur de
+ *   colonne près, quel que soit le volume
+ * - Résultats mémorisés dans un cache LRU (clé: niveau + nom), à vider après une écriture
+ */
+const { LruCache } = require('./grid');
+const { TAXONOMY_LEVELS } = require('./taxonomyFilter');
+
+const RANGE_COLUMN_DEG = 0.01;
+const TOP_LOCALITIES = 20;
+const EARTH_RADIUS_KM = 6371.0088;
+const AGGREGATION_MAX_TIME_MS = 120000;
+
+const summaryCache = new LruCache(200, 60 * 60 * 1000);
+const pending = new Map(); // clé -> promesse du calcul en cours
+
+// Niveau depuis la query (défaut: scientificName) -> chaîne ou { error }
+function parseSummaryLevel(raw) {
+  const level = raw === undefined || raw === '' ? 'scientificName' : String(raw);
+  if (!TAXONOMY_LEVELS.includes(level)) {
+    return { error: `Paramètre level invalide (${TAXONOMY_LEVELS.join(', ')}).` };
+  }
+  return level;
+}
+
+// Enveloppe convexe (chaîne monotone d'Andrew) de points [lng, lat], sens anti-horaire, non fermée
+function convexHull(points) {
+  const pts = [...new Map(points.map(p => [`${p[0]},${p[1]}`, p])).values()]
+    .sort((a, b) => a[0] - b[0] || a[1] - b[1]);
+  if (pts.length < 3) return pts;
+  const cross = (o, a, b) => (a[0] - o[0]) * (b[1] - o[1]) - (a[1] - o[1]) * (b[0] - o[0]);
+  const lower = [];
+  for (const p of pts) {
+    while (lower.length >= 2 && cross(lower[lower.length - 2], lower[lower.length - 1], p) <= 0) lower.pop();
+    lower.push(p);
+  }
+  const upper = [];
+  for (let i = pts.length - 1; i >= 0; i--) {
+    const p = pts[i];
+    while (upper.length >= 2 && cross(upper[upper.length - 2], upper[upper.length - 1], p) <= 0) upper.pop();
+    upper.push(p);
+  }
+  return lower.slice(0, -1).concat(upper.slice(0, -1));
+}
+
+// Aire (km²) d'un anneau [lng, lat] sur la sphère (formule de l'excès sphérique par trapèzes)
+function ringAreaKm2(ring) {
+  if (ring.length < 3) return 0;
+  const rad = Math.PI / 180;
+  let sum = 0;
+  for (let i = 0; i < ring.length; i++) {
+    const [lng1, lat1] = ring[i];
+    const [lng2, lat2] = ring[(i + 1) % ring.length];
+    sum += (lng2 - lng1) * rad * (2 + Math.sin(lat1 * rad) + Math.sin(lat2 * rad));
+  }
+  return Math.abs((sum * EARTH_RADIUS_KM * EARTH_RADIUS_KM) / 2);
+}
+
+async function computeSummary(collection, level, name) {
+  const t0 = Date.now();
+  const classification = {};
+  for (const lvl of TAXONOMY_LEVELS.slice(0, TAXONOMY_LEVELS.indexOf(level))) classification[lvl] = { $first: `$${lvl}` };
+  const [facets] = await collection.aggregate([
+    { $match: { [level]: name } },
+    {
+      $facet: {
+        totals: [{ $group: { _id: null, total: { $sum: 1 }, ...classification } }],
+        years: [
+          { $match: { year: { $type: 'number' } } },
+          { $group: { _id: '$year', count: { $sum: 1 } } },
+          { $sort: { _id: 1 } },
+        ],
+        countries: [
+          { $match: { countryCode: { $type: 'string', $ne: '' } } },
+          { $group: { _id: { $toUpper: '$countryCode' }, count: { $sum: 1 } } },
+          { $sort: { count: -1, _id: 1 } },
+        ],
+        // Localités: les plus fréquentes seulement (la sortie du $facet est un document de 16 Mo au
+        // plus), nombre distinct compté à part
+        localities: [
+          { $match: { locality: { $type: 'string', $ne: '' } } },
+          { $group: { _id: '$locality', count: { $sum: 1 } } },
+          { $sort: { count: -1, _id: 1 } },
+          { $limit: TOP_LOCALITIES },
+        ],
+        localityCount: [
+          { $match: { locality: { $type: 'string', $ne: '' } } },
+          { $group: { _id: '$locality' } },
+          { $count: 'distinct' },
+        ],
+        columns: [
+          {
+            $match: {
+              decimalLatitude: { $type: 'number', $gte: -90, $lte: 90 },
+              decimalLongitude: { $type: 'number', $gte: -180, $lte: 180 },
+            }
+          },
+          {
+            $group: {
+              _id: { $floor: { $divide: ['$decimalLongitude', RANGE_COLUMN_DEG] } },
+              count: { $sum: 1 },
+              lngMin: { $min: '$decimalLongitude' },
+              lngMax: { $max: '$decimalLongitude' },
+              latMin: { $min: '$decimalLatitude' },
+              latMax: { $max: '$decimalLatitude' },
+            }
+          },
+        ],
+      }
+    },
+  ], { allowDiskUse: true, maxTimeMS: AGGREGATION_MAX_TIME_MS }).toArray();
+
+  const totals = facets?.totals?.[0];
+  if (!totals) return null;
+  const years = facets.years.map(r => ({ year: r._id, count: r.count }));
+  const locs = {
+    distinct: facets.localityCount[0]?.distinct || 0,
+    top: facets.localities.map(r => ({ locality: r._id, count: r.count })),
+  };
+
+  // Aire de répartition: coins de chaque colonne (extrêmes en longitude et en latitude)
+  const columns = facets.columns;
+  let range = null;
+  if (columns.length) {
+    const points = [];
+    const bbox = [Infinity, Infinity, -Infinity, -Infinity];
+    for (const c of columns) {
+      points.push([c.lngMin, c.latMin], [c.lngMin, c.latMax], [c.lngMax, c.latMin], [c.lngMax, c.latMax]);
+      bbox[0] = Math.min(bbox[0], c.lngMin);
+      bbox[1] = Math.min(bbox[1], c.latMin);
+      bbox[2] = Math.max(bbox[2], c.lngMax);
+      bbox[3] = Math.max(bbox[3], c.latMax);
+    }
+    const hull = convexHull(points);
+    range = {
+      georeferenced: columns.reduce((s, c) => s + c.count, 0),
+      bbox,
+      hull: hull.map(([lng, lat]) => [lat, lng]),
+      eooKm2: Math.round(ringAreaKm2(hull)),
+    };
+  }
+
+  const { _id, total, ...upper } = totals;
+  console.log(`[taxon-summary] ${level}=${name} total=${total} years=${years.length} time=${((Date.now() - t0) / 1000).toFixed(1)}s`);
+  return {
+    level,
+    name,
+    classification: Object.fromEntries(Object.entries(upper).filter(([, v]) => v !== null && v !== undefined && v !== '')),
+    total,
+    firstYear: years.length ? years[0].year : null,
+    lastYear: years.length ? years[years.length - 1].year : null,
+    years,
+    countries: facets.countries.map(r => ({ countryCode: r._id, count: r.count })),
+    localities: locs,
+    range,
+    updatedAt: new Date().toISOString(),
+  };
+}
+
+// Fiche (cache LRU puis agrégation); null si aucun document pour ce taxon
+async function getTaxonSummary(collection, level, name) {
+  const key = `${level}|${name}`;
+  const hit = summaryCache.get(key);
+  if (hit) return { ...hit, fromCache: true };
+  if (!pending.has(key)) {
+    const generation = summaryCache.generation;
+    const p = computeSummary(collection, level, name)
+      .then(result => { if (result) summaryCache.set(key, result, generation); return result; })
+      .finally(() => { if (pending.get(key) === p) pending.delete(key); });
+    pending.set(key, p);
+  }
+  const result = await pending.get(key);
+  return result ? { ...result, fromCache: false } : null;
+}
+
+// À appeler quand les données changent (écritures)
+function invalidateTaxonSummaries() {
+  summaryCache.clear();
+  pending.clear(); // fiches en cours de calcul: antérieures à l'écriture
+}
+
+module.exports = { parseSummaryLevel, convexHull, ringAreaKm2, getTaxonSummary, invalidateTaxonSummaries };
@@ -0,0 +1,58 @@
+/**
+ * Filtres taxonomiques multi-valeurs (inclusion / exclusion par niveau)
+ * --------------------------------------------------------------------
+ * - Paramètres de requête par niveau (kingdom..scientificName):
+ *   - <niveau>=A (répétable: <niveau>=A&<niveau>=B) -> valeur incluse, $in si plusieurs
+ *   - <niveau>Exclude=X (répétable) -> valeurs exclues ($nin)
+ *   ex. class=Mammalia&class=Aves, order=Lepidoptera&familyExclude=Nymphalidae
+ * - Une seule valeur incluse reste une égalité stricte (index ESR inchangés)
+ * - Conditions normalisées (valeurs dédoublonnées et triées) pour des clés de cache stables
+ * - scientificName / species: noms rapportés au taxon accepté du référentiel local (un synonyme
+ *   sélectionne les occurrences réconciliées de son taxon accepté, voir backbone.js)
+ */
+const { acceptedValue } = require('./backbone');
+
+const TAXONOMY_LEVELS = ['kingdom', 'phylum', 'class', 'order', 'family', 'genus', 'species', 'scientificName'];
+const MAX_VALUES_PER_LEVEL = 200;
+const ACCEPTED_NAME_LEVELS = new Set(['species', 'scientificName']);
+
+// Valeurs d'un paramètre (absent, chaîne ou tableau si répété) -> liste triée sans doublons ni vides
+function paramValues(raw, lvl) {
+  if (raw === undefined || raw === null) return [];
+  let list = (Array.isArray(raw) ? raw : [raw]).map(v => String(v).trim()).filter(Boolean);
+  if (ACCEPTED_NAME_LEVELS.has(lvl)) list = list.map(v => acceptedValue(lvl, v));
+  return [...new Set(list)].sort();
+}
+
+// Condition Mongo d'un niveau -> chaîne (égalité), { $in?, $nin? } ou undefined
+function parseLevelCondition(query, lvl) {
+  const include = paramValues(query[lvl], lvl);
+  const exclude = paramValues(query[`${lvl}Exclude`], lvl);
+  if (include.length > MAX_VALUES_PER_LEVEL || exclude.length > MAX_VALUES_PER_LEVEL) {
+    return { error: `Trop de valeurs pour le niveau ${lvl} (${MAX_VALUES_PER_LEVEL} au plus).` };
+  }
+  if (!include.length && !exclude.length) return undefined;
+  if (include.length === 1 && !exclude.length) return include[0];
+  const cond = {};
+  if (include.length) cond.$in = include;
+  if (exclude.length) cond.$nin = exclude;
+  return cond;
+}
+
+// Filtres taxonomiques des niveaux donnés -> { filters } (niveau -> condition) ou { error }
+function parseTaxonomyFilters(query, levels = TAXONOMY_LEVELS) {
+  const filters = {};
+  for (const lvl of levels) {
+    const cond = parseLevelCondition(query, lvl);
+    if (cond?.error) return { error: cond.error };
+    if (cond !== undefined) filters[lvl] = cond;
+  }
+  return { filters };
+}
+
+// Représentation textuelle stable d'une condition ou d'une borne (clés de cache)
+function conditionKey(cond) {
+  return typeof cond === 'string' ? cond : JSON.stringify(cond);
+}
+
+module.exports = { TAXONOMY_LEVELS, parseTaxonomyFilters, conditionKey };
@@ -0,0 +1,91 @@
+/**
+ * Tests des sessions (auth.js): jetons signés, version de jeton et révocation, sans MongoDB
+ * - ./db est remplacé par une collection 'users' en mémoire
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+
+process.env.SESSION_SECRET = 'secret-de-test';
+
+const users = new Map();
+const usersCollection = {
+  async findOne({ username }) {
+    return users.has(username) ? { ...users.get(username) } : null;
+  },
+  async findOneAndUpdate({ username }, { $inc }) {
+    const u = users.get(username);
+    if (!u) return null;
+    for (const [k, n] of Object.entries($inc)) u[k] = (u[k] || 0) + n;
+    return { ...u };
+  },
+  async createIndex() {},
+};
+require.cache[require.resolve('../db')] = {
+  id: require.resolve('../db'),
+  filename: require.resolve('../db'),
+  loaded: true,
+  exports: {
+    getDb: () => ({ collection: () => usersCollection }),
+    onConnected: () => {},
+    getCollection: () => null,
+  },
+};
+
+const auth = require('../auth');
+
+// Utilisateur vu par le middleware pour un cookie de session donné (null si refusé)
+async function sessionUser(token) {
+  const req = { headers: { cookie: token === undefined ? '' : `session=${encodeURIComponent(token)}` } };
+  await new Promise(resolve => auth.authenticate(req, {}, resolve));
+  return req.user;
+}
+
+test.beforeEach(() => {
+  users.clear();
+  users.set('alice', { username: 'alice', role: 'contributor', tokenVersion: 0 });
+});
+
+test('un jeton émis ouvre la session du compte', async () => {
+  const user = await sessionUser(auth.issueToken('alice', 0));
+  assert.deepStrictEqual({ username: user.username, role: user.role }, { username: 'alice', role: 'contributor' });
+  assert.strictEqual(await sessionUser(undefined), null);
+});
+
+test('un jeton altéré ou mal formé est refusé', async () => {
+  const token = auth.issueToken('alice', 0);
+  const [payload, sig] = token.split('.');
+  const forged = Buffer.from(JSON.stringify({ u: 'alice', v: 0, exp: Date.now() + 1e9, role: 'admin' })).toString('base64url');
+  assert.strictEqual(await sessionUser(`${forged}.${sig}`), null);
+  assert.strictEqual(await sessionUser(`${payload}.${sig.slice(0, -2)}`), null);
+  assert.strictEqual(await sessionUser(payload), null);
+  assert.strictEqual(await sessionUser('n.importe.quoi'), null);
+});
+
+test('un jeton expiré est refusé', async (t) => {
+  const token = auth.issueToken('alice', 0);
+  const now = Date.now();
+  t.mock.method(Date, 'now', () => now + 8 * 24 * 60 * 60 * 1000);
+  assert.strictEqual(await sessionUser(token), null);
+});
+
+test('revokeSessions invalide les jetons émis avant', async () => {
+  const before = auth.issueToken('alice', 0);
+  const version = await auth.revokeSessions('alice');
+  assert.strictEqual(version, 1);
+  assert.strictEqual(await sessionUser(before), null);
+  assert.strictEqual((await sessionUser(auth.issueToken('alice', version))).username, 'alice');
+  assert.strictEqual(await auth.revokeSessions('inconnu'), null);
+});
+
+test('compte sans version de jeton: jetons de version 0 acceptés', async () => {
+  users.set('bob', { username: 'bob', role: 'viewer' });
+  assert.strictEqual((await sessionUser(auth.issueToken('bob'))).username, 'bob');
+  assert.strictEqual(await sessionUser(auth.issueToken('bob', 1)), null);
+});
+
+test('rôles hiérarchiques', () => {
+  assert.ok(auth.hasRole('admin', 'contributor'));
+  assert.ok(auth.hasRole('contributor', 'contributor'));
+  assert.ok(!auth.hasRole('viewer', 'contributor'));
+  assert.ok(!auth.hasRole(undefined, 'viewer'));
+});
@@ -0,0 +1,47 @@
+/**
+ * Tests des clés de groupes de doublons et de la fusion (duplicates.js), sans MongoDB
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+const { ObjectId } = require('mongodb');
+
+const { groupKey, documentKey, fieldsToFill, parseTolerance } = require('../duplicates');
+
+const tol = 0.001;
+const doc = fields => ({ _id: new ObjectId(), scientificName: 'Lynx lynx', decimalLatitude: 45.0012, decimalLongitude: 5.0019, year: 2020, ...fields });
+
+test('clé d\'un document: nom normalisé, cellule de tolérance, année, tolérance', () => {
+  assert.strictEqual(documentKey(doc({ scientificName: '  LYNX lynx ' }), tol), 'lynx lynx|45001|5001|2020|0.001');
+  assert.strictEqual(documentKey(doc(), tol), groupKey('lynx lynx', 45001, 5001, 2020, tol));
+  // Coordonnées négatives: cellule par arrondi inférieur (comme $floor)
+  assert.strictEqual(documentKey(doc({ decimalLatitude: -0.0004 }), tol), 'lynx lynx|-1|5001|2020|0.001');
+});
+
+test('année: nombre ou absente, de la même façon que l\'agrégation', () => {
+  const key = documentKey(doc(), tol);
+  assert.notStrictEqual(documentKey(doc({ year: '2020' }), tol), key, 'année texte hors du groupe numérique');
+  assert.strictEqual(documentKey(doc({ year: '2020' }), tol), documentKey(doc({ year: undefined }), tol));
+  assert.strictEqual(documentKey(doc({ year: null }), tol), 'lynx lynx|45001|5001||0.001');
+  assert.strictEqual(groupKey('lynx lynx', 45001, 5001, null, tol), documentKey(doc({ year: null }), tol));
+});
+
+test('document sans nom ou coordonnées numériques: aucune clé', () => {
+  assert.strictEqual(documentKey(doc({ scientificName: null }), tol), null);
+  assert.strictEqual(documentKey(doc({ decimalLatitude: '45.0012' }), tol), null);
+});
+
+test('fusion: champs absents de la référence complétés, la plus ancienne d\'abord', () => {
+  const canonical = doc({ locality: 'Vercors' });
+  const others = [
+    doc({ locality: 'Autre', recordedBy: 'A', habitat: '', qualityFlags: ['X'] }),
+    doc({ recordedBy: 'B', individualCount: 2, location: { type: 'Point', coordinates: [5, 45] } }),
+  ];
+  assert.deepStrictEqual(fieldsToFill(canonical, others), { recordedBy: 'A', individualCount: 2 });
+});
+
+test('tolérance bornée', () => {
+  assert.strictEqual(parseTolerance(''), null);
+  assert.strictEqual(parseTolerance('0.01'), 0.01);
+  assert.ok(parseTolerance('0').error);
+  assert.ok(parseTolerance('1').error);
+});
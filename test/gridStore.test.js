@@ -0,0 +1,59 @@
+/**
+ * Tests de la décision de rafraîchissement incrémental de la grille globale (gridStore.js), sans MongoDB
+ * - Journal d'audit remplacé par une liste d'écritures { action, at }
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { canRefreshIncrementally } = require('../gridStore');
+
+const HOUR = 60 * 60 * 1000;
+const now = Date.parse('2026-01-10T12:00:00Z');
+const levels = ['0.05', '0.25', 'hex:0.5'];
+const meta = {
+  version: 3,
+  versions: [2, 3],
+  levels,
+  capped: false,
+  lastObjectId: '65a0c0000000000000000000',
+  fullScanAt: new Date(now - 5 * HOUR).toISOString(),
+  scanStartedAt: new Date(now - 2 * HOUR).toISOString(),
+  updatedAt: new Date(now - 1 * HOUR).toISOString(),
+  reconciliationStamp: 4,
+};
+
+// hasWritesSince sur une liste d'écritures journalisées
+const journal = writes => async (date, actions) => writes.some(w => actions.includes(w.action) && w.at > date);
+const decide = (m, { writes = [], namesStamp = 4, at = now, lv = levels } = {}) =>
+  canRefreshIncrementally(m, { levels: lv, namesStamp, hasWritesSince: journal(writes), now: at });
+
+test('grille à jour et aucune réécriture: calcul incrémental', async () => {
+  assert.strictEqual(await decide(meta), true);
+  // Insertions et lots de noms / qualité: rattrapés ou sans effet sur la grille
+  const writes = [{ action: 'insert', at: new Date(now - HOUR) }, { action: 'quality', at: new Date(now - HOUR) }];
+  assert.strictEqual(await decide(meta, { writes }), true);
+});
+
+test('modification pendant le parcours précédent: calcul complet', async () => {
+  // Postérieure au début du calcul précédent mais antérieure à sa fin (updatedAt)
+  const at = new Date(now - 1.5 * HOUR);
+  for (const action of ['update', 'delete', 'restore']) {
+    assert.strictEqual(await decide(meta, { writes: [{ action, at }] }), false, action);
+  }
+  assert.strictEqual(await decide(meta, { writes: [{ action: 'update', at: new Date(now - 3 * HOUR) }] }), true);
+});
+
+test('pyramide, noms ou plafond changés: calcul complet', async () => {
+  assert.strictEqual(await decide(null), false);
+  assert.strictEqual(await decide(meta, { lv: ['0.05', '0.25'] }), false);
+  assert.strictEqual(await decide(meta, { lv: ['0.25', '0.05', 'hex:0.5'] }), false);
+  assert.strictEqual(await decide(meta, { namesStamp: 5 }), false);
+  assert.strictEqual(await decide({ ...meta, capped: true }), false);
+});
+
+test('dernier calcul complet trop ancien ou grille d\'une version antérieure: calcul complet', async () => {
+  assert.strictEqual(await decide(meta, { at: now + 20 * HOUR }), false);
+  const { scanStartedAt, ...legacy } = meta;
+  assert.strictEqual(await decide(legacy), false);
+  assert.strictEqual(await decide({ ...meta, lastObjectId: null }), false);
+});
@@ -0,0 +1,76 @@
+/**
+ * Tests de la validation des occurrences (schema.js, occurrence.js), sans MongoDB
+ * - Limites des champs hors schéma: nom, nombre, profondeur et taille des valeurs
+ * - Modification partielle (applyPatch) d'un document antérieur à ces limites
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+const { ObjectId } = require('mongodb');
+
+const { validateOccurrence } = require('../schema');
+const { normalizeOccurrence, applyPatch } = require('../occurrence');
+
+const base = { scientificName: 'Lynx lynx', decimalLatitude: 45.2, decimalLongitude: 5.7 };
+
+test('champs hors schéma: identifiant simple uniquement', () => {
+  assert.ok(validateOccurrence({ ...base, habitat_note: 'lisière' }).doc);
+  for (const key of ['$where', 'a.b', '1abc', 'x'.repeat(65)]) {
+    const { fields } = validateOccurrence({ ...base, [key]: 1 });
+    assert.ok(fields && fields[key], key);
+  }
+});
+
+test('champs hors schéma: 100 au plus', () => {
+  const extra = Object.fromEntries(Array.from({ length: 100 }, (_, i) => [`f${i}`, i]));
+  assert.ok(validateOccurrence({ ...base, ...extra }).doc);
+  const { fields } = validateOccurrence({ ...base, ...extra, f100: 100 });
+  assert.deepStrictEqual(Object.keys(fields), ['f100']);
+});
+
+test('valeurs hors schéma: profondeur, sous-champs et taille bornées', () => {
+  assert.ok(validateOccurrence({ ...base, tags: ['a', 'b'] }).doc);
+  assert.ok(validateOccurrence({ ...base, measures: [{ kind: 'wing', mm: 41 }] }).doc);
+  assert.ok(validateOccurrence({ ...base, seenAt: new Date(), ref: new ObjectId() }).doc, 'Date / ObjectId: valeurs simples');
+  assert.ok(validateOccurrence({ ...base, deep: [[['x']]] }).fields.deep);
+  assert.ok(validateOccurrence({ ...base, meta: { 'a.b': 1 } }).fields.meta);
+  assert.ok(validateOccurrence({ ...base, meta: { $gt: 1 } }).fields.meta);
+  assert.ok(validateOccurrence({ ...base, notes: 'x'.repeat(4097) }).fields.notes);
+  assert.ok(validateOccurrence({ ...base, list: ['x'.repeat(4096)] }).fields.list);
+});
+
+test('PATCH d\'un document avec un champ hors schéma antérieur aux limites', () => {
+  const existing = {
+    _id: new ObjectId(),
+    ...base,
+    year: 2019,
+    legacy: { a: { b: { c: 1 } } },
+    'old.field': 'import ancien',
+  };
+  const { merged, unchanged } = applyPatch(existing, { year: 2020 });
+  const { doc, error } = normalizeOccurrence(merged, { unchanged });
+  assert.strictEqual(error, undefined);
+  assert.strictEqual(doc.year, 2020);
+  assert.deepStrictEqual(doc.legacy, existing.legacy);
+  assert.strictEqual(doc['old.field'], 'import ancien');
+});
+
+test('PATCH: les limites s\'appliquent aux champs envoyés', () => {
+  const existing = { _id: new ObjectId(), ...base, legacy: { a: { b: { c: 1 } } } };
+  const patched = applyPatch(existing, { legacy: { a: { b: { c: 2 } } } });
+  assert.ok(normalizeOccurrence(patched.merged, { unchanged: patched.unchanged }).fields.legacy);
+  const added = applyPatch(existing, { 'new.field': 1 });
+  assert.ok(normalizeOccurrence(added.merged, { unchanged: added.unchanged }).fields['new.field']);
+  // Suppression (null) d'un champ ancien acceptée
+  const removed = applyPatch(existing, { legacy: null });
+  const { doc } = normalizeOccurrence(removed.merged, { unchanged: removed.unchanged });
+  assert.strictEqual(doc.legacy, undefined);
+});
+
+test('PATCH: un nouveau champ hors schéma compte les champs existants', () => {
+  const extra = Object.fromEntries(Array.from({ length: 100 }, (_, i) => [`f${i}`, i]));
+  const existing = { _id: new ObjectId(), ...base, ...extra };
+  const kept = applyPatch(existing, { year: 2020 });
+  assert.ok(normalizeOccurrence(kept.merged, { unchanged: kept.unchanged }).doc);
+  const added = applyPatch(existing, { f100: 1 });
+  assert.ok(normalizeOccurrence(added.merged, { unchanged: added.unchanged }).fields.f100);
+});
@@ -0,0 +1,83 @@
+/**
+ * Tests de la pagination par curseur (pagination.js), sans MongoDB
+ * - Pages parcourues sur une liste triée en mémoire: les clauses keyset sont évaluées par un petit
+ *   évaluateur limité aux opérateurs qu'elles emploient ($or, $gt, $lt, $ne, égalité)
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+const { ObjectId } = require('mongodb');
+
+const { encodeCursor, decodeCursor, keysetClause } = require('../pagination');
+
+// Ordre BSON simplifié: null (absent) avant les nombres, ObjectId par valeur hexadécimale
+const rank = v => (v === null || v === undefined ? [0, 0] : [1, v instanceof ObjectId ? v.toHexString() : v]);
+function compare(a, b) {
+  const [ra, va] = rank(a);
+  const [rb, vb] = rank(b);
+  if (ra !== rb) return ra - rb;
+  return va < vb ? -1 : va > vb ? 1 : 0;
+}
+
+function matches(doc, clause) {
+  return Object.entries(clause).every(([k, cond]) => {
+    if (k === '$or') return cond.some(c => matches(doc, c));
+    const v = doc[k];
+    if (cond === null || typeof cond !== 'object' || cond instanceof ObjectId) return compare(v, cond) === 0;
+    return Object.entries(cond).every(([op, x]) => {
+      if (op === '$gt') return v !== null && v !== undefined && compare(v, x) > 0;
+      if (op === '$lt') return v !== null && v !== undefined && compare(v, x) < 0;
+      if (op === '$ne') return compare(v, x) !== 0;
+      throw new Error(`opérateur non géré: ${op}`);
+    });
+  });
+}
+
+// Parcours complet par pages de `limit` documents
+function paginate(docs, sortField, sortDir, limit) {
+  const sorted = [...docs].sort((a, b) => (compare(a[sortField], b[sortField]) || compare(a._id, b._id)) * sortDir);
+  const seen = [];
+  let token = null;
+  for (let guard = 0; guard < docs.length + 2; guard++) {
+    const pos = token ? decodeCursor(token, sortField, sortDir) : null;
+    const page = sorted.filter(d => !pos || matches(d, keysetClause(sortField, sortDir, pos))).slice(0, limit);
+    seen.push(...page);
+    if (page.length < limit) return seen;
+    token = encodeCursor(sortField, sortDir, page[page.length - 1]);
+  }
+  throw new Error('pagination sans fin');
+}
+
+const docs = [2001, 2001, 2001, null, 1999, null, 2005, 2001, 1999, null].map((year, i) => ({
+  _id: new ObjectId((0x100 + i).toString(16).padStart(24, '0')),
+  ...(year === null ? {} : { year }),
+}));
+const ids = list => list.map(d => d._id.toHexString());
+
+for (const sortDir of [1, -1]) {
+  test(`tri year ${sortDir === 1 ? 'asc' : 'desc'}: chaque document une fois, égalités départagées par _id`, () => {
+    const all = paginate(docs, 'year', sortDir, 3);
+    assert.strictEqual(all.length, docs.length);
+    assert.strictEqual(new Set(ids(all)).size, docs.length);
+    for (let i = 1; i < all.length; i++) {
+      const c = compare(all[i - 1].year, all[i].year) * sortDir;
+      assert.ok(c < 0 || (c === 0 && compare(all[i - 1]._id, all[i]._id) * sortDir < 0), `ordre à l'indice ${i}`);
+    }
+  });
+}
+
+test('tri _id: pages successives sans recouvrement', () => {
+  assert.deepStrictEqual(ids(paginate(docs, '_id', 1, 4)), ids(docs));
+  assert.deepStrictEqual(ids(paginate(docs, '_id', -1, 4)), ids(docs).reverse());
+});
+
+test('jeton: ObjectId restitué, lié au tri demandé', () => {
+  const token = encodeCursor('year', 1, docs[0]);
+  const pos = decodeCursor(token, 'year', 1);
+  assert.ok(pos.id instanceof ObjectId);
+  assert.ok(pos.id.equals(docs[0]._id));
+  assert.strictEqual(pos.value, 2001);
+  assert.strictEqual(decodeCursor(token, 'year', -1), null);
+  assert.strictEqual(decodeCursor(token, 'decimalLatitude', 1), null);
+  assert.strictEqual(decodeCursor('pas-un-jeton', 'year', 1), null);
+  assert.strictEqual(decodeCursor(Buffer.from('{"f":"year","d":1}').toString('base64url'), 'year', 1), null);
+});
@@ -0,0 +1,177 @@
+/**
+ * Tests du proxy d'images d'espèces (speciesMedia.js) avec le fournisseur stub, sans réseau ni MongoDB
+ * - ./db est remplacé par une collection 'species_media' en mémoire
+ * - Fournisseurs injectés par setMediaProviders (stub sur fichiers JSON temporaires, fournisseurs en panne)
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const stored = new Map();
+const mediaCollection = {
+  async findOne({ _id }) {
+    return stored.has(_id) ? { _id, ...stored.get(_id) } : null;
+  },
+  async replaceOne({ _id }, doc) {
+    stored.set(_id, doc);
+    return { acknowledged: true };
+  },
+  async createIndex() {},
+};
+require.cache[require.resolve('../db')] = {
+  id: require.resolve('../db'),
+  filename: require.resolve('../db'),
+  loaded: true,
+  exports: {
+    getDb: () => ({ collection: () => mediaCollection }),
+    onConnected: () => {},
+    getCollection: () => null,
+  },
+};
+
+const { stubProvider } = require('../mediaProviders');
+const { canonicalName } = require('../backbone');
+const { getSpeciesMedia, setMediaProviders } = require('../speciesMedia');
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'species-media-'));
+test.after(() => fs.rmSync(tmpDir, { recursive: true, force: true }));
+
+function stubFile(name, data) {
+  const file = path.join(tmpDir, `${name}.json`);
+  fs.writeFileSync(file, JSON.stringify(data));
+  return file;
+}
+
+// Fournisseur qui compte ses appels (lookup délégué, ou panne si aucun)
+function counting(provider) {
+  const wrapped = {
+    name: provider?.name || 'panne',
+    calls: 0,
+    async lookup(name) {
+      wrapped.calls++;
+      if (!provider) throw new Error('fournisseur indisponible');
+      return provider.lookup(name);
+    },
+  };
+  return wrapped;
+}
+
+test.beforeEach(() => stored.clear());
+
+test('canonicalName retire l\'auteur et l\'année', () => {
+  assert.strictEqual(canonicalName('Puma concolor (Linnaeus, 1771)'), 'Puma concolor');
+  assert.strictEqual(canonicalName('Abies alba subsp. alba Mill.'), 'Abies alba subsp. alba');
+  assert.strictEqual(canonicalName('Quercus robur L.'), 'Quercus robur');
+  assert.strictEqual(canonicalName('Vicia cracca de Candolle'), 'Vicia cracca');
+});
+
+test('les fournisseurs sont consultés dans l\'ordre jusqu\'à la première image', async () => {
+  const first = counting(stubProvider(stubFile('first', {
+    'Puma concolor': { imageUrl: 'https://img.example/first.jpg', source: 'premier' },
+  })));
+  const second = counting(stubProvider(stubFile('second', {
+    'Puma concolor': { imageUrl: 'https://img.example/second.jpg', source: 'second' },
+  })));
+  setMediaProviders([first, second]);
+
+  const media = await getSpeciesMedia('Puma concolor (Linnaeus, 1771)');
+  assert.strictEqual(media.name, 'Puma concolor');
+  assert.strictEqual(media.imageUrl, 'https://img.example/first.jpg');
+  assert.strictEqual(media.source, 'premier');
+  assert.strictEqual(media.fromCache, false);
+  assert.strictEqual(first.calls, 1);
+  assert.strictEqual(second.calls, 0);
+});
+
+test('un fournisseur sans image laisse la main au suivant et les noms vernaculaires sont fusionnés', async () => {
+  const namesOnly = stubProvider(stubFile('names', {
+    'Vulpes vulpes': {
+      vernacularNames: [{ name: 'Renard roux', lang: 'fr' }, { name: 'Red fox', lang: 'en' }],
+    },
+  }));
+  const withImage = stubProvider(stubFile('image', {
+    'vulpes vulpes': {
+      imageUrl: 'https://img.example/fox.jpg',
+      licence: 'CC BY-SA 4.0',
+      vernacularNames: [{ name: 'renard roux', lang: 'fr' }, { name: 'Rotfuchs', lang: 'de' }],
+    },
+  }));
+  setMediaProviders([namesOnly, withImage]);
+
+  const media = await getSpeciesMedia('Vulpes vulpes (Linnaeus, 1758)');
+  assert.strictEqual(media.found, true);
+  assert.strictEqual(media.imageUrl, 'https://img.example/fox.jpg');
+  assert.strictEqual(media.licence, 'CC BY-SA 4.0');
+  assert.deepStrictEqual(media.vernacularNames, [
+    { name: 'Renard roux', lang: 'fr' },
+    { name: 'Red fox', lang: 'en' },
+    { name: 'Rotfuchs', lang: 'de' },
+  ]);
+});
+
+test('une fiche non expirée est servie depuis le cache sans consulter les fournisseurs', async () => {
+  const provider = counting(stubProvider(stubFile('cache', {
+    'Lynx lynx': { imageUrl: 'https://img.example/lynx.jpg' },
+  })));
+  setMediaProviders([provider]);
+
+  const fresh = await getSpeciesMedia('Lynx lynx');
+  assert.strictEqual(fresh.fromCache, false);
+  const doc = stored.get('lynx lynx');
+  assert.ok(doc.expiresAt > new Date(), 'échéance dans le futur');
+
+  const cached = await getSpeciesMedia('Lynx lynx (Linnaeus, 1758)');
+  assert.strictEqual(cached.fromCache, true);
+  assert.strictEqual(cached.imageUrl, 'https://img.example/lynx.jpg');
+  assert.strictEqual(cached.expiresAt, undefined);
+  assert.strictEqual(provider.calls, 1);
+
+  // Échéance dépassée (purge TTL pas encore passée): nouvelle consultation
+  doc.expiresAt = new Date(Date.now() - 1000);
+  const refreshed = await getSpeciesMedia('Lynx lynx');
+  assert.strictEqual(refreshed.fromCache, false);
+  assert.strictEqual(provider.calls, 2);
+});
+
+test('une espèce inconnue de tous les fournisseurs est mémorisée comme non trouvée', async () => {
+  setMediaProviders([stubProvider(stubFile('empty', {}))]);
+
+  const media = await getSpeciesMedia('Taxon inexistant');
+  assert.strictEqual(media.found, false);
+  assert.strictEqual(media.imageUrl, null);
+  const doc = stored.get('taxon inexistant');
+  assert.ok(doc, 'fiche mémorisée');
+  assert.ok(doc.expiresAt - doc.fetchedAt <= 24 * 60 * 60 * 1000, 'échéance courte (1 jour)');
+});
+
+test('panne de tous les fournisseurs: erreur (502 côté route) et rien n\'est mémorisé', async () => {
+  const down1 = counting(null);
+  const down2 = counting(null);
+  setMediaProviders([down1, down2]);
+  const warn = console.warn;
+  console.warn = () => {};
+  try {
+    const media = await getSpeciesMedia('Ursus arctos Linnaeus, 1758');
+    assert.deepStrictEqual(media, { error: "Aucun fournisseur d'images n'a répondu." });
+  } finally {
+    console.warn = warn;
+  }
+  assert.strictEqual(down1.calls, 1);
+  assert.strictEqual(down2.calls, 1);
+  assert.strictEqual(stored.size, 0);
+
+  // Nouvel essai à la demande suivante
+  setMediaProviders([stubProvider(stubFile('back', { 'Ursus arctos': { imageUrl: 'https://img.example/bear.jpg' } }))]);
+  const media = await getSpeciesMedia('Ursus arctos');
+  assert.strictEqual(media.imageUrl, 'https://img.example/bear.jpg');
+  assert.ok(stored.has('ursus arctos'));
+});
+
+test('un nom vide ne consulte aucun fournisseur', async () => {
+  const provider = counting(stubProvider(stubFile('unused', {})));
+  setMediaProviders([provider]);
+  assert.strictEqual(await getSpeciesMedia('   '), null);
+  assert.strictEqual(provider.calls, 0);
+});
@@ -0,0 +1,77 @@
+/**
+ * Tests des tuiles vectorielles (tiles.js) et du cache LRU (grid.js), sans MongoDB
+ * - Encodage protobuf d'une tuile MVT comparé octet par octet à une tuile connue
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { encodePointTile, parseTileCoords, tileBounds } = require('../tiles');
+const { LruCache } = require('../grid');
+
+const str = s => [...Buffer.from(s, 'utf8')];
+
+test('tuile d\'un point: octets attendus (MVT 2.1)', () => {
+  const tile = encodePointTile([{ x: 25, y: -3, properties: { count: 1, scientificName: 'Lynx', year: null } }]);
+  const feature = [
+    0x12, 4, 0, 0, 1, 1,      // tags: count=1, scientificName='Lynx' (year null ignoré)
+    0x18, 1,                  // type: POINT
+    0x22, 3, 9, 50, 5,        // geometry: MoveTo(1), zigzag(25), zigzag(-3)
+  ];
+  const layer = [
+    0x78, 2,                                  // version 2
+    0x0a, 12, ...str('observations'),         // name
+    0x12, feature.length, ...feature,         // feature
+    0x1a, 5, ...str('count'),                 // keys
+    0x1a, 14, ...str('scientificName'),
+    0x22, 2, 0x28, 1,                         // values: uint_value 1
+    0x22, 6, 0x0a, 4, ...str('Lynx'),         //         string_value 'Lynx'
+    0x28, 0x80, 0x20,                         // extent 4096 (varint sur deux octets)
+  ];
+  assert.deepStrictEqual([...tile], [0x1a, layer.length, ...layer]);
+});
+
+test('clés et valeurs partagées entre les points d\'une tuile', () => {
+  const tile = encodePointTile([
+    { x: 0, y: 0, properties: { scientificName: 'Lynx', count: 2 } },
+    { x: 1, y: 1, properties: { scientificName: 'Lynx', count: 2 } },
+  ]);
+  const text = tile.toString('latin1');
+  assert.strictEqual(text.split('scientificName').length - 1, 1);
+  assert.strictEqual(text.split('Lynx').length - 1, 1);
+  assert.strictEqual(encodePointTile([]).length, 0);
+});
+
+test('coordonnées de tuile validées et emprise Web Mercator', () => {
+  assert.ok(parseTileCoords({ z: '2', x: '4', y: '0' }).error);
+  assert.ok(parseTileCoords({ z: '23', x: '0', y: '0' }).error);
+  const b = tileBounds(parseTileCoords({ z: '0', x: '0', y: '0' }));
+  assert.deepStrictEqual([b.west, b.east], [-180, 180]);
+  assert.ok(Math.abs(b.north - 85.0511) < 1e-4);
+});
+
+test('cache LRU borné en taille totale', () => {
+  const cache = new LruCache(100, 60000, { maxSize: 10, sizeOf: b => b.length });
+  cache.set('a', Buffer.alloc(4));
+  cache.set('b', Buffer.alloc(4));
+  cache.get('a');
+  cache.set('c', Buffer.alloc(4));
+  assert.strictEqual(cache.get('b'), undefined, 'moins récemment utilisée retirée');
+  assert.ok(cache.get('a') && cache.get('c'));
+  assert.strictEqual(cache.size, 8);
+  cache.set('big', Buffer.alloc(11));
+  assert.strictEqual(cache.get('big'), undefined, 'plus grosse que le cache: non mémorisée');
+  cache.set('a', Buffer.alloc(1));
+  assert.strictEqual(cache.size, 5);
+  cache.clear();
+  assert.strictEqual(cache.size, 0);
+});
+
+test('cache LRU: un calcul commencé avant clear() ne remplit pas le cache vidé', () => {
+  const cache = new LruCache(10, 60000);
+  const generation = cache.generation;
+  cache.clear();
+  cache.set('stale', 1, generation);
+  assert.strictEqual(cache.get('stale'), undefined);
+  cache.set('fresh', 2, cache.generation);
+  assert.strictEqual(cache.get('fresh'), 2);
+});
@@ -0,0 +1,45 @@
+/**
+ * Tests de la série temporelle (timeseries.js): années continues et bornes, sans MongoDB
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { continuousYears, parseSeriesQuery } = require('../timeseries');
+
+const yearsOf = rows => continuousYears(rows).map(y => [y.year, y.count]);
+
+test('les années sans observation sont comblées avec un compte nul', () => {
+  assert.deepStrictEqual(yearsOf([{ _id: 2018, count: 4 }, { _id: 2021, count: 1 }]), [
+    [2018, 4], [2019, 0], [2020, 0], [2021, 1],
+  ]);
+  assert.deepStrictEqual(continuousYears([]), []);
+});
+
+test('les années aberrantes n\'étirent pas la série', () => {
+  const rows = [
+    { _id: -999999, count: 1 },
+    { _id: 2020, count: 2 },
+    { _id: 2022, count: 3 },
+    { _id: 1e9, count: 1 },
+    { _id: new Date().getFullYear() + 1, count: 1 },
+  ];
+  assert.deepStrictEqual(yearsOf(rows), [[2020, 2], [2021, 0], [2022, 3]]);
+});
+
+test('les années non entières ou textuelles sont écartées', () => {
+  const rows = [{ _id: 2019.5, count: 7 }, { _id: '2021', count: 2 }, { _id: 2020, count: 1 }, { _id: null, count: 3 }];
+  assert.deepStrictEqual(yearsOf(rows), [[2020, 1]]);
+});
+
+test('la série couvre au plus les années du schéma', () => {
+  const rows = [{ _id: 1500, count: 1 }, { _id: new Date().getFullYear(), count: 1 }];
+  assert.strictEqual(continuousYears(rows).length, new Date().getFullYear() - 1500 + 1);
+  assert.deepStrictEqual(yearsOf([{ _id: 1499, count: 1 }]), []);
+});
+
+test('plage d\'années et taille d\'échantillon validées', () => {
+  assert.ok(parseSeriesQuery({ yearMin: '2000.5' }).error);
+  assert.ok(parseSeriesQuery({ sample: '501' }).error);
+  const q = parseSeriesQuery({ yearMin: '2000', yearMax: '2010', sample: '0' });
+  assert.deepStrictEqual([q.filters.yearMin, q.filters.yearMax, q.sample], [2000, 2010, 0]);
+});
@@ -0,0 +1,278 @@
+/**
+ * Tuiles vectorielles (Mapbox Vector Tile) des observations
+ * ---------------------------------------------------------
+ * - Tuile z/x/y (Web Mercator, schéma XYZ) -> couche 'observations' de points
+ * - Aux zooms < TILE_DETAIL_ZOOM: points éclaircis sans requête par tuile; la tuile est découpée dans
+ *   un semis de points calculé une fois pour toute la sélection (un point représentatif par case de
+ *   TILE_SOURCE_CELL_DEG, 'count' = nb d'observations regroupées): grille globale pré-calculée sans
+ *   filtre, sinon une agrégation Mongo par sélection (cache LRU); puis regroupement sur
+ *   TILE_THIN_GRID x TILE_THIN_GRID cases par tuile
+ * - Aux zooms >= TILE_DETAIL_ZOOM: points individuels (au plus TILE_MAX_POINTS)
+ * - Propriétés: id (_id), scientificName, year, count
+ * - Encodage protobuf minimal (spécification MVT 2.1, points uniquement): pas de dépendance externe
+ * - Tuiles mémorisées dans un cache LRU (clé: z/x/y + filtres) borné à TILE_CACHE_MAX_BYTES octets,
+ *   à vider après une écriture
+ */
+const { LruCache } = require('./grid');
+
+const TILE_LAYER = 'observations';
+const TILE_EXTENT = 4096;
+const TILE_MAX_ZOOM = 22;
+const TILE_DETAIL_ZOOM = 12;
+const TILE_THIN_GRID = 256;
+const TILE_MAX_POINTS = 10000;
+// Semis des petits zooms: une case par niveau le plus fin de la grille (0.05°)
+const TILE_SOURCE_CELL_DEG = 0.05;
+const AGGREGATION_MAX_TIME_MS = 120000;
+// Caches bornés en mémoire: tuiles encodées (octets) et semis (estimation par point)
+const TILE_CACHE_MAX_BYTES = 64 * 1024 * 1024;
+const POINTS_CACHE_MAX_BYTES = 256 * 1024 * 1024;
+const POINT_BYTES = 200; // objet { id, lat, lng, sn, year, count } en mémoire, ordre de grandeur
+
+const tileCache = new LruCache(2000, 60 * 60 * 1000, { maxSize: TILE_CACHE_MAX_BYTES, sizeOf: buffer => buffer.length });
+const pointsCache = new LruCache(20, 60 * 60 * 1000, { maxSize: POINTS_CACHE_MAX_BYTES, sizeOf: points => points.length * POINT_BYTES });
+const pendingPoints = new Map(); // clé de sélection -> promesse de l'agrégation en cours
+
+// Paramètres z/x/y de l'URL -> { z, x, y } ou { error }
+function parseTileCoords(params) {
+  const [z, x, y] = [params.z, params.x, params.y].map(v => Number(v));
+  if (![z, x, y].every(Number.isInteger) || z < 0 || z > TILE_MAX_ZOOM) {
+    return { error: `Coordonnées de tuile invalides (z entre 0 et ${TILE_MAX_ZOOM}).` };
+  }
+  const n = 2 ** z;
+  if (x < 0 || x >= n || y < 0 || y >= n) {
+    return { error: 'Coordonnées de tuile hors de la grille du niveau de zoom.' };
+  }
+  return { z, x, y };
+}
+
+// ---- Web Mercator ----
+function tileToLng(x, z) {
+  return (x / 2 ** z) * 360 - 180;
+}
+
+function tileToLat(y, z) {
+  const n = Math.PI - (2 * Math.PI * y) / 2 ** z;
+  return (180 / Math.PI) * Math.atan(Math.sinh(n));
+}
+
+// Emprise { west, south, east, north } d'une tuile
+function tileBounds({ z, x, y }) {
+  return { west: tileToLng(x, z), east: tileToLng(x + 1, z), north: tileToLat(y, z), south: tileToLat(y + 1, z) };
+}
+
+// Position d'un point dans la tuile, en unités de l'extent (0..TILE_EXTENT)
+function projectToTile(lat, lng, { z, x, y }) {
+  const n = 2 ** z;
+  const sin = Math.sin((Math.max(-85.0511, Math.min(85.0511, lat)) * Math.PI) / 180);
+  const wx = ((lng + 180) / 360) * n;
+  const wy = (0.5 - Math.log((1 + sin) / (1 - sin)) / (4 * Math.PI)) * n;
+  return [Math.round((wx - x) * TILE_EXTENT), Math.round((wy - y) * TILE_EXTENT)];
+}
+
+// ---- Encodage protobuf ----
+class PbfWriter {
+  constructor() {
+    this.bytes = [];
+  }
+
+  varint(value) {
+    let v = value;
+    while (v >= 0x80) {
+      this.bytes.push((v % 0x80) | 0x80);
+      v = Math.floor(v / 0x80);
+    }
+    this.bytes.push(v);
+  }
+
+  tag(field, wireType) {
+    this.varint((field << 3) | wireType);
+  }
+
+  uint(field, value) {
+    this.tag(field, 0);
+    this.varint(value);
+  }
+
+  double(field, value) {
+    this.tag(field, 1);
+    const buf = Buffer.alloc(8);
+    buf.writeDoubleLE(value);
+    this.bytes.push(...buf);
+  }
+
+  bytesField(field, bytes) {
+    this.tag(field, 2);
+    this.varint(bytes.length);
+    for (const b of bytes) this.bytes.push(b);
+  }
+
+  string(field, str) {
+    this.bytesField(field, Buffer.from(String(str), 'utf8'));
+  }
+
+  packed(field, values) {
+    const inner = new PbfWriter();
+    for (const v of values) inner.varint(v);
+    this.bytesField(field, inner.bytes);
+  }
+}
+
+const zigzag = n => (n << 1) ^ (n >> 31);
+
+// Valeur MVT: entier positif (uint_value), nombre (double_value) ou chaîne (string_value)
+function encodeValue(value) {
+  const w = new PbfWriter();
+  if (typeof value === 'number' && Number.isInteger(value) && value >= 0) w.uint(5, value);
+  else if (typeof value === 'number') w.double(3, value);
+  else w.string(1, value);
+  return w.bytes;
+}
+
+// Tuile d'une couche de points: features = [{ x, y, properties }] -> Buffer
+function encodePointTile(features) {
+  if (features.length === 0) return Buffer.alloc(0);
+  const keys = new Map();
+  const values = new Map();
+  const indexOf = (map, item) => {
+    if (!map.has(item)) map.set(item, map.size);
+    return map.get(item);
+  };
+  const layer = new PbfWriter();
+  layer.uint(15, 2);            // version
+  layer.string(1, TILE_LAYER);  // name
+  for (const f of features) {
+    const tags = [];
+    for (const [k, v] of Object.entries(f.properties)) {
+      if (v === undefined || v === null || v === '') continue;
+      tags.push(indexOf(keys, k), indexOf(values, typeof v === 'number' ? `n:${v}` : `s:${v}`));
+    }
+    const feature = new PbfWriter();
+    feature.packed(2, tags);    // tags
+    feature.uint(3, 1);         // type: POINT
+    feature.packed(4, [(1 & 0x7) | (1 << 3), zigzag(f.x), zigzag(f.y)]); // MoveTo(1) x y
+    layer.bytesField(2, feature.bytes);
+  }
+  for (const k of keys.keys()) layer.string(3, k);
+  for (const v of values.keys()) {
+    const raw = v.slice(2);
+    layer.bytesField(4, encodeValue(v.startsWith('n:') ? Number(raw) : raw));
+  }
+  layer.uint(5, TILE_EXTENT);
+  const tile = new PbfWriter();
+  tile.bytesField(3, layer.bytes);
+  return Buffer.from(tile.bytes);
+}
+
+// ---- Requête ----
+// Filtre de la sélection (taxonomie, années...) restreint à l'emprise de la tuile
+function tileMatch(filter, bounds) {
+  return {
+    ...filter,
+    decimalLatitude: { ...(filter.decimalLatitude || {}), $type: 'number', $gte: bounds.south, $lt: bounds.north },
+    decimalLongitude: { ...(filter.decimalLongitude || {}), $type: 'number', $gte: bounds.west, $lt: bounds.east },
+  };
+}
+
+// Semis des petits zooms d'une sélection: un point représentatif par case de TILE_SOURCE_CELL_DEG
+// -> [{ id, lat, lng, sn, year, count }], une seule agrégation pour toutes les tuiles
+async function aggregateSelectionPoints(collection, filter) {
+  const t0 = Date.now();
+  const rows = await collection.aggregate([
+    { $match: filter },
+    {
+      $group: {
+        _id: {
+          i: { $floor: { $divide: [{ $add: ['$decimalLongitude', 180] }, TILE_SOURCE_CELL_DEG] } },
+          j: { $floor: { $divide: [{ $add: ['$decimalLatitude', 90] }, TILE_SOURCE_CELL_DEG] } },
+        },
+        count: { $sum: 1 },
+        id: { $first: '$_id' },
+        lat: { $first: '$decimalLatitude' },
+        lng: { $first: '$decimalLongitude' },
+        sn: { $first: '$scientificName' },
+        year: { $first: '$year' },
+      }
+    },
+    { $project: { _id: 0 } },
+  ], { allowDiskUse: true, maxTimeMS: AGGREGATION_MAX_TIME_MS }).toArray();
+  console.log(`[tiles] semis des petits zooms: ${rows.length} points en ${((Date.now() - t0) / 1000).toFixed(1)}s`);
+  return rows;
+}
+
+// Semis (cache LRU puis agrégation); gridPoints: semis tiré de la grille globale (sélection sans
+// filtre), null si la grille n'est pas encore disponible
+async function selectionPoints(collection, filter, cacheKey, gridPoints) {
+  if (gridPoints) {
+    const points = await gridPoints();
+    if (points) return points;
+  }
+  const hit = pointsCache.get(cacheKey);
+  if (hit) return hit;
+  if (!pendingPoints.has(cacheKey)) {
+    const generation = pointsCache.generation;
+    const p = aggregateSelectionPoints(collection, filter)
+      .then((points) => { pointsCache.set(cacheKey, points, generation); return points; })
+      .finally(() => { if (pendingPoints.get(cacheKey) === p) pendingPoints.delete(cacheKey); });
+    pendingPoints.set(cacheKey, p);
+  }
+  return pendingPoints.get(cacheKey);
+}
+
+async function queryTileFeatures(collection, coords, filter, cacheKey, gridPoints) {
+  const bounds = tileBounds(coords);
+  const toFeature = (r, count) => {
+    const [x, y] = projectToTile(r.lat, r.lng, coords);
+    return {
+      x,
+      y,
+      properties: { id: r.id ? String(r.id) : null, scientificName: r.sn || '', year: typeof r.year === 'number' ? r.year : null, count },
+    };
+  };
+
+  if (coords.z >= TILE_DETAIL_ZOOM) {
+    const docs = await collection.find(tileMatch(filter, bounds), {
+      projection: { _id: 1, decimalLatitude: 1, decimalLongitude: 1, scientificName: 1, year: 1 },
+    }).limit(TILE_MAX_POINTS).toArray();
+    return docs.map(d => toFeature({ id: d._id, lat: d.decimalLatitude, lng: d.decimalLongitude, sn: d.scientificName, year: d.year }, 1));
+  }
+
+  // Éclaircissement: points du semis dans la tuile, regroupés par case de la grille de la tuile
+  // (linéaire en lat/lng), un point représentatif par case
+  const points = await selectionPoints(collection, filter, cacheKey, gridPoints);
+  const cellLng = (bounds.east - bounds.west) / TILE_THIN_GRID;
+  const cellLat = (bounds.north - bounds.south) / TILE_THIN_GRID;
+  const cases = new Map();
+  for (const p of points) {
+    if (p.lat < bounds.south || p.lat >= bounds.north || p.lng < bounds.west || p.lng >= bounds.east) continue;
+    const key = Math.floor((p.lng - bounds.west) / cellLng) * TILE_THIN_GRID + Math.floor((p.lat - bounds.south) / cellLat);
+    const group = cases.get(key);
+    if (group) group.count += p.count;
+    else cases.set(key, { point: p, count: p.count });
+  }
+  return [...cases.values()].map(({ point, count }) => toFeature(count > 1 ? { ...point, id: null } : point, count));
+}
+
+// Tuile encodée (cache LRU puis requête); cacheKey = filtres normalisés de la sélection
+// gridPoints: () => semis des petits zooms tiré de la grille globale (sélection sans filtre seulement)
+async function getObservationTile(collection, coords, filter, cacheKey, gridPoints = null) {
+  const key = `${coords.z}/${coords.x}/${coords.y}|${cacheKey}`;
+  const hit = tileCache.get(key);
+  if (hit) return hit;
+  const generation = tileCache.generation;
+  const features = await queryTileFeatures(collection, coords, filter, cacheKey, gridPoints);
+  const buffer = encodePointTile(features);
+  tileCache.set(key, buffer, generation);
+  return buffer;
+}
+
+// À appeler quand les données changent (écritures)
+function invalidateObservationTiles() {
+  tileCache.clear();
+  pointsCache.clear();
+  pendingPoints.clear(); // semis en cours: antérieurs à l'écriture
+}
+
+module.exports = {
+  TILE_SOURCE_CELL_DEG, parseTileCoords, tileBounds, encodePointTile, getObservationTile, invalidateObservationTiles,
+};
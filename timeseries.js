@@ -0,0 +1,146 @@
+/**
+ * Série temporelle des observations par année (animation du panneau Temporalité)
+ * -------------------------------------------------------------------------------
+ * - Nb d'observations géolocalisées par année sous les filtres taxonomiques (inclusions / exclusions
+ *   kingdom..scientificName, voir taxonomyFilter.js) et une plage d'années optionnelle
+ * - Années continues de la première à la dernière (années sans observation: count 0), pour que les
+ *   fenêtres de lecture couvrent des années civiles; années entières entre les bornes du schéma
+ *   (1500 .. année courante) uniquement
+ * - Échantillon aléatoire de points par année ($sample; toutes les observations si l'année en compte
+ *   moins), pour animer la carte sans charger toutes les observations
+ * - Résultats mémorisés dans un cache LRU (clé: filtres normalisés + taille d'échantillon)
+ */
+const { LruCache } = require('./grid');
+const { OCCURRENCE_SCHEMA } = require('./schema');
+const { TAXONOMY_LEVELS: SERIES_TAXONOMY_LEVELS, parseTaxonomyFilters, conditionKey } = require('./taxonomyFilter');
+const SAMPLE_DEFAULT = 100;
+const SAMPLE_MAX = 500;
+const SAMPLE_CONCURRENCY = 8;  // lectures d'échantillons simultanées
+const AGGREGATION_MAX_TIME_MS = 120000;
+// Années plausibles (bornes du schéma): une année aberrante importée ne peut pas étirer la série
+const YEAR_MIN = OCCURRENCE_SCHEMA.year.min;
+const yearMax = () => OCCURRENCE_SCHEMA.year.max();
+
+const seriesCache = new LruCache(50, 60 * 60 * 1000);
+const pending = new Map(); // clé -> promesse du calcul en cours
+
+// Paramètres depuis la query -> { filters, sample, key } ou { error }
+function parseSeriesQuery(query) {
+  const taxonomy = parseTaxonomyFilters(query, SERIES_TAXONOMY_LEVELS);
+  if (taxonomy.error) return { error: taxonomy.error };
+  const filters = { ...taxonomy.filters };
+  for (const k of ['yearMin', 'yearMax']) {
+    if (query[k] === undefined || query[k] === '') continue;
+    const v = Number(query[k]);
+    if (!Number.isInteger(v)) return { error: `Paramètre ${k} invalide (année entière attendue).` };
+    filters[k] = v;
+  }
+  let sample = SAMPLE_DEFAULT;
+  if (query.sample !== undefined && query.sample !== '') {
+    sample = Number(query.sample);
+    if (!Number.isInteger(sample) || sample < 0 || sample > SAMPLE_MAX) {
+      return { error: `Paramètre sample invalide (entier entre 0 et ${SAMPLE_MAX}).` };
+    }
+  }
+  const key = [...SERIES_TAXONOMY_LEVELS, 'yearMin', 'yearMax']
+    .filter(k => filters[k] !== undefined)
+    .map(k => `${k}=${conditionKey(filters[k])}`)
+    .concat(`sample=${sample}`)
+    .join('&');
+  return { filters, sample, key };
+}
+
+// Filtre Mongo: taxonomie + année numérique (bornes du schéma et plage demandée) + coordonnées numériques
+function seriesMatch(filters) {
+  const match = {};
+  for (const lvl of SERIES_TAXONOMY_LEVELS) {
+    if (filters[lvl] !== undefined) match[lvl] = filters[lvl];
+  }
+  match.year = {
+    $type: 'number',
+    $gte: Math.max(YEAR_MIN, filters.yearMin ?? YEAR_MIN),
+    $lte: Math.min(yearMax(), filters.yearMax ?? Infinity),
+  };
+  match.decimalLatitude = { $type: 'number', $gte: -90, $lte: 90 };
+  match.decimalLongitude = { $type: 'number', $gte: -180, $lte: 180 };
+  return match;
+}
+
+// Comptes par année ([{ _id: année, count }]) -> années continues de la première à la dernière,
+// années non entières ou hors de [YEAR_MIN, année courante] écartées
+function continuousYears(rows) {
+  const counts = new Map();
+  for (const r of rows) {
+    if (Number.isInteger(r._id) && r._id >= YEAR_MIN && r._id <= yearMax()) counts.set(r._id, r.count);
+  }
+  const years = [];
+  if (!counts.size) return years;
+  const last = Math.max(...counts.keys());
+  for (let y = Math.min(...counts.keys()); y <= last; y++) {
+    years.push({ year: y, count: counts.get(y) || 0, samples: [] });
+  }
+  return years;
+}
+
+async function computeSeries(collection, filters, sample) {
+  const t0 = Date.now();
+  const match = seriesMatch(filters);
+  const rows = await collection.aggregate([
+    { $match: match },
+    { $group: { _id: '$year', count: { $sum: 1 } } },
+    // Années entières seulement (une année 2020.5 ne correspond à aucune année civile)
+    { $match: { $expr: { $eq: ['$_id', { $trunc: ['$_id', 0] }] } } },
+    { $sort: { _id: 1 } },
+  ], { allowDiskUse: true, maxTimeMS: AGGREGATION_MAX_TIME_MS }).toArray();
+  const years = continuousYears(rows);
+
+  // Échantillons: un tirage par année observée, par paquets
+  if (sample > 0) {
+    const projection = { _id: 1, decimalLatitude: 1, decimalLongitude: 1, scientificName: 1 };
+    const observed = years.filter(entry => entry.count > 0);
+    for (let i = 0; i < observed.length; i += SAMPLE_CONCURRENCY) {
+      await Promise.all(observed.slice(i, i + SAMPLE_CONCURRENCY).map(async (entry) => {
+        const yearMatch = { ...match, year: entry.year };
+        const docs = entry.count <= sample
+          ? await collection.find(yearMatch, { projection }).toArray()
+          : await collection.aggregate([
+            { $match: yearMatch },
+            { $sample: { size: sample } },
+            { $project: projection },
+          ], { allowDiskUse: true, maxTimeMS: AGGREGATION_MAX_TIME_MS }).toArray();
+        entry.samples = docs.map(d => ({
+          _id: d._id,
+          decimalLatitude: d.decimalLatitude,
+          decimalLongitude: d.decimalLongitude,
+          scientificName: d.scientificName || '',
+        }));
+      }));
+    }
+  }
+  const total = years.reduce((s, y) => s + y.count, 0);
+  console.log(`[timeseries] years=${years.length} total=${total} sample=${sample} time=${((Date.now() - t0) / 1000).toFixed(1)}s`);
+  return { years, total, updatedAt: new Date().toISOString() };
+}
+
+// Série (cache LRU puis calcul); selection = résultat de parseSeriesQuery
+async function getYearSeries(collection, { filters, sample, key }) {
+  const hit = seriesCache.get(key);
+  if (hit) return { ...hit, fromCache: true };
+  if (!pending.has(key)) {
+    const generation = seriesCache.generation;
+    const p = computeSeries(collection, filters, sample)
+      .then(result => { seriesCache.set(key, result, generation); return result; })
+      .finally(() => { if (pending.get(key) === p) pending.delete(key); });
+    pending.set(key, p);
+  }
+  const result = await pending.get(key);
+  return { ...result, fromCache: false };
+}
+
+// À appeler quand les données changent (écritures)
+function invalidateYearSeries() {
+  seriesCache.clear();
+  pending.clear(); // séries en cours de calcul: antérieures à l'écriture
+}
+
+module.exports = { parseSeriesQuery, getYearSeries, invalidateYearSeries, continuousYears };